@@ -10,6 +10,8 @@ const path = require('path');
 const { execSync } = require('child_process');
 const readline = require('readline');
 const { compile } = require('../src/compiler');
+const { format } = require('../src/formatter');
+const { explainCode, renderDiagnostic, jsonReport, sarifReport } = require('../src/diagnostics');
 const { compileSketch, uploadSketch, compileAndUpload, openSerialMonitor } = require('../src/arduino');
 
 function printUsage() {
@@ -24,6 +26,9 @@ Commands:
   compile <file|folder>  - Compile YS file or project folder to Arduino C++ (.ino)
   upload <file|folder>   - Compile and upload to board
   run <file|folder>      - Compile, upload, and open serial monitor
+  explain <code>         - Explain an error code (e.g. ysc explain YS0102)
+  fmt <file|folder>      - Format YS files in place (--check to only list unformatted files)
+  lsp                    - Start the language server on stdio (for editors)
   update                 - Check for updates and install them
 
 Arguments:
@@ -38,7 +43,10 @@ Options:
   --tokens        - Print tokens instead of generating code
   --config        - Show config diagnostics
   --skip-main     - Skip @main check (for compiling module files)
+  --format <fmt>  - Diagnostics output for compile: text (default), json or sarif
+  --checked-arith - Halt with the source line when integer arithmetic overflows (config: overflow: trap)
   -r, --retrieve  - Enable code retrieval from board (experimental)
+  --check         - With fmt: list files that are not formatted instead of rewriting them
 
 Examples:
   ysc blink.ys                  # Compile single file to blink.ino
@@ -49,6 +57,11 @@ Examples:
   ysc run blink.ys              # Compile, upload, and monitor
   ysc blink.ys output.ino       # Compile to specific output
   ysc blink.ys --ast            # Show AST
+  ysc explain YS0001            # Explain an error code
+  ysc fmt my-project/           # Format every .ys file in a folder
+  ysc fmt --check app.ys        # Exit 1 if app.ys is not formatted
+  ysc compile blink.ys --format sarif > ysc.sarif  # Diagnostics for CI
+  ysc compile blink.ys --checked-arith  # Halt when integer arithmetic overflows
   ysc update                    # Check for updates
 
 Project Structure:
@@ -182,7 +195,9 @@ function compileFile(inputFile, outputFile = null, options = {}) {
     if (isDirectory) {
       // Find the main entry file in the folder
       actualInputFile = findMainEntryFile(inputFile);
-      console.log(`Found entry point: ${path.basename(actualInputFile)}`);
+      if (!options.format) {
+        console.log(`Found entry point: ${path.basename(actualInputFile)}`);
+      }
     }
   } else {
     console.error(`Error: Path '${inputFile}' not found.`);
@@ -196,11 +211,18 @@ function compileFile(inputFile, outputFile = null, options = {}) {
 
   const source = fs.readFileSync(actualInputFile, 'utf8');
   const basePath = path.dirname(path.resolve(actualInputFile));
-  const result = compile(source, { basePath });
+  const result = compile(source, { basePath, sourceFile: fileName, overflow: options.checkedArith ? 'trap' : null });
+
+  // Machine-readable diagnostics go to stdout, and nothing else does
+  if (options.format) {
+    printDiagnosticsReport(result, fileName, options.format);
+    if (!result.success) {
+      process.exit(1);
+    }
+  }
 
   if (!result.success) {
-    console.error('Compilation Error:');
-    console.error(result.error);
+    printCompileErrors(result, source, fileName, basePath);
     console.error(`\nFailed to compile: ${actualInputFile}`);
     process.exit(1);
   }
@@ -294,7 +316,14 @@ function compileFile(inputFile, outputFile = null, options = {}) {
 
   // Write output
   fs.writeFileSync(outputFile, result.code);
+  if (options.format) {
+    return { result, outputFile };
+  }
   console.log(`✓ Successfully compiled ${path.basename(actualInputFile)} to ${path.basename(outputFile)}`);
+  const { count, bytes } = result.flashStrings;
+  if (count > 0 && !options.quiet) {
+    console.log(`  ${count} string literal${count === 1 ? '' : 's'} kept in flash, ${bytes} bytes of RAM saved`);
+  }
   
   // Show config diagnostics if present
   if (result.config && !options.quiet) {
@@ -305,6 +334,56 @@ function compileFile(inputFile, outputFile = null, options = {}) {
   return { result, outputFile };
 }
 
+/**
+ * Print compile errors with source snippets when they are located,
+ * or the plain error message otherwise
+ */
+function printCompileErrors(result, source, fileName, basePath) {
+  const diagnostics = (result.diagnostics || []).filter(diag => diag.severity !== 'warning');
+  if (!diagnostics.some(diag => typeof diag.line === 'number')) {
+    console.error('Compilation Error:');
+    console.error(result.error);
+    return;
+  }
+
+  // Errors inside loaded modules are shown with the module's own source
+  const sourceFor = diag => {
+    if (!diag.source || diag.source === fileName) return source;
+    try {
+      return fs.readFileSync(path.resolve(basePath, diag.source), 'utf8');
+    } catch (error) {
+      return null;
+    }
+  };
+
+  diagnostics.forEach(diag => {
+    console.error(renderDiagnostic(diag, sourceFor(diag)));
+    console.error('');
+  });
+
+  const count = diagnostics.length;
+  console.error(`Compilation failed with ${count} error${count === 1 ? '' : 's'}.`);
+  const code = diagnostics.find(diag => diag.code);
+  if (code) {
+    console.error(`For more information about an error, try \`ysc explain ${code.code}\`.`);
+  }
+}
+
+/**
+ * Print the diagnostics of a compile run as JSON or SARIF
+ */
+function printDiagnosticsReport(result, fileName, format) {
+  const diagnostics = result.diagnostics || [];
+  let report;
+  if (format === 'sarif') {
+    const pkg = require('../package.json');
+    report = sarifReport(diagnostics, { file: fileName, toolVersion: pkg.version });
+  } else {
+    report = jsonReport(diagnostics, { file: fileName, success: result.success });
+  }
+  console.log(JSON.stringify(report, null, 2));
+}
+
 function handleCompile(args, options) {
   const inputFile = args[0];
   const outputFile = args[1];
@@ -351,6 +430,108 @@ function handleUpload(args, options) {
   }
 }
 
+function handleExplain(args) {
+  const code = args[0];
+  if (!code) {
+    console.error('Error: Missing error code. Usage: ysc explain <code>  (e.g. ysc explain YS0102)');
+    process.exit(1);
+  }
+
+  const explanation = explainCode(code);
+  if (!explanation) {
+    console.error(`Error: Unknown error code '${code}'.`);
+    process.exit(1);
+  }
+  console.log(explanation);
+}
+
+/**
+ * Collect the .ys files to format: files as given, folders searched recursively
+ */
+function collectYsFiles(target, files = []) {
+  const stat = fs.statSync(target);
+  if (stat.isFile()) {
+    files.push(target);
+    return files;
+  }
+  for (const entry of fs.readdirSync(target).sort()) {
+    if (entry === 'node_modules' || entry.startsWith('.')) continue;
+    const entryPath = path.join(target, entry);
+    if (fs.statSync(entryPath).isDirectory()) {
+      collectYsFiles(entryPath, files);
+    } else if (entry.endsWith('.ys')) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+function handleFmt(args, options) {
+  if (args.length === 0) {
+    console.error('Error: No input file or folder specified. Usage: ysc fmt [--check] <file|folder>...');
+    process.exit(1);
+  }
+
+  const files = [];
+  for (const target of args) {
+    if (!fs.existsSync(target)) {
+      console.error(`Error: '${target}' not found`);
+      process.exit(1);
+    }
+    collectYsFiles(target, files);
+  }
+
+  const changed = [];
+  let failed = false;
+  for (const file of files) {
+    const source = fs.readFileSync(file, 'utf8');
+    let formatted;
+    try {
+      formatted = format(source, { sourceFile: file });
+    } catch (error) {
+      failed = true;
+      if (error.diagnostics) {
+        error.diagnostics.forEach(diag => {
+          console.error(renderDiagnostic(diag, source));
+          console.error('');
+        });
+      } else {
+        console.error(`Error formatting ${file}: ${error.message}`);
+      }
+      continue;
+    }
+
+    if (formatted === source) continue;
+    changed.push(file);
+    if (!options.check) {
+      fs.writeFileSync(file, formatted);
+    }
+  }
+
+  if (options.check) {
+    changed.forEach(file => console.log(`Would reformat: ${file}`));
+    if (changed.length === 0 && !failed) {
+      console.log(`✓ ${files.length} file(s) already formatted`);
+    }
+  } else {
+    changed.forEach(file => console.log(`Formatted: ${file}`));
+    if (!failed) {
+      console.log(`✓ ${changed.length} of ${files.length} file(s) reformatted`);
+    }
+  }
+
+  if (failed || (options.check && changed.length > 0)) {
+    process.exit(1);
+  }
+}
+
+function handleLsp() {
+  // stdout carries the protocol; anything logged while compiling goes to stderr
+  console.log = console.error;
+  const { startServer } = require('../src/language-server');
+  startServer(process.stdin, process.stdout);
+}
+
 function handleRun(args, options) {
   const inputFile = args[0];
   
@@ -559,6 +740,24 @@ function main() {
   const showConfig = args.includes('--config');
   const skipMainCheck = args.includes('--skip-main');
   const enableRetrieval = args.includes('-r') || args.includes('--retrieve');
+  const checkedArith = args.includes('--checked-arith');
+
+  // --format json|sarif (also --format=json)
+  let format = null;
+  const formatIndex = args.findIndex(arg => arg === '--format' || arg.startsWith('--format='));
+  if (formatIndex !== -1) {
+    const arg = args[formatIndex];
+    format = arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : args[formatIndex + 1];
+    if (!arg.includes('=')) {
+      args.splice(formatIndex + 1, 1);
+    }
+    if (format === 'text') {
+      format = null;
+    } else if (format !== 'json' && format !== 'sarif') {
+      console.error(`Error: Unknown format '${format}'. Use text, json or sarif.`);
+      process.exit(1);
+    }
+  }
   
   // Filter out options from args
   const fileArgs = args.filter(arg => !arg.startsWith('-'));
@@ -567,11 +766,17 @@ function main() {
   const command = fileArgs[0];
   
   if (command === 'compile') {
-    handleCompile(fileArgs.slice(1), { showAST, showTokens, showConfig, skipMainCheck });
+    handleCompile(fileArgs.slice(1), { showAST, showTokens, showConfig, skipMainCheck, checkedArith, format });
   } else if (command === 'upload') {
-    handleUpload(fileArgs.slice(1), { showAST, showTokens, showConfig, skipMainCheck, enableRetrieval });
+    handleUpload(fileArgs.slice(1), { showAST, showTokens, showConfig, skipMainCheck, checkedArith, enableRetrieval });
   } else if (command === 'run') {
-    handleRun(fileArgs.slice(1), { showAST, showTokens, showConfig, skipMainCheck, enableRetrieval });
+    handleRun(fileArgs.slice(1), { showAST, showTokens, showConfig, skipMainCheck, checkedArith, enableRetrieval });
+  } else if (command === 'explain') {
+    handleExplain(fileArgs.slice(1));
+  } else if (command === 'fmt') {
+    handleFmt(fileArgs.slice(1), { check: args.includes('--check') });
+  } else if (command === 'lsp') {
+    handleLsp();
   } else if (command === 'update') {
     handleUpdate().catch((error) => {
       console.error('❌ Error:', error.message);
@@ -581,7 +786,7 @@ function main() {
     // Legacy mode - first arg is the file
     const inputFile = fileArgs[0];
     const outputFile = fileArgs[1];
-    compileFile(inputFile, outputFile, { showAST, showTokens, showConfig, skipMainCheck });
+    compileFile(inputFile, outputFile, { showAST, showTokens, showConfig, skipMainCheck, checkedArith, format });
   }
 }
 
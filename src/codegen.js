@@ -5,13 +5,79 @@
 
 const { Config } = require('./config');
 const { generatePWMSetup } = require('./pwm');
+const {
+  getTypeRange,
+  isUnknownType,
+  isNumericType,
+  normalizeType,
+  genericBaseType,
+  genericTypeArguments,
+  isFunctionType,
+  functionTypeParts,
+  SEQUENCE_TYPES,
+  collectionCapacity,
+  isFloatLiteral,
+  unitLiteralValue
+} = require('./types');
+const { createDiagnostic } = require('./diagnostics');
+const { parsePrintfFormat, formatArguments } = require('./print-format');
+
+// Builtins lowered to Serial.print chains; all but printf end the line
+const PRINT_FUNCTIONS = ['print', 'println', 'printf'];
+
+// Names of the integer helpers for each checked operator (ysCheckedAdd, ...)
+const OPERATION_NAMES = { '+': 'Add', '-': 'Sub', '*': 'Mul' };
+
+// Integer helpers in the order they are emitted: checked ones halt through
+// ysOverflow(), wrapping and saturating ones back the builtins of the same name
+const INTEGER_HELPERS = [
+  'CheckedAdd', 'CheckedSub', 'CheckedMul', 'CheckedCast',
+  'WrappingAdd', 'WrappingSub', 'WrappingMul',
+  'SaturatingAdd', 'SaturatingSub', 'SaturatingMul'
+];
+
+// Direction a saturating operation overflowed in: true when past the maximum
+const SATURATION_DIRECTIONS = { Add: 'b > 0', Sub: 'b < 0', Mul: '(a < 0) == (b < 0)' };
+
+// C++ string literal for `text`
+function cppString(text) {
+  const escaped = text
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r');
+  return `"${escaped}"`;
+}
+
+// Add a printed piece, merging adjacent text into one string
+function addPiece(pieces, piece) {
+  if (typeof piece !== 'string') {
+    pieces.push(piece);
+  } else if (typeof pieces[pieces.length - 1] === 'string') {
+    pieces[pieces.length - 1] += piece;
+  } else if (piece) {
+    pieces.push(piece);
+  }
+}
+
+function isStringLiteral(expr) {
+  return expr.type === 'Literal' && expr.valueType === 'string';
+}
+
+function isPrintCall(expr) {
+  return expr.type === 'CallExpression' && expr.callee && expr.callee.type === 'Identifier' &&
+    PRINT_FUNCTIONS.includes(expr.callee.name);
+}
 
 class CodeGenerator {
   constructor(ast, options = {}) {
     this.ast = ast;
     this.basePath = options.basePath || process.cwd();
     this.fileReader = options.fileReader || null;
+    this.overflow = options.overflow || null;
     this.classes = [];
+    this.interfaces = [];
     this.enums = [];
     this.structs = [];
     this.globalVariables = [];
@@ -27,6 +93,8 @@ class CodeGenerator {
     this.modules = []; // .ys modules loaded
     this.aliases = [];
     this.configBlock = null;
+    // Class being generated, for super.method() calls
+    this.currentClass = null;
     this.config = null; // Will be initialized after processing
     this.reactVars = [];
     this.indent = 0;
@@ -36,10 +104,35 @@ class CodeGenerator {
     this.needsSPI = false;
     this.needsEEPROM = false;
     this.timeVarCounter = 0;
+    // Loops being generated (innermost last), for break and continue
+    this.loopStack = [];
+    this.loopLabelCounter = 0;
+    this.matchCounter = 0;
+    // Names bound by match arm patterns, mapped to the matched value
+    this.patternBindings = new Map();
+    // Set while generating global initializers, where lambdas cannot capture
+    this.fileScope = false;
+    // Text of string literals kept in flash on AVR, mapped to their PROGMEM array
+    this.flashStrings = new Map();
+    // Text of string literals that stay in RAM (the compiler merges equal literals)
+    this.ramStrings = new Set();
     // Track which hardware types are used
     this.usedHardwareTypes = new Set();
     // Track which collection types are used
     this.usedCollectionTypes = new Set();
+    // Set when keys() or values() is called, which return a List from a Map
+    this.needsMapLists = false;
+    // Set when a function type is used, which needs the YsFn pointer alias
+    this.needsFunctionTypes = false;
+    // Functions passed as values, which are declared before anything can refer to them
+    this.functionValues = new Set();
+    // Policies of range-constrained variables (clamp, wrap, trap), each needing a helper,
+    // and 'postfix' when the old value of a ranged x++ is used
+    this.rangePolicies = new Set();
+    // Integer helpers in use (see INTEGER_HELPERS)
+    this.integerHelpers = new Set();
+    // Set when the analyzer marked a checked operation, which may call ysOverflow()
+    this.needsOverflowHandler = false;
   }
 
   generate() {
@@ -50,7 +143,7 @@ class CodeGenerator {
     this.processProgram(this.ast);
     
     // Initialize config from configBlock
-    this.config = new Config(this.configBlock);
+    this.config = new Config(this.configBlock, { overflow: this.overflow });
     
     // Third pass: load .ys modules
     this.loadModules();
@@ -131,17 +224,36 @@ class CodeGenerator {
     
     // Track usage of collection types
     const collectionTypes = ['List', 'Map'];
-    if (collectionTypes.includes(typeName)) {
-      this.usedCollectionTypes.add(typeName);
+    const baseTypeName = genericBaseType(typeName);
+    if (collectionTypes.includes(baseTypeName) || collectionCapacity(typeName) !== null) {
+      this.usedCollectionTypes.add(baseTypeName);
+    }
+    genericTypeArguments(typeName).forEach(arg => this.trackHardwareType(arg));
+    if (isFunctionType(typeName)) {
+      const { params, returnType } = functionTypeParts(typeName);
+      [...params, returnType].forEach(type => this.trackHardwareType(type));
     }
   }
 
   analyzeAST(node) {
     if (!node) return;
     
-    if (node.type === 'CallExpression' && node.callee && node.callee.name === 'print') {
+    if (isPrintCall(node)) {
+      this.needsSerial = true;
+    }
+
+    // Trapped ranges and overflows are reported over Serial
+    if (node.range && node.range.policy === 'trap') {
       this.needsSerial = true;
     }
+    if (node.checkedType || node.checkedCast) {
+      this.needsOverflowHandler = true;
+    }
+
+    if (node.type === 'CallExpression' && node.callee && node.callee.type === 'MemberExpression' &&
+        ['keys', 'values'].includes(node.callee.property)) {
+      this.needsMapLists = true;
+    }
     
     // Track hardware types in VariableDeclaration nodes
     if (node.type === 'VariableDeclaration' && node.varType) {
@@ -153,6 +265,11 @@ class CodeGenerator {
       this.trackHardwareType(node.propertyType);
     }
     
+    // Track hardware types in struct fields
+    if (node.type === 'StructDeclaration') {
+      node.fields.forEach(field => this.trackHardwareType(field.type));
+    }
+    
     // Track hardware types in NewExpression nodes (instantiation anywhere)
     if (node.type === 'NewExpression' && node.className) {
       this.trackHardwareType(node.className);
@@ -174,8 +291,8 @@ class CodeGenerator {
       }
     }
     
-    // Track hardware types in FunctionDeclaration parameters and return types
-    if (node.type === 'FunctionDeclaration') {
+    // Track hardware types in FunctionDeclaration and lambda parameters and return types
+    if (node.type === 'FunctionDeclaration' || node.type === 'LambdaExpression') {
       // Check return type
       if (node.returnType) {
         this.trackHardwareType(node.returnType);
@@ -214,6 +331,8 @@ class CodeGenerator {
       return;
     } else if (stmt.type === 'ClassDeclaration') {
       this.classes.push(stmt);
+    } else if (stmt.type === 'InterfaceDeclaration') {
+      this.interfaces.push(stmt);
     } else if (stmt.type === 'EnumDeclaration') {
       this.enums.push(stmt);
     } else if (stmt.type === 'StructDeclaration') {
@@ -273,7 +392,7 @@ class CodeGenerator {
           // Parse the module
           const lexer = new Lexer(moduleSource);
           const tokens = lexer.tokenize();
-          const parser = new Parser(tokens);
+          const parser = new Parser(tokens, { sourceFile: load.library });
           const moduleAst = parser.parse();
           
           // Store the module with its namespace
@@ -283,7 +402,14 @@ class CodeGenerator {
           });
         } catch (error) {
           // Re-throw the error with more context for production use
-          throw new Error(`Failed to load module ${load.library}: ${error.message}`);
+          const message = `Failed to load module ${load.library}: ${error.message}`;
+          const moduleError = new Error(message);
+          moduleError.diagnostics = [createDiagnostic(message, load, { code: 'YS0005' })];
+          if (error.syntaxError) {
+            // Also point at the syntax error inside the module itself
+            moduleError.diagnostics.push(error.syntaxError);
+          }
+          throw moduleError;
         }
       }
     }
@@ -341,6 +467,9 @@ class CodeGenerator {
       code += '\n';
     }
 
+    // Flash strings are only known once the rest is generated; they go here
+    const flashStringsAt = code.length;
+
     // Generate module namespaces for loaded .ys files
     if (this.modules.length > 0) {
       code += '// Module Namespaces\n';
@@ -365,10 +494,16 @@ class CodeGenerator {
       }
     }
 
-    // Class declarations
-    if (this.classes.length > 0) {
+    // Functions passed as values are only known once the rest is generated; they are declared here
+    const functionValuesAt = code.length;
+
+    // Class declarations, after the interfaces and base classes they build on
+    if (this.classes.length > 0 || this.interfaces.length > 0) {
       code += '// Class Declarations\n';
-      for (const cls of this.classes) {
+      for (const iface of this.interfaces) {
+        code += this.generateInterfaceDeclaration(iface) + '\n\n';
+      }
+      for (const cls of this.orderedClasses()) {
         code += this.generateClassDeclaration(cls) + '\n\n';
       }
     }
@@ -382,6 +517,8 @@ class CodeGenerator {
       code += '\n';
     }
 
+    this.fileScope = true;
+
     // React variables (using volatile)
     if (this.reactVars.length > 0) {
       code += '// Reactive Variables\n';
@@ -411,6 +548,7 @@ class CodeGenerator {
       }
       code += '\n';
     }
+    this.fileScope = false;
 
     // Task timing variables
     if (this.tasks.length > 0) {
@@ -431,6 +569,10 @@ class CodeGenerator {
       }
     }
 
+    if (this.needsOverflowHandler) {
+      code += this.generateOverflowHandler();
+    }
+
     // ISR function declarations
     if (this.interrupts.length > 0) {
       code += '// Interrupt Service Routines\n';
@@ -524,86 +666,463 @@ class CodeGenerator {
     this.indent = 0;
     code += '}\n';
 
-    return code;
+    return code.slice(0, flashStringsAt) + this.generateFunctionTypeAlias() + this.generateRangeHelpers() + this.generateIntegerHelpers() + this.generateFlashStrings() +
+      code.slice(flashStringsAt, functionValuesAt) + this.generateFunctionPrototypes() + code.slice(functionValuesAt);
   }
 
-  generateClassDeclaration(cls) {
-    let code = `class ${cls.name} {\n`;
-    code += 'public:\n';
-    
-    // Generate properties
-    for (const prop of cls.properties) {
-      const constPrefix = prop.isMut === false ? 'const ' : '';
-      code += '  ' + constPrefix + this.mapType(prop.propertyType) + ' ' + prop.name;
-      if (prop.init) {
-        // Note: In-class initialization requires C++11
-        code += ' = ' + this.generateExpression(prop.init);
+  // fn(int) -> bool is written YsFn<bool(int)>, as a C++ function pointer type
+  // cannot be written before the variable name like other types
+  generateFunctionTypeAlias() {
+    if (!this.needsFunctionTypes) return '';
+    return '// Function types\ntemplate<typename F> using YsFn = F*;\n\n';
+  }
+
+  // Helpers for the range policies in use. Arduino's constrain() is a macro, which
+  // would evaluate the stored expression (e.g. analogRead(A0)) more than once.
+  generateRangeHelpers() {
+    if (this.rangePolicies.size === 0) return '';
+    let code = '// Range constraints\n';
+    if (this.rangePolicies.has('clamp')) {
+      code += `template<typename T, typename L, typename H> T ysConstrain(T value, L low, H high) {
+  return constrain(value, low, high);
+}
+`;
+    }
+    if (this.rangePolicies.has('wrap')) {
+      code += `template<typename T, typename L, typename H> T ysWrap(T value, L low, H high) {
+  long span = (long)high - low + 1;
+  long offset = ((long)value - low) % span;
+  return (offset < 0 ? offset + span : offset) + low;
+}
+`;
+    }
+    if (this.rangePolicies.has('trap')) {
+      code += `template<typename T, typename L, typename H, typename M> T ysCheckRange(T value, L low, H high, M message) {
+  if (value < low || value > high) {
+    Serial.println(message);
+    while (true) {
+      delay(1000);
+    }
+  }
+  return value;
+}
+`;
+    }
+    if (this.rangePolicies.has('postfix')) {
+      code += `template<typename T, typename V> T ysPostUpdate(T& target, V value) {
+  T old = target;
+  target = value;
+  return old;
+}
+`;
+    }
+    return code + '\n';
+  }
+
+  // `value` as stored in a range-constrained variable, passed through its policy
+  generateRangePolicy(range, value, name) {
+    const policy = range.policy || 'clamp';
+    this.rangePolicies.add(policy);
+    const bounds = `${this.generateExpression(range.min)}, ${this.generateExpression(range.max)}`;
+    switch (policy) {
+      case 'wrap':
+        return `ysWrap(${value}, ${bounds})`;
+      case 'trap': {
+        // The message may be needed at file scope, where F() cannot be used
+        const text = `${name} is out of range`;
+        const message = this.usesFlashStrings() ? `YS_FLASH(${this.flashString(text)})` : cppString(text);
+        return `ysCheckRange(${value}, ${bounds}, ${message})`;
       }
-      code += ';\n';
+      default:
+        return `ysConstrain(${value}, ${bounds})`;
     }
-    
-    if (cls.properties.length > 0 && (cls.constructor || cls.methods.length > 0)) {
-      code += '\n';
+  }
+
+  // Helpers of the checked, wrapping and saturating integer operations in use. The
+  // GCC overflow builtins compute the exact result and tell whether it fits T.
+  generateIntegerHelpers() {
+    if (this.integerHelpers.size === 0) return '';
+    const used = INTEGER_HELPERS.filter(name => this.integerHelpers.has(name));
+    let code = '// Integer overflow\n';
+    if (used.some(name => name.startsWith('Checked'))) {
+      code += 'void ysOverflow(int line);\n';
     }
-    
-    // Generate constructor
-    if (cls.constructor) {
-      code += '  ' + cls.name + '(';
-      code += cls.constructor.params.map(p => 
-        this.mapType(p.type) + ' ' + p.name
-      ).join(', ');
-      code += ') {\n';
-      
-      this.indent = 2;
-      for (const stmt of cls.constructor.body) {
+    if (used.some(name => name.startsWith('Saturating'))) {
+      code += `template<typename T> T ysSaturate(bool up) {
+  const bool isSigned = (T)-1 < 0;
+  const T high = isSigned ? (T)(~0ULL >> (65 - sizeof(T) * 8)) : (T)~0ULL;
+  return up ? high : (T)(isSigned ? -high - 1 : 0);
+}
+`;
+    }
+    for (const name of used) {
+      if (name === 'CheckedCast') {
+        code += `template<typename T, typename V> T ysCheckedCast(V value, int line) {
+  T result;
+  if (__builtin_add_overflow(value, 0, &result)) ysOverflow(line);
+  return result;
+}
+`;
+        continue;
+      }
+      const [, kind, operation] = name.match(/^(Checked|Wrapping|Saturating)(\w+)$/);
+      const builtin = `__builtin_${operation.toLowerCase()}_overflow(a, b, &result)`;
+      const line = kind === 'Checked' ? ', int line' : '';
+      const body = {
+        Checked: `  if (${builtin}) ysOverflow(line);\n  return result;`,
+        Wrapping: `  ${builtin};\n  return result;`,
+        Saturating: `  return ${builtin} ? ysSaturate<T>(${SATURATION_DIRECTIONS[operation]}) : result;`
+      }[kind];
+      code += `template<typename T, typename A, typename B> T ys${name}(A a, B b${line}) {\n  T result;\n${body}\n}\n`;
+    }
+    return code + '\n';
+  }
+
+  // `left op right` in `type`, halting through ysOverflow() when the exact result does not fit
+  generateCheckedOperation(operator, type, left, right, line) {
+    const name = `Checked${OPERATION_NAMES[operator]}`;
+    this.integerHelpers.add(name);
+    return `ys${name}<${this.mapType(type)}>(${left}, ${right}, ${line})`;
+  }
+
+  generateCheckedCast(type, value, line) {
+    this.integerHelpers.add('CheckedCast');
+    return `ysCheckedCast<${this.mapType(type)}>(${value}, ${line})`;
+  }
+
+  // Called when a checked operation overflows: runs the program's `on overflow`
+  // block, or reports the source line over Serial, and halts
+  generateOverflowHandler() {
+    const handler = this.onBlocks.find(block => block.event === 'overflow');
+    let code = '// Overflow Handler\n';
+    if (handler) {
+      code += `void ysOverflow(int${handler.param ? ` ${handler.param}` : ''}) {\n`;
+      this.indent = 1;
+      for (const stmt of handler.body) {
         code += this.generateStatement(stmt);
       }
       this.indent = 0;
-      
-      code += '  }\n';
-      
-      if (cls.methods.length > 0) {
-        code += '\n';
+    } else {
+      this.needsSerial = true;
+      const text = 'Overflow on line ';
+      const message = this.usesFlashStrings() ? `YS_FLASH(${this.flashString(text)})` : cppString(text);
+      code += `void ysOverflow(int line) {\n  Serial.print(${message});\n  Serial.println(line);\n`;
+    }
+    return code + '  while (true) {\n    delay(1000);\n  }\n}\n\n';
+  }
+
+  // Range-constrained parameters pass their argument through the policy on entry
+  generateParameterRanges(params) {
+    return params
+      .filter(param => param.range)
+      .map(param => `${this.getIndent()}${param.name} = ${this.generateRangePolicy(param.range, param.name, param.name)};\n`)
+      .join('');
+  }
+
+  // A function passed as a value may be used by a global variable or class
+  // defined before it, so it is declared up front
+  generateFunctionPrototypes() {
+    const functions = this.functions.filter(func => this.functionValues.has(func.name));
+    if (functions.length === 0) return '';
+    return '// Function Prototypes\n' + functions.map(func => this.functionSignature(func) + ';\n').join('') + '\n';
+  }
+
+  // On AVR, string literals that are only printed or compared stay in flash
+  // instead of being copied to RAM at startup. Each distinct text is stored once.
+  usesFlashStrings() {
+    return this.config !== null && this.config.isAVRBoard();
+  }
+
+  flashString(text) {
+    if (!this.flashStrings.has(text)) {
+      this.flashStrings.set(text, `_str_${this.flashStrings.size}`);
+    }
+    return this.flashStrings.get(text);
+  }
+
+  // RAM the flash strings would take as plain literals, terminators included.
+  // Text that is also needed in RAM saves nothing.
+  flashStringBytes() {
+    let bytes = 0;
+    for (const text of this.flashStrings.keys()) {
+      if (!this.ramStrings.has(text)) {
+        bytes += Buffer.byteLength(text, 'utf8') + 1;
       }
     }
-    
-    // Generate methods
-    for (let i = 0; i < cls.methods.length; i++) {
-      const method = cls.methods[i];
-      code += '  ' + this.mapType(method.returnType) + ' ' + method.name + '(';
-      code += method.params.map(p => 
-        this.mapType(p.type) + ' ' + p.name
-      ).join(', ');
-      code += ') {\n';
-      
-      this.indent = 2;
-      for (const stmt of method.body) {
-        code += this.generateStatement(stmt);
+    return bytes;
+  }
+
+  generateFlashStrings() {
+    if (this.flashStrings.size === 0) return '';
+    let code = `// String literals kept in flash (${this.flashStringBytes()} bytes of RAM saved)\n`;
+    code += '#define YS_FLASH(name) (reinterpret_cast<const __FlashStringHelper*>(name))\n';
+    for (const [text, name] of this.flashStrings) {
+      code += `const char ${name}[] PROGMEM = ${cppString(text)};\n`;
+    }
+    return code + '\n';
+  }
+
+  // `value == "text"` for a String value, comparing against the flash copy
+  flashStringComparison(value, text, operator) {
+    return `(strcmp_P(${value}.c_str(), ${this.flashString(text)}) ${operator} 0)`;
+  }
+
+  generateClassDeclaration(cls) {
+    const previousClass = this.currentClass;
+    this.currentClass = cls;
+    const bases = [cls.superClass, ...(cls.interfaces || [])].filter(Boolean);
+    const inheritance = bases.length > 0 ? ' : ' + bases.map(base => `public ${this.mapType(base)}`).join(', ') : '';
+    let code = this.templateHeader(cls.typeParameters) + `class ${cls.name}${inheritance} {\n`;
+
+    // Public members come first, then private ones. Fields are initialized in the
+    // order they are declared in C++, so constructors follow that order.
+    const visibilities = ['public', 'private'];
+    const inSection = visibility => member => this.memberVisibility(member) === visibility;
+    const fields = visibilities.flatMap(visibility => cls.properties.filter(inSection(visibility)));
+    const forwarded = this.forwardedInterfaceMethods(cls);
+
+    const sections = visibilities.map(visibility => ({
+      visibility,
+      properties: cls.properties.filter(inSection(visibility)),
+      members: [
+        ...cls.constructors.filter(inSection(visibility)).map(constructor => this.generateConstructor(cls, constructor, fields)),
+        ...cls.methods.filter(inSection(visibility)).map(method => this.generateMethod(cls, method)),
+        // Interface methods the class inherits from its base class
+        ...(visibility === 'public' ? forwarded.map(entry => this.generateForwardedMethod(entry)) : [])
+      ]
+    })).filter(section => section.properties.length > 0 || section.members.length > 0);
+    if (sections.length === 0) {
+      sections.push({ visibility: 'public', properties: [], members: [] });
+    }
+
+    code += sections.map(section => {
+      let body = `${section.visibility}:\n`;
+      for (const prop of section.properties) {
+        const staticPrefix = prop.isStatic ? 'static ' : '';
+        const constPrefix = prop.isMut === false ? 'const ' : '';
+        body += '  ' + staticPrefix + constPrefix + this.mapType(prop.propertyType) + ' ' + prop.name;
+        if (prop.init && !prop.isStatic) {
+          // Note: In-class initialization requires C++11
+          body += ' = ' + this.generateExpression(prop.init);
+        }
+        body += ';\n';
       }
-      this.indent = 0;
-      
-      code += '  }';
-      if (i < cls.methods.length - 1) {
-        code += '\n\n';
-      } else {
-        code += '\n';
+      if (section.properties.length > 0 && section.members.length > 0) {
+        body += '\n';
+      }
+      return body + section.members.join('\n');
+    }).join('\n');
+
+    code += '};';
+
+    // Static fields are defined once, outside the class
+    for (const prop of cls.properties.filter(prop => prop.isStatic)) {
+      const constPrefix = prop.isMut === false ? 'const ' : '';
+      const typeArguments = cls.typeParameters && cls.typeParameters.length > 0 ? `<${cls.typeParameters.join(', ')}>` : '';
+      code += '\n' + this.templateHeader(cls.typeParameters);
+      code += `${constPrefix}${this.mapType(prop.propertyType)} ${cls.name}${typeArguments}::${prop.name}`;
+      code += prop.init ? ` = ${this.generateExpression(prop.init)};` : ';';
+    }
+    this.currentClass = previousClass;
+    return code;
+  }
+
+  // Members without pub or priv take the visibility set in the config
+  memberVisibility(member) {
+    return member.visibility || (this.config ? this.config.getDefaultVisibility() : 'public');
+  }
+
+  generateConstructor(cls, constructor, fields) {
+    // super(...) becomes the base class initializer
+    const superCall = this.leadingSuperCall(constructor);
+    let body = superCall ? constructor.body.slice(1) : constructor.body;
+
+    // Constant and hardware fields cannot be assigned once constructed, so the
+    // assignments that open the body set them in the initializer list instead
+    const initializers = new Map();
+    for (const stmt of body) {
+      const expr = stmt.type === 'ExpressionStatement' ? stmt.expression : null;
+      if (!expr || expr.type !== 'AssignmentExpression' || (expr.operator && expr.operator !== '=') ||
+          expr.left.type !== 'MemberExpression' || expr.left.object.type !== 'ThisExpression') {
+        break;
       }
+      const field = fields.find(prop => prop.name === expr.left.property && !prop.isStatic);
+      if (field && !initializers.has(field) && this.needsInitializer(field)) {
+        initializers.set(field, stmt);
+      }
+    }
+    body = body.filter(stmt => ![...initializers.values()].includes(stmt));
+
+    const initializerList = fields
+      .filter(field => initializers.has(field))
+      .map(field => `${field.name}(${this.generateExpression(initializers.get(field).expression.right)})`);
+    if (superCall) {
+      initializerList.unshift(`${this.mapType(cls.superClass)}(${this.generateArguments(superCall)})`);
+    }
+
+    let code = '  ' + cls.name + '(';
+    code += constructor.params.map(p => 
+      this.mapParamType(p.type) + ' ' + p.name
+    ).join(', ');
+    code += ')';
+    if (initializerList.length > 0) {
+      code += ` : ${initializerList.join(', ')}`;
+    }
+    code += ' {\n';
+    
+    this.indent = 2;
+    code += this.generateParameterRanges(constructor.params);
+    for (const stmt of body) {
+      code += this.generateStatement(stmt);
+    }
+    this.indent = 0;
+    
+    return code + '  }\n';
+  }
+
+  needsInitializer(field) {
+    return field.isMut === false || this.getHardwareTypes().includes(genericBaseType(field.propertyType));
+  }
+
+  // Only methods that a subclass overrides are virtual
+  generateMethod(cls, method) {
+    const overrides = !method.isStatic && this.overridesMethod(cls, method);
+    const virtual = !method.isStatic && !overrides && this.isOverridden(cls, method) ? 'virtual ' : '';
+    const staticPrefix = method.isStatic ? 'static ' : '';
+    let code = '  ' + staticPrefix + virtual + this.mapType(method.returnType) + ' ' + method.name + '(';
+    code += method.params.map(p => 
+      this.mapParamType(p.type) + ' ' + p.name
+    ).join(', ');
+    code += overrides ? ') override {\n' : ') {\n';
+    
+    this.indent = 2;
+    code += this.generateParameterRanges(method.params);
+    for (const stmt of method.body) {
+      code += this.generateStatement(stmt);
     }
+    this.indent = 0;
     
+    return code + '  }\n';
+  }
+
+  generateForwardedMethod({ method, base }) {
+    const params = method.params.map(p => this.mapParamType(p.type) + ' ' + p.name).join(', ');
+    const call = `${this.mapType(base)}::${method.name}(${method.params.map(p => p.name).join(', ')})`;
+    const returns = this.mapType(method.returnType) === 'void' ? '' : 'return ';
+    return `  ${this.mapType(method.returnType)} ${method.name}(${params}) override {\n` +
+      `    ${returns}${call};\n` +
+      '  }\n';
+  }
+
+  // Interfaces are abstract classes of pure virtual methods
+  generateInterfaceDeclaration(iface) {
+    let code = `class ${iface.name} {\npublic:\n`;
+    for (const method of iface.methods) {
+      const params = method.params.map(p => this.mapParamType(p.type) + ' ' + p.name).join(', ');
+      code += `  virtual ${this.mapType(method.returnType)} ${method.name}(${params}) = 0;\n`;
+    }
     code += '};';
     return code;
   }
 
+  // The `super(...)` call that opens a constructor body, or null
+  leadingSuperCall(constructor) {
+    const first = constructor.body[0];
+    if (!first || first.type !== 'ExpressionStatement') return null;
+    const expr = first.expression;
+    return expr.type === 'CallExpression' && expr.callee.type === 'SuperExpression' ? expr : null;
+  }
+
+  findClass(type) {
+    return type ? this.classes.find(cls => cls.name === genericBaseType(type)) : undefined;
+  }
+
+  findInterface(name) {
+    return this.interfaces.find(iface => iface.name === name);
+  }
+
+  // Classes `cls` extends, nearest first
+  baseClassesOf(cls) {
+    const bases = [];
+    let base = this.findClass(cls.superClass);
+    while (base && base !== cls && !bases.includes(base)) {
+      bases.push(base);
+      base = this.findClass(base.superClass);
+    }
+    return bases;
+  }
+
+  // Classes with each base class before the classes that extend it
+  orderedClasses() {
+    const ordered = [];
+    const visit = cls => {
+      if (ordered.includes(cls)) return;
+      this.baseClassesOf(cls).reverse().forEach(base => {
+        if (!ordered.includes(base)) ordered.push(base);
+      });
+      ordered.push(cls);
+    };
+    this.classes.forEach(visit);
+    return ordered;
+  }
+
+  // Does a base class or an implemented interface declare this method?
+  overridesMethod(cls, method) {
+    const lineage = [cls, ...this.baseClassesOf(cls)];
+    const declares = decl => decl && this.declaresMethod(decl, cls, method);
+    return lineage.slice(1).some(declares) ||
+      lineage.flatMap(c => c.interfaces || []).some(iface => declares(this.findInterface(iface)));
+  }
+
+  // Is this method overridden by a class that extends `cls`?
+  isOverridden(cls, method) {
+    return this.classes.some(other => this.baseClassesOf(other).includes(cls) && this.declaresMethod(other, cls, method));
+  }
+
+  // Does `decl` declare a method that overrides `method` of `cls`, or is overridden by
+  // it? Once either of them overloads the name, the parameter types must match too.
+  declaresMethod(decl, cls, method) {
+    const named = c => c.methods.filter(m => m.name === method.name && !m.isStatic);
+    const overloaded = named(decl).length > 1 || named(cls).length > 1;
+    const sameParams = m => m.params.length === method.params.length &&
+      m.params.every((param, i) => normalizeType(param.type) === normalizeType(method.params[i].type));
+    return named(decl).some(m => !overloaded || sameParams(m));
+  }
+
+  // Methods of the interfaces a class implements that only a base class defines. C++
+  // needs them overridden in the class itself, so they forward to the base class.
+  forwardedInterfaceMethods(cls) {
+    const forwarded = [];
+    (cls.interfaces || []).map(name => this.findInterface(name)).filter(Boolean).forEach(iface => {
+      iface.methods.forEach(method => {
+        if (cls.methods.some(m => m.name === method.name) || forwarded.some(f => f.method.name === method.name)) return;
+        const base = this.baseClassesOf(cls).find(c => c.methods.some(m => m.name === method.name));
+        if (base) forwarded.push({ method, base: base === this.findClass(cls.superClass) ? cls.superClass : base.name });
+      });
+    });
+    return forwarded;
+  }
+
+  // Parameters of interface types, and of classes that other classes extend, are
+  // references, so that calls reach the methods of the object's own class
+  mapParamType(type) {
+    const base = genericBaseType(type);
+    const polymorphic = Boolean(this.findInterface(type)) ||
+      this.classes.some(cls => this.baseClassesOf(cls).some(b => b.name === base));
+    return this.mapType(type) + (polymorphic ? '&' : '');
+  }
+
+  // `int add(int a, int b)`, shared by a function and its prototype
+  functionSignature(func) {
+    const params = func.params.map(p => this.mapParamType(p.type) + ' ' + p.name).join(', ');
+    return `${this.mapType(func.returnType)} ${func.name}(${params})`;
+  }
+
   generateFunctionDeclaration(func) {
-    const returnType = this.mapType(func.returnType);
-    
-    let code = `${returnType} ${func.name}(`;
-    code += func.params.map(p => 
-      this.mapType(p.type) + ' ' + p.name
-    ).join(', ');
-    code += ') {\n';
+    let code = this.templateHeader(func.typeParameters) + this.functionSignature(func) + ' {\n';
     
     this.indent++;
+    code += this.generateParameterRanges(func.params);
     for (const stmt of func.body) {
       code += this.generateStatement(stmt);
     }
@@ -613,7 +1132,26 @@ class CodeGenerator {
     return code;
   }
 
+  // `template<typename T>` line of a generic class or function, or nothing
+  templateHeader(typeParameters) {
+    if (!typeParameters || typeParameters.length === 0) return '';
+    return `template<${typeParameters.map(name => `typename ${name}`).join(', ')}>\n`;
+  }
+
   mapType(type) {
+    // fn(int) -> bool -> YsFn<bool(int)>, a plain function pointer
+    if (isFunctionType(type)) {
+      const { params, returnType } = functionTypeParts(type);
+      this.needsFunctionTypes = true;
+      return `YsFn<${this.mapType(returnType)}(${params.map(param => this.mapParamType(param)).join(', ')})>`;
+    }
+
+    // List<u8> -> List<uint8_t>
+    const typeArgs = genericTypeArguments(type);
+    if (typeArgs.length > 0) {
+      return `${this.mapType(genericBaseType(type))}<${typeArgs.map(arg => this.mapType(arg)).join(', ')}>`;
+    }
+
     const typeMap = {
       'int': 'int',
       'float': 'float',
@@ -768,18 +1306,7 @@ class CodeGenerator {
 
   getTypeRange(type) {
     // Returns the valid range for width-specific integer types
-    // Note: u64 and i64 are not validated due to JavaScript number limitations
-    const ranges = {
-      'u8': { min: 0, max: 255 },
-      'u16': { min: 0, max: 65535 },
-      'u32': { min: 0, max: 4294967295 },
-      'i8': { min: -128, max: 127 },
-      'i16': { min: -32768, max: 32767 },
-      'i32': { min: -2147483648, max: 2147483647 },
-      'byte': { min: 0, max: 255 },
-      'short': { min: -32768, max: 32767 }
-    };
-    return ranges[type] || null;
+    return getTypeRange(type);
   }
 
   validateTypeRange(type, value) {
@@ -799,6 +1326,12 @@ class CodeGenerator {
       case 'VariableDeclaration':
         return this.getIndent() + this.generateVariableDeclaration(stmt) + '\n';
       case 'ExpressionStatement':
+        if (isPrintCall(stmt.expression)) {
+          return this.generatePrintCalls(stmt.expression).map(call => this.getIndent() + call + ';\n').join('');
+        }
+        if (stmt.expression.type === 'UpdateExpression') {
+          return this.getIndent() + this.generateUpdateExpression(stmt.expression, false) + ';\n';
+        }
         return this.getIndent() + this.generateExpression(stmt.expression) + ';\n';
       case 'IfStatement':
         return this.generateIfStatement(stmt);
@@ -806,10 +1339,17 @@ class CodeGenerator {
         return this.generateWhileStatement(stmt);
       case 'ForStatement':
         return this.generateForStatement(stmt);
+      case 'ForRangeStatement':
+        return this.generateForRangeStatement(stmt);
+      case 'ForEachStatement':
+        return this.generateForEachStatement(stmt);
       case 'RepeatStatement':
         return this.generateRepeatStatement(stmt);
       case 'ReturnStatement':
         return this.generateReturnStatement(stmt);
+      case 'BreakStatement':
+      case 'ContinueStatement':
+        return this.generateLoopExit(stmt);
       case 'MatchStatement':
         return this.generateMatchStatement(stmt);
       case 'SwitchStatement':
@@ -834,35 +1374,9 @@ class CodeGenerator {
     const volatilePrefix = isVolatile && varDecl.kind !== 'const' ? 'volatile ' : '';
     const type = this.mapType(varDecl.varType);
     
-    // Check if initializer is an array literal
-    const isArrayInit = varDecl.init && varDecl.init.type === 'ArrayLiteral';
-    
-    // Compile-time range checking for literal values
-    if (varDecl.init && !isArrayInit) {
-      const range = this.getTypeRange(varDecl.varType);
-      if (range) {
-        let value = null;
-        
-        // Handle direct literals
-        if (varDecl.init.type === 'Literal' && typeof varDecl.init.value === 'number') {
-          value = varDecl.init.value;
-        }
-        // Handle unary minus expressions (e.g., -128)
-        else if (varDecl.init.type === 'UnaryExpression' && 
-                 varDecl.init.operator === '-' && 
-                 varDecl.init.argument.type === 'Literal' &&
-                 typeof varDecl.init.argument.value === 'number') {
-          value = -varDecl.init.argument.value;
-        }
-        
-        if (value !== null && (value < range.min || value > range.max)) {
-          throw new Error(
-            `Compile Error: Value ${value} is out of range for type ${varDecl.varType}. ` +
-            `Valid range: ${range.min} to ${range.max}`
-          );
-        }
-      }
-    }
+    // Check if initializer is an array literal (a List or Array takes it as its elements)
+    const isArrayInit = varDecl.init && varDecl.init.type === 'ArrayLiteral' &&
+      !SEQUENCE_TYPES.includes(genericBaseType(varDecl.varType));
     
     let code;
     
@@ -875,18 +1389,15 @@ class CodeGenerator {
     } else {
       code = `${typePrefix}${volatilePrefix}${type} ${varDecl.name}`;
       if (varDecl.init) {
-        code += ' = ' + this.generateExpression(varDecl.init);
+        let init = this.generateExpression(varDecl.init);
+        if (varDecl.checkedCast) {
+          init = this.generateCheckedCast(varDecl.checkedCast, init, varDecl.line);
+        }
+        code += ' = ' + (varDecl.range ? this.generateRangePolicy(varDecl.range, init, varDecl.name) : init);
       }
       code += ';';
     }
     
-    // Add range check if specified
-    if (varDecl.range && !typePrefix.includes('const') && !isArrayInit) {
-      const min = this.generateExpression(varDecl.range.min);
-      const max = this.generateExpression(varDecl.range.max);
-      code += `\n${this.getIndent()}${varDecl.name} = constrain(${varDecl.name}, ${min}, ${max});`;
-    }
-    
     return code;
   }
 
@@ -914,14 +1425,7 @@ class CodeGenerator {
   }
 
   generateWhileStatement(stmt) {
-    let code = this.getIndent() + 'while (' + this.generateExpression(stmt.test) + ') {\n';
-    this.indent++;
-    for (const s of stmt.body) {
-      code += this.generateStatement(s);
-    }
-    this.indent--;
-    code += this.getIndent() + '}\n';
-    return code;
+    return this.generateLoop('while (' + this.generateExpression(stmt.test) + ')', stmt);
   }
 
   generateForStatement(stmt) {
@@ -930,36 +1434,146 @@ class CodeGenerator {
     const test = this.generateExpression(stmt.test);
     const update = this.generateExpression(stmt.update);
     
-    let code = this.getIndent() + `for (${varType} ${stmt.variable} = ${init}; ${test}; ${update}) {\n`;
-    
-    this.indent++;
-    for (const s of stmt.body) {
-      code += this.generateStatement(s);
+    return this.generateLoop(`for (${varType} ${stmt.variable} = ${init}; ${test}; ${update})`, stmt);
+  }
+
+  // for i in start...end step n includes both bounds and counts down for a negative
+  // constant step. An end bound that is not a literal or variable is evaluated once.
+  generateForRangeStatement(stmt) {
+    const varType = this.mapType(stmt.varType || 'int');
+    const name = stmt.variable;
+    let init = `${varType} ${name} = ${this.generateExpression(stmt.start)}`;
+    let end = this.generateExpression(stmt.end);
+    if (!this.isSimpleOperand(stmt.end)) {
+      init += `, _${name}_end = ${end}`;
+      end = `_${name}_end`;
     }
-    this.indent--;
-    code += this.getIndent() + '}\n';
-    return code;
+
+    const descending = stmt.step && this.isNegativeLiteral(stmt.step);
+    const test = `${name} ${descending ? '>=' : '<='} ${end}`;
+    let update = `${name}++`;
+    if (descending) {
+      update = `${name} -= ${this.generateExpression(stmt.step.argument)}`;
+    } else if (stmt.step) {
+      update = `${name} += ${this.generateExpression(stmt.step)}`;
+    }
+
+    return this.generateLoop(`for (${init}; ${test}; ${update})`, stmt);
+  }
+
+  // for x in items walks arrays and List<T> with a C++11 range-based for. Numbers
+  // are copied; objects are bound by reference so methods act on the element itself.
+  generateForEachStatement(stmt) {
+    let varType = isUnknownType(stmt.varType) ? 'auto' : this.mapType(stmt.varType);
+    if (!isNumericType(stmt.varType) && stmt.varType !== 'bool') {
+      varType = `${stmt.constElement ? 'const ' : ''}${varType}&`;
+    }
+    return this.generateLoop(`for (${varType} ${stmt.variable} : ${this.generateExpression(stmt.iterable)})`, stmt);
+  }
+
+  // Operands that are cheap and free of side effects, so they may be evaluated repeatedly
+  isSimpleOperand(expr) {
+    if (expr.type === 'MemberExpression') return this.isSimpleOperand(expr.object);
+    return ['Literal', 'Identifier', 'ThisExpression'].includes(expr.type) || this.isNegativeLiteral(expr);
+  }
+
+  isNegativeLiteral(expr) {
+    return expr.type === 'UnaryExpression' && expr.operator === '-' && expr.argument.type === 'Literal';
   }
 
   generateRepeatStatement(stmt) {
     const count = this.generateExpression(stmt.count);
     
     // Generate a for loop: for (int _repeat_i = 0; _repeat_i < count; _repeat_i++)
-    let code = this.getIndent() + `for (int _repeat_i = 0; _repeat_i < ${count}; _repeat_i++) {\n`;
-    
+    return this.generateLoop(`for (int _repeat_i = 0; _repeat_i < ${count}; _repeat_i++)`, stmt);
+  }
+
+  // Generate `header { body }` for any YS loop. A break or continue that C++ cannot
+  // express directly (leaving an outer loop, or a break inside a generated switch)
+  // jumps with goto to a label after the loop or at the end of its body.
+  generateLoop(header, stmt) {
+    const id = this.loopLabelCounter++;
+    const name = stmt.label || 'loop';
+    const loop = {
+      label: stmt.label || null,
+      breakLabel: `_break_${name}_${id}`,
+      continueLabel: `_continue_${name}_${id}`,
+      breakUsed: false,
+      switchDepth: 0,
+      atomicDepth: 0
+    };
+    // With a continue label the body gets its own block, so the jump to the
+    // label never skips a declaration that is still in scope there
+    const wrapBody = stmt.label && this.hasNestedContinue(stmt.body, stmt.label);
+
+    let code = this.getIndent() + header + ' {\n';
     this.indent++;
+    if (wrapBody) {
+      code += this.getIndent() + '{\n';
+      this.indent++;
+    }
+    this.loopStack.push(loop);
     for (const s of stmt.body) {
       code += this.generateStatement(s);
     }
+    this.loopStack.pop();
+    if (wrapBody) {
+      this.indent--;
+      code += this.getIndent() + '}\n';
+      code += this.getIndent() + `${loop.continueLabel}: ;\n`;
+    }
     this.indent--;
     code += this.getIndent() + '}\n';
+    if (loop.breakUsed) {
+      code += this.getIndent() + `${loop.breakLabel}: ;\n`;
+    }
     return code;
   }
 
+  // Is there a `continue label` inside a loop nested in `body`?
+  hasNestedContinue(body, label) {
+    const loopTypes = ['WhileStatement', 'ForStatement', 'ForRangeStatement', 'ForEachStatement', 'RepeatStatement', 'TimeoutStatement'];
+    const search = (node, nested) => {
+      if (Array.isArray(node)) return node.some(child => search(child, nested));
+      if (!node || typeof node !== 'object') return false;
+      if (node.type === 'ContinueStatement') return nested && node.label === label;
+      const inLoop = nested || loopTypes.includes(node.type);
+      return Object.values(node).some(child => typeof child === 'object' && search(child, inLoop));
+    };
+    return search(body, false);
+  }
+
+  generateLoopExit(stmt) {
+    const isBreak = stmt.type === 'BreakStatement';
+    const innermost = this.loopStack.length - 1;
+    const index = stmt.label
+      ? this.loopStack.map(loop => loop.label).lastIndexOf(stmt.label)
+      : innermost;
+    if (index < 0) return '';
+    const target = this.loopStack[index];
+
+    let code = '';
+    // Leaving an atomic block must turn interrupts back on
+    if (this.loopStack.slice(index).some(loop => loop.atomicDepth > 0)) {
+      code += this.getIndent() + 'interrupts();\n';
+    }
+
+    if (!isBreak) {
+      return code + this.getIndent() + (index === innermost ? 'continue;\n' : `goto ${target.continueLabel};\n`);
+    }
+    // Inside a switch, C++ break would only leave the switch
+    if (index === innermost && target.switchDepth === 0) {
+      return code + this.getIndent() + 'break;\n';
+    }
+    target.breakUsed = true;
+    return code + this.getIndent() + `goto ${target.breakLabel};\n`;
+  }
+
   generateReturnStatement(stmt) {
     let code = this.getIndent() + 'return';
     if (stmt.argument) {
-      code += ' ' + this.generateExpression(stmt.argument);
+      const value = this.generateExpression(stmt.argument);
+      code += ' ' + (stmt.checkedCast ? this.generateCheckedCast(stmt.checkedCast, value, stmt.line) : value);
     }
     return code + ';\n';
   }
@@ -969,13 +1583,18 @@ class CodeGenerator {
       case 'Literal':
         return this.generateLiteral(expr);
       case 'Identifier':
-        return expr.name;
+        if (expr.isFunctionValue) {
+          this.functionValues.add(expr.name);
+        }
+        return this.patternBindings.get(expr.name) || expr.name;
       case 'BinaryExpression':
         return this.generateBinaryExpression(expr);
       case 'UnaryExpression':
         return this.generateUnaryExpression(expr);
       case 'AssignmentExpression':
-        return this.generateExpression(expr.left) + ' = ' + this.generateExpression(expr.right);
+        return this.generateAssignmentExpression(expr);
+      case 'UpdateExpression':
+        return this.generateUpdateExpression(expr);
       case 'CallExpression':
         return this.generateCallExpression(expr);
       case 'MemberExpression':
@@ -986,18 +1605,33 @@ class CodeGenerator {
         return 'this';
       case 'NewExpression':
         return this.generateNewExpression(expr);
+      case 'StructLiteral':
+        return this.generateStructLiteral(expr);
       case 'TypeConversion':
         return this.generateTypeConversion(expr);
       case 'ErrorHandler':
         return this.generateErrorHandler(expr);
       case 'ArrayLiteral':
         return this.generateArrayLiteral(expr);
+      case 'InterpolatedString':
+        return this.generateInterpolatedString(expr);
+      case 'ConditionalExpression':
+      case 'IfExpression':
+        return this.generateConditionalExpression(expr);
+      case 'MatchExpression':
+        return this.generateMatchExpression(expr);
+      case 'LambdaExpression':
+        return this.generateLambdaExpression(expr);
       default:
         return '';
     }
   }
 
   generateMemberExpression(expr) {
+    // super.method() calls the base class version
+    if (expr.object.type === 'SuperExpression' && this.currentClass) {
+      return `${this.mapType(this.currentClass.superClass)}::${expr.property}`;
+    }
     const object = this.generateExpression(expr.object);
     // Use -> for pointer access (this is a pointer in C++)
     if (expr.object.type === 'ThisExpression') {
@@ -1008,7 +1642,11 @@ class CodeGenerator {
     if (expr.object.type === 'Identifier') {
       // Check if this identifier is a loaded module
       const isModule = this.modules.some(m => m.name === expr.object.name);
-      if (isModule) {
+      // `Mode.AUTO` names an enum variant
+      const isEnum = this.enums.some(e => e.name === expr.object.name);
+      // `Motor.count` names a static member
+      const isClass = Boolean(this.findClass(expr.object.name));
+      if (isModule || isEnum || isClass) {
         return `${object}::${expr.property}`;
       }
     }
@@ -1024,130 +1662,36 @@ class CodeGenerator {
 
   generateLiteral(expr) {
     if (expr.valueType === 'string') {
-      return `"${expr.value}"`;
+      this.ramStrings.add(expr.value);
+      return cppString(expr.value);
     } else if (expr.valueType === 'boolean') {
       return expr.value ? 'true' : 'false';
     }
     
     // Handle unit literals
     if (expr.unit) {
-      const value = expr.value;
-      return this.convertUnitToInteger(value, expr.unit);
+      return String(unitLiteralValue(expr.value, expr.unit));
     }
-    
-    return String(expr.value);
-  }
-  
-  // Convert unit literals to integer values
-  convertUnitToInteger(value, unit) {
-    // Conversion constants
-    const RAD_TO_DEG = 180 / Math.PI;  // radians to degrees
-    // Newton to milligrams: 1N = 1kg * 1m/s² = 1000g / 9.80665m/s² * 1000 = 101971.6 mg
-    const NEWTON_TO_MG = 1000000 / 9.80665;
-    
-    const conversions = {
-      // Time units (convert to milliseconds)
-      'ms': value,
-      's': value * 1000,
-      'us': Math.floor(value * 0.001),  // microseconds to milliseconds: divide by 1000
-      'min': value * 60000,
-      'h': value * 3600000,
-      
-      // Frequency (to Hz)
-      'Hz': value,
-      'kHz': value * 1000,
-      'MHz': value * 1000000,
-      'GHz': value * 1000000000,
-      
-      // Angle (convert to degrees)
-      'deg': value,
-      'rad': Math.floor(value * RAD_TO_DEG),  // radians to degrees: multiply by 180/π
-      
-      // Distance (convert to millimeters)
-      'mm': value,
-      'cm': value * 10,
-      'm': value * 1000,
-      'km': value * 1000000,
-      'in': Math.floor(value * 25.4),  // inches to millimeters
-      'ft': Math.floor(value * 304.8), // feet to millimeters
-      
-      // Speed (various base units)
-      'rpm': value,                            // revolutions per minute
-      'mps': Math.floor(value * 1000),         // meters per second to mm/s
-      'kph': Math.floor(value * 1000 / 3.6),   // km/h to mm/s (1 km/h = 1000/3.6 mm/s)
-      'mph': Math.floor(value * 1609.344 / 3.6), // mph to mm/s (1 mile = 1609.344m)
-      
-      // Voltage (convert to millivolts)
-      'V': value * 1000,
-      'mV': value,
-      'uV': Math.floor(value * 0.001),
-      
-      // Current (convert to microamps)
-      'A': value * 1000000,
-      'mA': value * 1000,
-      'uA': value,
-      
-      // Resistance (convert to ohms)
-      'ohm': value,
-      'kohm': value * 1000,
-      'Mohm': value * 1000000,
-      
-      // Capacitance (convert to picofarads)
-      'F': value * 1000000000000,
-      'uF': value * 1000000,
-      'nF': value * 1000,
-      'pF': value,
-      
-      // Power (convert to milliwatts)
-      'W': value * 1000,
-      'mW': value,
-      'kW': value * 1000000,
-      
-      // Temperature (convert to centidegrees Celsius for precision)
-      'C': value * 100,               // Celsius to centidegrees
-      'degC': value * 100,            // Celsius to centidegrees (alias)
-      'K': Math.floor((value - 273.15) * 100), // Kelvin to centidegrees Celsius
-      'degF': Math.floor((value - 32) * 5 / 9 * 100), // Fahrenheit to centidegrees Celsius
-      
-      // Weight/Force (convert to milligrams)
-      'mg': value,
-      'g': value * 1000,
-      'kg': value * 1000000,
-      'N': Math.floor(value * NEWTON_TO_MG), // Newtons to mg (using standard gravity)
-      
-      // Data storage (convert to bytes)
-      'B': value,
-      'KB': value * 1024,
-      'MB': value * 1048576,
-      'GB': value * 1073741824,
-      
-      // Percentage (convert to basis points for precision)
-      'pct': value * 100,             // percent to basis points (1% = 100 bp)
-      'percent': value * 100,
-      
-      // Pressure (convert to Pascals)
-      'Pa': value,
-      'kPa': value * 1000,
-      'hPa': value * 100,             // hectopascals (same as millibar)
-      'bar': value * 100000,
-      'atm': Math.floor(value * 101325),  // atmospheres to Pascals
-      'psi': Math.floor(value * 6894.76), // PSI to Pascals
-      
-      // Light (lux and lumens)
-      'lux': value,
-      'lm': value,                    // lumens (kept as-is)
-      
-      // Sound/Signal (decibels)
-      'dB': value,                    // decibels (kept as-is)
-      'dBm': value                    // dBm (kept as-is)
-    };
-    
-    return String(conversions[unit] || value);
+
+    // 2.0 stays a double in C++, so c / 2.0 is not an integer division
+    return isFloatLiteral(expr) && Number.isInteger(expr.value) ? `${expr.value}.0` : String(expr.value);
   }
 
   generateBinaryExpression(expr) {
+    if ((expr.operator === '==' || expr.operator === '!=') && this.usesFlashStrings()) {
+      // The analyzer marks string literals compared with a String
+      const literal = [expr.left, expr.right].find(side => side.comparedWithString);
+      const other = literal === expr.left ? expr.right : expr.left;
+      if (literal && !isStringLiteral(other)) {
+        return this.flashStringComparison(this.generateExpression(other), literal.value, expr.operator);
+      }
+    }
+
     const left = this.generateExpression(expr.left);
     const right = this.generateExpression(expr.right);
+    if (expr.checkedType) {
+      return this.generateCheckedOperation(expr.operator, expr.checkedType, left, right, expr.line);
+    }
     
     // Convert operators to C++
     const operatorMap = {
@@ -1163,7 +1707,12 @@ class CodeGenerator {
       '-': '-',
       '*': '*',
       '/': '/',
-      '%': '%'
+      '%': '%',
+      '&': '&',
+      '|': '|',
+      '^': '^',
+      '<<': '<<',
+      '>>': '>>'
     };
     
     const op = operatorMap[expr.operator] || expr.operator;
@@ -1173,7 +1722,8 @@ class CodeGenerator {
   generateUnaryExpression(expr) {
     const operatorMap = {
       'not': '!',
-      '-': '-'
+      '-': '-',
+      '~': '~'
     };
     const op = operatorMap[expr.operator] || expr.operator;
     
@@ -1190,6 +1740,11 @@ class CodeGenerator {
     if (!expr.callee) {
       return '';
     }
+
+    if (isPrintCall(expr)) {
+      const calls = this.generatePrintCalls(expr);
+      return calls.length === 1 ? calls[0] : `(${calls.join(', ')})`;
+    }
     
     let callee;
     if (expr.callee.type === 'MemberExpression') {
@@ -1198,11 +1753,10 @@ class CodeGenerator {
       callee = expr.callee.name || this.generateExpression(expr.callee);
     }
     
-    const args = expr.arguments.map(arg => this.generateExpression(arg)).join(', ');
+    const args = this.generateArguments(expr);
     
     // Map built-in functions to Arduino equivalents
     const builtinMap = {
-      'print': 'Serial.println',
       'delay': 'delay',
       'millis': 'millis',
       'pinMode': 'pinMode',
@@ -1212,18 +1766,123 @@ class CodeGenerator {
       'analogWrite': 'analogWrite'
     };
     
-    const funcName = builtinMap[callee] || callee;
-    
-    // Mark that we need Serial if print is used
-    if (callee === 'print') {
-      this.needsSerial = true;
+    // wrappingAdd(x, 10) -> ysWrappingAdd<uint8_t>(x, 10)
+    if (expr.integerType) {
+      const name = callee[0].toUpperCase() + callee.slice(1);
+      this.integerHelpers.add(name);
+      return `ys${name}<${this.mapType(expr.integerType)}>(${args})`;
+    }
+
+    let funcName = builtinMap[callee] || callee;
+    // Type arguments the analyzer inferred for a generic function
+    if (expr.typeArguments) {
+      funcName += `<${expr.typeArguments.map(type => this.mapType(type)).join(', ')}>`;
     }
     
     return `${funcName}(${args})`;
   }
 
+  // Arguments of a call in parameter order, as the analyzer matched them: named ones
+  // moved into place, defaults filled in and numbers cast to pick an overload
+  generateArguments(expr) {
+    const args = expr.callArguments || expr.arguments.map(value => ({ value, cast: null }));
+    return args.map(({ value, cast }) => {
+      let code = this.generateExpression(value);
+      if (value.checkedCast && value.type !== 'AssignmentExpression') {
+        code = this.generateCheckedCast(value.checkedCast, code, value.line);
+      }
+      return cast ? `static_cast<${this.mapType(cast)}>(${code})` : code;
+    }).join(', ');
+  }
+
+  // One Serial.print call per piece of text or value, so printing never builds
+  // a String on the heap. print/println put spaces between their arguments and
+  // end the line; printf fills the conversions of its format.
+  generatePrintCalls(expr) {
+    this.needsSerial = true;
+    const callee = expr.callee.name;
+    const pieces = callee === 'printf' ? this.printfPieces(expr) : this.printPieces(expr.arguments);
+
+    const calls = pieces.map(piece => {
+      if (typeof piece !== 'string') {
+        return `Serial.print(${formatArguments(piece.code, piece.format, piece.type)})`;
+      }
+      return this.usesFlashStrings()
+        ? `Serial.print(YS_FLASH(${this.flashString(piece)}))`
+        : `Serial.print(${cppString(piece)})`;
+    });
+    if (callee !== 'printf') {
+      if (calls.length === 0) {
+        calls.push('Serial.println()');
+      } else {
+        calls[calls.length - 1] = calls[calls.length - 1].replace('Serial.print(', 'Serial.println(');
+      }
+    }
+    return calls;
+  }
+
+  // Printed pieces: strings of text and { code, format, type } values
+  printPieces(args, separator = ' ') {
+    const pieces = [];
+    args.forEach((arg, index) => {
+      if (index > 0) addPiece(pieces, separator);
+      this.addPrintedValue(pieces, arg);
+    });
+    return pieces;
+  }
+
+  printfPieces(expr) {
+    const [format, ...values] = expr.arguments;
+    const parsed = format && isStringLiteral(format)
+      ? parsePrintfFormat(format.value)
+      : { error: 'The format is not a string literal' };
+    // The analyzer reports bad formats; print the arguments as they are
+    if (parsed.error) {
+      return this.printPieces(expr.arguments, '');
+    }
+
+    const argumentTypes = expr.argumentTypes || [];
+    const pieces = [];
+    let next = 0;
+    parsed.parts.forEach(part => {
+      if (typeof part === 'string') {
+        addPiece(pieces, part);
+        return;
+      }
+      const index = next++;
+      if (index < values.length) {
+        this.addPrintedValue(pieces, values[index], part.format, argumentTypes[index]);
+      }
+    });
+    return pieces;
+  }
+
+  // Strings and interpolated strings are printed as their text and values
+  addPrintedValue(pieces, arg, format = null, type = null) {
+    if (!format && isStringLiteral(arg)) {
+      addPiece(pieces, arg.value);
+    } else if (!format && arg.type === 'InterpolatedString') {
+      arg.parts.forEach(part => addPiece(pieces, typeof part === 'string'
+        ? part
+        : { code: this.generateExpression(part.expression), format: part.format, type: part.valueType }));
+    } else {
+      addPiece(pieces, { code: this.generateExpression(arg), format, type });
+    }
+  }
+
+  // "v={x}" outside of print: a String joined from its parts (rejected on AVR)
+  generateInterpolatedString(expr) {
+    const parts = expr.parts.map(part => typeof part === 'string'
+      ? cppString(part)
+      : `String(${formatArguments(this.generateExpression(part.expression), part.format, part.valueType)})`);
+    if (typeof expr.parts[0] === 'string') {
+      parts[0] = `String(${parts[0]})`;
+    }
+    return `(${parts.join(' + ')})`;
+  }
+
   generateNewExpression(expr) {
-    const args = expr.arguments.map(arg => this.generateExpression(arg)).join(', ');
+    const args = this.generateArguments(expr);
     const className = this.mapType(expr.className);
     return `${className}(${args})`;
   }
@@ -1267,22 +1926,91 @@ class CodeGenerator {
     return code;
   }
 
-  // Generate struct declaration
+  // Generate struct declaration. Fields without a default value start at zero, and a
+  // constructor taking every field backs struct literals. Hardware objects have no
+  // zero value, so a struct holding one is only built from its fields.
   generateStructDeclaration(structDecl) {
-    let code = `struct ${structDecl.name} {\n`;
-    for (const field of structDecl.fields) {
-      code += `  ${this.mapType(field.type)} ${field.name};\n`;
+    const { name, fields } = structDecl;
+    let code = `struct ${name} {\n`;
+    for (const field of fields) {
+      code += `  ${this.mapType(field.type)} ${field.name}`;
+      if (field.init) {
+        code += ` = ${this.generateExpression(field.init)}`;
+      }
+      code += ';\n';
+    }
+
+    const members = [];
+    if (fields.length > 0) {
+      const zeroed = fields.filter(field => !field.init).map(field => `${field.name}()`);
+      const params = fields.map(field => `${this.mapParamType(field.type)} ${field.name}`).join(', ');
+      const initializers = fields.map(field => `${field.name}(${field.name})`).join(', ');
+      members.push(
+        (this.isDefaultConstructible(name) ? `  ${name}()${zeroed.length > 0 ? ` : ${zeroed.join(', ')}` : ''} {}\n` : '') +
+        `  ${name}(${params}) : ${initializers} {}\n`
+      );
+    }
+    structDecl.methods.forEach(method => members.push(this.generateMethod(structDecl, method)));
+    if (this.isEquatableType(name)) {
+      const comparisons = fields.map(field => `${field.name} == other.${field.name}`).join(' && ') || 'true';
+      members.push(
+        `  bool operator==(const ${name}& other) const {\n    return ${comparisons};\n  }\n\n` +
+        `  bool operator!=(const ${name}& other) const {\n    return !(*this == other);\n  }\n`
+      );
+    }
+
+    if (members.length > 0) {
+      code += '\n' + members.join('\n');
     }
     code += '};';
     return code;
   }
 
+  // Can a value of a type be created without arguments? Not hardware objects, classes
+  // whose constructors all take arguments, or structs with such a field and no default.
+  isDefaultConstructible(type, seen = []) {
+    if (this.getHardwareTypes().includes(genericBaseType(type))) return false;
+    const struct = this.structs.find(s => s.name === type);
+    if (struct) {
+      return !seen.includes(type) &&
+        struct.fields.every(field => field.init || this.isDefaultConstructible(field.type, [...seen, type]));
+    }
+    const cls = this.findClass(type);
+    if (cls && cls.constructors.length > 0) {
+      return cls.constructors.some(constructor => constructor.params.every(param => param.defaultValue));
+    }
+    return true;
+  }
+
+  // Can values of a type be compared with ==? Structs compare field by field.
+  isEquatableType(type, seen = []) {
+    const struct = this.structs.find(s => s.name === type);
+    if (struct) {
+      return !seen.includes(type) && struct.fields.every(field => this.isEquatableType(field.type, [...seen, type]));
+    }
+    const t = normalizeType(type);
+    return t === 'bool' || t === 'string' || isNumericType(t) || this.enums.some(e => e.name === type);
+  }
+
+  // Point { x: 1 } -> Point(1, 0): fields left out take their default value, or zero
+  generateStructLiteral(expr) {
+    const struct = this.structs.find(s => s.name === expr.structType);
+    if (!struct) return `${expr.structType}()`;
+    const values = struct.fields.map(field => {
+      const given = expr.fields.find(f => f.name === field.name);
+      if (given) return this.generateExpression(given.value);
+      return field.init ? this.generateExpression(field.init) : `${this.mapType(field.type)}()`;
+    });
+    return `${expr.structType}(${values.join(', ')})`;
+  }
+
   // Generate module namespace for .ys files
   generateModuleNamespace(module) {
     let code = `namespace ${module.name} {\n`;
     
     // Process all declarations in the module
     const moduleClasses = [];
+    const moduleInterfaces = [];
     const moduleEnums = [];
     const moduleStructs = [];
     const moduleFunctions = [];
@@ -1291,6 +2019,8 @@ class CodeGenerator {
     for (const stmt of module.ast.body) {
       if (stmt.type === 'ClassDeclaration') {
         moduleClasses.push(stmt);
+      } else if (stmt.type === 'InterfaceDeclaration') {
+        moduleInterfaces.push(stmt);
       } else if (stmt.type === 'EnumDeclaration') {
         moduleEnums.push(stmt);
       } else if (stmt.type === 'StructDeclaration') {
@@ -1312,20 +2042,33 @@ class CodeGenerator {
       code += '  ' + this.generateStructDeclaration(structDecl).replace(/\n/g, '\n  ') + '\n\n';
     }
     
-    // Generate classes
-    for (const cls of moduleClasses) {
+    // Inheritance is resolved among the module's own classes and interfaces
+    const programClasses = this.classes;
+    const programInterfaces = this.interfaces;
+    this.classes = moduleClasses;
+    this.interfaces = moduleInterfaces;
+
+    // Generate interfaces and classes
+    for (const iface of moduleInterfaces) {
+      code += '  ' + this.generateInterfaceDeclaration(iface).replace(/\n/g, '\n  ') + '\n\n';
+    }
+    for (const cls of this.orderedClasses()) {
       code += '  ' + this.generateClassDeclaration(cls).replace(/\n/g, '\n  ') + '\n\n';
     }
     
     // Generate global variables
+    this.fileScope = true;
     for (const varDecl of moduleGlobalVars) {
       code += '  ' + this.generateVariableDeclaration(varDecl).replace(/\n/g, '\n  ') + '\n';
     }
+    this.fileScope = false;
     
     // Generate functions
     for (const func of moduleFunctions) {
       code += '  ' + this.generateFunctionDeclaration(func).replace(/\n/g, '\n  ') + '\n\n';
     }
+    this.classes = programClasses;
+    this.interfaces = programInterfaces;
     
     code += '}\n\n';
     return code;
@@ -1333,48 +2076,194 @@ class CodeGenerator {
 
   // Generate match statement (transpile to if-else chain)
   generateMatchStatement(stmt) {
+    if (this.isSimpleOperand(stmt.discriminant)) {
+      return this.generateMatchChain(stmt, this.generateExpression(stmt.discriminant));
+    }
+
+    // Evaluate the discriminant once, into a temporary scoped to the match
+    const subject = `_match_${this.matchCounter++}`;
+    let code = this.getIndent() + '{\n';
+    this.indent++;
+    code += this.getIndent() + `auto ${subject} = ${this.generateExpression(stmt.discriminant)};\n`;
+    code += this.generateMatchChain(stmt, subject);
+    this.indent--;
+    return code + this.getIndent() + '}\n';
+  }
+
+  // if / else if chain testing `subject` against each arm
+  generateMatchChain(stmt, subject) {
     let code = '';
-    let isFirst = true;
-    
-    for (const matchCase of stmt.cases) {
-      if (matchCase.pattern.type === 'Wildcard') {
-        // This is the default case
-        if (!isFirst) {
-          code += this.getIndent() + '} else {\n';
-        } else {
-          code += this.getIndent() + '{\n';
-        }
-        this.indent++;
-        for (const s of matchCase.consequent) {
-          code += this.generateStatement(s);
-        }
-        this.indent--;
-        // Don't add closing brace here - it's added at the end
+
+    for (const [index, matchCase] of stmt.cases.entries()) {
+      const condition = this.matchArmCondition(matchCase, subject);
+      if (index === 0) {
+        code += this.getIndent() + (condition ? `if (${condition}) {\n` : '{\n');
       } else {
-        const condition = `${this.generateExpression(stmt.discriminant)} == ${this.generateExpression(matchCase.pattern)}`;
-        if (isFirst) {
-          code += this.getIndent() + `if (${condition}) {\n`;
-          isFirst = false;
-        } else {
-          code += this.getIndent() + `} else if (${condition}) {\n`;
-        }
-        this.indent++;
-        for (const s of matchCase.consequent) {
-          code += this.generateStatement(s);
-        }
-        this.indent--;
+        code += this.getIndent() + (condition ? `} else if (${condition}) {\n` : '} else {\n');
+      }
+      this.indent++;
+      if (matchCase.binding) {
+        code += this.getIndent() + `auto ${matchCase.binding} = ${subject};\n`;
       }
+      for (const s of matchCase.consequent) {
+        code += this.generateStatement(s);
+      }
+      this.indent--;
+      // Arms after one that matches everything can never run
+      if (!condition) break;
+    }
+
+    if (stmt.cases.length > 0) {
+      code += this.getIndent() + '}\n';
     }
-    
-    // Always add final closing brace
-    code += this.getIndent() + '}\n';
-    
     return code;
   }
 
+  // C++ condition of a match arm: its pattern and guard, or null if it matches everything
+  matchArmCondition(arm, subject) {
+    const pattern = arm.binding ? null : this.matchPatternCondition(arm.pattern, subject);
+    const guard = arm.guard
+      ? this.withPatternBinding(arm, subject, () => this.generateExpression(arm.guard))
+      : null;
+    if (pattern && guard) return `${pattern} && ${guard}`;
+    return pattern || guard;
+  }
+
+  matchPatternCondition(pattern, subject) {
+    switch (pattern.type) {
+      case 'Wildcard':
+        return null;
+      case 'OrPattern':
+        return `(${pattern.alternatives.map(alternative => this.matchPatternCondition(alternative, subject)).join(' || ')})`;
+      case 'RangePattern':
+        return `(${subject} >= ${this.generateExpression(pattern.start)} && ${subject} <= ${this.generateExpression(pattern.end)})`;
+      default:
+        if (pattern.comparedWithString && this.usesFlashStrings()) {
+          return this.flashStringComparison(subject, pattern.value, '==');
+        }
+        return `${subject} == ${this.generateExpression(pattern)}`;
+    }
+  }
+
+  // Generate code in which the name bound by a match arm refers to the matched value
+  withPatternBinding(arm, subject, generate) {
+    if (!arm.binding) return generate();
+    const previous = this.patternBindings.get(arm.binding);
+    this.patternBindings.set(arm.binding, subject);
+    try {
+      return generate();
+    } finally {
+      if (previous === undefined) {
+        this.patternBindings.delete(arm.binding);
+      } else {
+        this.patternBindings.set(arm.binding, previous);
+      }
+    }
+  }
+
+  // A lambda captures nothing, so C++ converts it to a plain function pointer
+  generateLambdaExpression(expr) {
+    const params = expr.params.map(p => this.mapParamType(p.type) + ' ' + p.name).join(', ');
+    let code = `[](${params}) -> ${this.mapType(expr.returnType)} {\n`;
+
+    const previousLoops = this.loopStack;
+    this.loopStack = [];
+    this.indent++;
+    for (const stmt of expr.body) {
+      code += this.generateStatement(stmt);
+    }
+    this.indent--;
+    this.loopStack = previousLoops;
+
+    return code + this.getIndent() + '}';
+  }
+
+  generateAssignmentExpression(expr) {
+    if (expr.range) return this.generateRangedAssignment(expr);
+    const target = this.generateExpression(expr.left);
+    const value = this.generateExpression(expr.right);
+    // With overflow checks, x += y stores the checked x + y
+    if (expr.checkedType) {
+      return `${target} = ${this.generateCheckedOperation(expr.operator[0], expr.checkedType, target, value, expr.line)}`;
+    }
+    if (expr.checkedCast) {
+      return `${target} = ${this.generateCheckedCast(expr.checkedCast, value, expr.line)}`;
+    }
+    return `${target} ${expr.operator || '='} ${value}`;
+  }
+
+  // `valueUsed` is false for a statement of its own, where x++ needs no old value
+  generateUpdateExpression(expr, valueUsed = true) {
+    if (expr.range && !expr.prefix && valueUsed) {
+      // x++ gives the value x had before the store
+      this.rangePolicies.add('postfix');
+      return `ysPostUpdate(${expr.argument.name}, ${this.generateRangedValue(expr)})`;
+    }
+    if (expr.range) return this.generateRangedAssignment(expr);
+    const target = this.generateExpression(expr.argument);
+    const update = expr.prefix ? expr.operator + target : target + expr.operator;
+    // The check runs first, so x++ keeps its value and never wraps around
+    if (expr.checkedType) {
+      return `(${this.generateCheckedOperation(expr.operator[0], expr.checkedType, target, '1', expr.line)}, ${update})`;
+    }
+    return update;
+  }
+
+  // `x += y` or `x++` on a range-constrained variable stores the policy's value of x + y
+  generateRangedAssignment(expr) {
+    const target = expr.type === 'UpdateExpression' ? expr.argument : expr.left;
+    return `${target.name} = ${this.generateRangedValue(expr)}`;
+  }
+
+  generateRangedValue(expr) {
+    const target = expr.type === 'UpdateExpression' ? expr.argument : expr.left;
+    const operator = expr.type === 'UpdateExpression' ? `${expr.operator[0]}=` : expr.operator;
+    const value = expr.type === 'UpdateExpression' ? { type: 'Literal', value: 1, valueType: 'number' } : expr.right;
+    const compound = operator && operator !== '=' ? operator.slice(0, -1) : null;
+    const stored = compound
+      ? { type: 'BinaryExpression', operator: compound, left: target, right: value, checkedType: expr.checkedType, line: expr.line }
+      : value;
+    return this.generateRangePolicy(expr.range, this.generateExpression(stored), target.name);
+  }
+
+  // Ternaries and if expressions both become C++ ?:
+  generateConditionalExpression(expr) {
+    const test = this.generateExpression(expr.test);
+    return `(${test} ? ${this.generateExpression(expr.consequent)} : ${this.generateExpression(expr.alternate)})`;
+  }
+
+  // A match expression becomes a ?: chain. A discriminant that is not a simple
+  // operand is passed once into a lambda, so it is evaluated a single time.
+  generateMatchExpression(expr) {
+    // Arms after one that matches everything can never be reached
+    const catchAll = expr.cases.findIndex(arm => arm.pattern.type === 'Wildcard' && !arm.guard);
+    const arms = catchAll === -1 ? expr.cases : expr.cases.slice(0, catchAll + 1);
+    if (arms.length === 0) return '';
+
+    const simple = this.isSimpleOperand(expr.discriminant);
+    const discriminant = this.generateExpression(expr.discriminant);
+    const subject = simple ? discriminant : '_match';
+
+    const valueOf = arm => this.withPatternBinding(arm, subject, () => this.generateExpression(arm.value));
+
+    // The last arm is the fallback: the wildcard, or the last arm of an exhaustive enum match
+    let code = valueOf(arms[arms.length - 1]);
+    for (let i = arms.length - 2; i >= 0; i--) {
+      code = `${this.matchArmCondition(arms[i], subject)} ? ${valueOf(arms[i])} : ${code}`;
+    }
+
+    if (simple) {
+      return `(${code})`;
+    }
+    const capture = this.fileScope ? '[]' : '[&]';
+    return `${capture}(decltype(${discriminant}) _match) { return ${code}; }(${discriminant})`;
+  }
+
   // Generate switch statement
   generateSwitchStatement(stmt) {
     let code = this.getIndent() + `switch (${this.generateExpression(stmt.discriminant)}) {\n`;
+    const loop = this.loopStack[this.loopStack.length - 1];
+    if (loop) loop.switchDepth++;
     
     for (const caseStmt of stmt.cases) {
       code += this.getIndent() + `  case ${this.generateExpression(caseStmt.test)}:\n`;
@@ -1396,6 +2285,7 @@ class CodeGenerator {
       this.indent -= 2;
     }
     
+    if (loop) loop.switchDepth--;
     code += this.getIndent() + '}\n';
     return code;
   }
@@ -1417,13 +2307,7 @@ class CodeGenerator {
     const timeVar = `_timeout_${this.timeVarCounter++}`;
     
     let code = this.getIndent() + `unsigned long ${timeVar} = millis();\n`;
-    code += this.getIndent() + `while (millis() - ${timeVar} < ${timeoutMs}) {\n`;
-    this.indent++;
-    for (const s of stmt.body) {
-      code += this.generateStatement(s);
-    }
-    this.indent--;
-    code += this.getIndent() + '}\n';
+    code += this.generateLoop(`while (millis() - ${timeVar} < ${timeoutMs})`, stmt);
     
     return code;
   }
@@ -1431,9 +2315,12 @@ class CodeGenerator {
   // Generate atomic block (use ATOMIC_BLOCK macro or cli/sei)
   generateAtomicBlock(stmt) {
     let code = this.getIndent() + 'noInterrupts();\n';
+    const loop = this.loopStack[this.loopStack.length - 1];
+    if (loop) loop.atomicDepth++;
     for (const s of stmt.body) {
       code += this.generateStatement(s);
     }
+    if (loop) loop.atomicDepth--;
     code += this.getIndent() + 'interrupts();\n';
     return code;
   }
@@ -1487,6 +2374,8 @@ class CodeGenerator {
       } else if (node.type === 'BinaryExpression' || node.type === 'LogicalExpression') {
         collectFromNode(node.left);
         collectFromNode(node.right);
+      } else if (node.type === 'UpdateExpression' || node.type === 'UnaryExpression') {
+        collectFromNode(node.argument);
       } else if (node.type === 'ExpressionStatement') {
         collectFromNode(node.expression);
       } else if (node.type === 'CallExpression') {
@@ -1503,9 +2392,13 @@ class CodeGenerator {
     return Array.from(variables);
   }
 
-  // Helper to validate ISR block for forbidden operations
+  // Helper to validate ISR block for forbidden operations.
+  // Returns diagnostics located at the offending statements.
   validateISRBlock(block) {
     const forbiddenOps = [];
+    const forbid = (message, node) => {
+      forbiddenOps.push(createDiagnostic(message, node, { code: 'YS0202' }));
+    };
     
     const checkStatement = (stmt) => {
       if (!stmt) return;
@@ -1513,22 +2406,22 @@ class CodeGenerator {
       // Check for forbidden operations
       if (stmt.type === 'CallExpression') {
         const funcName = stmt.callee?.name;
-        if (funcName === 'print') {
-          forbiddenOps.push('print() is not allowed in interrupts');
+        if (PRINT_FUNCTIONS.includes(funcName)) {
+          forbid(`${funcName}() is not allowed in interrupts`, stmt);
         } else if (funcName === 'delay') {
-          forbiddenOps.push('delay() is not allowed in interrupts');
+          forbid('delay() is not allowed in interrupts', stmt);
         }
       } else if (stmt.type === 'ExpressionStatement' && stmt.expression?.type === 'CallExpression') {
         const funcName = stmt.expression.callee?.name;
-        if (funcName === 'print') {
-          forbiddenOps.push('print() is not allowed in interrupts');
+        if (PRINT_FUNCTIONS.includes(funcName)) {
+          forbid(`${funcName}() is not allowed in interrupts`, stmt);
         } else if (funcName === 'delay') {
-          forbiddenOps.push('delay() is not allowed in interrupts');
+          forbid('delay() is not allowed in interrupts', stmt);
         }
       } else if (stmt.type === 'WaitStatement') {
-        forbiddenOps.push('wait is not allowed in interrupts');
-      } else if (stmt.type === 'WhileStatement' || stmt.type === 'ForStatement') {
-        forbiddenOps.push('loops are not allowed in interrupts');
+        forbid('wait is not allowed in interrupts', stmt);
+      } else if (['WhileStatement', 'ForStatement', 'ForRangeStatement', 'ForEachStatement'].includes(stmt.type)) {
+        forbid('loops are not allowed in interrupts', stmt);
       }
       
       // Recursively check compound statements
@@ -1552,7 +2445,9 @@ class CodeGenerator {
     // Validate the ISR block
     const errors = this.validateISRBlock(interrupt.body);
     if (errors.length > 0) {
-      throw new Error(`Interrupt validation failed:\n${errors.join('\n')}`);
+      const error = new Error(`Interrupt validation failed:\n${errors.map(e => e.message).join('\n')}`);
+      error.diagnostics = errors;
+      throw error;
     }
     
     const isrName = interrupt.name || `isr_${index}`;
@@ -6174,11 +7069,17 @@ public:
       return '';
     }
     
+    // Map.keys() and Map.values() return a List
+    if (this.usedCollectionTypes.has('Map') && this.needsMapLists) {
+      this.usedCollectionTypes.add('List');
+    }
+
     let code = '// Built-in Collection Types\n';
     
     // Add includes only for the collection types that are used
     if (this.usedCollectionTypes.has('List')) {
       code += '#include <vector>\n';
+      code += '#include <algorithm>\n';
     }
     if (this.usedCollectionTypes.has('Map')) {
       code += '#include <map>\n';
@@ -6224,6 +7125,46 @@ public:
       _data[index] = value;
     }
   }
+  
+  void insert(int index, T value) {
+    if (index >= 0 && index <= _data.size()) {
+      _data.insert(_data.begin() + index, value);
+    }
+  }
+  
+  T removeAt(int index) {
+    if (index < 0 || index >= _data.size()) return T();
+    T value = _data[index];
+    _data.erase(_data.begin() + index);
+    return value;
+  }
+  
+  void clear() {
+    _data.clear();
+  }
+  
+  bool contains(T value) {
+    return indexOf(value) >= 0;
+  }
+  
+  int indexOf(T value) {
+    for (int i = 0; i < _data.size(); i++) {
+      if (_data[i] == value) return i;
+    }
+    return -1;
+  }
+  
+  void sort() {
+    std::sort(_data.begin(), _data.end());
+  }
+  
+  typename std::vector<T>::iterator begin() {
+    return _data.begin();
+  }
+  
+  typename std::vector<T>::iterator end() {
+    return _data.end();
+  }
 };
 
 `;
@@ -6259,9 +7200,181 @@ public:
     _data.erase(key);
   }
   
-  int size() {
+  void clear() {
+    _data.clear();
+  }
+  
+${this.needsMapLists ? this.generateMapLists() : ''}  int size() {
     return _data.size();
   }
+  
+  // Iterating a Map visits its keys in order
+  class iterator {
+  private:
+    typename std::map<K, V>::iterator _it;
+    
+  public:
+    iterator(typename std::map<K, V>::iterator it) : _it(it) {}
+    const K& operator*() { return _it->first; }
+    iterator& operator++() { ++_it; return *this; }
+    bool operator!=(const iterator& other) const { return _it != other._it; }
+  };
+  
+  iterator begin() {
+    return iterator(_data.begin());
+  }
+  
+  iterator end() {
+    return iterator(_data.end());
+  }
+};
+
+`;
+    }
+
+    // Fixed-capacity collections keep their elements in the object itself, so
+    // they need no heap and work on AVR. A full Array or Stack rejects a push.
+    if (this.usedCollectionTypes.has('Array')) {
+      code += this.generateFixedSequence('Array', '');
+    }
+
+    if (this.usedCollectionTypes.has('Stack')) {
+      code += this.generateFixedSequence('Stack', `
+  T peek() {
+    if (_length == 0) return T();
+    return _data[_length - 1];
+  }
+`);
+    }
+
+    // RingBuffer: push overwrites the oldest element when full, pop takes the oldest
+    if (this.usedCollectionTypes.has('RingBuffer')) {
+      code += `template<typename T, int N>
+class RingBuffer {
+private:
+  T _data[N];
+  int _start;
+  int _length;
+${this.generateFixedInitializer('RingBuffer', ' : _start(0), _length(0)')}
+  class iterator {
+  private:
+    RingBuffer* _buffer;
+    int _index;
+
+  public:
+    iterator(RingBuffer* buffer, int index) : _buffer(buffer), _index(index) {}
+    T& operator*() { return _buffer->_data[(_buffer->_start + _index) % N]; }
+    iterator& operator++() { _index++; return *this; }
+    bool operator!=(const iterator& other) const { return _index != other._index; }
+  };
+
+  // Returns false when the oldest element was overwritten
+  bool push(T value) {
+    _data[(_start + _length) % N] = value;
+    if (_length < N) {
+      _length++;
+      return true;
+    }
+    _start = (_start + 1) % N;
+    return false;
+  }
+
+  T pop() {
+    if (_length == 0) return T();
+    T value = _data[_start];
+    _start = (_start + 1) % N;
+    _length--;
+    return value;
+  }
+
+  T get(int index) {
+    if (index >= 0 && index < _length) {
+      return _data[(_start + index) % N];
+    }
+    return T();
+  }
+
+  void set(int index, T value) {
+    if (index >= 0 && index < _length) {
+      _data[(_start + index) % N] = value;
+    }
+  }
+
+  int length() {
+    return _length;
+  }
+
+  int capacity() {
+    return N;
+  }
+
+  iterator begin() {
+    return iterator(this, 0);
+  }
+
+  iterator end() {
+    return iterator(this, _length);
+  }
+};
+
+`;
+    }
+
+    // FixedMap: keys are searched linearly, which beats hashing at these sizes
+    if (this.usedCollectionTypes.has('FixedMap')) {
+      code += `template<typename K, typename V, int N>
+class FixedMap {
+private:
+  K _keys[N];
+  V _values[N];
+  int _length;
+
+  int find(K key) {
+    for (int i = 0; i < _length; i++) {
+      if (_keys[i] == key) return i;
+    }
+    return -1;
+  }
+
+public:
+  FixedMap() : _length(0) {}
+
+  V get(K key) {
+    int i = find(key);
+    return i >= 0 ? _values[i] : V();
+  }
+
+  // Returns false when the key is new and the map is full
+  bool set(K key, V value) {
+    int i = find(key);
+    if (i < 0) {
+      if (_length >= N) return false;
+      i = _length++;
+      _keys[i] = key;
+    }
+    _values[i] = value;
+    return true;
+  }
+
+  bool has(K key) {
+    return find(key) >= 0;
+  }
+
+  void remove(K key) {
+    int i = find(key);
+    if (i < 0) return;
+    _length--;
+    _keys[i] = _keys[_length];
+    _values[i] = _values[_length];
+  }
+
+  int length() {
+    return _length;
+  }
+
+  int capacity() {
+    return N;
+  }
 };
 
 `;
@@ -6269,6 +7382,101 @@ public:
     
     return code;
   }
+
+  // Array and Stack: elements in _data[0.._length), pushed and popped at the end
+  generateFixedSequence(name, extraMethods) {
+    return `template<typename T, int N>
+class ${name} {
+private:
+  T _data[N];
+  int _length;
+${this.generateFixedInitializer(name, ' : _length(0)')}
+  bool push(T value) {
+    if (_length >= N) return false;
+    _data[_length++] = value;
+    return true;
+  }
+
+  T pop() {
+    if (_length == 0) return T();
+    return _data[--_length];
+  }
+${extraMethods}
+  T get(int index) {
+    if (index >= 0 && index < _length) {
+      return _data[index];
+    }
+    return T();
+  }
+
+  void set(int index, T value) {
+    if (index >= 0 && index < _length) {
+      _data[index] = value;
+    }
+  }
+
+  int length() {
+    return _length;
+  }
+
+  int capacity() {
+    return N;
+  }
+
+  T* begin() {
+    return _data;
+  }
+
+  T* end() {
+    return _data + _length;
+  }
+};
+
+`;
+  }
+
+  // Map.keys() and Map.values(), only emitted when called so a Map alone does not need List
+  generateMapLists() {
+    return `  List<K> keys() {
+    List<K> result;
+    for (auto& entry : _data) {
+      result.push(entry.first);
+    }
+    return result;
+  }
+  
+  List<V> values() {
+    List<V> result;
+    for (auto& entry : _data) {
+      result.push(entry.second);
+    }
+    return result;
+  }
+  
+`;
+  }
+
+  // Constructors of a fixed collection. AVR has no std::initializer_list, so
+  // \`= {1, 2, 3}\` goes through a variadic constructor that pushes each value.
+  generateFixedInitializer(name, memberInit) {
+    return `
+  void pushAll() {}
+
+  template<typename... Rest>
+  void pushAll(T value, Rest... rest) {
+    push(value);
+    pushAll(rest...);
+  }
+
+public:
+  ${name}()${memberInit} {}
+
+  template<typename... Rest>
+  ${name}(T first, Rest... rest)${memberInit} {
+    pushAll(first, rest...);
+  }
+`;
+  }
 }
 
 module.exports = { CodeGenerator };
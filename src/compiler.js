@@ -8,6 +8,7 @@ const { Parser } = require('./parser');
 const { CodeGenerator } = require('./codegen');
 const { SemanticAnalyzer } = require('./semantic-analyzer');
 const { Config } = require('./config');
+const { createDiagnostic, formatDiagnostic } = require('./diagnostics');
 const fs = require('fs');
 const path = require('path');
 
@@ -15,6 +16,13 @@ class Compiler {
   constructor(source, options = {}) {
     this.source = source;
     this.basePath = options.basePath || process.cwd();
+    // Name of the file being compiled, recorded on AST nodes and shown in error locations
+    this.sourceFile = options.sourceFile || null;
+    // Collect all syntax errors in one run; `recover: false` stops at the first one
+    // and reports it the way earlier versions did
+    this.recover = options.recover !== false;
+    // 'trap' checks integer arithmetic for overflow whatever the config block says
+    this.overflow = options.overflow || null;
     // Only set fileReader if explicitly provided, or default to fs.readFileSync
     // when basePath is explicitly provided (indicating real file compilation)
     this.fileReader = options.fileReader !== undefined 
@@ -23,14 +31,31 @@ class Compiler {
   }
 
   compile() {
+    // Warnings are kept when a later stage fails
+    let warnings = [];
     try {
       // Tokenize
-      const lexer = new Lexer(this.source);
+      const lexer = new Lexer(this.source, { recover: this.recover, sourceFile: this.sourceFile });
       const tokens = lexer.tokenize();
 
       // Parse
-      const parser = new Parser(tokens);
+      const parser = new Parser(tokens, { sourceFile: this.sourceFile, recover: this.recover });
       const ast = parser.parse();
+
+      // Report every syntax error found; semantic analysis of a broken tree would only add noise
+      const syntaxErrors = [...lexer.errors, ...parser.errors]
+        .sort((a, b) => a.line - b.line || a.column - b.column);
+      if (syntaxErrors.length > 0) {
+        const errorMessages = syntaxErrors.map(err => formatDiagnostic(err, 'Syntax Error')).join('\n\n');
+
+        return {
+          success: false,
+          error: errorMessages,
+          syntaxErrors,
+          semanticErrors: [],
+          diagnostics: this.withSource(syntaxErrors)
+        };
+      }
       
       // Extract config block from AST for semantic analysis
       let configBlock = null;
@@ -40,22 +65,23 @@ class Compiler {
           break;
         }
       }
-      const config = new Config(configBlock);
+      const config = new Config(configBlock, { overflow: this.overflow });
       
       // Semantic analysis - check for undeclared variables, platform restrictions, etc.
       const analyzer = new SemanticAnalyzer(ast, config);
       const analysisResult = analyzer.analyze();
+      warnings = [...config.warnings, ...analysisResult.warnings];
       
       // If semantic analysis found errors, return them
       if (!analysisResult.success) {
-        const errorMessages = analysisResult.errors.map(err => {
-          return `Error at line ${err.line}: ${err.message}`;
-        }).join('\n\n');
+        const errorMessages = analysisResult.errors.map(err => formatDiagnostic(err)).join('\n\n');
         
         return {
           success: false,
           error: errorMessages,
-          semanticErrors: analysisResult.errors
+          syntaxErrors: [],
+          semanticErrors: analysisResult.errors,
+          diagnostics: this.withSource([...analysisResult.errors, ...warnings])
         };
       }
       
@@ -65,7 +91,8 @@ class Compiler {
       // Generate code
       const generator = new CodeGenerator(ast, {
         basePath: this.basePath,
-        fileReader: this.fileReader
+        fileReader: this.fileReader,
+        overflow: this.overflow
       });
       const code = generator.generate();
 
@@ -75,16 +102,33 @@ class Compiler {
         ast,
         tokens,
         hasMain,
-        config: generator.config // Return the config for use in CLI
+        config: generator.config, // Return the config for use in CLI
+        // String literals moved to flash on AVR and the RAM that saves
+        flashStrings: { count: generator.flashStrings.size, bytes: generator.flashStringBytes() },
+        diagnostics: this.withSource(warnings)
       };
     } catch (error) {
       return {
         success: false,
         error: error.message,
-        stack: error.stack
+        stack: error.stack,
+        diagnostics: this.withSource([...this.errorDiagnostics(error), ...warnings])
       };
     }
   }
+
+  // Structured diagnostics for an error thrown while compiling
+  errorDiagnostics(error) {
+    if (error.diagnostics) return error.diagnostics;
+    if (error.syntaxError) return [error.syntaxError];
+    return [createDiagnostic(error.message, null)];
+  }
+
+  // Diagnostics of the file being compiled carry its name too
+  withSource(diagnostics) {
+    if (!this.sourceFile) return diagnostics;
+    return diagnostics.map(diag => diag.source ? diag : { ...diag, source: this.sourceFile });
+  }
 }
 
 function compile(source, options) {
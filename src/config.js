@@ -3,6 +3,8 @@
  * Handles config block parsing and mapping to Arduino CLI settings
  */
 
+const { createDiagnostic } = require('./diagnostics');
+
 // Mapping of YS board names to Arduino FQBN (Fully Qualified Board Name)
 // Supports both modern board names (arduino_uno) and legacy MPU names (atmega328p)
 const BOARD_TO_FQBN = {
@@ -40,9 +42,17 @@ const DEFAULT_CONFIG = {
   clock: '16MHz',
   uart: 'off',
   port: 'auto',
-  pwm: 'auto'
+  pwm: 'auto',
+  visibility: 'public',
+  overflow: 'wrap'
 };
 
+// Visibility of class members written without pub or priv
+const VISIBILITIES = ['public', 'private'];
+
+// What integer arithmetic does when its result does not fit its type
+const OVERFLOW_MODES = ['wrap', 'trap'];
+
 // Determine PWM backend based on board
 function getPWMBackend(board) {
   const fqbn = BOARD_TO_FQBN[board] || BOARD_TO_FQBN['arduino_uno'];
@@ -126,9 +136,17 @@ class Config {
       
       this.options = { ...this.options, ...blockOptions };
     }
+
+    // Compiler options (ysc --checked-arith) take precedence over the config block
+    if (options.overflow) {
+      this.options.overflow = options.overflow;
+    }
     
     // Store whether this is for a main file (for validation)
     this.isMainFile = options.isMainFile || false;
+
+    // Problems with the config block that do not stop compilation
+    this.warnings = [];
     
     // Validate board
     if (this.options.board) {
@@ -139,9 +157,33 @@ class Config {
                         `   Using default (arduino_uno).\n` +
                         `   Please update your config block with a valid board name.`;
         console.warn(errorMsg);
+        const [message, ...notes] = error.message.split('\n');
+        this.warnings.push(createDiagnostic(message, configBlock, {
+          severity: 'warning',
+          code: 'YS0201',
+          notes: [...notes, `Using default (${DEFAULT_CONFIG.board}).`]
+        }));
         this.options.board = DEFAULT_CONFIG.board;
       }
     }
+
+    if (!VISIBILITIES.includes(this.options.visibility)) {
+      this.warnings.push(createDiagnostic(`Unknown visibility '${this.options.visibility}'`, configBlock, {
+        severity: 'warning',
+        code: 'YS0204',
+        notes: [`Valid values: ${VISIBILITIES.join(', ')}`, `Using default (${DEFAULT_CONFIG.visibility}).`]
+      }));
+      this.options.visibility = DEFAULT_CONFIG.visibility;
+    }
+
+    if (!OVERFLOW_MODES.includes(this.options.overflow)) {
+      this.warnings.push(createDiagnostic(`Unknown overflow mode '${this.options.overflow}'`, configBlock, {
+        severity: 'warning',
+        code: 'YS0205',
+        notes: [`Valid values: ${OVERFLOW_MODES.join(', ')}`, `Using default (${DEFAULT_CONFIG.overflow}).`]
+      }));
+      this.options.overflow = DEFAULT_CONFIG.overflow;
+    }
   }
   
   /**
@@ -265,6 +307,20 @@ class Config {
     return isLowMemoryBoard(this.options.board);
   }
   
+  /**
+   * Visibility of class members declared without pub or priv
+   */
+  getDefaultVisibility() {
+    return this.options.visibility;
+  }
+
+  /**
+   * Whether integer arithmetic traps on overflow instead of wrapping
+   */
+  checksOverflow() {
+    return this.options.overflow === 'trap';
+  }
+  
   /**
    * Check if this is an AVR board (for List/Map restrictions)
    */
@@ -0,0 +1,1140 @@
+/**
+ * Ypsilon Script Diagnostics
+ * Error codes, the long-form explanations shown by `ysc explain`,
+ * and rendering of diagnostics as plain text or with source snippets
+ */
+
+// Catalogue of diagnostic codes. Codes are stable: never renumber or reuse one.
+//   YS00xx - names and declarations
+//   YS01xx - types and values
+//   YS02xx - target (board) restrictions
+//   YS09xx - syntax
+const ERROR_CODES = {
+  YS0001: {
+    title: 'Undefined variable',
+    explanation: `A name was used that is not declared in any enclosing scope.
+
+Variables must be declared before they are used, and a variable declared inside
+a block (an \`on\` block, a function, a loop body) is only visible inside it.
+The compiler suggests declared names that look similar, which catches most typos.
+
+Erroneous code example:
+
+    mut int counter = 0
+
+    on loop {
+      if (couter > 10) {   // typo: 'couter' is not declared
+        print("done")
+      }
+    }
+
+Fix the spelling, or declare the variable in a scope that encloses the use:
+
+    on loop {
+      if (counter > 10) {
+        print("done")
+      }
+    }
+
+A variable is also not visible in its own initializer, so \`mut int x = x + 1\`
+reports this error for the second \`x\`.`
+  },
+  YS0002: {
+    title: 'Unknown type',
+    explanation: `A declaration names a type that does not exist.
+
+Valid types are the built-in types (int, float, bool, string, the width-specific
+integers such as u8 or i16, the hardware types such as Led or Motor) and the
+classes, structs and enums declared in the program.
+
+Erroneous code example:
+
+    struct Point {
+      int x
+      int y
+    }
+
+    mut Pont origin      // typo: no type named 'Pont'
+
+Types provided by a C++ library brought in with \`load <Library.h>\` cannot be
+checked, so this error is not reported for programs that load one.`
+  },
+  YS0003: {
+    title: 'Unknown field or member',
+    explanation: `A field, property or method was accessed that the struct or class does not have.
+
+Erroneous code example:
+
+    struct Point {
+      int x
+      int y
+    }
+
+    mut Point p
+
+    on loop {
+      p.z = 1              // Point has no field 'z'
+    }
+
+Check the declaration of the struct or class for the available members.`
+  },
+  YS0004: {
+    title: 'Unknown enum variant',
+    explanation: `A qualified enum value names a variant the enum does not declare.
+
+Erroneous code example:
+
+    enum Mode { AUTO, MANUAL }
+
+    mut Mode mode = Mode.SLEEP    // Mode has no variant 'SLEEP'
+
+Use one of the variants listed in the enum declaration, or add the variant.`
+  },
+  YS0005: {
+    title: 'Module could not be loaded',
+    explanation: `A module brought in with \`load <file.ys> as name\` could not be read or parsed.
+
+The path is resolved relative to the file that loads it. The module itself
+must parse without syntax errors.
+
+Erroneous code example:
+
+    load <motr.ys> as motor      // no file named motr.ys next to this one
+
+Check the file name and that the module compiles on its own
+(\`ysc compile motor.ys --skip-main\`).`
+  },
+  YS0100: {
+    title: 'Type mismatch',
+    explanation: `A value of one type was stored in a variable, field or array element of an
+incompatible type.
+
+Numbers convert implicitly between each other, and enum values convert to
+numbers. Booleans and numbers do not convert into each other: compare a number
+with 0 to get a bool, or pick a number with \`if\`. Strings, arrays, structs,
+classes and enums do not convert to anything else.
+
+Erroneous code example:
+
+    mut int count = 0
+
+    on loop {
+      count = "ten"        // cannot assign 'string' to 'int'
+    }
+
+Store the value in a variable of the matching type, or convert it explicitly.`
+  },
+  YS0101: {
+    title: 'Invalid operand types',
+    explanation: `An operator was applied to values it does not support.
+
+Arithmetic operators need numbers (\`+\` also joins strings), \`%\` needs integers,
+\`and\`, \`or\` and \`not\` need conditions, and comparisons need two values of
+comparable types.
+
+Erroneous code example:
+
+    mut string name = "bot"
+
+    on loop {
+      if (name == 3) {     // cannot compare 'string' with 'int'
+        print("never")
+      }
+    }`
+  },
+  YS0102: {
+    title: 'Literal out of range',
+    explanation: `A constant value does not fit in the width-specific integer type it is stored in.
+
+Width-specific types have fixed ranges:
+
+    u8  / byte     0 to 255
+    i8             -128 to 127
+    u16            0 to 65535
+    i16 / short    -32768 to 32767
+    u32            0 to 4294967295
+    i32            -2147483648 to 2147483647
+
+On the board such a value would silently wrap around, so the compiler rejects it.
+
+Erroneous code example:
+
+    mut u8 brightness = 300     // u8 holds 0 to 255
+
+Range-constrained variables and parameters (\`in min...max\`) are checked the
+same way against their range:
+
+    mut int level in 0...100 = 150
+
+Use a wider type (u16, int), or a value inside the range of the type.`
+  },
+  YS0103: {
+    title: 'Wrong number of arguments',
+    explanation: `A function, method or constructor was called with more or fewer arguments
+than it declares parameters.
+
+Erroneous code example:
+
+    fn add(int a, int b) -> int {
+      return a + b
+    }
+
+    on loop {
+      mut int r = add(1, 2, 3)   // add expects 2 arguments
+    }
+
+Built-in functions are checked the same way, e.g. \`digitalWrite(13)\` is missing
+the value argument. Parameters with a default value may be left out, and when
+named arguments are used, every parameter without a default needs one.`
+  },
+  YS0104: {
+    title: 'Argument type mismatch',
+    explanation: `An argument passed to a function, method or constructor does not have the
+type of the matching parameter.
+
+Erroneous code example:
+
+    fn add(int a, int b) -> int {
+      return a + b
+    }
+
+    on loop {
+      mut int r = add(1, "two")   // argument 2 must be 'int'
+    }
+
+For a class with several constructors, the arguments must fit one of them.`
+  },
+  YS0105: {
+    title: 'Return type mismatch',
+    explanation: `A return statement does not agree with the declared return type of its function.
+
+A function declared with \`-> T\` must return a value of type T, and a function
+declared \`-> void\` must not return a value.
+
+Erroneous code example:
+
+    fn label() -> int {
+      return "none"        // must return 'int'
+    }
+
+Functions declared without a return type infer it from their return
+statements and are not checked.`
+  },
+  YS0106: {
+    title: 'Assignment to constant',
+    explanation: `A value declared with \`const\` was assigned to after its declaration.
+
+Erroneous code example:
+
+    const int LIMIT = 10
+
+    on loop {
+      LIMIT = 20           // LIMIT is a constant
+    }
+
+Declare the value with \`mut\` if it needs to change.
+
+The variable of a \`for x in ...\` loop is also read-only; copy it into a
+\`mut\` variable to change it.
+
+A \`const\` property of a class is set by its initializer, or by a
+\`self.name = value\` assignment at the start of a constructor:
+
+    class Motor {
+      const int maxSpeed
+      constructor(int max) {
+        self.maxSpeed = max      // allowed: sets the property
+      }
+      fn boost() {
+        self.maxSpeed = 255      // error: maxSpeed is constant
+      }
+    }`
+  },
+  YS0107: {
+    title: 'Invalid assignment target',
+    explanation: `The left side of an assignment is not something that can be assigned to.
+
+Only variables, fields (\`p.x\`, \`self.speed\`) and array elements (\`values[0]\`)
+can be assigned.
+
+Erroneous code example:
+
+    on loop {
+      readSensor() = 5     // a call result is not a storage location
+    }`
+  },
+  YS0108: {
+    title: 'Condition is not boolean',
+    explanation: `The condition of an if, while or for statement has a type that cannot be
+used as a truth value.
+
+Booleans, numbers and enum values are valid conditions. Strings, arrays,
+structs and class instances are not.
+
+Erroneous code example:
+
+    mut string name = "bot"
+
+    on loop {
+      while (name) {       // a string is not a condition
+        wait 1s
+      }
+    }
+
+Compare the value explicitly, e.g. \`while (name != "")\`.`
+  },
+  YS0109: {
+    title: 'Number required',
+    explanation: `A number was expected but a value of another type was given.
+
+Durations (\`wait\`, \`timeout\`, task intervals), range bounds, range steps and
+repeat counts must be numbers; repeat counts and array indices must be integers.
+A range step must not be zero.
+
+Erroneous code example:
+
+    mut string name = "bot"
+
+    on loop {
+      repeat(name) {       // repeat count must be an integer
+        wait 1s
+      }
+    }`
+  },
+  YS0110: {
+    title: 'Pattern type mismatch',
+    explanation: `A match pattern or switch case value has a type that can never equal the
+value being matched.
+
+Erroneous code example:
+
+    mut int code = 0
+
+    on loop {
+      match code {
+        "ok" => print("fine"),    // a string can never equal an int
+        _ => print("other")
+      }
+    }`
+  },
+  YS0111: {
+    title: 'Break or continue outside a loop',
+    explanation: `A \`break\` or \`continue\` statement is not inside a loop, or names a label
+that no enclosing loop has.
+
+\`break\` and \`continue\` work in while, for, repeat and timeout loops. To leave
+an outer loop from a nested one, label the outer loop and name it.
+
+Erroneous code example:
+
+    on loop {
+      if (done) {
+        break              // on loop is not a loop statement
+      }
+    }
+
+Labeled loops:
+
+    outer: while (true) {
+      repeat(3) {
+        if (found) {
+          break outer      // leaves both loops
+        }
+      }
+    }`
+  },
+  YS0112: {
+    title: 'Value is not iterable',
+    explanation: `A \`for x in ...\` loop was given a value it cannot iterate over.
+
+for-in loops walk arrays, collections (\`List<T>\`, \`Array<T, N>\`, ...),
+the keys of a \`Map<K, V>\` and numeric ranges.
+
+Erroneous code example:
+
+    mut int count = 10
+
+    on loop {
+      for i in count {     // use a range: for i in 0...count
+        print(i)
+      }
+    }`
+  },
+  YS0113: {
+    title: 'Non-exhaustive match',
+    explanation: `A match has no arm for some of the values it can be given.
+
+A match on an enum must handle every variant, or have a \`_\` arm. A match
+expression on any other type must produce a value whatever the discriminant
+is, so it needs a \`_\` arm that catches every value the other arms do not.
+Arms with an \`if\` guard do not count, as the guard may be false.
+
+Erroneous code examples:
+
+    enum Mode { AUTO, MANUAL, SLEEP }
+    mut Mode mode = AUTO
+
+    match mode {
+      AUTO => print("auto"),
+      MANUAL => print("manual")  // 'SLEEP' is not handled
+    }
+
+    mut int mode = 0
+
+    mut int pwm = match mode {
+      0 => 128,
+      1 => 255              // no arm for 2, 3, ...
+    }
+
+Add the missing variants, or a default arm:
+
+    match mode {
+      AUTO => print("auto"),
+      MANUAL | SLEEP => print("other")
+    }
+
+    mut int pwm = match mode {
+      0 => 128,
+      1 => 255,
+      _ => 0
+    }`
+  },
+  YS0114: {
+    title: 'Index out of bounds',
+    explanation: `A fixed-capacity collection was given a constant index, or an initializer,
+that does not fit its capacity.
+
+Array<T, N>, RingBuffer<T, N> and Stack<T, N> hold at most N elements, at
+indices 0 to N - 1. Indices that are not constants are checked when the
+program runs: get() returns a default value and set() does nothing.
+
+Erroneous code examples:
+
+    mut Array<int, 4> xs = [1, 2, 3, 4, 5]   // 5 elements, capacity 4
+
+    on loop {
+      print(xs.get(4))                        // valid indices are 0 to 3
+    }
+
+Use an index below the capacity, or declare a larger collection:
+
+    mut Array<int, 8> xs = [1, 2, 3, 4, 5]`
+  },
+  YS0115: {
+    title: 'Type argument cannot be inferred',
+    explanation: `A generic function declares a type parameter that none of its parameters
+use.
+
+The type arguments of a generic function are inferred from the arguments of
+each call, so every type parameter must appear in the type of a parameter.
+
+Erroneous code example:
+
+    fn make<T>() -> T {
+      return 0
+    }
+
+Take a parameter of the type, so calls can infer it:
+
+    fn make<T>(T initial) -> T {
+      return initial
+    }`
+  },
+  YS0116: {
+    title: 'Invalid inheritance',
+    explanation: `A class extends or implements the wrong kind of type, inherits from itself,
+or an interface is used where a value is needed.
+
+A class extends at most one class and implements any number of interfaces.
+Interfaces only declare methods, so there are no values of an interface type:
+use it as the type of a parameter, which accepts any class that implements it.
+
+Erroneous code examples:
+
+    interface Drivable {
+      fn stop()
+    }
+
+    class Motor extends Drivable { }       // Drivable is an interface
+    mut Drivable d = new Drivable()        // no values of interface type
+
+Implement the interface, and take it as a parameter:
+
+    class Motor implements Drivable {
+      fn stop() { }
+    }
+
+    fn halt(Drivable d) {
+      d.stop()
+    }`
+  },
+  YS0117: {
+    title: 'Interface method not implemented',
+    explanation: `A class does not define a method required by an interface it implements,
+or defines it with different parameter or return types.
+
+The method may also be inherited from a base class.
+
+Erroneous code example:
+
+    interface Drivable {
+      fn setSpeed(int speed)
+      fn stop()
+    }
+
+    class Motor implements Drivable {
+      fn setSpeed(float speed) { }         // must take an int; stop() is missing
+    }
+
+Define every method with the signature the interface declares:
+
+    class Motor implements Drivable {
+      fn setSpeed(int speed) { }
+      fn stop() { }
+    }`
+  },
+  YS0118: {
+    title: 'Invalid override',
+    explanation: `A method replaces a base class method without 'override', is marked
+'override' without replacing anything, or has a different signature than the
+method it overrides.
+
+Erroneous code example:
+
+    class Driver {
+      fn stop() { }
+    }
+
+    class Motor extends Driver {
+      fn stop() { }                        // must be marked override
+      override fn brake() { }              // Driver has no brake()
+    }
+
+Mark methods that replace a base class method, and only those:
+
+    class Motor extends Driver {
+      override fn stop() { }
+      fn brake() { }
+    }`
+  },
+  YS0119: {
+    title: 'Invalid super call',
+    explanation: `'super' was used outside a class that extends another class, 'super(...)'
+is not the first statement of a constructor, or a constructor does not call
+'super(...)' although the base class constructor takes arguments.
+
+The base class is built before the rest of the object, so its constructor
+runs first.
+
+Erroneous code example:
+
+    class Driver {
+      constructor(int pin) { }
+    }
+
+    class Motor extends Driver {
+      constructor(int pin) {
+        print(pin)
+        super(pin)                         // must come first
+      }
+    }
+
+Call super(...) at the start of the constructor:
+
+    class Motor extends Driver {
+      constructor(int pin) {
+        super(pin)
+        print(pin)
+      }
+    }`
+  },
+  YS0120: {
+    title: 'Private member',
+    explanation: `A member marked \`priv\` was used outside the class that declares it.
+
+Private members are only visible inside their own class, including to the
+methods of that class. Classes that extend it cannot use them either.
+Members without \`pub\` or \`priv\` are public unless the config sets
+\`visibility: private\`. Methods that implement an interface must be public.
+
+Erroneous code example:
+
+    class Counter {
+      priv mut int count = 0
+      pub fn tick() {
+        count += 1
+      }
+    }
+
+    mut Counter c = new Counter()
+
+    on loop {
+      print(c.count)                       // count is private
+    }
+
+Add a public method that gives access to it:
+
+    pub fn current() -> int {
+      return count
+    }`
+  },
+  YS0121: {
+    title: 'Invalid static member access',
+    explanation: `A static method used \`self\` or an instance member, or an instance member
+was used through the class name.
+
+A static member belongs to the class, not to any one object, so a static
+method has no \`self\`. Only static members can be used as
+\`ClassName.member\`.
+
+Erroneous code example:
+
+    class Counter {
+      static mut int created = 0
+      mut int count = 0
+      static fn reset() {
+        count = 0                          // which Counter's count?
+      }
+    }
+
+    on loop {
+      print(Counter.count)                 // count is not static
+    }
+
+Use static members through the class name, and instance members through an
+object:
+
+    print(Counter.created)`
+  },
+  YS0122: {
+    title: 'Duplicate overload',
+    explanation: `Two constructors, functions or methods of the same name take the same
+parameter types.
+
+Constructors, functions and methods can be overloaded: several may share a
+name and are told apart by the types of their parameters. A call uses the
+one whose parameters fit the arguments best, so two with the same types
+could never both be called. Generic functions cannot be overloaded.
+
+Erroneous code example:
+
+    class Motor {
+      constructor(int pin) { }
+      constructor(int speed) { }           // also takes (int)
+    }
+
+Give the overloads different parameter types, or merge them.`
+  },
+  YS0123: {
+    title: 'Invalid function value',
+    explanation: `A function value is used in a way a plain function pointer cannot support.
+
+Function types and lambdas compile to C++ function pointers, which need no heap
+but carry no data. A lambda therefore cannot capture anything from the
+function or class it is written in, and methods (which need an object) and
+generic functions (which need type arguments) cannot be used as values.
+
+Erroneous code example:
+
+    on loop {
+      mut int offset = 3
+      apply(fn(int x) -> int { return x + offset }, 5)   // offset is a local
+    }
+
+Pass the value in as a parameter, or make it a global variable:
+
+    mut int offset = 3
+
+    on loop {
+      apply(fn(int x) -> int { return x + offset }, 5)
+    }`
+  },
+  YS0124: {
+    title: 'Default value is not a constant',
+    explanation: `The default value of a parameter uses something other than constants.
+
+A parameter left out of a call gets its default value where the function is
+called, so the default can only use literals, enum values and global
+constants, and operators on them.
+
+Erroneous code example:
+
+    mut int limit = 100
+
+    fn move(int speed = limit) { }     // limit can change
+
+Use a constant instead:
+
+    const int LIMIT = 100
+
+    fn move(int speed = LIMIT) { }`
+  },
+  YS0125: {
+    title: 'Invalid named argument',
+    explanation: `A named argument does not match a parameter of the function called.
+
+Named arguments (\`move(speed: 100, ramp: 200ms)\`) give parameters by name,
+after the positional arguments. Each must name a parameter that no
+positional argument already fills. Only functions, methods and
+constructors declared in the program take named arguments; built-in
+functions and function values do not.
+
+Erroneous code example:
+
+    fn move(int speed, int ramp = 0) { }
+
+    on loop {
+      move(100, speed: 50)                 // speed is already given
+      move(speed: 100, rmap: 200)          // no parameter 'rmap'
+    }`
+  },
+  YS0126: {
+    title: 'Ambiguous call',
+    explanation: `The arguments of a call fit more than one overload equally well.
+
+A call of an overloaded function, method or constructor uses the overload
+whose parameter types are closest to the argument types. When two fit
+equally well, it cannot choose.
+
+Erroneous code example:
+
+    fn scale(u8 v) -> int { return v }
+    fn scale(u8 v, u8 by = 2) -> int { return v * by }
+
+    on loop {
+      mut u8 b = 3
+      print(scale(b))                      // both take (u8)
+    }
+
+Give all the arguments, or remove one of the overloads.`
+  },
+  YS0127: {
+    title: 'Cannot infer variable type',
+    explanation: `A variable declared without a type has an initializer whose type is not
+known.
+
+\`mut count = 0\` takes its type from the initializer. That does not work
+when the initializer produces no value, is an empty array, or has a type
+the compiler cannot see (hardware driver methods, module members, inline
+C++).
+
+Erroneous code example:
+
+    fn blink() { }
+
+    mut result = blink()                    // blink returns nothing
+    mut readings = []                       // no element to take a type from
+
+Write the type out:
+
+    mut int readings = [0, 0, 0]`
+  },
+  YS0128: {
+    title: 'Invalid range constraint',
+    explanation: `A range constraint (\`in min...max\`) cannot apply to the variable or
+parameter it is written on.
+
+Ranges limit a single number: the variable must have a numeric type and
+must not be an array, the range must not be empty, and the \`wrap\` policy
+needs an integer type.
+
+Erroneous code example:
+
+    mut string name in 0...10 = "bot"       // not a number
+    mut int level in 10...0 = 5             // empty range
+    mut float ratio in 0...1 wrap = 0.5     // wrap needs an integer
+
+Use \`clamp\` or \`trap\` for floating-point values.`
+  },
+  YS0129: {
+    title: 'Invalid overflow handler',
+    explanation: `An \`on\` block binds a value its event does not have, or the program has
+more than one \`on overflow\` block.
+
+\`on overflow(line)\` runs when checked arithmetic (\`overflow: trap\` in the
+config block) overflows, with the source line of the operation, and the
+program halts after it. Other events have no value to bind.
+
+Erroneous code example:
+
+    on start(time) {            // start has no value
+    }
+    on overflow(line) {
+    }
+    on overflow {               // second handler
+    }
+
+Keep a single \`on overflow\` block.`
+  },
+  YS0200: {
+    title: 'Collection not supported on AVR',
+    explanation: `A List or Map was used in a program that targets an AVR board.
+
+List and Map compile to std::vector and std::map, which need a heap and far
+more RAM than AVR boards (Arduino Uno, Nano, Mega) have.
+
+Erroneous code example:
+
+    config {
+      board: arduino_uno
+    }
+
+    mut I2C bus = new I2C()
+
+    on loop {
+      mut List devices = bus.scan()
+    }
+
+Use a fixed-capacity collection instead, which needs no heap:
+
+    mut Array<u8, 16> devices
+    mut FixedMap<string, int, 8> counts
+
+or target a board with more RAM, such as an ESP32.`
+  },
+  YS0201: {
+    title: 'Unknown board',
+    explanation: `The config block names a board the compiler does not know. This is a
+warning: the program is compiled for the default board (arduino_uno) instead.
+
+Erroneous code example:
+
+    config {
+      board: arduino_uni
+    }
+
+Valid boards are arduino_uno, arduino_nano, arduino_mega, arduino_leonardo,
+esp32, esp32_dev, esp8266 and esp8266_generic.`
+  },
+  YS0202: {
+    title: 'Operation not allowed in interrupt',
+    explanation: `An interrupt handler contains an operation that must not run inside an ISR.
+
+Interrupt handlers run with other interrupts disabled, so anything that waits
+or takes long (print, delay, wait, while and for loops) can hang the board or
+lose serial data. As loops are not allowed, neither are break and continue.
+
+Erroneous code example:
+
+    interrupt on 2 rising {
+      print("pressed")     // printing in an ISR
+    }
+
+Set a \`volatile\` flag in the handler and do the work in \`on loop\`.`
+  },
+  YS0203: {
+    title: 'String building not supported on AVR',
+    explanation: `An interpolated string was stored or passed around in a program that
+targets an AVR board.
+
+Outside of print, println and printf, "temp={t}" joins its parts into an
+Arduino String, which allocates on the heap. On the 2 KB of RAM of an Uno
+that fragments memory until allocations fail. Printed strings are written
+piece by piece and need no heap.
+
+Erroneous code example:
+
+    config {
+      board: arduino_uno
+    }
+
+    mut float t = 21.5
+    mut string label = "temp={t:.1} C"
+
+Print the interpolated string directly instead:
+
+    print("temp={t:.1} C")`
+  },
+  YS0204: {
+    title: 'Unknown visibility',
+    explanation: `The config block sets \`visibility\` to a value other than public or
+private. This is a warning: class members without \`pub\` or \`priv\` stay
+public.
+
+Erroneous code example:
+
+    config {
+      visibility: protected
+    }
+
+Use \`visibility: private\` to make members private unless marked \`pub\`.`
+  },
+  YS0205: {
+    title: 'Unknown overflow mode',
+    explanation: `The config block sets \`overflow\` to a value other than wrap or trap.
+This is a warning: integer arithmetic keeps wrapping around silently.
+
+Erroneous code example:
+
+    config {
+      overflow: saturate
+    }
+
+Use \`overflow: trap\` to halt with the source line when + - * overflow, and
+saturatingAdd() and its siblings for values that should stop at the limits
+of their type.`
+  },
+  YS0900: {
+    title: 'Syntax error',
+    explanation: `The parser found a token where it cannot appear.
+
+Common causes are a missing closing brace or parenthesis, a declaration
+without a type (\`mut x = 1\` instead of \`mut int x = 1\`), or a doubled
+operator. The compiler keeps parsing after a syntax error and reports every
+one it finds; an error can cause the next few tokens to be skipped.
+
+Erroneous code example:
+
+    on loop {
+      if x > 1) {          // expected '(' after 'if'
+      }
+    }`
+  },
+  YS0901: {
+    title: 'Unexpected character',
+    explanation: `The source contains a character that is not part of the language, such as
+'$' or '\`' outside of a string or comment.
+
+Erroneous code example:
+
+    mut int price = 10$
+
+Remove the character, or put it inside a string literal.`
+  }
+};
+
+// Build a diagnostic located at the source span of `node`.
+// `details` carries the code, severity ('error' or 'warning'), notes, name
+// suggestions and fixes (replacement texts for the diagnostic's span).
+function createDiagnostic(message, node, details = {}) {
+  const diag = {
+    severity: details.severity || 'error',
+    code: details.code,
+    message,
+    line: (node && node.line) || 'unknown'
+  };
+  if (node && node.column !== undefined) {
+    diag.column = node.column;
+    diag.endLine = node.endLine;
+    diag.endColumn = node.endColumn;
+  }
+  if (node && node.source) {
+    diag.source = node.source;
+  }
+  for (const key of ['notes', 'suggestions', 'fixes']) {
+    if (details[key] && details[key].length > 0) {
+      diag[key] = details[key];
+    }
+  }
+  return diag;
+}
+
+// Look up the long-form explanation of a code such as 'YS0102' (case-insensitive)
+function explainCode(code) {
+  const key = String(code).toUpperCase();
+  const entry = ERROR_CODES[key];
+  if (!entry) return null;
+  return `${key}: ${entry.title}\n\n${entry.explanation}\n`;
+}
+
+// Format the location of a diagnostic, e.g. "in sensors.ys at line 4, column 9"
+function formatLocation(diag) {
+  let location = diag.source ? `in ${diag.source} at line ${diag.line}` : `at line ${diag.line}`;
+  if (diag.column !== undefined) {
+    location += `, column ${diag.column}`;
+  }
+  return location;
+}
+
+// "Did you mean 'a'? Or perhaps: 'b', 'c'"
+function formatSuggestions(suggestions) {
+  let text = `Did you mean '${suggestions[0]}'?`;
+  if (suggestions.length > 1) {
+    text += ` Or perhaps: ${suggestions.slice(1).map(s => `'${s}'`).join(', ')}`;
+  }
+  return text;
+}
+
+// Plain one-block rendering used for `result.error`:
+//   Error at line 7, column 7: Undefined variable 'couter'
+//     Did you mean 'counter'?
+function formatDiagnostic(diag, label = 'Error') {
+  let text = `${label} ${formatLocation(diag)}: ${diag.message}`;
+  for (const note of diag.notes || []) {
+    text += `\n  ${note}`;
+  }
+  if (diag.suggestions && diag.suggestions.length > 0) {
+    text += `\n  ${formatSuggestions(diag.suggestions)}`;
+  }
+  return text;
+}
+
+// Rustc-style rendering with the offending source line and the span underlined:
+//
+//   error[YS0001]: Undefined variable 'couter'
+//    --> main.ys:7:7
+//     |
+//   7 |   if (couter > 10) {
+//     |       ^^^^^^
+//     |
+//     = help: Did you mean 'counter'?
+function renderDiagnostic(diag, sourceText) {
+  const header = diag.code ? `error[${diag.code}]: ${diag.message}` : `error: ${diag.message}`;
+  const hasLine = typeof diag.line === 'number';
+  const lines = typeof sourceText === 'string' ? sourceText.split(/\r?\n/) : [];
+  const lineText = hasLine ? lines[diag.line - 1] : undefined;
+  const gutter = hasLine ? ' '.repeat(String(diag.line).length) : '';
+
+  const out = [header];
+  if (hasLine) {
+    const column = diag.column !== undefined ? `:${diag.column}` : '';
+    out.push(`${gutter}--> ${diag.source || '<input>'}:${diag.line}${column}`);
+  }
+
+  if (lineText !== undefined) {
+    out.push(`${gutter} |`);
+    out.push(`${diag.line} | ${lineText}`);
+    if (diag.column !== undefined) {
+      out.push(`${gutter} | ${underline(lineText, diag)}`);
+    }
+  }
+
+  const trailers = (diag.notes || []).map(note => `= note: ${note}`);
+  if (diag.suggestions && diag.suggestions.length > 0) {
+    trailers.push(`= help: ${formatSuggestions(diag.suggestions)}`);
+  }
+  if (trailers.length > 0) {
+    if (lineText !== undefined) out.push(`${gutter} |`);
+    trailers.forEach(trailer => out.push(`${gutter} ${trailer}`));
+  }
+
+  return out.join('\n');
+}
+
+// Carets under the span on its first line; spans running onto later lines
+// are underlined to the end of the first one
+function underline(lineText, diag) {
+  const start = diag.column - 1;
+  let end = diag.endLine === diag.line && diag.endColumn !== undefined
+    ? diag.endColumn - 1
+    : lineText.length;
+  if (end <= start) end = start + 1;
+
+  // Keep tabs so the carets line up with the source line
+  const padding = lineText.slice(0, start).replace(/[^\t]/g, ' ');
+  return padding + '^'.repeat(end - start);
+}
+
+// Source range of a diagnostic as { start, end } positions, or null when unknown
+function diagnosticRange(diag) {
+  if (typeof diag.line !== 'number') return null;
+  const start = { line: diag.line, column: diag.column !== undefined ? diag.column : 1 };
+  const end = diag.endLine !== undefined
+    ? { line: diag.endLine, column: diag.endColumn }
+    : { ...start };
+  return { start, end };
+}
+
+// Machine-readable report used by `ysc compile --format json`
+function jsonReport(diagnostics, { file, success }) {
+  return {
+    version: 1,
+    file,
+    success,
+    diagnostics: diagnostics.map(diag => {
+      const range = diagnosticRange(diag);
+      return {
+        severity: diag.severity || 'error',
+        code: diag.code || null,
+        message: diag.message,
+        file: diag.source || file,
+        range,
+        notes: diag.notes || [],
+        suggestions: diag.suggestions || [],
+        fixes: (diag.fixes || []).map(fix => ({ description: fix.description, range, text: fix.text }))
+      };
+    })
+  };
+}
+
+// SARIF 2.1.0 log used by `ysc compile --format sarif` (code scanning, CI annotations)
+function sarifReport(diagnostics, { file, toolVersion }) {
+  const codes = [...new Set(diagnostics.map(diag => diag.code).filter(code => ERROR_CODES[code]))];
+
+  const region = diag => {
+    const range = diagnosticRange(diag);
+    if (!range) return undefined;
+    return {
+      startLine: range.start.line,
+      startColumn: range.start.column,
+      endLine: range.end.line,
+      endColumn: range.end.column
+    };
+  };
+
+  const results = diagnostics.map(diag => {
+    const uri = diag.source || file;
+    const physicalLocation = { artifactLocation: { uri } };
+    const diagRegion = region(diag);
+    if (diagRegion) physicalLocation.region = diagRegion;
+
+    const text = [diag.message, ...(diag.notes || [])];
+    if (diag.suggestions && diag.suggestions.length > 0) {
+      text.push(formatSuggestions(diag.suggestions));
+    }
+
+    const result = {
+      level: diag.severity === 'warning' ? 'warning' : 'error',
+      message: { text: text.join('\n') },
+      locations: [{ physicalLocation }]
+    };
+    if (diag.code) {
+      result.ruleId = diag.code;
+      if (codes.includes(diag.code)) result.ruleIndex = codes.indexOf(diag.code);
+    }
+    if (diag.fixes && diagRegion) {
+      result.fixes = diag.fixes.map(fix => ({
+        description: { text: fix.description },
+        artifactChanges: [{
+          artifactLocation: { uri },
+          replacements: [{ deletedRegion: diagRegion, insertedContent: { text: fix.text } }]
+        }]
+      }));
+    }
+    return result;
+  });
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'ysc',
+          version: toolVersion,
+          informationUri: 'https://github.com/ycharfi09/ypsilon-script',
+          rules: codes.map(code => ({
+            id: code,
+            name: ERROR_CODES[code].title.replace(/(?:^|\s+)(\w)/g, (_, c) => c.toUpperCase()),
+            shortDescription: { text: ERROR_CODES[code].title },
+            fullDescription: { text: ERROR_CODES[code].explanation.split('\n\n')[0].replace(/\n/g, ' ') },
+            help: { text: ERROR_CODES[code].explanation }
+          }))
+        }
+      },
+      results
+    }]
+  };
+}
+
+module.exports = {
+  ERROR_CODES,
+  createDiagnostic,
+  explainCode,
+  formatLocation,
+  formatSuggestions,
+  formatDiagnostic,
+  renderDiagnostic,
+  jsonReport,
+  sarifReport
+};
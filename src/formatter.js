@@ -0,0 +1,874 @@
+/**
+ * Ypsilon Script Formatter
+ * Prints a parsed program back as canonical YS source (`ysc fmt`), keeping comments
+ */
+
+const { Lexer, TOKEN_TYPES } = require('./lexer');
+const { Parser } = require('./parser');
+
+const INDENT = '  ';
+
+// Binding strength of each expression form, used to decide where parentheses are needed
+const PRECEDENCE = {
+  assignment: 1,
+  conditional: 2,
+  or: 3,
+  and: 4,
+  '==': 5, '!=': 5,
+  '<': 6, '>': 6, '<=': 6, '>=': 6,
+  '|': 7,
+  '^': 8,
+  '&': 9,
+  '<<': 10, '>>': 10,
+  '+': 11, '-': 11,
+  '*': 12, '/': 12, '%': 12,
+  unary: 13,
+  postfix: 14,
+  primary: 15
+};
+
+// A statement starting with one of these could be read as a continuation of a
+// previous statement that ends in an expression (`foo()` then `-x`), so the
+// previous statement gets a ';'. `--x` is not a continuation.
+const CONTINUATION_START = /^([([]|-(?!-))/;
+const EXPRESSION_ENDED_STATEMENTS = new Set([
+  'ExpressionStatement', 'VariableDeclaration', 'ReactDeclaration', 'ReturnStatement', 'WaitStatement'
+]);
+
+// Position fields added by the parser; they differ between a file and its formatted form
+const POSITION_KEYS = new Set(['line', 'column', 'endLine', 'endColumn', 'source']);
+
+function isBefore(a, b) {
+  return a.line < b.line || (a.line === b.line && a.column < b.column);
+}
+
+function quoteString(value) {
+  const escaped = value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')
+    .replace(/\{/g, '\\{');
+  return `"${escaped}"`;
+}
+
+// Namespaced types are stored in C++ form (m::Motor) but written as m.Motor
+function formatTypeName(type) {
+  return type.replace(/::/g, '.');
+}
+
+// `<T, U>` after the name of a generic class or function
+function formatTypeParameters(typeParameters) {
+  return typeParameters && typeParameters.length > 0 ? `<${typeParameters.join(', ')}>` : '';
+}
+
+// Copy of an AST without positions and empty fields, for comparing two parses
+function normalizeAst(node) {
+  if (Array.isArray(node)) return node.map(normalizeAst);
+  if (!node || typeof node !== 'object') return node;
+  const result = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (POSITION_KEYS.has(key) || value === null || value === undefined) continue;
+    result[key] = normalizeAst(value);
+  }
+  return result;
+}
+
+class Formatter {
+  constructor(source, options = {}) {
+    this.source = source;
+    this.sourceFile = options.sourceFile || null;
+    this.lines = source.split('\n');
+  }
+
+  // Parse the source, keeping comments aside. Syntax errors are thrown with
+  // their diagnostics, as a file that does not parse cannot be formatted.
+  parse() {
+    const lexer = new Lexer(this.source, { recover: true, comments: true, sourceFile: this.sourceFile });
+    const allTokens = lexer.tokenize();
+    this.comments = allTokens.filter(t => t.type === TOKEN_TYPES.COMMENT);
+    this.tokens = allTokens.filter(t => t.type !== TOKEN_TYPES.COMMENT);
+
+    const parser = new Parser(this.tokens, { recover: true, sourceFile: this.sourceFile });
+    const ast = parser.parse();
+
+    const errors = [...lexer.errors, ...parser.errors]
+      .sort((a, b) => a.line - b.line || a.column - b.column);
+    if (errors.length > 0) {
+      const error = new Error(`Cannot format a file with syntax errors:\n${errors.map(e =>
+        `  line ${e.line}, column ${e.column}: ${e.message}`).join('\n')}`);
+      error.diagnostics = errors;
+      throw error;
+    }
+
+    // Matching closing brace of every opening brace, by token index
+    this.closingBraces = new Map();
+    const open = [];
+    this.tokens.forEach((token, index) => {
+      if (token.type === TOKEN_TYPES.LBRACE) open.push(index);
+      if (token.type === TOKEN_TYPES.RBRACE && open.length > 0) {
+        this.closingBraces.set(open.pop(), index);
+      }
+    });
+    return ast;
+  }
+
+  format() {
+    const ast = this.parse();
+    this.nextComment = 0;
+    this.out = [];
+    this.lastLine = null;
+
+    this.printList(ast.body, '', (stmt, indent) => this.printStatement(stmt, indent));
+    this.flushComments({ line: Infinity, column: 0 }, '');
+
+    const text = this.out.join('\n');
+    const formatted = text.length > 0 ? `${text}\n` : '';
+    this.verify(ast, formatted);
+    return formatted;
+  }
+
+  // Formatting must never change the program: reparse the output and compare
+  verify(ast, formatted) {
+    const tokens = new Lexer(formatted).tokenize();
+    const reparsed = new Parser(tokens).parse();
+    if (JSON.stringify(normalizeAst(reparsed)) !== JSON.stringify(normalizeAst(ast))) {
+      throw new Error('Internal formatter error: the formatted program differs from the original');
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Output and comments
+  // ---------------------------------------------------------------------------
+
+  // Emit an output line that starts at `sourceLine`, keeping one blank line
+  // where the source had one or more
+  emit(text, sourceLine) {
+    if (this.lastLine !== null && sourceLine > this.lastLine + 1) {
+      this.out.push('');
+    }
+    this.out.push(text);
+    this.lastLine = sourceLine;
+  }
+
+  // Append the comment at the end of `line` (if any) to the last output line
+  trailingComment(line) {
+    const comment = this.comments[this.nextComment];
+    if (comment && comment.line === line) {
+      this.out[this.out.length - 1] += `  ${comment.value}`;
+      this.nextComment++;
+      return true;
+    }
+    return false;
+  }
+
+  // Emit every comment located before `position` on lines of their own
+  flushComments(position, indent) {
+    while (this.nextComment < this.comments.length && isBefore(this.comments[this.nextComment], position)) {
+      const comment = this.comments[this.nextComment++];
+      this.emit(`${indent}${comment.value}`, comment.line);
+    }
+  }
+
+  // Print the items of a braced list (statements, members, arms), each preceded by
+  // the comments above it. A statement's comments end at its first brace, or at its
+  // last line so comments inside a multi-line expression move above it.
+  printList(items, indent, printItem) {
+    let previous = null;
+    items.forEach((item, index) => {
+      const brace = this.firstBrace(item);
+      this.flushComments(brace || { line: item.endLine, column: 0 }, indent);
+      const start = this.out.length;
+      printItem(item, indent, index);
+
+      const first = this.out.slice(start).find(line => line !== '');
+      if (previous && EXPRESSION_ENDED_STATEMENTS.has(previous.item.type) &&
+          CONTINUATION_START.test(first.slice(indent.length))) {
+        const line = this.out[previous.index];
+        if (!line.slice(0, previous.length).endsWith(';')) {
+          this.out[previous.index] = `${line.slice(0, previous.length)};${line.slice(previous.length)}`;
+        }
+      }
+
+      previous = { item, index: this.out.length - 1, length: this.out[this.out.length - 1].length };
+      // A comment ending a line shared by several items follows the last of them
+      const next = items[index + 1];
+      if (!next || next.line > item.endLine) {
+        this.trailingComment(item.endLine);
+      }
+      this.lastLine = Math.max(this.lastLine, item.endLine);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Tokens
+  // ---------------------------------------------------------------------------
+
+  // Index of the first token at or after a source position
+  tokenIndexFrom(position) {
+    let low = 0;
+    let high = this.tokens.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (isBefore(this.tokens[mid], position)) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  tokenAt(position) {
+    const token = this.tokens[this.tokenIndexFrom(position)];
+    return token && token.line === position.line && token.column === position.column ? token : null;
+  }
+
+  // First '{' inside a node, or null
+  firstBrace(node) {
+    const index = this.braceIndexFrom(node);
+    if (index === -1) return null;
+    const token = this.tokens[index];
+    return isBefore(token, { line: node.endLine, column: node.endColumn }) ? token : null;
+  }
+
+  // Index of the first '{' at or after a position (-1 if none)
+  braceIndexFrom(position) {
+    for (let i = this.tokenIndexFrom(position); i < this.tokens.length; i++) {
+      if (this.tokens[i].type === TOKEN_TYPES.LBRACE) return i;
+    }
+    return -1;
+  }
+
+  // Position just past the end of a node
+  after(node) {
+    return { line: node.endLine, column: node.endColumn };
+  }
+
+  // Source text between two tokens (exclusive)
+  sourceBetween(startToken, endToken) {
+    if (startToken.line !== endToken.line) {
+      return this.tokens.slice(this.tokens.indexOf(startToken) + 1, this.tokens.indexOf(endToken))
+        .map(t => this.sourceOf(t)).join('');
+    }
+    return this.lines[startToken.line - 1].slice(startToken.endColumn - 1, endToken.column - 1).trim();
+  }
+
+  // Source text of a single-line node or token
+  sourceOf(node) {
+    return this.lines[node.line - 1].slice(node.column - 1, node.endColumn - 1);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Blocks
+  // ---------------------------------------------------------------------------
+
+  // Print `{ statements }` opened by the first '{' at or after `from`.
+  // `header` is the text before the brace. Returns the closing brace token.
+  // With `join` the header continues the last output line (`} else {`).
+  printBlock(header, statements, from, indent, sourceLine, join = false) {
+    const openIndex = this.braceIndexFrom(from);
+    const openBrace = this.tokens[openIndex];
+    const closeBrace = this.tokens[this.closingBraces.get(openIndex)];
+    return this.printBraced(header, openBrace, closeBrace, indent, sourceLine, () => {
+      this.printList(statements, indent + INDENT, (stmt, inner) => this.printStatement(stmt, inner));
+    }, join);
+  }
+
+  // Print a header line ending in '{', the body, then the closing '}'
+  printBraced(header, openBrace, closeBrace, indent, sourceLine, printBody, join = false) {
+    if (join) {
+      this.out[this.out.length - 1] += `${header}{`;
+      this.lastLine = sourceLine;
+    } else {
+      this.emit(`${header}{`, sourceLine);
+    }
+    const headerIndex = this.out.length - 1;
+    // A comment after '{' belongs to the header unless the body starts on the same line
+    const next = this.tokens[this.tokens.indexOf(openBrace) + 1];
+    const commented = (next === closeBrace || next.line > openBrace.line) && this.trailingComment(openBrace.line);
+    // No blank line at the start of a body
+    this.lastLine = null;
+    printBody();
+    this.flushComments(closeBrace, indent + INDENT);
+
+    if (this.out.length === headerIndex + 1 && !commented) {
+      // Empty body
+      this.out[headerIndex] += '}';
+    } else {
+      this.out.push(`${indent}}`);
+    }
+    this.lastLine = closeBrace.line;
+    return closeBrace;
+  }
+
+  appendToLast(text) {
+    this.out[this.out.length - 1] += text;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Statements
+  // ---------------------------------------------------------------------------
+
+  printStatement(stmt, indent) {
+    const line = stmt.line;
+    const block = (header, body, from = stmt) => this.printBlock(`${indent}${header}`, body, from, indent, line);
+    const label = stmt.label ? `${stmt.label}: ` : '';
+
+    switch (stmt.type) {
+      case 'MainDirective':
+        return this.emit(`${indent}@main`, line);
+
+      case 'VariableDeclaration':
+        return this.emitExpression(this.formatVariableDeclaration(stmt, indent), indent, line);
+
+      case 'ReactDeclaration': {
+        const init = stmt.init ? ` = ${this.expr(stmt.init, indent)}` : '';
+        const kind = stmt.isMut ? 'mut' : 'const';
+        return this.emitExpression(`react ${kind} ${formatTypeName(stmt.varType)} ${stmt.name}${init}`, indent, line);
+      }
+
+      case 'ExpressionStatement':
+        return this.emitExpression(this.expr(stmt.expression, indent), indent, line);
+
+      case 'ReturnStatement':
+        // A bare `return` needs ';' or it would take the next line as its value
+        return this.emitExpression(stmt.argument ? `return ${this.expr(stmt.argument, indent)}` : 'return;', indent, line);
+
+      case 'BreakStatement':
+      case 'ContinueStatement': {
+        const keyword = stmt.type === 'BreakStatement' ? 'break' : 'continue';
+        return this.emit(`${indent}${keyword}${stmt.label ? ` ${stmt.label}` : ''}`, line);
+      }
+
+      case 'EmitStatement':
+        return this.emit(`${indent}emit ${stmt.signal}`, line);
+
+      case 'WaitStatement':
+        return this.emitExpression(`wait ${this.expr(stmt.duration, indent)}`, indent, line);
+
+      case 'SignalDeclaration':
+        return this.emit(`${indent}signal ${stmt.name}`, line);
+
+      case 'UseStatement':
+        return this.emit(`${indent}use ${stmt.resource}`, line);
+
+      case 'AliasStatement': {
+        // Pin numbers are kept as written (e.g. hex)
+        const value = this.tokens[this.tokenIndexFrom(stmt) + 3];
+        return this.emit(`${indent}alias ${stmt.name} = ${this.sourceOf(value)}`, line);
+      }
+
+      case 'LoadStatement':
+        return this.emit(`${indent}${this.formatLoad(stmt)}`, line);
+
+      case 'IfStatement':
+        return this.printIf(stmt, indent);
+
+      case 'WhileStatement':
+        return block(`${label}while (${this.expr(stmt.test, indent)}) `, stmt.body, this.after(stmt.test));
+
+      case 'ForStatement': {
+        const init = this.expr(stmt.init, indent);
+        const test = this.expr(stmt.test, indent);
+        const update = this.expr(stmt.update, indent);
+        return block(`${label}for (${formatTypeName(stmt.varType)} ${stmt.variable} = ${init}; ${test}; ${update}) `,
+          stmt.body, this.after(stmt.update));
+      }
+
+      case 'ForRangeStatement': {
+        const range = `${this.expr(stmt.start, indent, PRECEDENCE.or)}...${this.expr(stmt.end, indent, PRECEDENCE.or)}`;
+        const step = stmt.step ? ` step ${this.expr(stmt.step, indent, PRECEDENCE.or)}` : '';
+        return block(`${label}for ${stmt.variable} in ${range}${step} `, stmt.body, this.after(stmt.step || stmt.end));
+      }
+
+      case 'ForEachStatement':
+        return block(`${label}for ${stmt.variable} in ${this.expr(stmt.iterable, indent)} `, stmt.body, this.after(stmt.iterable));
+
+      case 'RepeatStatement':
+        return block(`${label}repeat(${this.expr(stmt.count, indent)}) `, stmt.body, this.after(stmt.count));
+
+      case 'TimeoutStatement':
+        return block(`${label}timeout ${this.expr(stmt.duration, indent)} `, stmt.body, this.after(stmt.duration));
+
+      case 'AtomicBlock':
+        return block('atomic ', stmt.body);
+
+      case 'CppBlock':
+        return block('@cpp ', stmt.body);
+
+      case 'OnBlock': {
+        const event = stmt.eventProperty ? `${stmt.event}.${stmt.eventProperty}` : stmt.event;
+        const param = stmt.param ? `(${stmt.param})` : '';
+        return block(`on ${event}${param} `, stmt.body);
+      }
+
+      case 'InterruptBlock': {
+        const name = stmt.name ? `${stmt.name} ` : '';
+        return block(`interrupt ${name}on ${stmt.pin} ${stmt.mode} `, stmt.body);
+      }
+
+      case 'TaskDeclaration': {
+        let schedule = '';
+        if (stmt.interval) {
+          schedule = ` every ${this.expr(stmt.interval, indent)}`;
+        } else if (stmt.isBackground) {
+          schedule = ' background';
+        }
+        return block(`task ${stmt.name}${schedule} `, stmt.body, stmt.interval ? this.after(stmt.interval) : stmt);
+      }
+
+      case 'FunctionDeclaration': {
+        const returns = stmt.returnTypeInferred ? '' : ` -> ${formatTypeName(stmt.returnType)}`;
+        return block(`fn ${stmt.name}${formatTypeParameters(stmt.typeParameters)}(${this.formatParams(stmt.params, indent)})${returns} `, stmt.body);
+      }
+
+      case 'MatchStatement':
+        return this.printMatch(stmt, indent);
+
+      case 'SwitchStatement':
+        return this.printSwitch(stmt, indent);
+
+      case 'ClassDeclaration':
+        return this.printClass(stmt, indent);
+
+      case 'InterfaceDeclaration':
+        return this.printInterface(stmt, indent);
+
+      case 'StructDeclaration':
+        return this.printStruct(stmt, indent);
+
+      case 'EnumDeclaration':
+        return this.printEnum(stmt, indent);
+
+      case 'ConfigBlock':
+        return this.printConfig(stmt, indent);
+
+      default:
+        throw new Error(`Cannot format statement of type ${stmt.type}`);
+    }
+  }
+
+  // Emit a statement whose text may span several lines (e.g. contains `!catch { }`)
+  emitExpression(text, indent, line) {
+    const [first, ...rest] = text.split('\n');
+    this.emit(`${indent}${first}`, line);
+    this.out.push(...rest);
+  }
+
+  formatVariableDeclaration(stmt, indent) {
+    const kind = stmt.kind === 'const' ? 'const' : 'mut';
+    let text = stmt.typeInferred ? `${kind} ${stmt.name}` : `${kind} ${formatTypeName(stmt.varType)} ${stmt.name}`;
+    if (stmt.range) {
+      text += this.formatRange(stmt.range, indent);
+    }
+    if (stmt.init) {
+      text += ` = ${this.formatInitializer(stmt.init, indent)}`;
+    }
+    return text;
+  }
+
+  // Hardware types may be initialized with just their arguments (`Led led = 13`);
+  // keep whichever form the source used
+  formatInitializer(init, indent) {
+    const start = this.tokenAt(init);
+    if (init.type === 'NewExpression' && start && start.type !== TOKEN_TYPES.NEW) {
+      const args = init.arguments.map(arg => this.expr(arg, indent));
+      return args.length === 1 ? args[0] : `[${args.join(', ')}]`;
+    }
+    return this.expr(init, indent);
+  }
+
+  formatLoad(stmt) {
+    const start = this.tokenIndexFrom(stmt);
+    const open = this.tokens[start + 1];
+    const close = this.tokens.slice(start + 2).find(t => t.type === TOKEN_TYPES.GREATER_THAN);
+    let text = `load <${this.sourceBetween(open, close)}>`;
+    if (stmt.isYsFile && stmt.moduleName !== stmt.library.slice(0, -3)) {
+      text += ` as ${stmt.moduleName}`;
+    }
+    return text;
+  }
+
+  // `else if` chains continue the line of the closing '}'
+  printIf(stmt, indent, elseIf = false) {
+    const header = `${elseIf ? ' else ' : indent}if (${this.expr(stmt.test, indent)}) `;
+    const closeBrace = this.printBlock(header, stmt.consequent, this.after(stmt.test), indent, stmt.line, elseIf);
+    if (!stmt.alternate) return;
+
+    // `else if` when the source wrote it that way; an `else { if ... }` block is kept
+    const afterElse = this.tokens[this.tokens.indexOf(closeBrace) + 2];
+    if (afterElse.type === TOKEN_TYPES.IF) {
+      this.printIf(stmt.alternate[0], indent, true);
+    } else {
+      this.printBlock(' else ', stmt.alternate, afterElse, indent, afterElse.line, true);
+    }
+  }
+
+  // Match statements and expressions; an expression's header continues the current line
+  printMatch(stmt, indent, lead = indent) {
+    const header = `${lead}match ${this.expr(stmt.discriminant, indent)} `;
+    const openIndex = this.braceIndexFrom(this.after(stmt.discriminant));
+    const inner = indent + INDENT;
+
+    this.printBraced(header, this.tokens[openIndex], this.tokens[this.closingBraces.get(openIndex)], indent, stmt.line, () => {
+      this.printList(stmt.cases, inner, (arm, armIndent, index) => {
+        const guard = arm.guard ? ` if ${this.expr(arm.guard, armIndent)}` : '';
+        const pattern = this.formatPattern(arm.pattern, armIndent) + guard;
+        const comma = index < stmt.cases.length - 1 ? ',' : '';
+        const body = this.tokens[this.tokenIndexFrom(this.after(arm.guard || arm.pattern)) + 1];
+
+        if (!arm.value && body.type === TOKEN_TYPES.LBRACE) {
+          this.printBlock(`${armIndent}${pattern} => `, arm.consequent, body, armIndent, arm.line);
+          this.appendToLast(comma);
+        } else {
+          const text = this.expr(arm.value || arm.consequent[0].expression, armIndent);
+          this.emitExpression(`${pattern} => ${text}${comma}`, armIndent, arm.line);
+        }
+      });
+    });
+  }
+
+  printSwitch(stmt, indent) {
+    const header = `${indent}switch ${this.expr(stmt.discriminant, indent)} `;
+    const openIndex = this.braceIndexFrom(this.after(stmt.discriminant));
+    const closeBrace = this.tokens[this.closingBraces.get(openIndex)];
+    const inner = indent + INDENT;
+
+    this.printBraced(header, this.tokens[openIndex], closeBrace, indent, stmt.line, () => {
+      this.printList(stmt.cases, inner, (switchCase, caseIndent) => {
+        this.printBlock(`${caseIndent}case ${this.expr(switchCase.test, caseIndent)} `, switchCase.consequent,
+          this.after(switchCase.test), caseIndent, switchCase.line);
+      });
+
+      if (stmt.defaultCase) {
+        const lastCase = stmt.cases[stmt.cases.length - 1];
+        const from = lastCase ? this.after(lastCase) : this.after(stmt.discriminant);
+        const defaultToken = this.tokens.slice(this.tokenIndexFrom(from)).find(t => t.type === TOKEN_TYPES.DEFAULT);
+        this.flushComments(defaultToken, inner);
+        this.printBlock(`${inner}default `, stmt.defaultCase, defaultToken, inner, defaultToken.line);
+      }
+    });
+  }
+
+  // Members are printed in source order
+  printClass(stmt, indent) {
+    const members = [...stmt.properties, ...stmt.methods, ...stmt.constructors];
+    members.sort((a, b) => a.line - b.line || a.column - b.column);
+
+    const superClass = stmt.superClass ? ` extends ${formatTypeName(stmt.superClass)}` : '';
+    const interfaces = stmt.interfaces && stmt.interfaces.length > 0
+      ? ` implements ${stmt.interfaces.map(formatTypeName).join(', ')}`
+      : '';
+    const openIndex = this.braceIndexFrom(stmt);
+    this.printBraced(`${indent}class ${stmt.name}${formatTypeParameters(stmt.typeParameters)}${superClass}${interfaces} `, this.tokens[openIndex], this.tokens[this.closingBraces.get(openIndex)], indent, stmt.line, () => {
+      this.printList(members, indent + INDENT, (member, inner) => this.printMember(member, inner));
+    });
+  }
+
+  printMember(member, indent) {
+    // pub, priv and static are printed as written, so members keep their default visibility
+    const visibility = member.visibility ? `${member.visibility === 'public' ? 'pub' : 'priv'} ` : '';
+    const modifiers = visibility + (member.isStatic ? 'static ' : '');
+    switch (member.type) {
+      case 'PropertyDeclaration': {
+        // Properties without mut/const are kept as written: they compile differently
+        const kind = member.isMut === undefined ? '' : (member.isMut ? 'mut ' : 'const ');
+        const init = member.init ? ` = ${this.expr(member.init, indent)}` : '';
+        return this.emit(`${indent}${modifiers}${kind}${formatTypeName(member.propertyType)} ${member.name}${init}`, member.line);
+      }
+      case 'Constructor':
+        return this.printBlock(`${indent}${modifiers}constructor(${this.formatParams(member.params, indent)}) `, member.body, member, indent, member.line);
+      default: {
+        // `int read() { }` methods predate `fn` and are kept as written
+        const params = this.formatParams(member.params, indent);
+        let header;
+        if (member.returnTypeInferred === undefined) {
+          header = `${formatTypeName(member.returnType)} ${member.name}(${params}) `;
+        } else {
+          const returns = member.returnTypeInferred ? '' : ` -> ${formatTypeName(member.returnType)}`;
+          header = `${member.isOverride ? 'override ' : ''}fn ${member.name}(${params})${returns} `;
+        }
+        return this.printBlock(`${indent}${modifiers}${header}`, member.body, member, indent, member.line);
+      }
+    }
+  }
+
+  printStruct(stmt, indent) {
+    const openIndex = this.braceIndexFrom(stmt);
+    this.printBraced(`${indent}struct ${stmt.name} `, this.tokens[openIndex], this.tokens[this.closingBraces.get(openIndex)], indent, stmt.line, () => {
+      const members = [...stmt.fields, ...stmt.methods].sort((a, b) => a.line - b.line || a.column - b.column);
+      this.printList(members, indent + INDENT, (member, inner) => {
+        if (member.type === 'MethodDeclaration') {
+          this.printMember(member, inner);
+          return;
+        }
+        const init = member.init ? ` = ${this.expr(member.init, inner)}` : '';
+        this.emit(`${inner}${formatTypeName(member.type)} ${member.name}${init}`, member.line);
+      });
+    });
+  }
+
+  printInterface(stmt, indent) {
+    const openIndex = this.braceIndexFrom(stmt);
+    this.printBraced(`${indent}interface ${stmt.name} `, this.tokens[openIndex], this.tokens[this.closingBraces.get(openIndex)], indent, stmt.line, () => {
+      this.printList(stmt.methods, indent + INDENT, (method, inner) => {
+        const returns = method.returnType === 'void' ? '' : ` -> ${formatTypeName(method.returnType)}`;
+        this.emit(`${inner}fn ${method.name}(${this.formatParams(method.params, inner)})${returns}`, method.line);
+      });
+    });
+  }
+
+  // Enums written on one line stay on one line; longer ones list a value per line
+  printEnum(stmt, indent) {
+    if (stmt.line === stmt.endLine) {
+      const values = stmt.values.length > 0 ? ` ${stmt.values.join(', ')} ` : '';
+      return this.emit(`${indent}enum ${stmt.name} {${values}}`, stmt.line);
+    }
+
+    const openIndex = this.braceIndexFrom(stmt);
+    const closeIndex = this.closingBraces.get(openIndex);
+    const valueTokens = this.tokens.slice(openIndex + 1, closeIndex).filter(t => t.type === TOKEN_TYPES.IDENTIFIER);
+    this.printBraced(`${indent}enum ${stmt.name} `, this.tokens[openIndex], this.tokens[closeIndex], indent, stmt.line, () => {
+      this.printList(valueTokens, indent + INDENT, (token, inner, index) => {
+        const comma = index < valueTokens.length - 1 ? ',' : '';
+        this.emit(`${inner}${token.value}${comma}`, token.line);
+      });
+    });
+  }
+
+  // Config values are printed as written (they may be quoted paths, units, ...)
+  printConfig(stmt, indent) {
+    const openIndex = this.braceIndexFrom(stmt);
+    const closeIndex = this.closingBraces.get(openIndex);
+    const body = this.tokens.slice(openIndex + 1, closeIndex);
+
+    const entries = [];
+    body.forEach((token, i) => {
+      if (token.type === TOKEN_TYPES.IDENTIFIER && body[i + 1] && body[i + 1].type === TOKEN_TYPES.COLON &&
+          (i === 0 || body[i - 1].type !== TOKEN_TYPES.COLON)) {
+        entries.push({ key: token, valueTokens: [] });
+      } else if (entries.length > 0 && token.type !== TOKEN_TYPES.COLON && token.type !== TOKEN_TYPES.COMMA) {
+        entries[entries.length - 1].valueTokens.push(token);
+      }
+    });
+
+    const items = entries.map(entry => {
+      const last = entry.valueTokens[entry.valueTokens.length - 1] || entry.key;
+      const value = entry.valueTokens.map(t => this.sourceOf(t)).join('');
+      return { key: entry.key.value, value, line: entry.key.line, column: entry.key.column, endLine: last.endLine, endColumn: last.endColumn };
+    });
+
+    this.printBraced(`${indent}config `, this.tokens[openIndex], this.tokens[closeIndex], indent, stmt.line, () => {
+      this.printList(items, indent + INDENT, (item, inner, index) => {
+        const comma = index < items.length - 1 ? ',' : '';
+        this.emit(`${inner}${item.key}: ${item.value}${comma}`, item.line);
+      });
+    });
+  }
+
+  // Values in a pattern bind tighter than '|', which separates alternatives
+  formatPattern(pattern, indent) {
+    switch (pattern.type) {
+      case 'OrPattern':
+        return pattern.alternatives.map(alternative => this.formatPattern(alternative, indent)).join(' | ');
+      case 'RangePattern':
+        return `${this.expr(pattern.start, indent, PRECEDENCE['^'])}...${this.expr(pattern.end, indent, PRECEDENCE['^'])}`;
+      default:
+        return this.expr(pattern, indent, PRECEDENCE['^']);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Expressions
+  // ---------------------------------------------------------------------------
+
+  // Print an expression, parenthesized if it binds less tightly than `minPrecedence`
+  expr(node, indent, minPrecedence = PRECEDENCE.assignment) {
+    const [text, precedence] = this.formatExpression(node, indent);
+    return precedence < minPrecedence ? `(${text})` : text;
+  }
+
+  formatExpression(node, indent) {
+    switch (node.type) {
+      case 'Literal':
+        return [this.formatLiteral(node), PRECEDENCE.primary];
+
+      case 'Identifier':
+        return [node.name, PRECEDENCE.primary];
+
+      case 'ThisExpression':
+        return ['self', PRECEDENCE.primary];
+
+      case 'SuperExpression':
+        return ['super', PRECEDENCE.primary];
+
+      case 'Wildcard':
+        return ['_', PRECEDENCE.primary];
+
+      case 'ArrayLiteral':
+        return [`[${node.elements.map(e => this.expr(e, indent)).join(', ')}]`, PRECEDENCE.primary];
+
+      case 'StructLiteral': {
+        const fields = node.fields.map(field => `${field.name}: ${this.expr(field.value, indent)}`).join(', ');
+        return [fields ? `${node.structType} { ${fields} }` : `${node.structType} {}`, PRECEDENCE.primary];
+      }
+
+      case 'NewExpression': {
+        const args = node.arguments.map(arg => this.expr(arg, indent)).join(', ');
+        return [`new ${formatTypeName(node.className)}(${args})`, PRECEDENCE.primary];
+      }
+
+      case 'ConditionalExpression': {
+        const test = this.expr(node.test, indent, PRECEDENCE.or);
+        const consequent = this.expr(node.consequent, indent);
+        const alternate = this.expr(node.alternate, indent, PRECEDENCE.conditional);
+        return [`${test} ? ${consequent} : ${alternate}`, PRECEDENCE.conditional];
+      }
+
+      case 'IfExpression': {
+        const alternate = node.alternate.type === 'IfExpression'
+          ? this.expr(node.alternate, indent)
+          : `{ ${this.expr(node.alternate, indent)} }`;
+        const text = `if (${this.expr(node.test, indent)}) { ${this.expr(node.consequent, indent)} } else ${alternate}`;
+        return [text, PRECEDENCE.primary];
+      }
+
+      case 'MatchExpression':
+        return [this.captureLines(() => this.printMatch(node, indent, '')), PRECEDENCE.primary];
+
+      case 'InterpolatedString': {
+        const parts = node.parts.map(part => {
+          if (typeof part === 'string') return quoteString(part).slice(1, -1);
+          return `{${this.expr(part.expression, indent)}${part.format ? `:${part.format}` : ''}}`;
+        });
+        return [`"${parts.join('')}"`, PRECEDENCE.primary];
+      }
+
+      case 'AssignmentExpression': {
+        const left = this.expr(node.left, indent, PRECEDENCE.or);
+        const right = this.expr(node.right, indent, PRECEDENCE.assignment);
+        return [`${left} ${node.operator || '='} ${right}`, PRECEDENCE.assignment];
+      }
+
+      case 'UpdateExpression': {
+        if (!node.prefix) {
+          return [`${this.expr(node.argument, indent, PRECEDENCE.postfix)}${node.operator}`, PRECEDENCE.postfix];
+        }
+        let argument = this.expr(node.argument, indent, PRECEDENCE.unary);
+        if (/^[-+]/.test(argument)) argument = `(${argument})`;
+        return [`${node.operator}${argument}`, PRECEDENCE.unary];
+      }
+
+      case 'BinaryExpression': {
+        // Operators are left-associative: `a - (b - c)` keeps its parentheses
+        const precedence = PRECEDENCE[node.operator];
+        const left = this.expr(node.left, indent, precedence);
+        const right = this.expr(node.right, indent, precedence + 1);
+        return [`${left} ${node.operator} ${right}`, precedence];
+      }
+
+      case 'UnaryExpression': {
+        if (node.operator === 'not') {
+          return [`not ${this.expr(node.argument, indent, PRECEDENCE.unary)}`, PRECEDENCE.unary];
+        }
+        let argument = this.expr(node.argument, indent, PRECEDENCE.unary);
+        if (node.operator === '-' && argument.startsWith('-')) argument = `(${argument})`;
+        return [`${node.operator}${argument}`, PRECEDENCE.unary];
+      }
+
+      case 'NamedArgument':
+        return [`${node.name}: ${this.expr(node.value, indent)}`, PRECEDENCE.assignment];
+
+      case 'CallExpression': {
+        const args = node.arguments.map(arg => this.expr(arg, indent)).join(', ');
+        return [`${this.postfixObject(node.callee, indent)}(${args})`, PRECEDENCE.postfix];
+      }
+
+      case 'MemberExpression':
+        return [`${this.postfixObject(node.object, indent)}.${node.property}`, PRECEDENCE.postfix];
+
+      case 'SubscriptExpression':
+        return [`${this.postfixObject(node.array, indent)}[${this.expr(node.index, indent)}]`, PRECEDENCE.postfix];
+
+      case 'TypeConversion':
+        return [`${this.postfixObject(node.expression, indent)}.as<${formatTypeName(node.targetType)}>()`, PRECEDENCE.postfix];
+
+      case 'ErrorHandler':
+        return [this.formatErrorHandler(node, indent), PRECEDENCE.postfix];
+
+      case 'LambdaExpression':
+        return [this.formatLambda(node, indent), PRECEDENCE.primary];
+
+      default:
+        throw new Error(`Cannot format expression of type ${node.type}`);
+    }
+  }
+
+  // The object of `.x`, `(...)` or `[...]`; a number would swallow the dot (`5.x`)
+  postfixObject(node, indent) {
+    const text = this.expr(node, indent, PRECEDENCE.postfix);
+    return node.type === 'Literal' && node.valueType === 'number' ? `(${text})` : text;
+  }
+
+  formatLiteral(node) {
+    switch (node.valueType) {
+      case 'string':
+        return quoteString(node.value);
+      case 'number':
+        // Keep the number as written (hex, trailing zeros, unit)
+        return node.line !== undefined ? this.sourceOf(node) : `${node.value}${node.unit || ''}`;
+      default:
+        return String(node.value);
+    }
+  }
+
+  // `expr !catch { ... }` spans several lines; its block is printed into a
+  // separate buffer and joined
+  formatErrorHandler(node, indent) {
+    const expression = this.postfixObject(node.expression, indent);
+    const block = this.captureLines(() => this.printBlock('', node.handler, this.after(node.expression), indent, node.line));
+    return `${expression} !catch ${block}`;
+  }
+
+  // int speed in 0...255, int ramp = 0
+  formatParams(params, indent) {
+    return (params || []).map(p => {
+      const range = p.range ? this.formatRange(p.range, indent) : '';
+      const value = p.defaultValue ? ` = ${this.expr(p.defaultValue, indent)}` : '';
+      return `${formatTypeName(p.type)} ${p.name}${range}${value}`;
+    }).join(', ');
+  }
+
+  // ` in 0...359 wrap`
+  formatRange(range, indent) {
+    const min = this.expr(range.min, indent, PRECEDENCE.or);
+    const max = this.expr(range.max, indent, PRECEDENCE.or);
+    return ` in ${min}...${max}${range.policy ? ` ${range.policy}` : ''}`;
+  }
+
+  // `fn(int x) -> bool { ... }`, with its body printed like a function's
+  formatLambda(node, indent) {
+    const returns = node.returnTypeInferred ? '' : ` -> ${formatTypeName(node.returnType)}`;
+    const block = this.captureLines(() => this.printBlock('', node.body, node, indent, node.line));
+    return `fn(${this.formatParams(node.params, indent)})${returns} ${block}`;
+  }
+
+  // Text of the lines `print` emits, without adding them to the output
+  captureLines(print) {
+    const out = this.out;
+    const lastLine = this.lastLine;
+    this.out = [];
+    this.lastLine = null;
+    print();
+    const text = this.out.join('\n');
+    this.out = out;
+    this.lastLine = lastLine;
+    return text;
+  }
+}
+
+// Format YS source text. Throws if the source has syntax errors.
+function format(source, options = {}) {
+  return new Formatter(source, options).format();
+}
+
+module.exports = { Formatter, format, normalizeAst };
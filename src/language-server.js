@@ -0,0 +1,827 @@
+/**
+ * Ypsilon Script Language Server
+ * Language Server Protocol (LSP) support for .ys files over stdio: diagnostics,
+ * completion, hover, go-to-definition, document symbols and rename
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath, pathToFileURL } = require('url');
+const { Lexer, TOKEN_TYPES, KEYWORDS } = require('./lexer');
+const { Parser } = require('./parser');
+const { SemanticAnalyzer } = require('./semantic-analyzer');
+const { CodeGenerator } = require('./codegen');
+const { Config } = require('./config');
+const { compile } = require('./compiler');
+const { formatSuggestions } = require('./diagnostics');
+const { formatType, genericBaseType } = require('./types');
+
+// Protocol constants (see the LSP specification)
+const DiagnosticSeverity = { Error: 1, Warning: 2 };
+const TextDocumentSyncKind = { Full: 1 };
+const CompletionItemKind = {
+  Method: 2, Function: 3, Field: 5, Variable: 6, Class: 7, Interface: 8, Module: 9,
+  Property: 10, Enum: 13, Keyword: 14, EnumMember: 20, Constant: 21, Struct: 22
+};
+const SymbolKind = {
+  Class: 5, Method: 6, Property: 7, Field: 8, Constructor: 9, Enum: 10, Interface: 11,
+  Function: 12, Variable: 13, Constant: 14, EnumMember: 22, Struct: 23, Event: 24
+};
+const ErrorCodes = {
+  ParseError: -32700,
+  MethodNotFound: -32601,
+  InternalError: -32603,
+  ServerNotInitialized: -32002,
+  RequestFailed: -32803
+};
+
+// Tokens holding string text, which is never a name
+const STRING_TOKENS = [TOKEN_TYPES.STRING, TOKEN_TYPES.STRING_START, TOKEN_TYPES.STRING_MIDDLE, TOKEN_TYPES.STRING_END];
+
+// Hardware types whose classes come from Arduino libraries rather than the code generator
+const LIBRARY_HARDWARE_METHODS = {
+  Servo: [
+    { name: 'attach', params: 'int pin', returns: 'void' },
+    { name: 'write', params: 'int angle', returns: 'void' },
+    { name: 'read', params: '', returns: 'int' },
+    { name: 'detach', params: '', returns: 'void' }
+  ],
+  EEPROM: [
+    { name: 'read', params: 'int address', returns: 'u8' },
+    { name: 'write', params: 'int address, u8 value', returns: 'void' },
+    { name: 'update', params: 'int address, u8 value', returns: 'void' }
+  ]
+};
+
+// C++ types used by the generated hardware classes, as written in YS
+const CPP_TO_YS_TYPES = {
+  'uint8_t': 'u8', 'uint16_t': 'u16', 'uint32_t': 'u32', 'uint64_t': 'u64',
+  'int8_t': 'i8', 'int16_t': 'i16', 'int32_t': 'i32', 'int64_t': 'i64',
+  'long': 'i32', 'unsigned long': 'u32', 'double': 'f64', 'String': 'string'
+};
+
+let hardwareMethodCache = null;
+
+// Public methods of every built-in hardware type, read from the classes the code generator emits
+function getHardwareMethods() {
+  if (hardwareMethodCache) return hardwareMethodCache;
+
+  const generator = new CodeGenerator({ type: 'Program', body: [] });
+  generator.config = new Config(null);
+  generator.getHardwareTypes().forEach(type => generator.usedHardwareTypes.add(type));
+  const code = generator.generateHardwareTypes();
+
+  const methods = { ...LIBRARY_HARDWARE_METHODS };
+  const toYsType = type => CPP_TO_YS_TYPES[type.trim()] || type.trim();
+  let current = null;
+  let isPublic = false;
+  for (const line of code.split('\n')) {
+    const classMatch = line.match(/^class (\w+)/);
+    if (classMatch) {
+      current = classMatch[1];
+      methods[current] = [];
+      isPublic = false;
+      continue;
+    }
+    if (line.startsWith('};')) {
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+    if (/^(public|private|protected):/.test(line)) {
+      isPublic = line.startsWith('public');
+      continue;
+    }
+    const methodMatch = line.match(/^ {2}([A-Za-z_][\w:<>*&\s]*?)\s+(\w+)\(([^)]*)\)\s*(?:const\s*)?\{/);
+    if (methodMatch && isPublic) {
+      const params = methodMatch[3].split(',').map(p => p.trim()).filter(Boolean).map(param => {
+        const parts = param.split(/\s+/);
+        const name = parts.pop();
+        return `${toYsType(parts.join(' '))} ${name}`;
+      });
+      methods[current].push({ name: methodMatch[2], params: params.join(', '), returns: toYsType(methodMatch[1]) });
+    }
+  }
+
+  hardwareMethodCache = methods;
+  return methods;
+}
+
+// Encode a JSON-RPC message with its Content-Length header
+function encodeMessage(message) {
+  const body = JSON.stringify(message);
+  return `Content-Length: ${Buffer.byteLength(body, 'utf8')}\r\n\r\n${body}`;
+}
+
+// Incremental decoder for Content-Length framed JSON-RPC messages
+class MessageReader {
+  constructor(onMessage, onError = () => {}) {
+    this.onMessage = onMessage;
+    this.onError = onError;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  push(chunk) {
+    this.buffer = Buffer.concat([this.buffer, Buffer.from(chunk)]);
+
+    for (;;) {
+      const headerEnd = this.buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+
+      const header = this.buffer.slice(0, headerEnd).toString('ascii');
+      const match = header.match(/Content-Length:\s*(\d+)/i);
+      const start = headerEnd + 4;
+      if (!match) {
+        this.buffer = this.buffer.slice(start);
+        continue;
+      }
+
+      const length = parseInt(match[1], 10);
+      if (this.buffer.length < start + length) return;
+      const body = this.buffer.slice(start, start + length).toString('utf8');
+      this.buffer = this.buffer.slice(start + length);
+
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (error) {
+        this.onError(error);
+        continue;
+      }
+      this.onMessage(message);
+    }
+  }
+}
+
+// Zero-based LSP range of a node or token with 1-based line/column positions
+function toRange(node) {
+  return {
+    start: { line: node.line - 1, character: node.column - 1 },
+    end: { line: node.endLine - 1, character: node.endColumn - 1 }
+  };
+}
+
+function containsPosition(node, line, column) {
+  if (typeof node.line !== 'number') return false;
+  if (line < node.line || line > node.endLine) return false;
+  if (line === node.line && column < node.column) return false;
+  if (line === node.endLine && column > node.endColumn) return false;
+  return true;
+}
+
+function uriToPath(uri) {
+  return uri.startsWith('file:') ? fileURLToPath(uri) : uri;
+}
+
+class LanguageServer {
+  /**
+   * @param {object} options
+   * @param {function} options.send - Called with every outgoing JSON-RPC message
+   * @param {function} [options.fileReader] - Reads files that are not open in the editor
+   * @param {function} [options.onExit] - Called with the exit code on the `exit` notification
+   */
+  constructor(options = {}) {
+    this.send = options.send || (() => {});
+    this.fileReader = options.fileReader || (filePath => fs.readFileSync(filePath, 'utf8'));
+    this.onExit = options.onExit || (() => {});
+    // Open documents by URI: { text, version, analysis }
+    this.documents = new Map();
+    // Analyses of loaded modules that are not open, by URI
+    this.moduleCache = new Map();
+    this.initialized = false;
+    this.shutdownRequested = false;
+  }
+
+  // ---------------------------------------------------------------------------
+  // JSON-RPC dispatch
+  // ---------------------------------------------------------------------------
+
+  handleMessage(message) {
+    const isRequest = message.id !== undefined && message.id !== null;
+    const { method, params } = message;
+
+    if (!this.initialized && isRequest && method !== 'initialize') {
+      this.respondError(message.id, ErrorCodes.ServerNotInitialized, 'Server not initialized');
+      return;
+    }
+
+    const handler = this.requestHandlers()[method];
+    if (!handler) {
+      // Notifications the server does not handle ($/cancelRequest, ...) are ignored
+      if (isRequest) {
+        this.respondError(message.id, ErrorCodes.MethodNotFound, `Unknown method '${method}'`);
+      }
+      return;
+    }
+
+    try {
+      const result = handler.call(this, params || {});
+      if (isRequest) {
+        this.send({ jsonrpc: '2.0', id: message.id, result: result === undefined ? null : result });
+      }
+    } catch (error) {
+      if (isRequest) {
+        this.respondError(message.id, error.code || ErrorCodes.InternalError, error.message);
+      }
+    }
+  }
+
+  requestHandlers() {
+    return {
+      'initialize': this.initialize,
+      'initialized': () => {},
+      'shutdown': () => {
+        this.shutdownRequested = true;
+        return null;
+      },
+      'exit': () => this.onExit(this.shutdownRequested ? 0 : 1),
+      'textDocument/didOpen': this.didOpen,
+      'textDocument/didChange': this.didChange,
+      'textDocument/didClose': this.didClose,
+      'textDocument/completion': this.completion,
+      'textDocument/hover': this.hover,
+      'textDocument/definition': this.definition,
+      'textDocument/documentSymbol': this.documentSymbol,
+      'textDocument/rename': this.rename
+    };
+  }
+
+  respondError(id, code, message) {
+    this.send({ jsonrpc: '2.0', id, error: { code, message } });
+  }
+
+  notify(method, params) {
+    this.send({ jsonrpc: '2.0', method, params });
+  }
+
+  initialize() {
+    this.initialized = true;
+    const pkg = require('../package.json');
+    return {
+      capabilities: {
+        textDocumentSync: TextDocumentSyncKind.Full,
+        completionProvider: { triggerCharacters: ['.'] },
+        hoverProvider: true,
+        definitionProvider: true,
+        documentSymbolProvider: true,
+        renameProvider: true
+      },
+      serverInfo: { name: 'ysc', version: pkg.version }
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Document synchronization and diagnostics
+  // ---------------------------------------------------------------------------
+
+  didOpen({ textDocument }) {
+    this.documents.set(textDocument.uri, { text: textDocument.text, version: textDocument.version, analysis: null });
+    this.publishDiagnostics(textDocument.uri);
+  }
+
+  didChange({ textDocument, contentChanges }) {
+    const doc = this.documents.get(textDocument.uri);
+    if (!doc || contentChanges.length === 0) return;
+    // Full synchronization: the last change holds the whole text
+    doc.text = contentChanges[contentChanges.length - 1].text;
+    doc.version = textDocument.version;
+    doc.analysis = null;
+    this.moduleCache.clear();
+    this.publishDiagnostics(textDocument.uri);
+  }
+
+  didClose({ textDocument }) {
+    this.documents.delete(textDocument.uri);
+    this.moduleCache.clear();
+    this.notify('textDocument/publishDiagnostics', { uri: textDocument.uri, diagnostics: [] });
+  }
+
+  // Read a file, preferring the unsaved text of an open document
+  readFile(filePath) {
+    const doc = this.documents.get(pathToFileURL(filePath).href);
+    return doc ? doc.text : this.fileReader(filePath);
+  }
+
+  publishDiagnostics(uri) {
+    const doc = this.documents.get(uri);
+    const filePath = uriToPath(uri);
+    const fileName = path.basename(filePath);
+    const result = compile(doc.text, {
+      sourceFile: fileName,
+      basePath: path.dirname(filePath),
+      fileReader: modulePath => this.readFile(modulePath)
+    });
+
+    // Errors located in loaded modules belong to those documents
+    const diagnostics = (result.diagnostics || [])
+      .filter(diag => !diag.source || diag.source === fileName)
+      .map(diag => this.toLspDiagnostic(diag));
+
+    this.notify('textDocument/publishDiagnostics', { uri, version: doc.version, diagnostics });
+  }
+
+  toLspDiagnostic(diag) {
+    const located = typeof diag.line === 'number' && diag.column !== undefined;
+    const lines = [diag.message, ...(diag.notes || [])];
+    if (diag.suggestions && diag.suggestions.length > 0) {
+      lines.push(formatSuggestions(diag.suggestions));
+    }
+    const lspDiag = {
+      range: located
+        ? toRange(diag)
+        : { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } },
+      severity: diag.severity === 'warning' ? DiagnosticSeverity.Warning : DiagnosticSeverity.Error,
+      source: 'ysc',
+      message: lines.join('\n')
+    };
+    if (diag.code) lspDiag.code = diag.code;
+    return lspDiag;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Analysis
+  // ---------------------------------------------------------------------------
+
+  getDocument(uri) {
+    const doc = this.documents.get(uri);
+    if (!doc) {
+      const error = new Error(`Document '${uri}' is not open`);
+      error.code = ErrorCodes.RequestFailed;
+      throw error;
+    }
+    if (!doc.analysis) {
+      doc.analysis = this.analyzeText(doc.text, uri);
+    }
+    return doc;
+  }
+
+  // Tokens, AST and symbol tables of a source text. Syntax errors are recovered
+  // from, so editing features keep working while the file is being typed.
+  analyzeText(text, uri) {
+    const sourceFile = path.basename(uriToPath(uri));
+    const tokens = new Lexer(text, { recover: true, sourceFile }).tokenize();
+    const ast = new Parser(tokens, { recover: true, sourceFile }).parse();
+    const configBlock = ast.body.find(stmt => stmt.type === 'ConfigBlock') || null;
+    const analyzer = new SemanticAnalyzer(ast, new Config(configBlock));
+    try {
+      analyzer.analyze();
+    } catch (error) {
+      // A partially analyzed tree still provides the symbols found so far
+    }
+    return { uri, text, tokens, ast, analyzer, nameTokens: new Map() };
+  }
+
+  // Analysis of a module loaded with `load <file.ys> as name`
+  getModuleAnalysis(library, fromUri) {
+    const modulePath = path.resolve(path.dirname(uriToPath(fromUri)), library);
+    const uri = pathToFileURL(modulePath).href;
+    if (this.documents.has(uri)) return this.getDocument(uri).analysis;
+    if (!this.moduleCache.has(uri)) {
+      let text;
+      try {
+        text = this.readFile(modulePath);
+      } catch (error) {
+        return null;
+      }
+      this.moduleCache.set(uri, this.analyzeText(text, uri));
+    }
+    return this.moduleCache.get(uri);
+  }
+
+  // The identifier token naming a symbol in its declaration
+  nameToken(analysis, symbol) {
+    if (analysis.nameTokens.has(symbol)) return analysis.nameTokens.get(symbol);
+    const node = symbol.node;
+    const token = analysis.tokens.find(t =>
+      t.type === TOKEN_TYPES.IDENTIFIER &&
+      t.value === symbol.name &&
+      containsPosition(node, t.line, t.column)
+    ) || null;
+    analysis.nameTokens.set(symbol, token);
+    return token;
+  }
+
+  // Index of the word token under (or directly before) an LSP position. Member
+  // names may lex as keywords (`led.on`), so any word-like token counts.
+  tokenIndexAt(analysis, position) {
+    const line = position.line + 1;
+    const column = position.character + 1;
+    return analysis.tokens.findIndex(t =>
+      !STRING_TOKENS.includes(t.type) && typeof t.value === 'string' && /^[A-Za-z_]\w*$/.test(t.value) &&
+      t.line === line && t.column <= column && column <= t.endColumn
+    );
+  }
+
+  // Top-level (global) symbol of a program by name
+  globalSymbol(analysis, name) {
+    const symbol = analysis.analyzer.scopes[0].get(name);
+    return symbol && symbol.kind !== 'builtin' ? symbol : null;
+  }
+
+  // Resolve the identifier token at `index` to the symbol it declares or refers to
+  symbolForToken(analysis, index) {
+    const token = analysis.tokens[index];
+    const reference = analysis.analyzer.references.find(ref =>
+      ref.node.line === token.line && ref.node.column === token.column
+    );
+    if (reference) return reference.symbol;
+
+    const declared = analysis.analyzer.symbols.find(symbol => this.nameToken(analysis, symbol) === token);
+    if (declared) return declared;
+
+    // Type names in declarations (`mut Motor m`) and module names in `m.Type`
+    const global = this.globalSymbol(analysis, token.value);
+    if (global && ['class', 'interface', 'struct', 'enum', 'module'].includes(global.kind)) return global;
+    return analysis.analyzer.scopes[0].get(token.value) || null;
+  }
+
+  // For `m.helper`, where `m` names a loaded module, the module's declaration of `helper`
+  moduleMemberAt(analysis, index) {
+    const tokens = analysis.tokens;
+    if (index < 2 || tokens[index - 1].type !== TOKEN_TYPES.DOT || tokens[index - 2].type !== TOKEN_TYPES.IDENTIFIER) {
+      return null;
+    }
+    const moduleSymbol = this.symbolForToken(analysis, index - 2);
+    if (!moduleSymbol || moduleSymbol.kind !== 'module') return null;
+
+    const moduleAnalysis = this.getModuleAnalysis(moduleSymbol.library, analysis.uri);
+    if (!moduleAnalysis) return null;
+    const symbol = this.globalSymbol(moduleAnalysis, tokens[index].value);
+    return symbol ? { analysis: moduleAnalysis, symbol } : null;
+  }
+
+  // Symbol at a position, possibly declared in another (module) document
+  resolveAt(analysis, position) {
+    const index = this.tokenIndexAt(analysis, position);
+    if (index === -1) return null;
+    const token = analysis.tokens[index];
+
+    const member = this.moduleMemberAt(analysis, index);
+    if (member) return { ...member, token };
+
+    if (index > 0 && analysis.tokens[index - 1].type === TOKEN_TYPES.DOT) {
+      // Members of objects are not tracked as references
+      return null;
+    }
+
+    const symbol = this.symbolForToken(analysis, index);
+    return symbol ? { analysis, symbol, token } : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Hover and go-to-definition
+  // ---------------------------------------------------------------------------
+
+  hover({ textDocument, position }) {
+    const analysis = this.getDocument(textDocument.uri).analysis;
+    const resolved = this.resolveAt(analysis, position);
+    if (resolved) {
+      return {
+        contents: { kind: 'markdown', value: '```ys\n' + this.describeSymbol(resolved.symbol) + '\n```' },
+        range: toRange(resolved.token)
+      };
+    }
+
+    // Methods of hardware objects: led.on
+    const method = this.hardwareMethodAt(analysis, position);
+    if (method) {
+      return {
+        contents: { kind: 'markdown', value: '```ys\n' + `fn ${method.type}.${method.name}(${method.params}) -> ${method.returns}` + '\n```' },
+        range: toRange(method.token)
+      };
+    }
+    return null;
+  }
+
+  hardwareMethodAt(analysis, position) {
+    const index = this.tokenIndexAt(analysis, position);
+    if (index < 2 || analysis.tokens[index - 1].type !== TOKEN_TYPES.DOT) return null;
+    const object = this.symbolForToken(analysis, index - 2);
+    const methods = object && getHardwareMethods()[object.type];
+    if (!methods) return null;
+    const token = analysis.tokens[index];
+    const method = methods.find(m => m.name === token.value);
+    return method ? { ...method, type: object.type, token } : null;
+  }
+
+  // One-line, source-like description of a symbol
+  describeSymbol(symbol) {
+    const params = list => (list || []).map(p => (typeof p === 'string' ? p : `${p.type} ${p.name}`)).join(', ');
+    const typeParameters = list => (list && list.length > 0 ? `<${list.join(', ')}>` : '');
+    const type = formatType(symbol.type);
+    const inferred = symbol.node && symbol.node.typeInferred ? '  (inferred)' : '';
+
+    switch (symbol.kind) {
+      case 'function': {
+        const returns = symbol.node && symbol.node.returnTypeInferred ? '' : ` -> ${symbol.returnType || 'void'}`;
+        return `fn ${symbol.name}${typeParameters(symbol.typeParameters)}(${params(symbol.params)})${returns}`;
+      }
+      case 'builtin': {
+        const signature = symbol.signature;
+        const args = signature.variadic ? '...' : params(signature.params);
+        return `fn ${symbol.name}(${args}) -> ${formatType(signature.returns)}`;
+      }
+      case 'class': {
+        const node = symbol.node || {};
+        const superClass = node.superClass ? ` extends ${node.superClass}` : '';
+        const interfaces = node.interfaces && node.interfaces.length > 0 ? ` implements ${node.interfaces.join(', ')}` : '';
+        return `class ${symbol.name}${typeParameters(node.typeParameters)}${superClass}${interfaces}`;
+      }
+      case 'interface':
+        return `interface ${symbol.name}`;
+      case 'struct': {
+        const fields = (symbol.node.fields || []).map(f => `${f.type} ${f.name}`).join(', ');
+        return `struct ${symbol.name} { ${fields} }`;
+      }
+      case 'enum':
+        return `enum ${symbol.name} { ${symbol.node.values.join(', ')} }`;
+      case 'module':
+        return `load <${symbol.library}> as ${symbol.name}`;
+      case 'signal':
+        return `signal ${symbol.name}`;
+      case 'param':
+        return `${type} ${symbol.name}  (parameter)`;
+      case 'property':
+        return `mut ${type} ${symbol.name}  (property)`;
+      case 'const':
+        return `const ${type} ${symbol.name}${inferred}`;
+      case 'loop':
+        return `${type} ${symbol.name}  (loop variable)`;
+      default:
+        return `mut ${type} ${symbol.name}${inferred}`;
+    }
+  }
+
+  definition({ textDocument, position }) {
+    const analysis = this.getDocument(textDocument.uri).analysis;
+    const resolved = this.resolveAt(analysis, position);
+    if (!resolved || !resolved.symbol.node) return null;
+
+    const token = this.nameToken(resolved.analysis, resolved.symbol);
+    return { uri: resolved.analysis.uri, range: toRange(token || resolved.symbol.node) };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Completion
+  // ---------------------------------------------------------------------------
+
+  completion({ textDocument, position }) {
+    const analysis = this.getDocument(textDocument.uri).analysis;
+    const linePrefix = (analysis.text.split(/\r?\n/)[position.line] || '').slice(0, position.character);
+
+    const member = linePrefix.match(/([A-Za-z_]\w*)\s*\.\s*\w*$/);
+    if (member) {
+      return { isIncomplete: false, items: this.memberCompletions(analysis, member[1], position) };
+    }
+
+    const items = [];
+    const seen = new Set();
+    const add = item => {
+      if (seen.has(item.label)) return;
+      seen.add(item.label);
+      items.push(item);
+    };
+
+    // Declarations visible here: globals, and locals of the enclosing top-level block
+    const line = position.line + 1;
+    const column = position.character + 1;
+    const enclosing = analysis.ast.body.find(stmt => containsPosition(stmt, line, column));
+    for (const symbol of analysis.analyzer.symbols) {
+      const isGlobal = analysis.analyzer.scopes[0].get(symbol.name) === symbol;
+      const isLocal = enclosing && containsPosition(enclosing, symbol.node.line, symbol.node.column);
+      if (isGlobal || isLocal) {
+        add({ label: symbol.name, kind: this.completionKind(symbol), detail: this.describeSymbol(symbol) });
+      }
+    }
+    for (const symbol of analysis.analyzer.scopes[0].values()) {
+      if (symbol.kind === 'builtin' || (symbol.kind === 'const' && !symbol.node)) {
+        add({ label: symbol.name, kind: this.completionKind(symbol), detail: this.describeSymbol(symbol) });
+      }
+    }
+
+    // Keywords and built-in types (hardware types are capitalized)
+    for (const word of Object.keys(KEYWORDS)) {
+      const isHardware = /^[A-Z]/.test(word);
+      add({ label: word, kind: isHardware ? CompletionItemKind.Class : CompletionItemKind.Keyword });
+    }
+
+    return { isIncomplete: false, items };
+  }
+
+  // Completions after `object.`
+  memberCompletions(analysis, objectName, position) {
+    const line = position.line + 1;
+    const column = position.character + 1;
+
+    if (objectName === 'self' || objectName === 'this') {
+      const cls = analysis.ast.body.find(stmt => stmt.type === 'ClassDeclaration' && containsPosition(stmt, line, column));
+      return cls ? this.classMemberItems(cls) : [];
+    }
+
+    // The object is the last identifier before the dot
+    const objectIndex = analysis.tokens.reduce((found, t, i) =>
+      (t.type === TOKEN_TYPES.IDENTIFIER && t.value === objectName &&
+       (t.line < line || (t.line === line && t.column < column)) ? i : found), -1);
+    const symbol = objectIndex === -1 ? null : this.symbolForToken(analysis, objectIndex);
+    if (!symbol) return [];
+
+    if (symbol.kind === 'module') {
+      const moduleAnalysis = this.getModuleAnalysis(symbol.library, analysis.uri);
+      if (!moduleAnalysis) return [];
+      return moduleAnalysis.analyzer.symbols
+        .filter(s => moduleAnalysis.analyzer.scopes[0].get(s.name) === s)
+        .map(s => ({ label: s.name, kind: this.completionKind(s), detail: this.describeSymbol(s) }));
+    }
+
+    if (symbol.kind === 'enum') {
+      return symbol.node.values.map(value => ({ label: value, kind: CompletionItemKind.EnumMember, detail: `${symbol.name}.${value}` }));
+    }
+
+    const type = symbol.type;
+    const { classes, interfaces, structs } = analysis.analyzer;
+    if (classes.has(genericBaseType(type))) {
+      // Members of base classes are listed after the class's own
+      const lineage = [type, ...analysis.analyzer.superClasses(type)].map(t => classes.get(genericBaseType(t)));
+      const items = [...new Set(lineage)].flatMap(cls => this.classMemberItems(cls));
+      return items.filter((item, i) => items.findIndex(other => other.label === item.label) === i);
+    }
+    if (interfaces.has(type)) {
+      return this.classMemberItems(interfaces.get(type));
+    }
+    if (structs.has(type)) {
+      const struct = structs.get(type);
+      const fields = struct.fields.map(f => ({ label: f.name, kind: CompletionItemKind.Field, detail: `${f.type} ${f.name}` }));
+      return [...fields, ...this.classMemberItems({ methods: struct.methods })];
+    }
+    const methods = getHardwareMethods()[type];
+    if (methods) {
+      return methods.map(m => ({
+        label: m.name,
+        kind: CompletionItemKind.Method,
+        detail: `fn ${m.name}(${m.params}) -> ${m.returns}`
+      }));
+    }
+    return [];
+  }
+
+  classMemberItems(cls) {
+    const properties = (cls.properties || []).map(p => ({
+      label: p.name, kind: CompletionItemKind.Property, detail: `${p.propertyType} ${p.name}`
+    }));
+    const methods = (cls.methods || []).map(m => ({
+      label: m.name,
+      kind: CompletionItemKind.Method,
+      detail: `fn ${m.name}(${(m.params || []).map(p => `${p.type} ${p.name}`).join(', ')}) -> ${m.returnType || 'void'}`
+    }));
+    return [...properties, ...methods];
+  }
+
+  completionKind(symbol) {
+    switch (symbol.kind) {
+      case 'function': return CompletionItemKind.Function;
+      case 'builtin': return CompletionItemKind.Function;
+      case 'class': return CompletionItemKind.Class;
+      case 'interface': return CompletionItemKind.Interface;
+      case 'struct': return CompletionItemKind.Struct;
+      case 'enum': return CompletionItemKind.Enum;
+      case 'module': return CompletionItemKind.Module;
+      case 'property': return CompletionItemKind.Property;
+      case 'const': return symbol.node && symbol.node.type === 'EnumDeclaration'
+        ? CompletionItemKind.EnumMember
+        : CompletionItemKind.Constant;
+      default: return CompletionItemKind.Variable;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Document symbols
+  // ---------------------------------------------------------------------------
+
+  documentSymbol({ textDocument }) {
+    const analysis = this.getDocument(textDocument.uri).analysis;
+    const symbols = [];
+
+    const symbolFor = (name, kind, node, children) => {
+      const token = analysis.tokens.find(t =>
+        t.type === TOKEN_TYPES.IDENTIFIER && t.value === name && containsPosition(node, t.line, t.column));
+      const item = { name, kind, range: toRange(node), selectionRange: toRange(token || node) };
+      if (children) item.children = children;
+      return item;
+    };
+
+    for (const stmt of analysis.ast.body) {
+      if (typeof stmt.line !== 'number') continue;
+      switch (stmt.type) {
+        case 'ClassDeclaration': {
+          const children = [
+            ...(stmt.properties || []).map(p => symbolFor(p.name, SymbolKind.Property, p)),
+            ...(stmt.constructors || []).filter(c => c.line).map(c => symbolFor('constructor', SymbolKind.Constructor, c)),
+            ...(stmt.methods || []).map(m => symbolFor(m.name, SymbolKind.Method, m))
+          ];
+          symbols.push(symbolFor(stmt.name, SymbolKind.Class, stmt, children));
+          break;
+        }
+        case 'InterfaceDeclaration':
+          symbols.push(symbolFor(stmt.name, SymbolKind.Interface, stmt,
+            stmt.methods.map(m => symbolFor(m.name, SymbolKind.Method, m))));
+          break;
+        case 'StructDeclaration':
+          symbols.push(symbolFor(stmt.name, SymbolKind.Struct, stmt,
+            [...(stmt.fields || []).map(f => symbolFor(f.name, SymbolKind.Field, f)),
+              ...(stmt.methods || []).map(m => symbolFor(m.name, SymbolKind.Method, m))]));
+          break;
+        case 'EnumDeclaration':
+          symbols.push(symbolFor(stmt.name, SymbolKind.Enum, stmt,
+            (stmt.values || []).map(value => symbolFor(value, SymbolKind.EnumMember, stmt))));
+          break;
+        case 'FunctionDeclaration':
+          symbols.push(symbolFor(stmt.name, SymbolKind.Function, stmt));
+          break;
+        case 'TaskDeclaration':
+          symbols.push({ ...symbolFor(stmt.name, SymbolKind.Event, stmt), name: `task ${stmt.name}` });
+          break;
+        case 'OnBlock': {
+          const event = stmt.eventProperty ? `${stmt.event}.${stmt.eventProperty}` : stmt.event;
+          symbols.push({ name: `on ${event}`, kind: SymbolKind.Event, range: toRange(stmt), selectionRange: toRange(stmt) });
+          break;
+        }
+        case 'InterruptBlock':
+          symbols.push({
+            name: stmt.name ? `interrupt ${stmt.name}` : 'interrupt',
+            kind: SymbolKind.Event,
+            range: toRange(stmt),
+            selectionRange: toRange(stmt)
+          });
+          break;
+        case 'VariableDeclaration':
+          symbols.push(symbolFor(stmt.name, stmt.kind === 'const' ? SymbolKind.Constant : SymbolKind.Variable, stmt));
+          break;
+        default:
+          break;
+      }
+    }
+
+    return symbols;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rename
+  // ---------------------------------------------------------------------------
+
+  rename({ textDocument, position, newName }) {
+    if (!/^[A-Za-z_]\w*$/.test(newName) || KEYWORDS[newName]) {
+      const error = new Error(`'${newName}' is not a valid name`);
+      error.code = ErrorCodes.RequestFailed;
+      throw error;
+    }
+
+    const analysis = this.getDocument(textDocument.uri).analysis;
+    const resolved = this.resolveAt(analysis, position);
+    if (!resolved || resolved.analysis !== analysis || !resolved.symbol.node) {
+      const error = new Error('Only names declared in this file can be renamed');
+      error.code = ErrorCodes.RequestFailed;
+      throw error;
+    }
+
+    const symbol = resolved.symbol;
+    const tokens = new Set();
+    const declaration = this.nameToken(analysis, symbol);
+    if (declaration) tokens.add(declaration);
+
+    for (const ref of analysis.analyzer.references) {
+      if (ref.symbol === symbol) {
+        const token = analysis.tokens.find(t => t.line === ref.node.line && t.column === ref.node.column);
+        if (token) tokens.add(token);
+      }
+    }
+
+    // Type names are global and also appear in declarations (`mut Motor m`) and `new Motor()`
+    if (['class', 'struct', 'enum'].includes(symbol.kind)) {
+      analysis.tokens
+        .filter(t => t.type === TOKEN_TYPES.IDENTIFIER && t.value === symbol.name)
+        .forEach(t => tokens.add(t));
+    }
+
+    const edits = [...tokens]
+      .sort((a, b) => a.line - b.line || a.column - b.column)
+      .map(token => ({ range: toRange(token), newText: newName }));
+    return { changes: { [textDocument.uri]: edits } };
+  }
+}
+
+// Run a language server on a pair of streams (stdin/stdout for `ysc lsp`)
+function startServer(input = process.stdin, output = process.stdout, options = {}) {
+  const server = new LanguageServer({
+    send: message => output.write(encodeMessage(message)),
+    onExit: options.onExit || (code => process.exit(code)),
+    fileReader: options.fileReader
+  });
+  const reader = new MessageReader(
+    message => server.handleMessage(message),
+    () => server.send({ jsonrpc: '2.0', id: null, error: { code: ErrorCodes.ParseError, message: 'Parse error' } })
+  );
+  input.on('data', chunk => reader.push(chunk));
+  return server;
+}
+
+module.exports = { LanguageServer, MessageReader, encodeMessage, startServer, getHardwareMethods };
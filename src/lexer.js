@@ -8,6 +8,12 @@ const TOKEN_TYPES = {
   NUMBER: 'NUMBER',
   STRING: 'STRING',
   BOOLEAN: 'BOOLEAN',
+  // "a{x}b{y:.1}c" lexes as STRING_START("a"), x, STRING_MIDDLE("b"), y,
+  // FORMAT_SPEC(".1"), STRING_END("c")
+  STRING_START: 'STRING_START',
+  STRING_MIDDLE: 'STRING_MIDDLE',
+  STRING_END: 'STRING_END',
+  FORMAT_SPEC: 'FORMAT_SPEC',
   
   // Identifiers and Keywords
   IDENTIFIER: 'IDENTIFIER',
@@ -18,6 +24,8 @@ const TOKEN_TYPES = {
   WHILE: 'WHILE',
   FOR: 'FOR',
   REPEAT: 'REPEAT',
+  BREAK: 'BREAK',
+  CONTINUE: 'CONTINUE',
   RETURN: 'RETURN',
   VAR: 'VAR',
   MUT: 'MUT',
@@ -29,6 +37,14 @@ const TOKEN_TYPES = {
   CONSTRUCTOR: 'CONSTRUCTOR',
   ENUM: 'ENUM',
   STRUCT: 'STRUCT',
+  INTERFACE: 'INTERFACE',
+  EXTENDS: 'EXTENDS',
+  IMPLEMENTS: 'IMPLEMENTS',
+  OVERRIDE: 'OVERRIDE',
+  SUPER: 'SUPER',
+  PUB: 'PUB',
+  PRIV: 'PRIV',
+  STATIC: 'STATIC',
   MATCH: 'MATCH',
   SWITCH: 'SWITCH',
   CASE: 'CASE',
@@ -262,6 +278,15 @@ const TOKEN_TYPES = {
   DIVIDE: 'DIVIDE',
   MODULO: 'MODULO',
   ASSIGN: 'ASSIGN',
+  COMPOUND_ASSIGN: 'COMPOUND_ASSIGN', // += -= *= /= %= &= |= ^= <<= >>=
+  INCREMENT: 'INCREMENT',
+  DECREMENT: 'DECREMENT',
+  BIT_AND: 'BIT_AND',
+  BIT_OR: 'BIT_OR',
+  BIT_XOR: 'BIT_XOR',
+  BIT_NOT: 'BIT_NOT',
+  SHIFT_LEFT: 'SHIFT_LEFT',
+  SHIFT_RIGHT: 'SHIFT_RIGHT',
   EQUAL: 'EQUAL',
   NOT_EQUAL: 'NOT_EQUAL',
   LESS_THAN: 'LESS_THAN',
@@ -303,6 +328,8 @@ const KEYWORDS = {
   'while': TOKEN_TYPES.WHILE,
   'for': TOKEN_TYPES.FOR,
   'repeat': TOKEN_TYPES.REPEAT,
+  'break': TOKEN_TYPES.BREAK,
+  'continue': TOKEN_TYPES.CONTINUE,
   'return': TOKEN_TYPES.RETURN,
   'var': TOKEN_TYPES.VAR,
   'mut': TOKEN_TYPES.MUT,
@@ -314,6 +341,14 @@ const KEYWORDS = {
   'constructor': TOKEN_TYPES.CONSTRUCTOR,
   'enum': TOKEN_TYPES.ENUM,
   'struct': TOKEN_TYPES.STRUCT,
+  'interface': TOKEN_TYPES.INTERFACE,
+  'extends': TOKEN_TYPES.EXTENDS,
+  'implements': TOKEN_TYPES.IMPLEMENTS,
+  'override': TOKEN_TYPES.OVERRIDE,
+  'super': TOKEN_TYPES.SUPER,
+  'pub': TOKEN_TYPES.PUB,
+  'priv': TOKEN_TYPES.PRIV,
+  'static': TOKEN_TYPES.STATIC,
   'match': TOKEN_TYPES.MATCH,
   'switch': TOKEN_TYPES.SWITCH,
   'case': TOKEN_TYPES.CASE,
@@ -493,11 +528,19 @@ const KEYWORDS = {
 };
 
 class Lexer {
-  constructor(source) {
+  constructor(source, options = {}) {
     this.source = source;
     this.pos = 0;
     this.line = 1;
     this.column = 1;
+    // In recovery mode unexpected characters are collected in `errors` and skipped
+    this.recover = options.recover || false;
+    this.sourceFile = options.sourceFile || null;
+    // Emit `#` comments as COMMENT tokens (used by the formatter) instead of skipping them
+    this.comments = options.comments || false;
+    this.errors = [];
+    // Open `{expression}` parts of interpolated strings, innermost last
+    this.interpolations = [];
   }
 
   peek(offset = 0) {
@@ -516,6 +559,25 @@ class Lexer {
     return char;
   }
 
+  // Current position, used as the start of the next token
+  position() {
+    return { line: this.line, column: this.column };
+  }
+
+  // Build a token spanning from `start` to the current position.
+  // Columns are 1-based; endColumn points just past the last character.
+  makeToken(type, value, start, extra = {}) {
+    return {
+      type,
+      value,
+      ...extra,
+      line: start.line,
+      column: start.column,
+      endLine: this.line,
+      endColumn: this.column
+    };
+  }
+
   skipWhitespace() {
     while (this.peek() && /[ \t\r]/.test(this.peek())) {
       this.advance();
@@ -532,7 +594,15 @@ class Lexer {
     return false;
   }
 
+  readComment() {
+    const start = this.position();
+    const from = this.pos;
+    this.skipComment();
+    return this.makeToken(TOKEN_TYPES.COMMENT, this.source.slice(from, this.pos).trimEnd(), start);
+  }
+
   readNumber() {
+    const start = this.position();
     let num = '';
     let hasDecimal = false;
     
@@ -546,13 +616,8 @@ class Lexer {
         num += this.advance();
       }
       
-      return {
-        type: TOKEN_TYPES.NUMBER,
-        value: parseInt(num, 16), // Parse as hexadecimal
-        unit: null,
-        line: this.line,
-        column: this.column - num.length
-      };
+      // Parse as hexadecimal
+      return this.makeToken(TOKEN_TYPES.NUMBER, parseInt(num, 16), start, { unit: null });
     }
     
     while (this.peek() && /[0-9.]/.test(this.peek())) {
@@ -575,7 +640,8 @@ class Lexer {
     // Check for unit suffix (time, frequency, angle, distance, speed)
     let unit = null;
     if (this.peek() && /[a-zA-Z]/.test(this.peek())) {
-      const start = this.pos;
+      const suffixStart = this.pos;
+      const suffixColumn = this.column;
       let suffix = '';
       while (this.peek() && /[a-zA-Z]/.test(this.peek())) {
         suffix += this.peek();
@@ -606,24 +672,48 @@ class Lexer {
         unit = suffix;
       } else {
         // Not a valid unit, rewind
-        this.pos = start;
+        this.pos = suffixStart;
+        this.column = suffixColumn;
       }
     }
     
-    return {
-      type: TOKEN_TYPES.NUMBER,
-      value: parseFloat(num),
-      unit: unit,
-      line: this.line,
-      column: this.column - num.length
-    };
+    // 1.0 is a float even though its value is a whole number
+    return this.makeToken(TOKEN_TYPES.NUMBER, parseFloat(num), start, { unit, isFloat: hasDecimal });
   }
 
   readString(quote) {
+    const start = this.position();
     this.advance(); // consume opening quote
+    const { text, interpolates } = this.readStringText(quote, start);
+    return this.makeToken(interpolates ? TOKEN_TYPES.STRING_START : TOKEN_TYPES.STRING, text, start);
+  }
+
+  // The rest of an interpolated string after the `}` that closes an expression
+  readStringPart() {
+    const start = this.position();
+    this.advance(); // consume '}'
+    const { quoteStart } = this.interpolations.pop();
+    const { text, interpolates } = this.readStringText('"', quoteStart);
+    return this.makeToken(interpolates ? TOKEN_TYPES.STRING_MIDDLE : TOKEN_TYPES.STRING_END, text, start);
+  }
+
+  // Read string characters up to the closing quote or, in double-quoted
+  // strings, the `{` of an interpolated expression (`\{` is a literal brace).
+  // Strings end at the line: an unterminated one is reported at its opening
+  // quote (`quoteStart`) and lexing resumes on the next line.
+  readStringText(quote, quoteStart) {
     let str = '';
-    while (this.peek() && this.peek() !== quote) {
+    while (this.peek() && this.peek() !== quote && this.peek() !== '\n') {
+      if (quote === '"' && this.peek() === '{') {
+        this.advance();
+        this.interpolations.push({ depth: 0, ternaries: 0, quoteStart });
+        return { text: str, interpolates: true };
+      }
       if (this.peek() === '\\') {
+        if (!this.peek(1) || this.peek(1) === '\n') {
+          this.advance();
+          break;
+        }
         this.advance();
         const escaped = this.advance();
         switch (escaped) {
@@ -638,28 +728,57 @@ class Lexer {
         str += this.advance();
       }
     }
+    if (this.peek() !== quote) {
+      this.reportError('Unterminated string', quoteStart, 'YS0900');
+      return { text: str, interpolates: false };
+    }
     this.advance(); // consume closing quote
-    return {
-      type: TOKEN_TYPES.STRING,
-      value: str,
-      line: this.line,
-      column: this.column - str.length - 2
+    return { text: str, interpolates: false };
+  }
+
+  // `:.1`, `:x`, `:b` or `:o` before the `}` of an interpolated expression
+  readFormatSpec() {
+    const start = this.position();
+    this.advance(); // consume ':'
+    let spec = '';
+    while (this.peek() && !['}', '"', '\n'].includes(this.peek())) {
+      spec += this.advance();
+    }
+    if (!/^(\.\d+|[xbo])$/.test(spec)) {
+      this.reportError(`Unknown format '${spec}'`, start, 'YS0900');
+    }
+    return this.makeToken(TOKEN_TYPES.FORMAT_SPEC, spec, start);
+  }
+
+  // Throw, or in recovery mode record the error and keep lexing
+  reportError(message, start, code) {
+    if (!this.recover) {
+      throw new Error(`Syntax Error at line ${start.line}, column ${start.column}: ${message}`);
+    }
+    const error = {
+      severity: 'error',
+      code,
+      message,
+      line: start.line,
+      column: start.column,
+      endLine: this.line,
+      endColumn: this.column
     };
+    if (this.sourceFile) {
+      error.source = this.sourceFile;
+    }
+    this.errors.push(error);
   }
 
   readIdentifier() {
+    const start = this.position();
     let id = '';
     while (this.peek() && /[a-zA-Z0-9_]/.test(this.peek())) {
       id += this.advance();
     }
     
     const type = KEYWORDS[id] || TOKEN_TYPES.IDENTIFIER;
-    return {
-      type,
-      value: type === TOKEN_TYPES.BOOLEAN ? (id === 'true') : id,
-      line: this.line,
-      column: this.column - id.length
-    };
+    return this.makeToken(type, type === TOKEN_TYPES.BOOLEAN ? (id === 'true') : id, start);
   }
 
   tokenize() {
@@ -668,6 +787,10 @@ class Lexer {
     while (this.pos < this.source.length) {
       this.skipWhitespace();
       
+      if (this.comments && this.peek() === '#') {
+        tokens.push(this.readComment());
+        continue;
+      }
       if (this.skipComment()) {
         continue;
       }
@@ -676,6 +799,32 @@ class Lexer {
       
       if (!char) break;
 
+      const start = this.position();
+
+      // Inside the `{...}` of an interpolated string: the `}` matching its `{`
+      // resumes the string, and a `:` that does not belong to a `?` starts a format
+      const interpolation = this.interpolations[this.interpolations.length - 1];
+      if (interpolation && char === '\n') {
+        // The line ended inside `{...}`: close the open strings so lexing resumes on the next line
+        this.reportError('Unterminated string', this.interpolations[0].quoteStart, 'YS0900');
+        while (this.interpolations.pop()) {
+          tokens.push(this.makeToken(TOKEN_TYPES.STRING_END, '', start));
+        }
+      } else if (interpolation) {
+        if (char === '}' && interpolation.depth === 0) {
+          tokens.push(this.readStringPart());
+          continue;
+        }
+        if (char === ':' && interpolation.depth === 0 && interpolation.ternaries === 0) {
+          tokens.push(this.readFormatSpec());
+          continue;
+        }
+        if (char === '{') interpolation.depth++;
+        if (char === '}') interpolation.depth--;
+        if (char === '?') interpolation.ternaries++;
+        if (char === ':' && interpolation.depth === 0) interpolation.ternaries--;
+      }
+
       // Newlines - now just simple tokens, no indentation tracking
       if (char === '\n') {
         this.advance();
@@ -706,7 +855,7 @@ class Lexer {
         this.advance(); // a
         this.advance(); // i
         this.advance(); // n
-        tokens.push({ type: TOKEN_TYPES.MAIN, value: '@main', line: this.line, column: this.column - 5 });
+        tokens.push(this.makeToken(TOKEN_TYPES.MAIN, '@main', start));
         continue;
       }
 
@@ -721,49 +870,72 @@ class Lexer {
         this.advance();
         this.advance();
         this.advance();
-        tokens.push({ type: TOKEN_TYPES.RANGE, value: '...', line: this.line, column: this.column - 3 });
+        tokens.push(this.makeToken(TOKEN_TYPES.RANGE, '...', start));
         continue;
       }
       
       if (char === '=' && this.peek(1) === '>') {
         this.advance();
         this.advance();
-        tokens.push({ type: TOKEN_TYPES.ARROW, value: '=>', line: this.line, column: this.column - 2 });
+        tokens.push(this.makeToken(TOKEN_TYPES.ARROW, '=>', start));
         continue;
       }
       
       if (char === '-' && this.peek(1) === '>') {
         this.advance();
         this.advance();
-        tokens.push({ type: TOKEN_TYPES.ARROW, value: '->', line: this.line, column: this.column - 2 });
+        tokens.push(this.makeToken(TOKEN_TYPES.ARROW, '->', start));
         continue;
       }
       
+      // Compound assignment (checked before the shift and comparison operators)
+      const compound = ['<<=', '>>=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=']
+        .find(op => this.source.startsWith(op, this.pos));
+      if (compound) {
+        for (let i = 0; i < compound.length; i++) this.advance();
+        tokens.push(this.makeToken(TOKEN_TYPES.COMPOUND_ASSIGN, compound, start));
+        continue;
+      }
+
+      const doubleChar = {
+        '++': TOKEN_TYPES.INCREMENT,
+        '--': TOKEN_TYPES.DECREMENT,
+        '<<': TOKEN_TYPES.SHIFT_LEFT,
+        '>>': TOKEN_TYPES.SHIFT_RIGHT
+      };
+      const pair = char + this.peek(1);
+      if (doubleChar[pair]) {
+        this.advance();
+        this.advance();
+        tokens.push(this.makeToken(doubleChar[pair], pair, start));
+        continue;
+      }
+
       if (char === '=' && this.peek(1) === '=') {
         this.advance();
         this.advance();
-        tokens.push({ type: TOKEN_TYPES.EQUAL, value: '==', line: this.line, column: this.column - 2 });
+        tokens.push(this.makeToken(TOKEN_TYPES.EQUAL, '==', start));
         continue;
       }
       
       if (char === '!' && this.peek(1) === '=') {
         this.advance();
         this.advance();
-        tokens.push({ type: TOKEN_TYPES.NOT_EQUAL, value: '!=', line: this.line, column: this.column - 2 });
+        tokens.push(this.makeToken(TOKEN_TYPES.NOT_EQUAL, '!=', start));
         continue;
       }
       
       if (char === '<' && this.peek(1) === '=') {
         this.advance();
         this.advance();
-        tokens.push({ type: TOKEN_TYPES.LESS_EQUAL, value: '<=', line: this.line, column: this.column - 2 });
+        tokens.push(this.makeToken(TOKEN_TYPES.LESS_EQUAL, '<=', start));
         continue;
       }
       
       if (char === '>' && this.peek(1) === '=') {
         this.advance();
         this.advance();
-        tokens.push({ type: TOKEN_TYPES.GREATER_EQUAL, value: '>=', line: this.line, column: this.column - 2 });
+        tokens.push(this.makeToken(TOKEN_TYPES.GREATER_EQUAL, '>=', start));
         continue;
       }
 
@@ -789,21 +961,26 @@ class Lexer {
         ';': TOKEN_TYPES.SEMICOLON,
         '?': TOKEN_TYPES.QUESTION,
         '@': TOKEN_TYPES.AT,
-        '!': TOKEN_TYPES.EXCLAMATION
+        '!': TOKEN_TYPES.EXCLAMATION,
+        '&': TOKEN_TYPES.BIT_AND,
+        '|': TOKEN_TYPES.BIT_OR,
+        '^': TOKEN_TYPES.BIT_XOR,
+        '~': TOKEN_TYPES.BIT_NOT
       };
 
       if (singleChar[char]) {
         this.advance();
-        tokens.push({ type: singleChar[char], value: char, line: this.line, column: this.column - 1 });
+        tokens.push(this.makeToken(singleChar[char], char, start));
         continue;
       }
 
-      throw new Error(`Unexpected character '${char}' at line ${this.line}, column ${this.column}`);
+      this.advance();
+      this.reportError(`Unexpected character '${char}'`, start, 'YS0901');
     }
 
-    tokens.push({ type: TOKEN_TYPES.EOF, line: this.line, column: this.column });
+    tokens.push(this.makeToken(TOKEN_TYPES.EOF, undefined, this.position()));
     return tokens;
   }
 }
 
-module.exports = { Lexer, TOKEN_TYPES };
+module.exports = { Lexer, TOKEN_TYPES, KEYWORDS };
@@ -4,6 +4,7 @@
  */
 
 const { TOKEN_TYPES } = require('./lexer');
+const { isFloatLiteral } = require('./types');
 
 // Helper to check if token is a type keyword
 function isTypeToken(tokenType) {
@@ -157,6 +158,13 @@ function isTypeToken(tokenType) {
   ].includes(tokenType);
 }
 
+// Built-in type keywords that take element types: List<T>, Map<K, V>.
+// Named types (Array<T, N>, user generic classes) may always take type arguments.
+const GENERIC_COLLECTION_TYPES = ['List', 'Map'];
+
+// What a range-constrained variable does with a value outside its range
+const RANGE_POLICIES = ['clamp', 'wrap', 'trap'];
+
 // Convert token type to string representation
 function tokenTypeToString(tokenType) {
   const typeMap = {
@@ -337,19 +345,48 @@ function transformToNaturalSyntax(varType, init) {
       args = [init];
     }
     
+    // The generated node covers the same source span as the value it replaces
+    const { line, column, endLine, endColumn, source } = init;
     return {
       type: 'NewExpression',
       className: varType,
-      arguments: args
+      arguments: args,
+      line,
+      column,
+      endLine,
+      endColumn,
+      ...(source ? { source } : {})
     };
   }
   return init;
 }
 
+// Tokens that can begin a statement; used to find where to resume after a syntax error
+const STATEMENT_START_TOKENS = [
+  TOKEN_TYPES.MAIN, TOKEN_TYPES.CLASS, TOKEN_TYPES.INTERFACE, TOKEN_TYPES.FUNCTION, TOKEN_TYPES.FN,
+  TOKEN_TYPES.CONST, TOKEN_TYPES.MUT, TOKEN_TYPES.ENUM, TOKEN_TYPES.STRUCT,
+  TOKEN_TYPES.ON, TOKEN_TYPES.INTERRUPT, TOKEN_TYPES.SIGNAL, TOKEN_TYPES.TASK,
+  TOKEN_TYPES.USE, TOKEN_TYPES.LOAD, TOKEN_TYPES.ALIAS, TOKEN_TYPES.CONFIG, TOKEN_TYPES.REACT,
+  TOKEN_TYPES.IF, TOKEN_TYPES.WHILE, TOKEN_TYPES.FOR, TOKEN_TYPES.REPEAT, TOKEN_TYPES.RETURN,
+  TOKEN_TYPES.MATCH, TOKEN_TYPES.SWITCH, TOKEN_TYPES.EMIT, TOKEN_TYPES.WAIT,
+  TOKEN_TYPES.TIMEOUT, TOKEN_TYPES.ATOMIC, TOKEN_TYPES.AT, TOKEN_TYPES.IDENTIFIER,
+  TOKEN_TYPES.THIS, TOKEN_TYPES.SELF, TOKEN_TYPES.SUPER
+];
+
 class Parser {
-  constructor(tokens) {
+  constructor(tokens, options = {}) {
     this.tokens = tokens;
     this.pos = 0;
+    // Path of the file being parsed (set for loaded modules), recorded on every node
+    this.sourceFile = options.sourceFile || null;
+    // In recovery mode syntax errors are collected in `errors` instead of thrown
+    this.recover = options.recover || false;
+    this.errors = [];
+    // Structs declared in this file, so that `Point { x: 1 }` is read as a struct
+    // literal rather than a name followed by a block
+    this.structNames = new Set(tokens
+      .filter((token, i) => i > 0 && tokens[i - 1].type === TOKEN_TYPES.STRUCT && token.type === TOKEN_TYPES.IDENTIFIER)
+      .map(token => token.value));
   }
 
   peek(offset = 0) {
@@ -369,7 +406,7 @@ class Parser {
     const token = this.peek();
     if (token.type !== type) {
       // Provide friendly error messages
-      let errorMsg = `Syntax Error at line ${token.line}: `;
+      let errorMsg = '';
       let tip = '';
       
       // Map token types to user-friendly names
@@ -396,20 +433,114 @@ class Parser {
       
       // Add contextual tips
       if (type === TOKEN_TYPES.RBRACE && token.type === TOKEN_TYPES.EOF) {
-        tip = "\nTip: Did you forget a closing brace '}'?";
+        tip = "Did you forget a closing brace '}'?";
       } else if (type === TOKEN_TYPES.RPAREN && token.type === TOKEN_TYPES.LBRACE) {
-        tip = "\nTip: Did you forget a closing parenthesis ')'?";
+        tip = "Did you forget a closing parenthesis ')'?";
       } else if (type === TOKEN_TYPES.IDENTIFIER && isTypeToken(token.type)) {
-        tip = "\nTip: Expected a variable or function name after the type.";
+        tip = 'Expected a variable or function name after the type.';
       } else if (isTypeToken(type) && token.type === TOKEN_TYPES.IDENTIFIER) {
-        tip = "\nTip: Variables must start with a type. Use: int, float, bool, or string.";
+        tip = 'Variables must start with a type. Use: int, float, bool, or string.';
       }
       
-      throw new Error(errorMsg + tip);
+      throw this.error(errorMsg, token, tip ? [tip] : []);
     }
     return this.advance();
   }
 
+  // Build a syntax error located at `token` (the caller throws it).
+  // The structured form is kept on the error so recovery mode can collect it.
+  error(message, token = this.peek(), notes = []) {
+    const tips = notes.map(note => `\nTip: ${note}`).join('');
+    const error = new Error(`Syntax Error at line ${token.line}, column ${token.column}: ${message}${tips}`);
+    error.syntaxError = {
+      severity: 'error',
+      code: 'YS0900',
+      message,
+      line: token.line,
+      column: token.column,
+      endLine: token.endLine,
+      endColumn: token.endColumn
+    };
+    if (notes.length > 0) {
+      error.syntaxError.notes = notes;
+    }
+    if (this.sourceFile) {
+      error.syntaxError.source = this.sourceFile;
+    }
+    return error;
+  }
+
+  // Parse one statement with `parseFn`. In recovery mode a syntax error is recorded
+  // and the parser skips to the next statement boundary instead of aborting.
+  parseWithRecovery(parseFn) {
+    if (!this.recover) {
+      return parseFn.call(this);
+    }
+
+    const startPos = this.pos;
+    try {
+      return parseFn.call(this);
+    } catch (error) {
+      if (!error.syntaxError) throw error;
+      this.errors.push(error.syntaxError);
+      this.synchronize(startPos);
+      return null;
+    }
+  }
+
+  // Panic-mode recovery: skip tokens until a statement keyword starts a new line,
+  // a '}' closes the enclosing block, or the input ends. Braced blocks are skipped whole,
+  // including any the failed statement had already opened (e.g. a class body).
+  synchronize(startPos) {
+    // Always make progress so a statement that fails on its first token cannot loop
+    if (this.pos === startPos) {
+      this.advance();
+    }
+
+    let depth = 0;
+    for (let i = startPos; i < this.pos; i++) {
+      if (this.tokens[i].type === TOKEN_TYPES.LBRACE) depth++;
+      if (this.tokens[i].type === TOKEN_TYPES.RBRACE) depth--;
+    }
+    depth = Math.max(depth, 0);
+
+    while (this.peek().type !== TOKEN_TYPES.EOF) {
+      const token = this.peek();
+      const previous = this.tokens[this.pos - 1];
+
+      if (token.type === TOKEN_TYPES.LBRACE) {
+        depth++;
+      } else if (token.type === TOKEN_TYPES.RBRACE) {
+        if (depth === 0) return;
+        depth--;
+      } else if (depth === 0) {
+        if (token.type === TOKEN_TYPES.SEMICOLON) {
+          this.advance();
+          return;
+        }
+        const startsLine = !previous || token.line > previous.endLine;
+        if (startsLine && (STATEMENT_START_TOKENS.includes(token.type) || isTypeToken(token.type))) {
+          return;
+        }
+      }
+      this.advance();
+    }
+  }
+
+  // Record the source span of a node: from its first token to the last consumed token.
+  // Columns are 1-based; endColumn points just past the last character.
+  finishNode(node, startToken) {
+    const endToken = this.tokens[this.pos - 1] || startToken;
+    node.line = startToken.line;
+    node.column = startToken.column;
+    node.endLine = endToken.endLine !== undefined ? endToken.endLine : endToken.line;
+    node.endColumn = endToken.endColumn !== undefined ? endToken.endColumn : endToken.column;
+    if (this.sourceFile) {
+      node.source = this.sourceFile;
+    }
+    return node;
+  }
+
   // Optional expect - doesn't throw error if not found, just consumes if present
   optionalExpect(type) {
     if (this.peek().type === type) {
@@ -419,6 +550,7 @@ class Parser {
   }
 
   parse() {
+    const start = this.peek();
     const ast = {
       type: 'Program',
       body: [],
@@ -426,13 +558,13 @@ class Parser {
     };
 
     while (this.peek().type !== TOKEN_TYPES.EOF) {
-      const stmt = this.parseTopLevelStatement();
+      const stmt = this.parseWithRecovery(this.parseTopLevelStatement);
       if (stmt) {
         ast.body.push(stmt);
       }
     }
 
-    return ast;
+    return this.finishNode(ast, start);
   }
 
   parseTopLevelStatement() {
@@ -443,6 +575,8 @@ class Parser {
         return this.parseMainDirective();
       case TOKEN_TYPES.CLASS:
         return this.parseClassDeclaration();
+      case TOKEN_TYPES.INTERFACE:
+        return this.parseInterfaceDeclaration();
       case TOKEN_TYPES.FUNCTION:
       case TOKEN_TYPES.FN:
         return this.parseFunctionDeclaration();
@@ -480,7 +614,7 @@ class Parser {
         if (token.type === TOKEN_TYPES.IDENTIFIER) {
           return this.parseClassInstanceDeclaration();
         }
-        throw new Error(`Unexpected top-level token ${token.type} at line ${token.line}`);
+        throw this.error(`Unexpected top-level token ${token.type}`, token);
     }
   }
 
@@ -499,15 +633,17 @@ class Parser {
   }
 
   parseMainDirective() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.MAIN);
-    return {
+    return this.finishNode({
       type: 'MainDirective'
-    };
+    }, start);
   }
 
   parseClassInstanceDeclaration() {
+    const start = this.peek();
     const baseClassName = this.expect(TOKEN_TYPES.IDENTIFIER).value;
-    const className = this.parseNamespacedType(baseClassName);
+    const className = this.parseTypeArguments(this.parseNamespacedType(baseClassName));
     
     const varName = this.expect(TOKEN_TYPES.IDENTIFIER).value;
     
@@ -518,32 +654,53 @@ class Parser {
     }
     this.optionalExpect(TOKEN_TYPES.SEMICOLON);
 
-    return {
+    return this.finishNode({
       type: 'VariableDeclaration',
       kind: 'var',
       varType: className, // class type
       name: varName,
       init
-    };
+    }, start);
   }
 
   parseClassDeclaration() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.CLASS);
     const name = this.expect(TOKEN_TYPES.IDENTIFIER).value;
+    const typeParameters = this.parseTypeParameters();
+
+    let superClass = null;
+    if (this.peek().type === TOKEN_TYPES.EXTENDS) {
+      this.advance();
+      superClass = this.parseType();
+    }
+    const interfaces = [];
+    if (this.peek().type === TOKEN_TYPES.IMPLEMENTS) {
+      this.advance();
+      interfaces.push(this.parseType());
+      while (this.peek().type === TOKEN_TYPES.COMMA) {
+        this.advance();
+        interfaces.push(this.parseType());
+      }
+    }
     this.expect(TOKEN_TYPES.LBRACE);
 
     const properties = [];
     const methods = [];
-    let constructor = null;
+    const constructors = [];
 
     while (this.peek().type !== TOKEN_TYPES.RBRACE && this.peek().type !== TOKEN_TYPES.EOF) {
+      const start = this.peek();
+      const modifiers = this.parseMemberModifiers();
       const token = this.peek();
+      const propertyCount = properties.length;
       
       if (token.type === TOKEN_TYPES.CONSTRUCTOR) {
-        if (constructor) {
-          throw new Error(`Class ${name} cannot have multiple constructors at line ${token.line}`);
+        if (modifiers.isStatic) {
+          throw this.error(`Constructor of ${name} cannot be static`, start);
         }
-        constructor = this.parseConstructor();
+        constructors.push(Object.assign(this.parseConstructor(start), { visibility: modifiers.visibility }));
+        continue;
       } else if (token.type === TOKEN_TYPES.MUT || token.type === TOKEN_TYPES.CONST) {
         // Property with mut/const prefix
         const isMut = token.type === TOKEN_TYPES.MUT;
@@ -558,52 +715,36 @@ class Parser {
         }
         this.optionalExpect(TOKEN_TYPES.SEMICOLON);
         
-        properties.push({
+        properties.push(this.finishNode({
           type: 'PropertyDeclaration',
           propertyType: propType,
           name: propName,
           isMut,
           init
-        });
-      } else if (token.type === TOKEN_TYPES.FN) {
-        // Method with fn keyword
-        this.advance();
-        const methodName = this.expect(TOKEN_TYPES.IDENTIFIER).value;
-        this.expect(TOKEN_TYPES.LPAREN);
-        
-        const params = [];
-        while (this.peek().type !== TOKEN_TYPES.RPAREN) {
-          const paramType = this.parseType();
-          const paramName = this.expect(TOKEN_TYPES.IDENTIFIER).value;
-          params.push({ type: paramType, name: paramName });
-          
-          if (this.peek().type === TOKEN_TYPES.COMMA) {
-            this.advance();
-          }
-        }
-        this.expect(TOKEN_TYPES.RPAREN);
-        
-        // Optional return type indicator
-        let returnType = 'void';
-        if (this.peek().type === TOKEN_TYPES.ARROW) {
+        }, start));
+      } else if (token.type === TOKEN_TYPES.FN || token.type === TOKEN_TYPES.OVERRIDE) {
+        // Method with fn keyword, optionally marked as overriding a base method
+        const isOverride = token.type === TOKEN_TYPES.OVERRIDE;
+        if (isOverride) {
           this.advance();
-          returnType = this.parseType();
         }
-        
+        this.expect(TOKEN_TYPES.FN);
+        const signature = this.parseMethodSignature();
         const body = this.parseBlock();
         
         // If no explicit return type, infer it
-        if (returnType === 'void') {
-          returnType = this.inferReturnType(body);
-        }
+        const returnTypeInferred = signature.returnType === null;
+        const returnType = returnTypeInferred ? this.inferReturnType(body) : signature.returnType;
         
-        methods.push({
+        methods.push(this.finishNode({
           type: 'MethodDeclaration',
           returnType,
-          name: methodName,
-          params,
+          returnTypeInferred,
+          name: signature.name,
+          params: signature.params,
+          isOverride,
           body
-        });
+        }, start));
       } else if (isTypeToken(token.type)) {
         // Could be a property or method
         const typeToken = this.advance();
@@ -617,47 +758,175 @@ class Parser {
           properties.push(this.parsePropertyDeclaration(typeToken, memberName));
         }
       } else {
-        throw new Error(`Unexpected token ${token.type} in class body at line ${token.line}`);
+        throw this.error(`Unexpected token ${token.type} in class body`, token);
       }
+
+      // The member just parsed carries its modifiers
+      Object.assign(properties.length > propertyCount ? properties[propertyCount] : methods[methods.length - 1], modifiers);
     }
 
     this.expect(TOKEN_TYPES.RBRACE);
 
-    return {
+    return this.finishNode({
       type: 'ClassDeclaration',
       name,
+      typeParameters,
+      superClass,
+      interfaces,
       properties,
       methods,
-      constructor
-    };
+      constructors,
+      // The first constructor, for tools written before constructors could be overloaded
+      constructor: constructors[0] || null
+    }, start);
   }
 
-  parseConstructor() {
-    this.expect(TOKEN_TYPES.CONSTRUCTOR);
+  // `pub`, `priv` and `static` before a class member, in any order. A visibility
+  // of null means the member has the default visibility from the config.
+  parseMemberModifiers() {
+    const modifiers = { visibility: null, isStatic: false };
+    const seen = new Set();
+    while ([TOKEN_TYPES.PUB, TOKEN_TYPES.PRIV, TOKEN_TYPES.STATIC].includes(this.peek().type)) {
+      const token = this.advance();
+      if (seen.has(token.type)) {
+        throw this.error(`Duplicate modifier '${token.value}'`, token);
+      }
+      seen.add(token.type);
+      if (token.type === TOKEN_TYPES.STATIC) {
+        modifiers.isStatic = true;
+      } else if (modifiers.visibility) {
+        throw this.error(`A member cannot be both pub and priv`, token);
+      } else {
+        modifiers.visibility = token.type === TOKEN_TYPES.PUB ? 'public' : 'private';
+      }
+    }
+    return modifiers;
+  }
+
+  // Parenthesized parameter list. A parameter may have a default value
+  // (`int ramp = 0`), and every parameter after it must have one too.
+  parseParameters() {
     this.expect(TOKEN_TYPES.LPAREN);
-    
+
     const params = [];
     while (this.peek().type !== TOKEN_TYPES.RPAREN) {
       const paramType = this.parseType();
-      const paramName = this.expect(TOKEN_TYPES.IDENTIFIER).value;
-      params.push({ type: paramType, name: paramName });
-      
+      const nameToken = this.expect(TOKEN_TYPES.IDENTIFIER);
+      const param = { type: paramType, name: nameToken.value };
+      const range = this.parseRangeConstraint();
+      if (range) {
+        param.range = range;
+      }
+      if (this.peek().type === TOKEN_TYPES.ASSIGN) {
+        this.advance();
+        param.defaultValue = this.parseExpression();
+      } else if (params.some(p => p.defaultValue)) {
+        throw this.error(`Parameter '${param.name}' needs a default value, as it follows a parameter that has one`, nameToken);
+      }
+      params.push(param);
+
       if (this.peek().type === TOKEN_TYPES.COMMA) {
         this.advance();
       }
     }
     this.expect(TOKEN_TYPES.RPAREN);
+    return params;
+  }
+
+  // Parenthesized call arguments. Named arguments (`speed: 100`) come after the
+  // positional ones and are matched to parameters by the analyzer.
+  parseArguments() {
+    this.expect(TOKEN_TYPES.LPAREN);
+
+    const args = [];
+    while (this.peek().type !== TOKEN_TYPES.RPAREN) {
+      const token = this.peek();
+      if (token.type === TOKEN_TYPES.IDENTIFIER && this.peek(1).type === TOKEN_TYPES.COLON) {
+        if (args.some(arg => arg.type === 'NamedArgument' && arg.name === token.value)) {
+          throw this.error(`Argument '${token.value}' is given twice`, token);
+        }
+        this.advance();
+        this.advance();
+        args.push(this.finishNode({ type: 'NamedArgument', name: token.value, value: this.parseExpression() }, token));
+      } else if (args.some(arg => arg.type === 'NamedArgument')) {
+        throw this.error('Positional arguments must come before named arguments', token);
+      } else {
+        args.push(this.parseExpression());
+      }
+
+      if (this.peek().type === TOKEN_TYPES.COMMA) {
+        this.advance();
+      }
+    }
+    this.expect(TOKEN_TYPES.RPAREN);
+    return args;
+  }
+
+  // Name, parameters and optional `-> type` of a method, after `fn`. The return type is
+  // null when it is not written.
+  parseMethodSignature() {
+    const name = this.expect(TOKEN_TYPES.IDENTIFIER).value;
+    const params = this.parseParameters();
+    
+    let returnType = null;
+    if (this.peek().type === TOKEN_TYPES.ARROW) {
+      this.advance();
+      returnType = this.parseType();
+    }
+    return { name, params, returnType };
+  }
+
+  // interface Drivable { fn setSpeed(int speed) fn stop() }
+  parseInterfaceDeclaration() {
+    const start = this.peek();
+    this.expect(TOKEN_TYPES.INTERFACE);
+    const name = this.expect(TOKEN_TYPES.IDENTIFIER).value;
+    this.expect(TOKEN_TYPES.LBRACE);
+
+    const methods = [];
+    while (this.peek().type !== TOKEN_TYPES.RBRACE && this.peek().type !== TOKEN_TYPES.EOF) {
+      const token = this.peek();
+      if (token.type !== TOKEN_TYPES.FN) {
+        throw this.error(`Expected method signature in interface ${name} but got ${token.type}`, token);
+      }
+      this.advance();
+      const signature = this.parseMethodSignature();
+      if (this.peek().type === TOKEN_TYPES.LBRACE) {
+        throw this.error(`Interface method '${signature.name}' cannot have a body`, this.peek());
+      }
+      this.optionalExpect(TOKEN_TYPES.SEMICOLON);
+      methods.push(this.finishNode({
+        type: 'MethodSignature',
+        name: signature.name,
+        params: signature.params,
+        returnType: signature.returnType || 'void'
+      }, token));
+    }
+    this.expect(TOKEN_TYPES.RBRACE);
+
+    return this.finishNode({
+      type: 'InterfaceDeclaration',
+      name,
+      methods
+    }, start);
+  }
+
+  // `start` is the first modifier written before `constructor`, if any
+  parseConstructor(start = this.peek()) {
+    this.expect(TOKEN_TYPES.CONSTRUCTOR);
+    const params = this.parseParameters();
     
     const body = this.parseBlock();
 
-    return {
+    return this.finishNode({
       type: 'Constructor',
       params,
       body
-    };
+    }, start);
   }
 
   parsePropertyDeclaration(typeToken, name) {
+    const start = typeToken;
     const propType = tokenTypeToString(typeToken.type);
     
     let init = null;
@@ -668,42 +937,32 @@ class Parser {
     
     this.optionalExpect(TOKEN_TYPES.SEMICOLON);
 
-    return {
+    return this.finishNode({
       type: 'PropertyDeclaration',
       propertyType: propType,
       name,
       init
-    };
+    }, start);
   }
 
   parseMethodDeclaration(typeToken, name) {
+    const start = typeToken;
     const returnType = tokenTypeToString(typeToken.type);
-    this.expect(TOKEN_TYPES.LPAREN);
-    
-    const params = [];
-    while (this.peek().type !== TOKEN_TYPES.RPAREN) {
-      const paramType = this.parseType();
-      const paramName = this.expect(TOKEN_TYPES.IDENTIFIER).value;
-      params.push({ type: paramType, name: paramName });
-      
-      if (this.peek().type === TOKEN_TYPES.COMMA) {
-        this.advance();
-      }
-    }
-    this.expect(TOKEN_TYPES.RPAREN);
+    const params = this.parseParameters();
     
     const body = this.parseBlock();
 
-    return {
+    return this.finishNode({
       type: 'MethodDeclaration',
       returnType,
       name,
       params,
       body
-    };
+    }, start);
   }
 
   parseFunctionDeclaration() {
+    const start = this.peek();
     // Accept either 'function' or 'fn'
     if (this.peek().type === TOKEN_TYPES.FUNCTION) {
       this.expect(TOKEN_TYPES.FUNCTION);
@@ -718,19 +977,8 @@ class Parser {
     }
     
     const name = this.expect(TOKEN_TYPES.IDENTIFIER).value;
-    this.expect(TOKEN_TYPES.LPAREN);
-    
-    const params = [];
-    while (this.peek().type !== TOKEN_TYPES.RPAREN) {
-      const paramType = this.parseType();
-      const paramName = this.expect(TOKEN_TYPES.IDENTIFIER).value;
-      params.push({ type: paramType, name: paramName });
-      
-      if (this.peek().type === TOKEN_TYPES.COMMA) {
-        this.advance();
-      }
-    }
-    this.expect(TOKEN_TYPES.RPAREN);
+    const typeParameters = this.parseTypeParameters();
+    const params = this.parseParameters();
     
     // Check for -> return type
     if (this.peek().type === TOKEN_TYPES.ARROW) {
@@ -741,17 +989,20 @@ class Parser {
     const body = this.parseBlock();
 
     // If return type wasn't specified, infer it from return statements
-    if (!returnType) {
+    const returnTypeInferred = !returnType;
+    if (returnTypeInferred) {
       returnType = this.inferReturnType(body);
     }
 
-    return {
+    return this.finishNode({
       type: 'FunctionDeclaration',
       returnType,
+      returnTypeInferred,
       name,
+      typeParameters,
       params,
       body
-    };
+    }, start);
   }
 
   // Infer return type from function body
@@ -789,7 +1040,7 @@ class Parser {
     switch (expr.type) {
       case 'Literal':
         if (expr.valueType === 'number') {
-          return Number.isInteger(expr.value) ? 'int' : 'float';
+          return isFloatLiteral(expr) ? 'float' : 'int';
         } else if (expr.valueType === 'boolean') {
           return 'bool';
         } else if (expr.valueType === 'string') {
@@ -824,14 +1075,92 @@ class Parser {
     const token = this.peek();
     if (isTypeToken(token.type)) {
       this.advance();
-      return tokenTypeToString(token.type);
+      const typeName = tokenTypeToString(token.type);
+      return GENERIC_COLLECTION_TYPES.includes(typeName) ? this.parseTypeArguments(typeName) : typeName;
     }
     // Allow identifiers as types (for structs, enums, and classes)
     if (token.type === TOKEN_TYPES.IDENTIFIER) {
       const baseTypeName = this.advance().value;
-      return this.parseNamespacedType(baseTypeName);
+      return this.parseTypeArguments(this.parseNamespacedType(baseTypeName));
+    }
+    if (token.type === TOKEN_TYPES.FN) {
+      return this.parseFunctionType();
+    }
+    throw this.error(`Expected type but got ${token.type}`, token);
+  }
+
+  // Function type: fn(int, int) -> bool. Without '->' the function returns nothing.
+  parseFunctionType() {
+    this.expect(TOKEN_TYPES.FN);
+    this.expect(TOKEN_TYPES.LPAREN);
+    const paramTypes = [];
+    while (this.peek().type !== TOKEN_TYPES.RPAREN) {
+      paramTypes.push(this.parseType());
+      if (this.peek().type !== TOKEN_TYPES.COMMA) break;
+      this.advance();
+    }
+    this.expect(TOKEN_TYPES.RPAREN);
+
+    let returnType = 'void';
+    if (this.peek().type === TOKEN_TYPES.ARROW) {
+      this.advance();
+      returnType = this.parseType();
+    }
+    const type = `fn(${paramTypes.join(', ')})`;
+    return returnType === 'void' ? type : `${type} -> ${returnType}`;
+  }
+
+  // Type arguments of generic types: List<int>, Map<string, List<u8>>, Array<int, 8>, Filter<float>
+  parseTypeArguments(baseTypeName) {
+    if (this.peek().type !== TOKEN_TYPES.LESS_THAN) {
+      return baseTypeName;
+    }
+    this.advance();
+
+    const typeArgs = [this.parseTypeArgument()];
+    while (this.peek().type === TOKEN_TYPES.COMMA) {
+      this.advance();
+      typeArgs.push(this.parseTypeArgument());
+    }
+
+    // The lexer reads the '>>' closing nested lists as a shift; take one '>' and leave the other
+    const token = this.peek();
+    if (token.type === TOKEN_TYPES.SHIFT_RIGHT) {
+      this.tokens[this.pos] = { ...token, type: TOKEN_TYPES.GREATER_THAN, value: '>', column: token.column + 1 };
+    } else {
+      this.expect(TOKEN_TYPES.GREATER_THAN);
     }
-    throw new Error(`Expected type but got ${token.type} at line ${token.line}`);
+
+    return `${baseTypeName}<${typeArgs.join(', ')}>`;
+  }
+
+  // Type parameters of a generic class or function: `class Filter<T>`, `fn clamp<T>(...)`
+  parseTypeParameters() {
+    const typeParameters = [];
+    if (this.peek().type !== TOKEN_TYPES.LESS_THAN) {
+      return typeParameters;
+    }
+    this.advance();
+
+    do {
+      if (typeParameters.length > 0) this.expect(TOKEN_TYPES.COMMA);
+      const token = this.expect(TOKEN_TYPES.IDENTIFIER);
+      if (typeParameters.includes(token.value)) {
+        throw this.error(`Duplicate type parameter '${token.value}'`, token);
+      }
+      typeParameters.push(token.value);
+    } while (this.peek().type === TOKEN_TYPES.COMMA);
+    this.expect(TOKEN_TYPES.GREATER_THAN);
+
+    return typeParameters;
+  }
+
+  // A type, or the capacity of a fixed collection (checked by the semantic analyzer)
+  parseTypeArgument() {
+    if (this.peek().type === TOKEN_TYPES.NUMBER) {
+      return String(this.advance().value);
+    }
+    return this.parseType();
   }
 
   parseBlock() {
@@ -839,7 +1168,7 @@ class Parser {
     const statements = [];
     
     while (this.peek().type !== TOKEN_TYPES.RBRACE && this.peek().type !== TOKEN_TYPES.EOF) {
-      const stmt = this.parseStatement();
+      const stmt = this.parseWithRecovery(this.parseStatement);
       if (stmt) {
         statements.push(stmt);
       }
@@ -863,6 +1192,9 @@ class Parser {
         return this.parseRepeatStatement();
       case TOKEN_TYPES.RETURN:
         return this.parseReturnStatement();
+      case TOKEN_TYPES.BREAK:
+      case TOKEN_TYPES.CONTINUE:
+        return this.parseLoopExit();
       case TOKEN_TYPES.CONST:
       case TOKEN_TYPES.MUT:
         return this.parseVariableDeclaration();
@@ -889,6 +1221,9 @@ class Parser {
         // Look ahead to see if we have: IDENTIFIER IDENTIFIER or IDENTIFIER DOT IDENTIFIER IDENTIFIER
         if (token.type === TOKEN_TYPES.IDENTIFIER) {
           const next = this.peek(1);
+          if (next.type === TOKEN_TYPES.COLON) {
+            return this.parseLabeledLoop();
+          }
           if (next.type === TOKEN_TYPES.DOT) {
             // Could be namespace.Type varName
             const afterDot = this.peek(2);
@@ -906,6 +1241,7 @@ class Parser {
   }
 
   parseIfStatement() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.IF);
     this.expect(TOKEN_TYPES.LPAREN);
     const test = this.parseExpression();
@@ -924,15 +1260,16 @@ class Parser {
       }
     }
 
-    return {
+    return this.finishNode({
       type: 'IfStatement',
       test,
       consequent,
       alternate
-    };
+    }, start);
   }
 
   parseWhileStatement() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.WHILE);
     this.expect(TOKEN_TYPES.LPAREN);
     const test = this.parseExpression();
@@ -940,15 +1277,19 @@ class Parser {
     
     const body = this.parseBlock();
 
-    return {
+    return this.finishNode({
       type: 'WhileStatement',
       test,
       body
-    };
+    }, start);
   }
 
   parseForStatement() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.FOR);
+    if (this.peek().type === TOKEN_TYPES.IDENTIFIER && this.peek(1).type === TOKEN_TYPES.IN) {
+      return this.parseForInStatement(start);
+    }
     this.expect(TOKEN_TYPES.LPAREN);
     
     // Simple for loop: for (int i = 0; i < 10; i = i + 1)
@@ -966,7 +1307,7 @@ class Parser {
     
     const body = this.parseBlock();
 
-    return {
+    return this.finishNode({
       type: 'ForStatement',
       varType,
       variable,
@@ -974,10 +1315,47 @@ class Parser {
       test,
       update,
       body
-    };
+    }, start);
+  }
+
+  // Range and collection loops: for i in 0...10 step 2 { }, for x in items { }
+  parseForInStatement(start) {
+    const variable = this.expect(TOKEN_TYPES.IDENTIFIER).value;
+    this.expect(TOKEN_TYPES.IN);
+    // Bounds stop before '...' and 'step', like range constraints
+    const iterable = this.parseLogicalOr();
+
+    if (this.peek().type !== TOKEN_TYPES.RANGE) {
+      const body = this.parseBlock();
+      return this.finishNode({
+        type: 'ForEachStatement',
+        variable,
+        iterable,
+        body
+      }, start);
+    }
+
+    this.advance(); // consume '...'
+    const end = this.parseLogicalOr();
+    let step = null;
+    if (this.peek().type === TOKEN_TYPES.IDENTIFIER && this.peek().value === 'step') {
+      this.advance();
+      step = this.parseLogicalOr();
+    }
+    const body = this.parseBlock();
+
+    return this.finishNode({
+      type: 'ForRangeStatement',
+      variable,
+      start: iterable,
+      end,
+      step,
+      body
+    }, start);
   }
 
   parseRepeatStatement() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.REPEAT);
     this.expect(TOKEN_TYPES.LPAREN);
     const count = this.parseExpression();
@@ -985,14 +1363,53 @@ class Parser {
     
     const body = this.parseBlock();
 
-    return {
+    return this.finishNode({
       type: 'RepeatStatement',
       count,
       body
+    }, start);
+  }
+
+  // Labeled loop: outer: while (...) { ... break outer ... }
+  parseLabeledLoop() {
+    const start = this.peek();
+    const label = this.expect(TOKEN_TYPES.IDENTIFIER).value;
+    this.expect(TOKEN_TYPES.COLON);
+
+    const loopParsers = {
+      [TOKEN_TYPES.WHILE]: this.parseWhileStatement,
+      [TOKEN_TYPES.FOR]: this.parseForStatement,
+      [TOKEN_TYPES.REPEAT]: this.parseRepeatStatement,
+      [TOKEN_TYPES.TIMEOUT]: this.parseTimeoutStatement
     };
+    const parseLoop = loopParsers[this.peek().type];
+    if (!parseLoop) {
+      throw this.error(`Expected a loop after label '${label}'`, this.peek(),
+        ['Only while, for, repeat and timeout loops can have a label.']);
+    }
+
+    const loop = parseLoop.call(this);
+    loop.label = label;
+    return this.finishNode(loop, start);
+  }
+
+  // break / continue, with an optional loop label on the same line
+  parseLoopExit() {
+    const start = this.advance();
+    let label = null;
+    if (this.peek().type === TOKEN_TYPES.IDENTIFIER && this.peek().line === start.line) {
+      label = this.advance().value;
+    }
+    this.optionalExpect(TOKEN_TYPES.SEMICOLON);
+
+    return this.finishNode({
+      type: start.type === TOKEN_TYPES.BREAK ? 'BreakStatement' : 'ContinueStatement',
+      label
+    }, start);
   }
 
   parseReturnStatement() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.RETURN);
     let argument = null;
     
@@ -1001,13 +1418,14 @@ class Parser {
     }
     this.optionalExpect(TOKEN_TYPES.SEMICOLON);
 
-    return {
+    return this.finishNode({
       type: 'ReturnStatement',
       argument
-    };
+    }, start);
   }
 
   parseVariableDeclaration() {
+    const start = this.peek();
     // Accept either 'const' or 'mut'
     let kind = 'const';
     if (this.peek().type === TOKEN_TYPES.CONST) {
@@ -1017,20 +1435,33 @@ class Parser {
       this.expect(TOKEN_TYPES.MUT);
       kind = 'var'; // mut maps to var in C++
     }
-    
+
+    // `mut count = 0` leaves the type to the analyzer, which infers it from the initializer
+    if (this.peek().type === TOKEN_TYPES.IDENTIFIER && this.peek(1).type === TOKEN_TYPES.ASSIGN) {
+      const name = this.advance().value;
+      this.advance();
+      const init = this.parseExpression();
+      this.optionalExpect(TOKEN_TYPES.SEMICOLON);
+      return this.finishNode({
+        type: 'VariableDeclaration',
+        kind,
+        varType: null,
+        typeInferred: true,
+        name,
+        init,
+        range: null
+      }, start);
+    }
+
+    const typeToken = this.peek();
     const varType = this.parseType();
-    const name = this.expect(TOKEN_TYPES.IDENTIFIER).value;
-    
-    // Check for range specification (in min...max)
-    let range = null;
-    if (this.peek().type === TOKEN_TYPES.IN) {
-      this.advance(); // consume 'in'
-      const min = this.parseExpression();
-      this.expect(TOKEN_TYPES.RANGE); // expect '...'
-      const max = this.parseExpression();
-      range = { min, max };
+    if (typeToken.type === TOKEN_TYPES.IDENTIFIER && varType === typeToken.value && this.peek().type !== TOKEN_TYPES.IDENTIFIER) {
+      throw this.error(`Variable '${varType}' needs a type or an initial value`, typeToken);
     }
+    const name = this.expect(TOKEN_TYPES.IDENTIFIER).value;
     
+    const range = this.parseRangeConstraint();
+
     let init = null;
     if (this.peek().type === TOKEN_TYPES.ASSIGN) {
       this.advance();
@@ -1039,17 +1470,39 @@ class Parser {
     }
     this.optionalExpect(TOKEN_TYPES.SEMICOLON);
 
-    return {
+    return this.finishNode({
       type: 'VariableDeclaration',
       kind,
       varType,
       name,
       init,
       range
-    };
+    }, start);
+  }
+
+  // `in min...max` after a variable or parameter name, optionally followed by the
+  // policy for values outside it: clamp (the default), wrap or trap
+  parseRangeConstraint() {
+    if (this.peek().type !== TOKEN_TYPES.IN) return null;
+    this.advance();
+    // Bounds stop before '=' so the initializer is not swallowed as an assignment
+    const min = this.parseLogicalOr();
+    this.expect(TOKEN_TYPES.RANGE);
+    const max = this.parseLogicalOr();
+    const range = { min, max };
+
+    const token = this.peek();
+    if (token.type === TOKEN_TYPES.IDENTIFIER && token.line === this.tokens[this.pos - 1].endLine) {
+      if (!RANGE_POLICIES.includes(token.value)) {
+        throw this.error(`Unknown range policy '${token.value}'`, token, [`Use one of: ${RANGE_POLICIES.join(', ')}.`]);
+      }
+      range.policy = this.advance().value;
+    }
+    return range;
   }
 
   parseTypedVariableDeclaration() {
+    const start = this.peek();
     const varType = this.parseType();
     const name = this.expect(TOKEN_TYPES.IDENTIFIER).value;
     
@@ -1061,22 +1514,23 @@ class Parser {
     }
     this.optionalExpect(TOKEN_TYPES.SEMICOLON);
 
-    return {
+    return this.finishNode({
       type: 'VariableDeclaration',
       kind: 'var',
       varType,
       name,
       init
-    };
+    }, start);
   }
 
   parseExpressionStatement() {
+    const start = this.peek();
     const expression = this.parseExpression();
     this.optionalExpect(TOKEN_TYPES.SEMICOLON);
-    return {
+    return this.finishNode({
       type: 'ExpressionStatement',
       expression
-    };
+    }, start);
   }
 
   parseExpression() {
@@ -1084,184 +1538,251 @@ class Parser {
   }
 
   parseAssignment() {
-    let left = this.parseLogicalOr();
+    const start = this.peek();
+    let left = this.parseConditional();
 
-    if (this.peek().type === TOKEN_TYPES.ASSIGN) {
-      this.advance();
+    if (this.peek().type === TOKEN_TYPES.ASSIGN || this.peek().type === TOKEN_TYPES.COMPOUND_ASSIGN) {
+      const operator = this.advance().value;
       const right = this.parseAssignment();
-      return {
+      return this.finishNode({
         type: 'AssignmentExpression',
+        operator,
         left,
         right
-      };
+      }, start);
     }
 
     return left;
   }
 
+  // cond ? a : b (right-associative, binds looser than `or`)
+  parseConditional() {
+    const start = this.peek();
+    const test = this.parseLogicalOr();
+    if (this.peek().type !== TOKEN_TYPES.QUESTION) {
+      return test;
+    }
+
+    this.advance();
+    const consequent = this.parseAssignment();
+    this.expect(TOKEN_TYPES.COLON);
+    const alternate = this.parseConditional();
+    return this.finishNode({
+      type: 'ConditionalExpression',
+      test,
+      consequent,
+      alternate
+    }, start);
+  }
+
   parseLogicalOr() {
+    const start = this.peek();
     let left = this.parseLogicalAnd();
 
     while (this.peek().type === TOKEN_TYPES.OR) {
       const operator = 'or';
       this.advance();
       const right = this.parseLogicalAnd();
-      left = {
+      left = this.finishNode({
         type: 'BinaryExpression',
         operator,
         left,
         right
-      };
+      }, start);
     }
 
     return left;
   }
 
   parseLogicalAnd() {
+    const start = this.peek();
     let left = this.parseEquality();
 
     while (this.peek().type === TOKEN_TYPES.AND) {
       const operator = 'and';
       this.advance();
       const right = this.parseEquality();
-      left = {
+      left = this.finishNode({
         type: 'BinaryExpression',
         operator,
         left,
         right
-      };
+      }, start);
     }
 
     return left;
   }
 
   parseEquality() {
+    const start = this.peek();
     let left = this.parseComparison();
 
     while ([TOKEN_TYPES.EQUAL, TOKEN_TYPES.NOT_EQUAL].includes(this.peek().type)) {
       const operator = this.advance().value;
       const right = this.parseComparison();
-      left = {
+      left = this.finishNode({
         type: 'BinaryExpression',
         operator,
         left,
         right
-      };
+      }, start);
     }
 
     return left;
   }
 
   parseComparison() {
-    let left = this.parseAdditive();
+    const start = this.peek();
+    let left = this.parseBitwiseOr();
 
     while ([TOKEN_TYPES.LESS_THAN, TOKEN_TYPES.GREATER_THAN, 
             TOKEN_TYPES.LESS_EQUAL, TOKEN_TYPES.GREATER_EQUAL].includes(this.peek().type)) {
       const operator = this.advance().value;
-      const right = this.parseAdditive();
-      left = {
+      const right = this.parseBitwiseOr();
+      left = this.finishNode({
         type: 'BinaryExpression',
         operator,
         left,
         right
-      };
+      }, start);
+    }
+
+    return left;
+  }
+
+  // Bitwise operators bind tighter than comparisons, so `flags & MASK == 0`
+  // reads as `(flags & MASK) == 0`: | then ^ then & then shifts
+  parseBitwiseOr() {
+    return this.parseBinaryLevel([TOKEN_TYPES.BIT_OR], this.parseBitwiseXor);
+  }
+
+  parseBitwiseXor() {
+    return this.parseBinaryLevel([TOKEN_TYPES.BIT_XOR], this.parseBitwiseAnd);
+  }
+
+  parseBitwiseAnd() {
+    return this.parseBinaryLevel([TOKEN_TYPES.BIT_AND], this.parseShift);
+  }
+
+  parseShift() {
+    return this.parseBinaryLevel([TOKEN_TYPES.SHIFT_LEFT, TOKEN_TYPES.SHIFT_RIGHT], this.parseAdditive);
+  }
+
+  // Left-associative binary operators of one precedence level
+  parseBinaryLevel(operatorTypes, parseOperand) {
+    const start = this.peek();
+    let left = parseOperand.call(this);
+
+    while (operatorTypes.includes(this.peek().type)) {
+      const operator = this.advance().value;
+      const right = parseOperand.call(this);
+      left = this.finishNode({
+        type: 'BinaryExpression',
+        operator,
+        left,
+        right
+      }, start);
     }
 
     return left;
   }
 
   parseAdditive() {
+    const start = this.peek();
     let left = this.parseMultiplicative();
 
     while ([TOKEN_TYPES.PLUS, TOKEN_TYPES.MINUS].includes(this.peek().type)) {
       const operator = this.advance().value;
       const right = this.parseMultiplicative();
-      left = {
+      left = this.finishNode({
         type: 'BinaryExpression',
         operator,
         left,
         right
-      };
+      }, start);
     }
 
     return left;
   }
 
   parseMultiplicative() {
+    const start = this.peek();
     let left = this.parseUnary();
 
     while ([TOKEN_TYPES.MULTIPLY, TOKEN_TYPES.DIVIDE, TOKEN_TYPES.MODULO].includes(this.peek().type)) {
       const operator = this.advance().value;
       const right = this.parseUnary();
-      left = {
+      left = this.finishNode({
         type: 'BinaryExpression',
         operator,
         left,
         right
-      };
+      }, start);
     }
 
     return left;
   }
 
   parseUnary() {
+    const start = this.peek();
     if (this.peek().type === TOKEN_TYPES.NOT) {
       const operator = 'not';
       this.advance();
       const argument = this.parseUnary();
-      return {
+      return this.finishNode({
         type: 'UnaryExpression',
         operator,
         argument
-      };
+      }, start);
     }
     
-    if (this.peek().type === TOKEN_TYPES.MINUS) {
-      const operator = '-';
-      this.advance();
+    if (this.peek().type === TOKEN_TYPES.MINUS || this.peek().type === TOKEN_TYPES.BIT_NOT) {
+      const operator = this.advance().value;
       const argument = this.parseUnary();
-      return {
+      return this.finishNode({
         type: 'UnaryExpression',
         operator,
         argument
-      };
+      }, start);
+    }
+
+    if (this.peek().type === TOKEN_TYPES.INCREMENT || this.peek().type === TOKEN_TYPES.DECREMENT) {
+      const operator = this.advance().value;
+      const argument = this.parseUnary();
+      return this.finishNode({
+        type: 'UpdateExpression',
+        operator,
+        prefix: true,
+        argument
+      }, start);
     }
 
     return this.parsePostfix();
   }
 
   parsePostfix() {
+    const start = this.peek();
     let expr = this.parsePrimary();
 
     while (true) {
       if (this.peek().type === TOKEN_TYPES.LPAREN) {
         // Function call
-        this.advance();
-        const args = [];
-        
-        while (this.peek().type !== TOKEN_TYPES.RPAREN) {
-          args.push(this.parseExpression());
-          if (this.peek().type === TOKEN_TYPES.COMMA) {
-            this.advance();
-          }
-        }
-        
-        this.expect(TOKEN_TYPES.RPAREN);
-        expr = {
+        const args = this.parseArguments();
+        expr = this.finishNode({
           type: 'CallExpression',
           callee: expr,
           arguments: args
-        };
+        }, start);
       } else if (this.peek().type === TOKEN_TYPES.LBRACKET) {
         // Array subscript access
         this.advance();
         const index = this.parseExpression();
         this.expect(TOKEN_TYPES.RBRACKET);
-        expr = {
+        expr = this.finishNode({
           type: 'SubscriptExpression',
           array: expr,
           index
-        };
+        }, start);
       } else if (this.peek().type === TOKEN_TYPES.DOT) {
         // Member access or type conversion
         this.advance();
@@ -1275,11 +1796,11 @@ class Parser {
           this.expect(TOKEN_TYPES.LPAREN); // expect '('
           this.expect(TOKEN_TYPES.RPAREN); // expect ')'
           
-          expr = {
+          expr = this.finishNode({
             type: 'TypeConversion',
             expression: expr,
             targetType
-          };
+          }, start);
         } else {
           // Regular member access
           const token = this.peek();
@@ -1294,15 +1815,25 @@ class Parser {
             property = token.value || token.type.toLowerCase();
             this.advance();
           } else {
-            this.error(`Expected property name but got ${token.type}`);
+            throw this.error(`Expected property name but got ${token.type}`, token);
           }
           
-          expr = {
+          expr = this.finishNode({
             type: 'MemberExpression',
             object: expr,
             property
-          };
+          }, start);
         }
+      } else if ((this.peek().type === TOKEN_TYPES.INCREMENT || this.peek().type === TOKEN_TYPES.DECREMENT) &&
+                 this.peek().line === this.tokens[this.pos - 1].endLine) {
+        // Postfix x++ / x--. On a new line, ++ starts the next statement instead.
+        const operator = this.advance().value;
+        expr = this.finishNode({
+          type: 'UpdateExpression',
+          operator,
+          prefix: false,
+          argument: expr
+        }, start);
       } else if (this.peek().type === TOKEN_TYPES.EXCLAMATION) {
         // Error handling with !catch
         this.advance(); // consume '!'
@@ -1310,13 +1841,13 @@ class Parser {
           this.advance(); // consume 'catch'
           const handler = this.parseBlock();
           
-          expr = {
+          expr = this.finishNode({
             type: 'ErrorHandler',
             expression: expr,
             handler
-          };
+          }, start);
         } else {
-          throw new Error(`Expected 'catch' after '!' at line ${this.peek().line}`);
+          throw this.error(`Expected 'catch' after '!'`, this.peek());
         }
       } else {
         break;
@@ -1336,27 +1867,41 @@ class Parser {
         if (token.unit) {
           numLiteral.unit = token.unit;
         }
-        return numLiteral;
+        if (token.isFloat) {
+          numLiteral.isFloat = true;
+        }
+        return this.finishNode(numLiteral, token);
       
       case TOKEN_TYPES.STRING:
         this.advance();
-        return { type: 'Literal', value: token.value, valueType: 'string' };
+        return this.finishNode({ type: 'Literal', value: token.value, valueType: 'string' }, token);
+
+      case TOKEN_TYPES.STRING_START:
+        return this.parseInterpolatedString();
       
       case TOKEN_TYPES.BOOLEAN:
         this.advance();
-        return { type: 'Literal', value: token.value, valueType: 'boolean' };
+        return this.finishNode({ type: 'Literal', value: token.value, valueType: 'boolean' }, token);
       
       case TOKEN_TYPES.THIS:
       case TOKEN_TYPES.SELF:
         this.advance();
-        return { type: 'ThisExpression' };
+        return this.finishNode({ type: 'ThisExpression' }, token);
+
+      case TOKEN_TYPES.SUPER:
+        // super(...) in a constructor, or super.method(...)
+        this.advance();
+        return this.finishNode({ type: 'SuperExpression' }, token);
       
       case TOKEN_TYPES.NEW:
         return this.parseNewExpression();
       
       case TOKEN_TYPES.IDENTIFIER:
+        if (this.structNames.has(token.value) && this.peek(1).type === TOKEN_TYPES.LBRACE) {
+          return this.parseStructLiteral();
+        }
         this.advance();
-        return { type: 'Identifier', name: token.value, line: token.line };
+        return this.finishNode({ type: 'Identifier', name: token.value }, token);
       
       case TOKEN_TYPES.LPAREN:
         this.advance();
@@ -1366,45 +1911,116 @@ class Parser {
       
       case TOKEN_TYPES.LBRACKET:
         return this.parseArrayLiteral();
+
+      case TOKEN_TYPES.IF:
+        return this.parseIfExpression();
+
+      case TOKEN_TYPES.MATCH:
+        return this.parseMatchExpression();
+
+      case TOKEN_TYPES.FN:
+        return this.parseLambdaExpression();
       
       default:
-        throw new Error(`Unexpected token ${token.type} at line ${token.line}`);
+        throw this.error(`Unexpected token ${token.type}`, token);
     }
   }
 
+  // if (cond) { a } else { b } as a value; each branch holds a single expression
+  parseIfExpression() {
+    const start = this.peek();
+    this.expect(TOKEN_TYPES.IF);
+    this.expect(TOKEN_TYPES.LPAREN);
+    const test = this.parseExpression();
+    this.expect(TOKEN_TYPES.RPAREN);
+    const consequent = this.parseExpressionBlock();
+
+    if (this.peek().type !== TOKEN_TYPES.ELSE) {
+      throw this.error("An 'if' expression needs an 'else' branch", this.peek(), [
+        'Every branch of an if expression must produce a value.'
+      ]);
+    }
+    this.advance();
+    const alternate = this.peek().type === TOKEN_TYPES.IF
+      ? this.parseIfExpression()
+      : this.parseExpressionBlock();
+
+    return this.finishNode({
+      type: 'IfExpression',
+      test,
+      consequent,
+      alternate
+    }, start);
+  }
+
+  // fn(int x) -> bool { return x > 0 }: a function without a name, used as a value
+  parseLambdaExpression() {
+    const start = this.peek();
+    this.expect(TOKEN_TYPES.FN);
+    this.expect(TOKEN_TYPES.LPAREN);
+
+    const params = [];
+    while (this.peek().type !== TOKEN_TYPES.RPAREN) {
+      const paramType = this.parseType();
+      const paramName = this.expect(TOKEN_TYPES.IDENTIFIER).value;
+      params.push({ type: paramType, name: paramName });
+      if (this.peek().type !== TOKEN_TYPES.COMMA) break;
+      this.advance();
+    }
+    this.expect(TOKEN_TYPES.RPAREN);
+
+    let returnType = null;
+    if (this.peek().type === TOKEN_TYPES.ARROW) {
+      this.advance();
+      returnType = this.parseType();
+    }
+    const body = this.parseBlock();
+    const returnTypeInferred = !returnType;
+
+    return this.finishNode({
+      type: 'LambdaExpression',
+      params,
+      returnType: returnTypeInferred ? this.inferReturnType(body) : returnType,
+      returnTypeInferred,
+      body
+    }, start);
+  }
+
+  // { expr }
+  parseExpressionBlock() {
+    this.expect(TOKEN_TYPES.LBRACE);
+    const expression = this.parseExpression();
+    this.expect(TOKEN_TYPES.RBRACE);
+    return expression;
+  }
+
   parseNewExpression() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.NEW);
     
     // Class name can be an identifier or a type token (for hardware types)
     let className;
     const token = this.peek();
     if (isTypeToken(token.type)) {
-      className = tokenTypeToString(token.type);
       this.advance();
+      const typeName = tokenTypeToString(token.type);
+      className = GENERIC_COLLECTION_TYPES.includes(typeName) ? this.parseTypeArguments(typeName) : typeName;
     } else {
       const baseClassName = this.expect(TOKEN_TYPES.IDENTIFIER).value;
-      className = this.parseNamespacedType(baseClassName);
+      className = this.parseTypeArguments(this.parseNamespacedType(baseClassName));
     }
     
-    this.expect(TOKEN_TYPES.LPAREN);
-    
-    const args = [];
-    while (this.peek().type !== TOKEN_TYPES.RPAREN) {
-      args.push(this.parseExpression());
-      if (this.peek().type === TOKEN_TYPES.COMMA) {
-        this.advance();
-      }
-    }
-    this.expect(TOKEN_TYPES.RPAREN);
+    const args = this.parseArguments();
 
-    return {
+    return this.finishNode({
       type: 'NewExpression',
       className,
       arguments: args
-    };
+    }, start);
   }
 
   parseArrayLiteral() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.LBRACKET);
     
     const elements = [];
@@ -1413,20 +2029,21 @@ class Parser {
       if (this.peek().type === TOKEN_TYPES.COMMA) {
         this.advance();
       } else if (this.peek().type !== TOKEN_TYPES.RBRACKET) {
-        throw new Error(`Expected ',' or ']' in array literal at line ${this.peek().line}`);
+        throw this.error(`Expected ',' or ']' in array literal`, this.peek());
       }
     }
     
     this.expect(TOKEN_TYPES.RBRACKET);
     
-    return {
+    return this.finishNode({
       type: 'ArrayLiteral',
       elements
-    };
+    }, start);
   }
 
   // Enum declaration: enum Mode { AUTO, MANUAL }
   parseEnumDeclaration() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.ENUM);
     const name = this.expect(TOKEN_TYPES.IDENTIFIER).value;
     this.expect(TOKEN_TYPES.LBRACE);
@@ -1442,11 +2059,11 @@ class Parser {
     
     this.expect(TOKEN_TYPES.RBRACE);
     
-    return {
+    return this.finishNode({
       type: 'EnumDeclaration',
       name,
       values
-    };
+    }, start);
   }
 
   // Helper to detect if we're using new syntax (type name) vs old syntax (name: type)
@@ -1467,13 +2084,15 @@ class Parser {
     return true;
   }
 
-  // Struct declaration: struct Point { x: int, y: int }
+  // Struct declaration: struct Point { int x = 0, int y, fn length() -> float { ... } }
   parseStructDeclaration() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.STRUCT);
     const name = this.expect(TOKEN_TYPES.IDENTIFIER).value;
     this.expect(TOKEN_TYPES.LBRACE);
     
     const fields = [];
+    const methods = [];
     while (this.peek().type !== TOKEN_TYPES.RBRACE && this.peek().type !== TOKEN_TYPES.EOF) {
       // New syntax: type name (e.g., int x)
       // Old syntax: name: type (e.g., x: int) - for backward compatibility
@@ -1481,18 +2100,42 @@ class Parser {
       const firstToken = this.peek();
       const secondToken = this.peek(1);
       
+      // `fn(` starts a field of function type rather than a method
+      if (firstToken.type === TOKEN_TYPES.FN && secondToken.type !== TOKEN_TYPES.LPAREN) {
+        this.advance();
+        const signature = this.parseMethodSignature();
+        const body = this.parseBlock();
+        const returnTypeInferred = signature.returnType === null;
+        methods.push(this.finishNode({
+          type: 'MethodDeclaration',
+          returnType: returnTypeInferred ? this.inferReturnType(body) : signature.returnType,
+          returnTypeInferred,
+          name: signature.name,
+          params: signature.params,
+          body
+        }, firstToken));
+        continue;
+      }
+
+      let fieldName;
+      let fieldType;
       if (this.isNewSyntax(firstToken, secondToken)) {
         // New syntax: type name
-        const fieldType = this.parseType();
-        const fieldName = this.expect(TOKEN_TYPES.IDENTIFIER).value;
-        fields.push({ name: fieldName, type: fieldType });
+        fieldType = this.parseType();
+        fieldName = this.expect(TOKEN_TYPES.IDENTIFIER).value;
       } else {
         // Old syntax: name: type
-        const fieldName = this.expect(TOKEN_TYPES.IDENTIFIER).value;
+        fieldName = this.expect(TOKEN_TYPES.IDENTIFIER).value;
         this.expect(TOKEN_TYPES.COLON);
-        const fieldType = this.parseType();
-        fields.push({ name: fieldName, type: fieldType });
+        fieldType = this.parseType();
+      }
+      // Default value, used when a struct literal leaves the field out
+      let init = null;
+      if (this.peek().type === TOKEN_TYPES.ASSIGN) {
+        this.advance();
+        init = this.parseExpression();
       }
+      fields.push(this.finishNode({ name: fieldName, type: fieldType, init }, firstToken));
       
       if (this.peek().type === TOKEN_TYPES.COMMA) {
         this.advance();
@@ -1501,42 +2144,64 @@ class Parser {
     
     this.expect(TOKEN_TYPES.RBRACE);
     
-    return {
+    return this.finishNode({
       type: 'StructDeclaration',
       name,
+      fields,
+      methods
+    }, start);
+  }
+
+  // Struct literal: Point { x: 1, y: 2 }. Fields left out take their default value.
+  parseStructLiteral() {
+    const start = this.advance();
+    this.expect(TOKEN_TYPES.LBRACE);
+
+    const fields = [];
+    while (this.peek().type !== TOKEN_TYPES.RBRACE && this.peek().type !== TOKEN_TYPES.EOF) {
+      const nameToken = this.expect(TOKEN_TYPES.IDENTIFIER);
+      if (fields.some(field => field.name === nameToken.value)) {
+        throw this.error(`Field '${nameToken.value}' is set twice`, nameToken);
+      }
+      this.expect(TOKEN_TYPES.COLON);
+      const value = this.parseExpression();
+      fields.push(this.finishNode({ name: nameToken.value, value }, nameToken));
+
+      if (this.peek().type !== TOKEN_TYPES.COMMA) break;
+      this.advance();
+    }
+    this.expect(TOKEN_TYPES.RBRACE);
+
+    return this.finishNode({
+      type: 'StructLiteral',
+      structType: start.value,
       fields
-    };
+    }, start);
   }
 
   // Match expression: match x { 1 => ..., 2 => ..., _ => ... }
   parseMatchStatement() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.MATCH);
     const discriminant = this.parseExpression();
     this.expect(TOKEN_TYPES.LBRACE);
     
     const cases = [];
     while (this.peek().type !== TOKEN_TYPES.RBRACE && this.peek().type !== TOKEN_TYPES.EOF) {
-      // Parse pattern (can be identifier, number, or _)
-      let pattern;
       const token = this.peek();
-      if (token.type === TOKEN_TYPES.IDENTIFIER && token.value === '_') {
-        this.advance();
-        pattern = { type: 'Wildcard' };
-      } else {
-        pattern = this.parseExpression();
-      }
-      
-      this.expect(TOKEN_TYPES.ARROW);
+      const { pattern, guard } = this.parseMatchPattern();
       
       // Parse consequent (can be a block or expression)
       let consequent;
       if (this.peek().type === TOKEN_TYPES.LBRACE) {
         consequent = this.parseBlock();
       } else {
-        consequent = [{ type: 'ExpressionStatement', expression: this.parseExpression() }];
+        const armStart = this.peek();
+        const expression = this.parseExpression();
+        consequent = [this.finishNode({ type: 'ExpressionStatement', expression }, armStart)];
       }
       
-      cases.push({ pattern, consequent });
+      cases.push(this.finishNode({ pattern, guard, consequent }, token));
       
       if (this.peek().type === TOKEN_TYPES.COMMA) {
         this.advance();
@@ -1545,15 +2210,110 @@ class Parser {
     
     this.expect(TOKEN_TYPES.RBRACE);
     
-    return {
+    return this.finishNode({
       type: 'MatchStatement',
       discriminant,
       cases
-    };
+    }, start);
+  }
+
+  // Pattern and optional guard of a match arm, up to and including '=>':
+  // `_`, `value`, `1 | 2 | 3`, `0...9`, `x if x > 5`
+  parseMatchPattern() {
+    const token = this.peek();
+    let pattern;
+    if (token.type === TOKEN_TYPES.IDENTIFIER && token.value === '_') {
+      this.advance();
+      pattern = this.finishNode({ type: 'Wildcard' }, token);
+    } else {
+      const alternatives = [this.parsePatternAlternative()];
+      while (this.peek().type === TOKEN_TYPES.BIT_OR) {
+        this.advance();
+        alternatives.push(this.parsePatternAlternative());
+      }
+      pattern = alternatives.length === 1
+        ? alternatives[0]
+        : this.finishNode({ type: 'OrPattern', alternatives }, token);
+    }
+
+    let guard = null;
+    if (this.peek().type === TOKEN_TYPES.IF) {
+      this.advance();
+      guard = this.parseExpression();
+    }
+    this.expect(TOKEN_TYPES.ARROW);
+    return { pattern, guard };
+  }
+
+  // A value or an inclusive range; values stop before '|', which separates alternatives
+  parsePatternAlternative() {
+    const start = this.peek();
+    const value = this.parseBitwiseXor();
+    if (this.peek().type !== TOKEN_TYPES.RANGE) {
+      return value;
+    }
+    this.advance();
+    const end = this.parseBitwiseXor();
+    return this.finishNode({ type: 'RangePattern', start: value, end }, start);
+  }
+
+  // "temp={t:.1} C": parts are the text between expressions (strings) and
+  // { expression, format } for each `{...}`
+  parseInterpolatedString() {
+    const start = this.advance();
+    const parts = start.value ? [start.value] : [];
+
+    for (;;) {
+      const expression = this.parseExpression();
+      const format = this.peek().type === TOKEN_TYPES.FORMAT_SPEC ? this.advance().value : null;
+      parts.push({ expression, format });
+
+      const text = this.peek();
+      if (text.type !== TOKEN_TYPES.STRING_MIDDLE && text.type !== TOKEN_TYPES.STRING_END) {
+        throw this.error("Expected '}' after an interpolated expression", text);
+      }
+      this.advance();
+      if (text.value) {
+        parts.push(text.value);
+      }
+      if (text.type === TOKEN_TYPES.STRING_END) {
+        return this.finishNode({ type: 'InterpolatedString', parts }, start);
+      }
+    }
+  }
+
+  // match x { 1 => a, _ => b } as a value; each arm is a single expression
+  parseMatchExpression() {
+    const start = this.peek();
+    this.expect(TOKEN_TYPES.MATCH);
+    const discriminant = this.parseExpression();
+    this.expect(TOKEN_TYPES.LBRACE);
+
+    const cases = [];
+    while (this.peek().type !== TOKEN_TYPES.RBRACE && this.peek().type !== TOKEN_TYPES.EOF) {
+      const token = this.peek();
+      const { pattern, guard } = this.parseMatchPattern();
+      const value = this.parseExpression();
+      cases.push(this.finishNode({ pattern, guard, value }, token));
+
+      if (this.peek().type === TOKEN_TYPES.COMMA) {
+        this.advance();
+      } else if (this.peek().type !== TOKEN_TYPES.RBRACE) {
+        throw this.error("Expected ',' or '}' after a match arm", this.peek());
+      }
+    }
+    this.expect(TOKEN_TYPES.RBRACE);
+
+    return this.finishNode({
+      type: 'MatchExpression',
+      discriminant,
+      cases
+    }, start);
   }
 
   // Switch statement: switch x { case 1 { ... } case 2 { ... } default { ... } }
   parseSwitchStatement() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.SWITCH);
     const discriminant = this.parseExpression();
     this.expect(TOKEN_TYPES.LBRACE);
@@ -1563,30 +2323,31 @@ class Parser {
     
     while (this.peek().type !== TOKEN_TYPES.RBRACE && this.peek().type !== TOKEN_TYPES.EOF) {
       if (this.peek().type === TOKEN_TYPES.CASE) {
-        this.advance();
+        const caseToken = this.advance();
         const test = this.parseExpression();
         const consequent = this.parseBlock();
-        cases.push({ test, consequent });
+        cases.push(this.finishNode({ test, consequent }, caseToken));
       } else if (this.peek().type === TOKEN_TYPES.DEFAULT) {
         this.advance();
         defaultCase = this.parseBlock();
       } else {
-        throw new Error(`Unexpected token in switch statement: ${this.peek().type} at line ${this.peek().line}`);
+        throw this.error(`Unexpected token in switch statement: ${this.peek().type}`, this.peek());
       }
     }
     
     this.expect(TOKEN_TYPES.RBRACE);
     
-    return {
+    return this.finishNode({
       type: 'SwitchStatement',
       discriminant,
       cases,
       defaultCase
-    };
+    }, start);
   }
 
   // On block: on start { }, on loop { }, on pin D2.rising { }
   parseOnBlock() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.ON);
     const eventToken = this.expect(TOKEN_TYPES.IDENTIFIER);
     const event = eventToken.value;
@@ -1597,19 +2358,29 @@ class Parser {
       this.advance();
       eventProperty = this.expect(TOKEN_TYPES.IDENTIFIER).value;
     }
+
+    // Name bound to the event's value: on overflow(line) { ... }
+    let param = null;
+    if (this.peek().type === TOKEN_TYPES.LPAREN) {
+      this.advance();
+      param = this.expect(TOKEN_TYPES.IDENTIFIER).value;
+      this.expect(TOKEN_TYPES.RPAREN);
+    }
     
     const body = this.parseBlock();
     
-    return {
+    return this.finishNode({
       type: 'OnBlock',
       event,
       eventProperty,
+      param,
       body
-    };
+    }, start);
   }
 
   // Interrupt block: interrupt <name?> on PIN# (rising|falling|change|low|high) { ... }
   parseInterruptBlock() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.INTERRUPT);
     
     // Optional name for the interrupt
@@ -1629,7 +2400,7 @@ class Parser {
     } else if (pinToken.type === TOKEN_TYPES.NUMBER) {
       pin = this.advance().value;
     } else {
-      throw new Error(`Expected pin number or identifier at line ${pinToken.line}`);
+      throw this.error(`Expected pin number or identifier`, pinToken);
     }
     
     // Parse interrupt mode (rising, falling, change, low, high)
@@ -1641,47 +2412,50 @@ class Parser {
       // Handle 'low' and 'high' as identifiers now
       mode = this.advance().value;
     } else {
-      throw new Error(`Expected interrupt mode (rising, falling, change, low, high) at line ${modeToken.line}`);
+      throw this.error(`Expected interrupt mode (rising, falling, change, low, high)`, modeToken);
     }
     
     // Parse the block
     const body = this.parseBlock();
     
-    return {
+    return this.finishNode({
       type: 'InterruptBlock',
       name,
       pin,
       mode,
       body
-    };
+    }, start);
   }
 
   // Signal declaration: signal btnPress
   parseSignalDeclaration() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.SIGNAL);
     const name = this.expect(TOKEN_TYPES.IDENTIFIER).value;
     this.optionalExpect(TOKEN_TYPES.SEMICOLON);
     
-    return {
+    return this.finishNode({
       type: 'SignalDeclaration',
       name
-    };
+    }, start);
   }
 
   // Emit statement: emit btnPress
   parseEmitStatement() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.EMIT);
     const signal = this.expect(TOKEN_TYPES.IDENTIFIER).value;
     this.optionalExpect(TOKEN_TYPES.SEMICOLON);
     
-    return {
+    return this.finishNode({
       type: 'EmitStatement',
       signal
-    };
+    }, start);
   }
 
   // Task declaration: task blink every 500ms { }, task background { }
   parseTaskDeclaration() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.TASK);
     const name = this.expect(TOKEN_TYPES.IDENTIFIER).value;
     
@@ -1699,71 +2473,76 @@ class Parser {
     
     const body = this.parseBlock();
     
-    return {
+    return this.finishNode({
       type: 'TaskDeclaration',
       name,
       interval,
       isBackground,
       body
-    };
+    }, start);
   }
 
   // Wait statement: wait 200ms
   parseWaitStatement() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.WAIT);
     const duration = this.parseExpression();
     this.optionalExpect(TOKEN_TYPES.SEMICOLON);
     
-    return {
+    return this.finishNode({
       type: 'WaitStatement',
       duration
-    };
+    }, start);
   }
 
   // Timeout statement: timeout 2s { connect() }
   parseTimeoutStatement() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.TIMEOUT);
     const duration = this.parseExpression();
     const body = this.parseBlock();
     
-    return {
+    return this.finishNode({
       type: 'TimeoutStatement',
       duration,
       body
-    };
+    }, start);
   }
 
   // Atomic block: atomic { pwm.write(200) }
   parseAtomicBlock() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.ATOMIC);
     const body = this.parseBlock();
     
-    return {
+    return this.finishNode({
       type: 'AtomicBlock',
       body
-    };
+    }, start);
   }
 
   // C++ inline block: @cpp { Serial.println("debug"); }
   parseCppBlock() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.AT);
     
     // Expect 'cpp' identifier
     const cppToken = this.expect(TOKEN_TYPES.IDENTIFIER);
     if (cppToken.value !== 'cpp') {
-      throw new Error(`Expected 'cpp' after @ but got '${cppToken.value}' at line ${cppToken.line}`);
+      throw this.error(`Expected 'cpp' after @ but got '${cppToken.value}'`, cppToken);
     }
     
     const body = this.parseBlock();
     
-    return {
+    return this.finishNode({
       type: 'CppBlock',
       body
-    };
+    }, start);
   }
 
   // Use statement: use I2C1
   parseUseStatement() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.USE);
     const token = this.peek();
     let resource;
@@ -1773,19 +2552,20 @@ class Parser {
       resource = token.value;
       this.advance();
     } else {
-      this.error(`Expected identifier but got ${token.type}`);
+      throw this.error(`Expected identifier but got ${token.type}`, token);
     }
     
     this.optionalExpect(TOKEN_TYPES.SEMICOLON);
     
-    return {
+    return this.finishNode({
       type: 'UseStatement',
       resource
-    };
+    }, start);
   }
 
   // Load statement: load <servo> or load <foo.ys> as bar
   parseLoadStatement() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.LOAD);
     this.expect(TOKEN_TYPES.LESS_THAN);
     
@@ -1807,7 +2587,7 @@ class Parser {
         fileName += token.value;
         this.advance();
       } else {
-        throw new Error(`Unexpected token ${token.type} in load statement at line ${token.line}`);
+        throw this.error(`Unexpected token ${token.type} in load statement`, token);
       }
     }
     
@@ -1831,16 +2611,17 @@ class Parser {
     
     this.optionalExpect(TOKEN_TYPES.SEMICOLON);
     
-    return {
+    return this.finishNode({
       type: 'LoadStatement',
       library: fileName,
       isYsFile,
       moduleName: isYsFile ? moduleName : null
-    };
+    }, start);
   }
 
   // Alias statement: alias led = D13 or alias led = 13
   parseAliasStatement() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.ALIAS);
     const name = this.expect(TOKEN_TYPES.IDENTIFIER).value;
     this.expect(TOKEN_TYPES.ASSIGN);
@@ -1852,20 +2633,21 @@ class Parser {
     } else if (this.peek().type === TOKEN_TYPES.NUMBER) {
       value = String(this.expect(TOKEN_TYPES.NUMBER).value);
     } else {
-      throw new Error(`Expected identifier or number for alias value at line ${this.peek().line}`);
+      throw this.error(`Expected identifier or number for alias value`, this.peek());
     }
     
     this.optionalExpect(TOKEN_TYPES.SEMICOLON);
     
-    return {
+    return this.finishNode({
       type: 'AliasStatement',
       name,
       value
-    };
+    }, start);
   }
 
   // Config block: config { cpu: atmega328p, clock: 16MHz }
   parseConfigBlock() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.CONFIG);
     this.expect(TOKEN_TYPES.LBRACE);
     
@@ -1909,14 +2691,15 @@ class Parser {
     
     this.expect(TOKEN_TYPES.RBRACE);
     
-    return {
+    return this.finishNode({
       type: 'ConfigBlock',
       options
-    };
+    }, start);
   }
 
   // React declaration: react mut rpm: int
   parseReactDeclaration() {
+    const start = this.peek();
     this.expect(TOKEN_TYPES.REACT);
     
     // Check for mut or const
@@ -1949,13 +2732,13 @@ class Parser {
     }
     this.optionalExpect(TOKEN_TYPES.SEMICOLON);
     
-    return {
+    return this.finishNode({
       type: 'ReactDeclaration',
       isMut: isMutable,
       name,
       varType,
       init
-    };
+    }, start);
   }
 }
 
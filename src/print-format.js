@@ -0,0 +1,82 @@
+/**
+ * Ypsilon Script Print Formats
+ * Value formats of interpolated strings ("{t:.1}") and printf conversions,
+ * shared by the semantic analyzer (checking) and the code generator
+ * (lowering to Serial.print calls)
+ */
+
+const { isFloatType } = require('./types');
+
+// Serial.print bases of the integer formats
+const BASE_FORMATS = { x: 'HEX', b: 'BIN', o: 'OCT' };
+
+// printf conversion -> value format (null prints the value as it is, 'c' as a character)
+// and what it needs from its value
+const PRINTF_CONVERSIONS = {
+  d: { format: null, requirement: 'integer' },
+  i: { format: null, requirement: 'integer' },
+  u: { format: null, requirement: 'integer' },
+  c: { format: 'c', requirement: 'integer' },
+  s: { format: null, requirement: 'string' },
+  x: { format: 'x', requirement: 'integer' },
+  X: { format: 'x', requirement: 'integer' },
+  o: { format: 'o', requirement: 'integer' },
+  b: { format: 'b', requirement: 'integer' },
+  f: { format: '.6', requirement: 'number' }
+};
+
+// What a format needs from its value: 'number', 'integer' or null (anything)
+function formatRequirement(format) {
+  if (!format) return null;
+  return format.startsWith('.') ? 'number' : 'integer';
+}
+
+// Split a printf format into text and values:
+// "t=%.1f%%" -> { parts: ['t=', { format: '.1', requirement: 'number' }, '%'] },
+// or { error } for an unknown conversion
+function parsePrintfFormat(format) {
+  const parts = [];
+  let text = '';
+
+  for (let i = 0; i < format.length; i++) {
+    if (format[i] !== '%') {
+      text += format[i];
+      continue;
+    }
+    const [spec, precision, conversion] = /^%(\.\d+)?([a-zA-Z%]?)/.exec(format.slice(i));
+    i += spec.length - 1;
+    if (spec === '%%') {
+      text += '%';
+      continue;
+    }
+    const known = PRINTF_CONVERSIONS[conversion];
+    if (!known || (precision && conversion !== 'f')) {
+      return { error: `Unknown printf conversion '${spec}'` };
+    }
+    if (text) parts.push(text);
+    text = '';
+    parts.push({ format: precision || known.format, requirement: known.requirement });
+  }
+
+  if (text) parts.push(text);
+  return { parts };
+}
+
+// Arguments of Serial.print / String(...) for a value printed with `format`.
+// Serial.print(x, 1) reads 1 as a base for integers, so decimals need a float.
+function formatArguments(code, format, type) {
+  if (!format) return code;
+  // Serial.print(65) prints "65", Serial.print((char)65) prints "A"
+  if (format === 'c') return `(char)(${code})`;
+  if (format.startsWith('.')) {
+    const value = isFloatType(type) ? code : `static_cast<float>(${code})`;
+    return `${value}, ${format.slice(1)}`;
+  }
+  return `${code}, ${BASE_FORMATS[format]}`;
+}
+
+module.exports = {
+  formatRequirement,
+  parsePrintfFormat,
+  formatArguments
+};
@@ -4,83 +4,320 @@
  * - Variable declaration tracking
  * - Undeclared variable detection
  * - Scope management
+ * - Static type checking (expressions, assignments, calls, returns,
+ *   struct fields and enum values)
  * - Platform-specific restrictions (e.g., List/Map on AVR)
+ * - Print arguments and formats
  */
 
 const { Config } = require('./config');
+const { KEYWORDS } = require('./lexer');
+const { createDiagnostic } = require('./diagnostics');
+const {
+  UNKNOWN_TYPE,
+  normalizeType,
+  isUnknownType,
+  isIntegerType,
+  isFloatType,
+  isNumericType,
+  isArrayType,
+  arrayElementType,
+  genericBaseType,
+  genericTypeArguments,
+  isFunctionType,
+  functionType,
+  functionTypeParts,
+  SEQUENCE_TYPES,
+  FIXED_COLLECTION_TYPES,
+  collectionCapacity,
+  iterableElementType,
+  getTypeRange,
+  promoteNumericTypes,
+  integerTypeFits,
+  integerLiteralType,
+  isFloatLiteral,
+  unitLiteralValue,
+  formatType
+} = require('./types');
+const { formatRequirement, parsePrintfFormat } = require('./print-format');
 
 // Collection types that are restricted on AVR boards
 const RESTRICTED_COLLECTION_TYPES = ['List', 'Map'];
 
+// Built-in constants and their types
+const BUILTIN_CONSTANTS = {
+  // Arduino constants
+  'HIGH': 'int', 'LOW': 'int',
+  'INPUT': 'int', 'OUTPUT': 'int', 'INPUT_PULLUP': 'int',
+  'LED_BUILTIN': 'int',
+  'true': 'bool', 'false': 'bool',
+  // Interrupt modes
+  'RISING': 'int', 'FALLING': 'int', 'CHANGE': 'int',
+  // Math constants
+  'PI': 'float'
+};
+
+// Named pins: analog pins (A0-A15 for various boards), digital pins with
+// special names, SPI pins and I2C pins
+const BUILTIN_PINS = [
+  'A0', 'A1', 'A2', 'A3', 'A4', 'A5', 'A6', 'A7',
+  'A8', 'A9', 'A10', 'A11', 'A12', 'A13', 'A14', 'A15',
+  'D0', 'D1', 'D2', 'D3', 'D4', 'D5', 'D6', 'D7',
+  'D8', 'D9', 'D10', 'D11', 'D12', 'D13',
+  'SS', 'MOSI', 'MISO', 'SCK',
+  'SDA', 'SCL'
+];
+
+// Built-in function signatures
+// params: expected argument types; minArgs: optional trailing params; variadic: any arguments;
+// prints: the arguments are printed, so interpolated strings are allowed on AVR
+const BUILTIN_FUNCTIONS = {
+  // Arduino functions
+  'pinMode': { params: ['int', 'int'], returns: 'void' },
+  'digitalWrite': { params: ['int', 'int'], returns: 'void' },
+  'digitalRead': { params: ['int'], returns: 'int' },
+  'analogRead': { params: ['int'], returns: 'int' },
+  'analogWrite': { params: ['int', 'int'], returns: 'void' },
+  'analogReference': { params: ['int'], returns: 'void' },
+  'delay': { params: ['u32'], returns: 'void' },
+  'delayMicroseconds': { params: ['u32'], returns: 'void' },
+  'millis': { params: [], returns: 'u32' },
+  'micros': { params: [], returns: 'u32' },
+  'attachInterrupt': { params: ['int', UNKNOWN_TYPE, 'int'], returns: 'void' },
+  'detachInterrupt': { params: ['int'], returns: 'void' },
+  'tone': { params: ['int', 'u32', 'u32'], minArgs: 2, returns: 'void' },
+  'noTone': { params: ['int'], returns: 'void' },
+  'shiftOut': { params: ['int', 'int', 'int', 'u8'], returns: 'void' },
+  'shiftIn': { params: ['int', 'int', 'int'], returns: 'u8' },
+  'pulseIn': { params: ['int', 'int', 'u32'], minArgs: 2, returns: 'u32' },
+  'pulseInLong': { params: ['int', 'int', 'u32'], minArgs: 2, returns: 'u32' },
+  'map': { params: ['i32', 'i32', 'i32', 'i32', 'i32'], returns: 'i32' },
+  'constrain': { params: [UNKNOWN_TYPE, UNKNOWN_TYPE, UNKNOWN_TYPE], returns: UNKNOWN_TYPE },
+  'abs': { params: [UNKNOWN_TYPE], returns: UNKNOWN_TYPE },
+  'min': { params: [UNKNOWN_TYPE, UNKNOWN_TYPE], returns: UNKNOWN_TYPE },
+  'max': { params: [UNKNOWN_TYPE, UNKNOWN_TYPE], returns: UNKNOWN_TYPE },
+  'pow': { params: ['float', 'float'], returns: 'float' },
+  'sqrt': { params: ['float'], returns: 'float' },
+  'sin': { params: ['float'], returns: 'float' },
+  'cos': { params: ['float'], returns: 'float' },
+  'tan': { params: ['float'], returns: 'float' },
+  'randomSeed': { params: ['u32'], returns: 'void' },
+  'random': { params: ['i32', 'i32'], minArgs: 1, returns: 'i32' },
+  'lowByte': { params: ['int'], returns: 'u8' },
+  'highByte': { params: ['int'], returns: 'u8' },
+  'bitRead': { params: ['u32', 'int'], returns: 'int' },
+  'bitWrite': { params: [UNKNOWN_TYPE, 'int', 'int'], returns: 'void' },
+  'bitSet': { params: [UNKNOWN_TYPE, 'int'], returns: 'void' },
+  'bitClear': { params: [UNKNOWN_TYPE, 'int'], returns: 'void' },
+  'bit': { params: ['int'], returns: 'u32' },
+
+  // Integer arithmetic in the type of the first argument that wraps around, or
+  // stops at the type's limits, instead of overflowing
+  'wrappingAdd': { params: [UNKNOWN_TYPE, UNKNOWN_TYPE], returns: UNKNOWN_TYPE, integerOperation: true },
+  'wrappingSub': { params: [UNKNOWN_TYPE, UNKNOWN_TYPE], returns: UNKNOWN_TYPE, integerOperation: true },
+  'wrappingMul': { params: [UNKNOWN_TYPE, UNKNOWN_TYPE], returns: UNKNOWN_TYPE, integerOperation: true },
+  'saturatingAdd': { params: [UNKNOWN_TYPE, UNKNOWN_TYPE], returns: UNKNOWN_TYPE, integerOperation: true },
+  'saturatingSub': { params: [UNKNOWN_TYPE, UNKNOWN_TYPE], returns: UNKNOWN_TYPE, integerOperation: true },
+  'saturatingMul': { params: [UNKNOWN_TYPE, UNKNOWN_TYPE], returns: UNKNOWN_TYPE, integerOperation: true },
+
+  // Serial/Print functions
+  'print': { variadic: true, prints: true, returns: 'void' },
+  'println': { variadic: true, prints: true, returns: 'void' },
+  'printf': { variadic: true, prints: true, returns: 'void' },
+
+  // Common C++ math functions
+  'round': { params: ['float'], returns: UNKNOWN_TYPE },
+  'ceil': { params: ['float'], returns: 'float' },
+  'floor': { params: ['float'], returns: 'float' }
+};
+
+// Methods of the collections; T, K and V stand for their type arguments.
+// index: the first argument is a position, checked against the capacity when constant
+const LIST_METHODS = {
+  'push': { params: ['T'], returns: 'void' },
+  'pop': { params: [], returns: 'T' },
+  'get': { params: ['int'], returns: 'T' },
+  'set': { params: ['int', 'T'], returns: 'void' },
+  'insert': { params: ['int', 'T'], returns: 'void' },
+  'removeAt': { params: ['int'], returns: 'T' },
+  'clear': { params: [], returns: 'void' },
+  'contains': { params: ['T'], returns: 'bool' },
+  'indexOf': { params: ['T'], returns: 'int' },
+  'sort': { params: [], returns: 'void' },
+  'length': { params: [], returns: 'int' }
+};
+
+const MAP_METHODS = {
+  'get': { params: ['K'], returns: 'V' },
+  'set': { params: ['K', 'V'], returns: 'void' },
+  'has': { params: ['K'], returns: 'bool' },
+  'remove': { params: ['K'], returns: 'void' },
+  'clear': { params: [], returns: 'void' },
+  'keys': { params: [], returns: 'List<K>' },
+  'values': { params: [], returns: 'List<V>' },
+  'size': { params: [], returns: 'int' }
+};
+
+const SEQUENCE_METHODS = {
+  'push': { params: ['T'], returns: 'bool' },
+  'pop': { params: [], returns: 'T' },
+  'get': { params: ['int'], returns: 'T', index: true },
+  'set': { params: ['int', 'T'], returns: 'void', index: true },
+  'length': { params: [], returns: 'int' },
+  'capacity': { params: [], returns: 'int' }
+};
+
+const COLLECTION_METHODS = {
+  'List': LIST_METHODS,
+  'Map': MAP_METHODS,
+  'Array': SEQUENCE_METHODS,
+  'RingBuffer': SEQUENCE_METHODS,
+  'Stack': { ...SEQUENCE_METHODS, 'peek': { params: [], returns: 'T' } },
+  'FixedMap': {
+    'get': { params: ['K'], returns: 'V' },
+    'set': { params: ['K', 'V'], returns: 'bool' },
+    'has': { params: ['K'], returns: 'bool' },
+    'remove': { params: ['K'], returns: 'void' },
+    'length': { params: [], returns: 'int' },
+    'capacity': { params: [], returns: 'int' }
+  }
+};
+
+// The type arguments that T, K and V stand for, in order
+const COLLECTION_TYPE_PARAMETERS = {
+  'List': ['T'], 'Map': ['K', 'V'],
+  'Array': ['T'], 'RingBuffer': ['T'], 'Stack': ['T'], 'FixedMap': ['K', 'V']
+};
+
+// Type parameters of a class declaration (none for a plain class)
+function classTypeParameters(cls) {
+  return cls.typeParameters || [];
+}
+
+// The `super(...)` call that opens a constructor body, or null
+function leadingSuperCall(constructor) {
+  const first = constructor && constructor.body[0];
+  if (!first || first.type !== 'ExpressionStatement') return null;
+  const expr = first.expression;
+  return expr.type === 'CallExpression' && expr.callee.type === 'SuperExpression' ? expr : null;
+}
+
+// The `self.field = value` statements that open a constructor body, after any
+// super(...) call. They may set constant fields, which become initializers in C++.
+function fieldInitializers(constructor) {
+  const initializers = [];
+  for (const stmt of constructor.body.slice(leadingSuperCall(constructor) ? 1 : 0)) {
+    const expr = stmt.type === 'ExpressionStatement' ? stmt.expression : null;
+    if (!expr || expr.type !== 'AssignmentExpression' || (expr.operator && expr.operator !== '=') ||
+        expr.left.type !== 'MemberExpression' || expr.left.object.type !== 'ThisExpression') {
+      break;
+    }
+    initializers.push(expr);
+  }
+  return initializers;
+}
+
+// setSpeed(int speed) -> bool, for messages about method signatures
+function describeSignature(method) {
+  const params = method.params.map(p => `${formatType(p.type)} ${p.name}`).join(', ');
+  const returns = normalizeType(method.returnType) === 'void' ? '' : ` -> ${formatType(method.returnType)}`;
+  return `${method.name}(${params})${returns}`;
+}
+
+// Value of a call argument, which may be named: speed: 100
+function argumentValue(arg) {
+  return arg.type === 'NamedArgument' ? arg.value : arg;
+}
+
+// (int, speed: float), for messages about the arguments of a call
+function describeArguments(args, argTypes) {
+  return `(${args.map((arg, i) => (arg.type === 'NamedArgument' ? `${arg.name}: ` : '') + formatType(argTypes[i])).join(', ')})`;
+}
+
+// Does a type name mention `name`, itself or as a type argument? (T, List<T>, T[], fn(T) -> bool)
+function typeMentions(type, name) {
+  if (typeof type !== 'string') return false;
+  if (type === name) return true;
+  if (isArrayType(type)) return typeMentions(arrayElementType(type), name);
+  if (isFunctionType(type)) {
+    const { params, returnType } = functionTypeParts(type);
+    return [...params, returnType].some(part => typeMentions(part, name));
+  }
+  return genericTypeArguments(type).some(arg => typeMentions(arg, name));
+}
+
+const ARITHMETIC_OPERATORS = ['+', '-', '*', '/', '%'];
+// Operators checked for overflow when the config sets `overflow: trap`
+const CHECKED_OPERATORS = ['+', '-', '*'];
+const COMPARISON_OPERATORS = ['==', '!=', '<', '>', '<=', '>='];
+const LOGICAL_OPERATORS = ['and', 'or'];
+const BITWISE_OPERATORS = ['&', '|', '^', '<<', '>>'];
+const ASSIGNMENT_TARGETS = ['Identifier', 'MemberExpression', 'SubscriptExpression'];
+
 class SemanticAnalyzer {
   constructor(ast, config = null) {
     this.ast = ast;
     this.config = config; // Config object for platform-specific checks
     this.errors = [];
     this.warnings = [];
-    // Stack of scopes, each scope is a Set of variable names
-    this.scopes = [new Set()]; // Start with global scope
+    // Stack of scopes, each scope maps a name to its symbol ({ kind, type, ... })
+    this.scopes = [new Map()]; // Start with global scope
     // Track all declared identifiers for suggestions
     this.allDeclaredNames = new Set();
-    
+    // Symbols declared in the program (with their declaring node) and every
+    // identifier resolved to one of them, for editor tooling (hover, rename, ...)
+    this.symbols = [];
+    this.references = [];
+
+    // User-defined types, collected before analysis so they can be referenced anywhere
+    this.classes = new Map();
+    this.interfaces = new Map();
+    this.structs = new Map();
+    this.enums = new Map();
+
+    // Context for return type and `self` checks
+    this.currentFunction = null;
+    this.currentClass = null;
+    // Type parameters of the generic class and function being analyzed, and the types
+    // bound to them while a generic function is checked for one of its calls
+    this.typeParameters = [];
+    this.typeBindings = new Map();
+    // Type arguments each generic function has been checked with, and the functions
+    // being checked, so a recursive call is not checked again
+    this.instantiations = new Map();
+    this.instantiating = [];
+    // Loops enclosing the current statement (innermost last), for break/continue
+    this.loops = [];
+    this.inInterrupt = false;
+    // Number of scopes outside the lambda being analyzed; a lambda cannot use the
+    // names declared in the enclosing function or class
+    this.lambdaScope = null;
+    // Types of the parameter defaults analyzed so far, which calls may fill in
+    this.defaultTypes = new Map();
+    // The `on overflow` block, which replaces the default report of checked arithmetic
+    this.overflowHandler = null;
+
     // Declare built-in functions and constants
     this.declareBuiltins();
   }
 
   // Declare all built-in functions and constants
   declareBuiltins() {
-    const builtins = [
-      // Arduino functions
-      'pinMode', 'digitalWrite', 'digitalRead',
-      'analogRead', 'analogWrite', 'analogReference',
-      'delay', 'delayMicroseconds', 'millis', 'micros',
-      'attachInterrupt', 'detachInterrupt',
-      'tone', 'noTone',
-      'shiftOut', 'shiftIn', 'pulseIn', 'pulseInLong',
-      'map', 'constrain', 'abs', 'min', 'max', 'pow', 'sqrt',
-      'sin', 'cos', 'tan',
-      'randomSeed', 'random',
-      'lowByte', 'highByte', 'bitRead', 'bitWrite', 'bitSet', 'bitClear', 'bit',
-      
-      // Serial/Print functions
-      'print', 'println',
-      
-      // Arduino constants
-      'HIGH', 'LOW',
-      'INPUT', 'OUTPUT', 'INPUT_PULLUP',
-      'LED_BUILTIN',
-      'true', 'false',
-      
-      // Interrupt modes
-      'RISING', 'FALLING', 'CHANGE', 'LOW',
-      
-      // Math constants
-      'PI',
-      
-      // Common C++ math functions
-      'round', 'ceil', 'floor',
-      
-      // Analog pins (A0-A15 for various boards)
-      'A0', 'A1', 'A2', 'A3', 'A4', 'A5', 'A6', 'A7',
-      'A8', 'A9', 'A10', 'A11', 'A12', 'A13', 'A14', 'A15',
-      
-      // Digital pins with special names
-      'D0', 'D1', 'D2', 'D3', 'D4', 'D5', 'D6', 'D7', 
-      'D8', 'D9', 'D10', 'D11', 'D12', 'D13',
-      
-      // SPI pins
-      'SS', 'MOSI', 'MISO', 'SCK',
-      
-      // I2C pins
-      'SDA', 'SCL'
-    ];
-    
-    for (const builtin of builtins) {
-      this.declare(builtin);
+    for (const [name, signature] of Object.entries(BUILTIN_FUNCTIONS)) {
+      this.declare(name, { kind: 'builtin', type: signature.returns, signature });
+    }
+
+    for (const [name, type] of Object.entries(BUILTIN_CONSTANTS)) {
+      this.declare(name, { kind: 'const', type });
+    }
+
+    for (const pin of BUILTIN_PINS) {
+      this.declare(pin, { kind: 'const', type: 'int' });
     }
   }
 
   analyze() {
+    this.collectTypeDeclarations(this.ast);
     this.analyzeProgram(this.ast);
     return {
       success: this.errors.length === 0,
@@ -89,9 +326,26 @@ class SemanticAnalyzer {
     };
   }
 
+  // Register classes, interfaces, structs and enums up front so their members are known
+  collectTypeDeclarations(program) {
+    if (!program || !program.body) return;
+
+    for (const stmt of program.body) {
+      if (stmt.type === 'ClassDeclaration') {
+        this.classes.set(stmt.name, stmt);
+      } else if (stmt.type === 'InterfaceDeclaration') {
+        this.interfaces.set(stmt.name, stmt);
+      } else if (stmt.type === 'StructDeclaration') {
+        this.structs.set(stmt.name, stmt);
+      } else if (stmt.type === 'EnumDeclaration') {
+        this.enums.set(stmt.name, stmt);
+      }
+    }
+  }
+
   // Scope management
   pushScope() {
-    this.scopes.push(new Set());
+    this.scopes.push(new Map());
   }
 
   popScope() {
@@ -102,42 +356,85 @@ class SemanticAnalyzer {
     return this.scopes[this.scopes.length - 1];
   }
 
-  // Check if a variable is declared in any scope
-  isDeclared(name) {
+  // Find the symbol for a name, searching from the innermost scope outwards
+  lookup(name) {
     for (let i = this.scopes.length - 1; i >= 0; i--) {
       if (this.scopes[i].has(name)) {
-        return true;
+        return this.scopes[i].get(name);
       }
     }
-    return false;
+    return null;
+  }
+
+  // Check if a variable is declared in any scope
+  isDeclared(name) {
+    return this.lookup(name) !== null;
   }
 
-  // Declare a variable in the current scope
-  declare(name) {
-    this.getCurrentScope().add(name);
+  // Declare a variable in the current scope. `symbol.node` is the declaring node.
+  declare(name, symbol = {}) {
+    const entry = { kind: 'variable', type: UNKNOWN_TYPE, ...symbol, name };
+    this.getCurrentScope().set(name, entry);
     this.allDeclaredNames.add(name);
+    if (entry.node) {
+      this.symbols.push(entry);
+    }
   }
 
-  // Add an error with context
-  addError(message, line) {
-    this.errors.push({
-      message,
-      line: line || 'unknown'
-    });
+  // Declare a function or method. Declaring the name again in the same scope adds an
+  // overload, which must take different parameter types. `entry` has the params,
+  // return type and node, and the owner of an inherited method.
+  declareFunction(name, entry) {
+    const existing = this.getCurrentScope().get(name);
+    if (!existing || existing.kind !== 'function' || existing.owner !== entry.owner) {
+      this.declare(name, { kind: 'function', ...entry, overloads: [entry] });
+      return;
+    }
+
+    const subject = entry.node.type === 'MethodDeclaration' ? `Method '${name}' of '${this.currentClass.name}'` : `Function '${name}'`;
+    const earlier = existing.overloads.find(other => this.sameParameters(other, entry));
+    if ([existing, entry].some(f => f.typeParameters && f.typeParameters.length > 0)) {
+      if (!entry.owner) {
+        this.addError(`Generic function '${name}' cannot be overloaded`, entry.node, {
+          code: 'YS0122',
+          notes: ['Give the functions different names.']
+        });
+      }
+      return;
+    }
+    if (earlier && !entry.owner) {
+      this.addError(`${subject} already has an overload taking (${entry.params.map(p => formatType(p.type)).join(', ')})`, entry.node, {
+        code: 'YS0122',
+        notes: [`The other one is on line ${earlier.node.line}.`]
+      });
+    }
+    existing.overloads.push(entry);
+    this.symbols.push({ kind: 'function', ...entry, name });
+  }
+
+  // Remember that `node` (an identifier) refers to `symbol`
+  addReference(node, symbol) {
+    this.references.push({ node, symbol });
+  }
+
+  // Add an error with context, located at the source span of the given node.
+  // `details` carries the diagnostic code and optional notes and name suggestions.
+  addError(message, node, details = {}) {
+    this.errors.push(createDiagnostic(message, node, details));
   }
 
   // Calculate Levenshtein distance for suggestions
   levenshteinDistance(a, b) {
     const matrix = [];
-    
+
     for (let i = 0; i <= b.length; i++) {
       matrix[i] = [i];
     }
-    
+
     for (let j = 0; j <= a.length; j++) {
       matrix[0][j] = j;
     }
-    
+
     for (let i = 1; i <= b.length; i++) {
       for (let j = 1; j <= a.length; j++) {
         if (b.charAt(i - 1) === a.charAt(j - 1)) {
@@ -151,26 +448,26 @@ class SemanticAnalyzer {
         }
       }
     }
-    
+
     return matrix[b.length][a.length];
   }
 
   // Find similar variable names for suggestions
-  findSimilarNames(name) {
+  findSimilarNames(name, candidates = this.allDeclaredNames) {
     const suggestions = [];
     // Use edit distance with threshold based on name length
     // For short names (≤6 chars), allow up to 3 edits
     // For longer names, allow edits up to half the length
     // This balances between being helpful and avoiding false suggestions
     const maxDistance = Math.max(3, Math.ceil(name.length / 2));
-    
-    for (const declaredName of this.allDeclaredNames) {
+
+    for (const declaredName of candidates) {
       const distance = this.levenshteinDistance(name.toLowerCase(), declaredName.toLowerCase());
       if (distance <= maxDistance) {
         suggestions.push({ name: declaredName, distance });
       }
     }
-    
+
     // Sort by distance and return top 3
     return suggestions
       .sort((a, b) => a.distance - b.distance)
@@ -178,6 +475,636 @@ class SemanticAnalyzer {
       .map(s => s.name);
   }
 
+  // ---------------------------------------------------------------------------
+  // Type helpers
+  // ---------------------------------------------------------------------------
+
+  isEnumType(type) {
+    return this.enums.has(type);
+  }
+
+  // Check whether a declared type name refers to something that exists
+  isKnownType(type) {
+    if (!type) return true;
+    if (isArrayType(type)) return this.isKnownType(arrayElementType(type));
+    if (isFunctionType(type)) {
+      const { params, returnType } = functionTypeParts(type);
+      return [...params, returnType].every(part => this.isKnownType(part));
+    }
+    if (this.typeParameters.includes(type)) return true;
+    const typeArgs = genericTypeArguments(type);
+    if (typeArgs.length > 0) {
+      // The last argument of a fixed collection is its capacity
+      if (FIXED_COLLECTION_TYPES[genericBaseType(type)] !== undefined) {
+        return collectionCapacity(type) !== null && typeArgs.slice(0, -1).every(arg => this.isKnownType(arg));
+      }
+      // A generic class takes exactly one type argument per type parameter
+      const cls = this.classes.get(genericBaseType(type));
+      if (cls) {
+        return classTypeParameters(cls).length === typeArgs.length && typeArgs.every(arg => this.isKnownType(arg));
+      }
+      return this.isKnownType(genericBaseType(type)) && typeArgs.every(arg => this.isKnownType(arg));
+    }
+    if (type.includes('::')) return true; // Module types are checked by the module itself
+    const keyword = KEYWORDS[type];
+    if (keyword && keyword.startsWith('TYPE_')) return true;
+    if (this.classes.has(type)) return classTypeParameters(this.classes.get(type)).length === 0;
+    return this.interfaces.has(type) || this.structs.has(type) || this.enums.has(type);
+  }
+
+  checkTypeExists(type, node) {
+    if (this.isKnownType(type)) return;
+    // Types from loaded C++ libraries cannot be checked
+    if (this.ast.body && this.ast.body.some(s => s.type === 'LoadStatement' && !s.isYsFile)) return;
+
+    const base = genericBaseType(type);
+    if (FIXED_COLLECTION_TYPES[base] !== undefined && collectionCapacity(type) === null) {
+      const form = `${base}<${[...COLLECTION_TYPE_PARAMETERS[base], 'N'].join(', ')}>`;
+      this.addError(`Type '${type}' must be written as '${form}' with a positive integer capacity N`, node, { code: 'YS0002' });
+      return;
+    }
+    const cls = this.classes.get(base);
+    if (cls && classTypeParameters(cls).length !== genericTypeArguments(type).length) {
+      const expected = classTypeParameters(cls).length;
+      this.addError(
+        `Class '${base}' expects ${expected} type argument${expected === 1 ? '' : 's'} but got ${genericTypeArguments(type).length}`,
+        node,
+        { code: 'YS0002', suggestions: expected > 0 ? [`${base}<${classTypeParameters(cls).join(', ')}>`] : [] }
+      );
+      return;
+    }
+
+    const candidates = [...this.classes.keys(), ...this.interfaces.keys(), ...this.structs.keys(), ...this.enums.keys()];
+    const suggestions = this.findSimilarNames(type, candidates);
+    this.addError(`Unknown type '${type}'`, node, { code: 'YS0002', suggestions });
+  }
+
+  // Can a value of type `source` be stored in a location of type `target`? Objects are
+  // C++ values, so a subclass only stands in for its base class `byReference`: as the
+  // argument of a parameter, which takes it by reference.
+  isAssignable(target, source, byReference = false) {
+    target = this.eraseTypeParameters(target);
+    source = this.eraseTypeParameters(source);
+    if (isUnknownType(target) || isUnknownType(source)) return true;
+
+    const t = normalizeType(target);
+    const s = normalizeType(source);
+    if (t === s) return true;
+    if (s === 'void' || t === 'void') return false;
+
+    if (isArrayType(t) || isArrayType(s)) {
+      return isArrayType(t) && isArrayType(s) &&
+        this.isAssignable(arrayElementType(t), arrayElementType(s));
+    }
+
+    // Function pointers only convert between identical signatures
+    if (isFunctionType(t) || isFunctionType(s)) {
+      return this.sameType(t, s);
+    }
+
+    // A bare 'List' (e.g. new List()) leaves the element types open
+    if (genericBaseType(t) === genericBaseType(s)) {
+      return genericTypeArguments(t).length === 0 || genericTypeArguments(s).length === 0;
+    }
+
+    // Objects are passed to parameters of their base classes and interfaces
+    if (byReference && this.isSubtype(s, t)) return true;
+
+    // Numbers and (unscoped C++) enum values convert implicitly to numbers. Booleans
+    // and numbers do not convert into each other.
+    if (isNumericType(t)) {
+      return isNumericType(s) || this.isEnumType(s);
+    }
+
+    return false;
+  }
+
+  // Why a subclass cannot be stored where its base class is expected, for the notes
+  // of a type mismatch
+  slicingNotes(target, source) {
+    if (!this.isSubtype(normalizeType(source), normalizeType(target))) return [];
+    return [
+      `Storing a '${formatType(source)}' as a '${formatType(target)}' would copy only its '${formatType(target)}' part, and calls would no longer reach its overrides.`,
+      `Keep it in a '${formatType(source)}', or pass it to a parameter of type '${formatType(target)}'.`
+    ];
+  }
+
+  // Do two types name the same type, up to aliases (fn(byte) is fn(u8))?
+  sameType(a, b) {
+    if (isFunctionType(a) && isFunctionType(b)) {
+      const left = functionTypeParts(a);
+      const right = functionTypeParts(b);
+      return left.params.length === right.params.length &&
+        left.params.every((param, i) => this.sameType(param, right.params[i])) &&
+        this.sameType(left.returnType, right.returnType);
+    }
+    return normalizeType(a) === normalizeType(b);
+  }
+
+  // Can two values be compared with ==, <, etc.?
+  isComparable(left, right) {
+    return this.isAssignable(left, right) || this.isAssignable(right, left);
+  }
+
+  // Types usable as a condition (if/while/and/or/not)
+  isConditionType(type) {
+    if (isUnknownType(type)) return true;
+    const t = normalizeType(type);
+    if (t === 'bool' || isNumericType(t) || this.isEnumType(t)) return true;
+    // Strings, arrays and user-defined aggregates never convert to bool
+    return !(t === 'string' || isArrayType(t) || this.structs.has(t) || this.isObjectType(t));
+  }
+
+  // Classes and interfaces, whose members are looked up with findClassMember
+  isObjectType(type) {
+    return this.classes.has(genericBaseType(type)) || this.interfaces.has(type);
+  }
+
+  // Base classes of a class type, nearest first, with their type arguments bound:
+  // Motor extends Driver<int> -> ['Driver<int>', ...]. A class in a cycle ends with itself.
+  superClasses(type) {
+    const result = [];
+    let instance = this.classInstance(type);
+    while (instance && instance.cls.superClass) {
+      const superType = this.substituteTypeParameters(instance.cls.superClass, instance.bindings);
+      if (!this.classes.has(genericBaseType(superType)) || result.includes(superType)) break;
+      result.push(superType);
+      if (superType === type) break;
+      instance = this.classInstance(superType);
+    }
+    return result;
+  }
+
+  // Interfaces implemented by a class type, directly or through its base classes
+  implementedInterfaces(type) {
+    const names = [type, ...this.superClasses(type)]
+      .map(t => this.classInstance(t))
+      .flatMap(instance => (instance && instance.cls.interfaces) || []);
+    return [...new Set(names)];
+  }
+
+  isSubtype(source, target) {
+    if (!this.classes.has(genericBaseType(source))) return false;
+    if (this.interfaces.has(target)) return this.implementedInterfaces(source).includes(target);
+    return this.superClasses(source).includes(target);
+  }
+
+  // Generic code is checked for every type argument it may be given, so inside it a
+  // type parameter is left open: T -> unknown, List<T> -> List. While a generic function
+  // is checked for a call, its type parameters stand for the types bound to them.
+  eraseTypeParameters(type) {
+    if (this.typeParameters.length === 0 || typeof type !== 'string') return type;
+    type = this.substituteTypeParameters(type, this.typeBindings);
+    if (this.typeParameters.includes(type)) return UNKNOWN_TYPE;
+    if (isArrayType(type)) {
+      const elementType = this.eraseTypeParameters(arrayElementType(type));
+      return isUnknownType(elementType) ? UNKNOWN_TYPE : `${elementType}[]`;
+    }
+    if (isFunctionType(type)) {
+      return this.typeParameters.some(name => typeMentions(type, name)) ? UNKNOWN_TYPE : type;
+    }
+    const typeArgs = genericTypeArguments(type);
+    if (typeArgs.some(arg => this.eraseTypeParameters(arg) !== arg)) return genericBaseType(type);
+    return type;
+  }
+
+  // Replace type parameters with the types bound to them: List<T> with T = int -> List<int>.
+  // A type argument that is not known leaves the generic type open (List).
+  substituteTypeParameters(type, bindings) {
+    if (typeof type !== 'string' || bindings.size === 0) return type;
+    if (bindings.has(type)) return bindings.get(type);
+    if (isArrayType(type)) {
+      const elementType = this.substituteTypeParameters(arrayElementType(type), bindings);
+      return isUnknownType(elementType) ? UNKNOWN_TYPE : `${elementType}[]`;
+    }
+    if (isFunctionType(type)) {
+      const { params, returnType } = functionTypeParts(type);
+      const parts = [...params, returnType].map(part => this.substituteTypeParameters(part, bindings));
+      return parts.some(isUnknownType) ? UNKNOWN_TYPE : functionType(parts.slice(0, -1), parts[parts.length - 1]);
+    }
+    const typeArgs = genericTypeArguments(type).map(arg => this.substituteTypeParameters(arg, bindings));
+    if (typeArgs.length === 0) return type;
+    if (typeArgs.some(isUnknownType)) return genericBaseType(type);
+    return `${genericBaseType(type)}<${typeArgs.join(', ')}>`;
+  }
+
+  // Bind the type parameters that occur in a parameter type from the argument given for it:
+  // T from int, List<T> from List<string>. Numeric types seen for the same parameter promote.
+  inferTypeArguments(paramType, argType, typeParameters, bindings) {
+    if (isUnknownType(argType)) return;
+    if (typeParameters.includes(paramType)) {
+      const type = normalizeType(argType);
+      const bound = bindings.get(paramType);
+      if (!bound) {
+        bindings.set(paramType, type);
+      } else if (bound !== type && isNumericType(bound) && isNumericType(type)) {
+        bindings.set(paramType, promoteNumericTypes(bound, type));
+      }
+      return;
+    }
+    if (isArrayType(paramType) && isArrayType(argType)) {
+      this.inferTypeArguments(arrayElementType(paramType), arrayElementType(argType), typeParameters, bindings);
+      return;
+    }
+    // T from the signature of a function passed for fn(T) -> T
+    if (isFunctionType(paramType) && isFunctionType(argType)) {
+      const param = functionTypeParts(paramType);
+      const arg = functionTypeParts(argType);
+      if (param.params.length !== arg.params.length) return;
+      [...param.params, param.returnType].forEach((part, i) => {
+        const argPart = [...arg.params, arg.returnType][i];
+        if (argPart) this.inferTypeArguments(part, argPart, typeParameters, bindings);
+      });
+      return;
+    }
+    const argTypeArgs = genericTypeArguments(argType);
+    if (genericBaseType(paramType) === genericBaseType(argType)) {
+      genericTypeArguments(paramType).forEach((param, i) => {
+        if (argTypeArgs[i]) this.inferTypeArguments(param, argTypeArgs[i], typeParameters, bindings);
+      });
+    }
+  }
+
+  // The class a type refers to, with its type parameters bound: Filter<int> -> T = int
+  classInstance(type) {
+    const cls = this.classes.get(genericBaseType(type));
+    if (!cls) return null;
+    const typeArgs = genericTypeArguments(type);
+    const bindings = new Map(classTypeParameters(cls).map((name, i) => [name, typeArgs[i] || UNKNOWN_TYPE]));
+    return { cls, bindings };
+  }
+
+  checkCondition(expr, context) {
+    const type = this.analyzeExpression(expr);
+    if (!this.isConditionType(type)) {
+      this.addError(
+        `${context} condition must be a boolean expression, got '${formatType(type)}'`,
+        expr,
+        { code: 'YS0108' }
+      );
+    }
+    return type;
+  }
+
+  checkNumeric(expr, context) {
+    const type = this.analyzeExpression(expr);
+    if (!isUnknownType(type) && !isNumericType(type)) {
+      this.addError(`${context} must be a number, got '${formatType(type)}'`, expr, { code: 'YS0109' });
+    }
+    return type;
+  }
+
+  // Check an initializer against the declared type of a variable, property or field
+  checkInitializer(targetType, init, name, node) {
+    if (init.type === 'ArrayLiteral') {
+      const capacity = collectionCapacity(targetType);
+      if (capacity !== null && init.elements.length > capacity) {
+        this.addError(
+          `'${name}' of type '${targetType}' holds ${capacity} element${capacity === 1 ? '' : 's'} but is initialized with ${init.elements.length}`,
+          init,
+          { code: 'YS0114' }
+        );
+      }
+      const elementType = iterableElementType(targetType) || targetType;
+      this.checkArrayElements(elementType, init.elements, init.elements.map(el => this.analyzeExpression(el)), name);
+      return;
+    }
+
+    const initType = this.analyzeExpression(init);
+    if (!this.isAssignable(targetType, initType)) {
+      this.addError(
+        `Type mismatch: cannot initialize '${name}' of type '${formatType(targetType)}' with a value of type '${formatType(initType)}'`,
+        init,
+        { code: 'YS0100', notes: this.slicingNotes(targetType, initType) }
+      );
+      return initType;
+    }
+    this.checkLiteralRange(targetType, init);
+    return initType;
+  }
+
+  // Elements of an array literal, already analyzed into `types`, against the element type
+  checkArrayElements(elementType, elements, types, name) {
+    elements.forEach((element, i) => {
+      if (!this.isAssignable(elementType, types[i])) {
+        this.addError(
+          `Type mismatch: element ${i + 1} of '${name}' must be '${formatType(elementType)}', got '${formatType(types[i])}'`,
+          element,
+          { code: 'YS0100', notes: this.slicingNotes(elementType, types[i]) }
+        );
+      } else {
+        this.checkLiteralRange(elementType, element);
+      }
+    });
+  }
+
+  // Value of a numeric literal, constant or negated one (e.g. -128), or null
+  constantValue(expr) {
+    if (expr.type === 'Literal' && typeof expr.value === 'number') {
+      return expr.unit ? unitLiteralValue(expr.value, expr.unit) : expr.value;
+    }
+    if (expr.type === 'Identifier') {
+      // A constant stands for the value it is initialized with
+      const symbol = this.lookup(expr.name);
+      const node = symbol && symbol.kind === 'const' ? symbol.node : null;
+      return node && node.type === 'VariableDeclaration' && node.init ? this.constantValue(node.init) : null;
+    }
+    if (expr.type === 'UnaryExpression' && expr.operator === '-') {
+      const value = this.constantValue(expr.argument);
+      return value === null ? null : -value;
+    }
+    return null;
+  }
+
+  // Reject constant positions outside a fixed collection
+  checkCollectionIndex(type, indexExpr) {
+    const capacity = collectionCapacity(type);
+    const index = indexExpr ? this.constantValue(indexExpr) : null;
+    if (capacity === null || index === null) return;
+    if (index < 0 || index >= capacity) {
+      this.addError(`Index ${index} is out of bounds for '${type}' (capacity ${capacity})`, indexExpr, {
+        code: 'YS0114',
+        notes: [`Valid indices: 0 to ${capacity - 1}`]
+      });
+    }
+  }
+
+  // Bounds and policy of a range-constrained variable or parameter
+  checkRangeConstraint(range, type, name, node) {
+    this.checkNumeric(range.min, 'Range bound');
+    this.checkNumeric(range.max, 'Range bound');
+
+    const valueType = normalizeType(type);
+    if (!isUnknownType(valueType) && !isNumericType(valueType)) {
+      this.addError(`Range constraint of '${name}' needs a numeric type, not '${formatType(type)}'`, node, { code: 'YS0128' });
+      return;
+    }
+    if (range.policy === 'wrap' && isFloatType(valueType)) {
+      this.addError(`Policy 'wrap' of '${name}' needs an integer type, not '${formatType(type)}'`, node, {
+        code: 'YS0128',
+        notes: ['Use clamp or trap for floating-point values.']
+      });
+    }
+    const min = this.constantValue(range.min);
+    const max = this.constantValue(range.max);
+    if (min !== null && max !== null && min > max) {
+      this.addError(`Range ${min}...${max} of '${name}' is empty`, range.min, { code: 'YS0128' });
+    }
+    this.checkLiteralRange(valueType, range.min);
+    this.checkLiteralRange(valueType, range.max);
+  }
+
+  // Reject constants outside the range of a range-constrained variable or parameter
+  checkRangeValue(range, expr, name, node = expr) {
+    const value = this.constantValue(expr);
+    const min = this.constantValue(range.min);
+    const max = this.constantValue(range.max);
+    if (value === null || min === null || max === null || (value >= min && value <= max)) return;
+    this.addError(`Value ${value} is out of range for '${name}'`, node, {
+      code: 'YS0102',
+      notes: [`Valid range: ${min} to ${max}`]
+    });
+  }
+
+  // Reject constant values that do not fit in a width-specific integer type
+  checkLiteralRange(targetType, expr) {
+    const range = getTypeRange(targetType);
+    if (!range) return;
+    const value = this.constantValue(expr);
+    if (value !== null && (value < range.min || value > range.max)) {
+      this.addError(`Value ${value} is out of range for type ${targetType}`, expr, {
+        code: 'YS0102',
+        notes: [`Valid range: ${range.min} to ${range.max}`]
+      });
+    }
+  }
+
+  // Check call arguments against a parameter list. `argTypes` are given when the
+  // arguments were already analyzed.
+  checkCallArguments(name, params, args, node, minArgs = params.length, argTypes = null) {
+    if (args.length < minArgs || args.length > params.length) {
+      const expected = minArgs === params.length
+        ? `${params.length}`
+        : `${minArgs} to ${params.length}`;
+      this.addError(
+        `Function '${name}' expects ${expected} argument${params.length === 1 ? '' : 's'} but got ${args.length}`,
+        node,
+        { code: 'YS0103' }
+      );
+    }
+
+    args.forEach((arg, i) => {
+      const argType = argTypes ? argTypes[i] : this.analyzeExpression(arg);
+      const param = params[i];
+      if (!param) return;
+      const paramType = typeof param === 'string' ? param : param.type;
+      if (!this.isAssignable(paramType, argType)) {
+        this.addError(
+          `Argument ${i + 1} of '${name}' expects '${formatType(paramType)}' but got '${formatType(argType)}'`,
+          arg,
+          { code: 'YS0104', notes: this.slicingNotes(paramType, argType) }
+        );
+      }
+    });
+  }
+
+  // Match the arguments of a call to parameters: positional ones in order, named ones
+  // by name. `targets` holds the parameter index of each argument (-1 when it has
+  // none); `fits` is false when the arguments do not fit, which is reported if `report`.
+  bindArguments(name, params, args, node, report) {
+    let fits = true;
+    const fail = (message, at, details) => {
+      fits = false;
+      if (report) this.addError(message, at, details);
+    };
+
+    const required = params.filter(param => !param.defaultValue).length;
+    const positional = args.filter(arg => arg.type !== 'NamedArgument').length;
+    const named = args.length - positional;
+    if (positional > params.length || (named === 0 && positional < required)) {
+      const expected = required === params.length ? `${params.length}` : `${required} to ${params.length}`;
+      fail(`Function '${name}' expects ${expected} argument${params.length === 1 ? '' : 's'} but got ${args.length}`, node, {
+        code: 'YS0103'
+      });
+    }
+
+    const targets = args.map((arg, i) => {
+      if (arg.type !== 'NamedArgument') return i < params.length ? i : -1;
+      const index = params.findIndex(param => param.name === arg.name);
+      if (index === -1) {
+        fail(`Function '${name}' has no parameter '${arg.name}'`, arg, {
+          code: 'YS0125',
+          suggestions: this.findSimilarNames(arg.name, params.map(param => param.name))
+        });
+      } else if (index < positional) {
+        fail(`Argument '${arg.name}' of '${name}' is already given by position`, arg, { code: 'YS0125' });
+        return -1;
+      }
+      return index;
+    });
+    if (named > 0) {
+      params.forEach((param, i) => {
+        if (!param.defaultValue && !targets.includes(i)) {
+          fail(`Function '${name}' is missing argument '${param.name}'`, node, { code: 'YS0103' });
+        }
+      });
+    }
+    return { targets, fits };
+  }
+
+  // Check an argument against the parameter it was matched to
+  checkArgument(name, param, index, arg, argType) {
+    if (this.isAssignable(param.type, argType, true)) {
+      if (param.range) {
+        this.checkRangeValue(param.range, argumentValue(arg), param.name, arg);
+      }
+      return;
+    }
+    const which = arg.type === 'NamedArgument' ? `'${arg.name}'` : `${index + 1}`;
+    this.addError(`Argument ${which} of '${name}' expects '${formatType(param.type)}' but got '${formatType(argType)}'`, arg, {
+      code: 'YS0104'
+    });
+  }
+
+  // How well an argument fits a parameter: 2 for the same type, 1 for a number of the
+  // same kind (u8 for int) or a subclass, 0 for other conversions, null for none
+  argumentScore(paramType, argType) {
+    if (!this.isAssignable(paramType, argType, true)) return null;
+    if (isUnknownType(argType) || this.sameType(paramType, argType)) return 2;
+    const param = normalizeType(paramType);
+    const arg = normalizeType(argType);
+    const sameKind = (isIntegerType(param) && isIntegerType(arg)) || (isFloatType(param) && isFloatType(arg));
+    return sameKind || this.isSubtype(arg, param) ? 1 : 0;
+  }
+
+  // Check a call of a function, method or constructor declared in the program, whose
+  // `overloads` each have params and a node. Of several, the one whose parameters
+  // fit the arguments best is used, and a tie is reported as ambiguous. `callee`
+  // names them in messages. Returns the overload called, or null.
+  resolveCall(name, overloads, args, node, callee = name) {
+    // Duplicates have been reported where they are declared
+    const distinct = overloads.filter((overload, i) => !overloads.slice(0, i).some(other => this.sameParameters(other, overload)));
+    if (distinct.length === 1) {
+      const [overload] = distinct;
+      const { targets } = this.bindArguments(name, overload.params, args, node, true);
+      const argTypes = args.map((arg, i) => {
+        const type = this.analyzeExpression(argumentValue(arg));
+        if (targets[i] !== -1) this.checkArgument(name, overload.params[targets[i]], targets[i], arg, type);
+        return type;
+      });
+      this.annotateArguments(node, overload.params, args, targets, argTypes, false);
+      return overload;
+    }
+
+    const argTypes = args.map(arg => this.analyzeExpression(argumentValue(arg)));
+    const viable = distinct.map(overload => {
+      const { targets, fits } = this.bindArguments(name, overload.params, args, node, false);
+      if (!fits) return null;
+      const scores = targets.map((target, i) => this.argumentScore(overload.params[target].type, argTypes[i]));
+      return scores.includes(null) ? null : { overload, targets, score: scores.reduce((a, b) => a + b, 0) };
+    }).filter(Boolean);
+
+    const best = Math.max(...viable.map(match => match.score));
+    const chosen = viable.filter(match => match.score === best);
+    const candidate = overload => `Candidate: ${callee}(${overload.params.map(p => `${formatType(p.type)} ${p.name}`).join(', ')})`;
+    if (chosen.length === 0) {
+      const kind = overloads[0].node.type === 'Constructor' ? 'constructor' : 'overload';
+      this.addError(`No ${kind} of '${callee}' takes ${describeArguments(args, argTypes)}`, node, {
+        code: 'YS0104',
+        notes: overloads.map(candidate)
+      });
+      return null;
+    }
+    if (chosen.length > 1) {
+      this.addError(`Call of '${callee}' is ambiguous, as ${describeArguments(args, argTypes)} fits more than one overload`, node, {
+        code: 'YS0126',
+        notes: chosen.map(match => candidate(match.overload))
+      });
+      return null;
+    }
+    this.annotateArguments(node, chosen[0].overload.params, args, chosen[0].targets, argTypes, true);
+    return chosen[0].overload;
+  }
+
+  // Code generation passes the arguments in parameter order, with the defaults of
+  // those left out filled in. The numbers passed to an overloaded function are cast to
+  // the parameter types, so that C++ picks the same overload. That includes every
+  // float, as C++ takes 1.5 and float expressions with a literal in them as double.
+  // With overflow checks, an integer argument must fit its parameter.
+  annotateArguments(node, params, args, targets, argTypes, overloaded) {
+    targets.forEach((target, i) => {
+      const value = argumentValue(args[i]);
+      if (target !== -1) this.markCheckedStore(value, params[target].type, value, argTypes[i]);
+    });
+    if (!overloaded && args.length === params.length && !args.some(arg => arg.type === 'NamedArgument')) return;
+    node.callArguments = params.map((param, i) => {
+      const index = targets.indexOf(i);
+      const value = index === -1 ? param.defaultValue : argumentValue(args[index]);
+      const type = index === -1 ? this.defaultTypes.get(param.defaultValue) : argTypes[index];
+      const paramType = normalizeType(param.type);
+      const exact = type && this.sameType(paramType, type) && !isFloatType(paramType);
+      return { value, cast: overloaded && isNumericType(paramType) && !exact ? param.type : null };
+    });
+  }
+
+  // Literals, enum values, global constants and operators on them. Parameter
+  // defaults must be constants, as they are filled in where the function is called.
+  isConstantExpression(expr) {
+    switch (expr.type) {
+      case 'Literal':
+        return true;
+      case 'UnaryExpression':
+        return this.isConstantExpression(expr.argument);
+      case 'BinaryExpression':
+        return this.isConstantExpression(expr.left) && this.isConstantExpression(expr.right);
+      case 'ConditionalExpression':
+        return [expr.test, expr.consequent, expr.alternate].every(part => this.isConstantExpression(part));
+      case 'Identifier': {
+        // Undefined names have been reported already
+        const symbol = this.lookup(expr.name);
+        return !symbol || (symbol.kind === 'const' && this.scopes[0].get(expr.name) === symbol);
+      }
+      case 'MemberExpression':
+        return expr.object.type === 'Identifier' && this.enums.has(expr.object.name);
+      default:
+        return false;
+    }
+  }
+
+  // Find a property or method on a user-defined class, its base classes, or an
+  // interface. The member types of a generic class are those of the instance:
+  // value is 'int' on a Filter<int>. `owner` is the type that declares the member.
+  // A method is the first of its `overloads`, all declared by the same type.
+  findClassMember(className, memberName) {
+    const iface = this.interfaces.get(className);
+    if (iface) {
+      const overloads = iface.methods.filter(m => m.name === memberName)
+        .map(method => ({ kind: 'method', type: method.returnType, params: method.params, node: method, owner: className }));
+      return overloads.length > 0 ? { ...overloads[0], overloads } : null;
+    }
+    for (const type of [className, ...this.superClasses(className)]) {
+      const member = this.findOwnClassMember(type, memberName);
+      if (member) return member;
+    }
+    return null;
+  }
+
+  // Find a member declared by the class itself
+  findOwnClassMember(className, memberName) {
+    const instance = this.classInstance(className);
+    if (!instance) return null;
+    const { cls, bindings } = instance;
+    const bind = type => this.substituteTypeParameters(type, bindings);
+
+    const property = (cls.properties || []).find(p => p.name === memberName);
+    if (property) return { kind: 'property', type: bind(property.propertyType), node: property, owner: className };
+    const overloads = (cls.methods || []).filter(m => m.name === memberName).map(method => {
+      const params = method.params.map(param => ({ ...param, type: bind(param.type) }));
+      return { kind: 'method', type: bind(method.returnType), params, node: method, owner: className };
+    });
+    return overloads.length > 0 ? { ...overloads[0], overloads } : null;
+  }
+
   // Main program analysis
   analyzeProgram(program) {
     if (!program || !program.body) return;
@@ -200,18 +1127,25 @@ class SemanticAnalyzer {
         this.analyzeClassDeclaration(stmt);
         break;
 
+      case 'InterfaceDeclaration':
+        this.declare(stmt.name, { kind: 'interface', type: stmt.name, node: stmt });
+        stmt.methods.forEach(method => {
+          method.params.forEach(param => this.checkTypeExists(param.type, method));
+          this.checkTypeExists(method.returnType, method);
+        });
+        break;
+
       case 'EnumDeclaration':
         // Declare enum name
-        this.declare(stmt.name);
+        this.declare(stmt.name, { kind: 'enum', type: stmt.name, node: stmt });
         // Declare enum values as constants
         if (stmt.values) {
-          stmt.values.forEach(value => this.declare(value));
+          stmt.values.forEach(value => this.declare(value, { kind: 'const', type: stmt.name, node: stmt }));
         }
         break;
 
       case 'StructDeclaration':
-        // Declare struct name
-        this.declare(stmt.name);
+        this.analyzeStructDeclaration(stmt);
         break;
 
       case 'FunctionDeclaration':
@@ -237,23 +1171,23 @@ class SemanticAnalyzer {
       case 'SignalDeclaration':
         // Declare signal name
         if (stmt.name) {
-          this.declare(stmt.name);
+          this.declare(stmt.name, { kind: 'signal', type: 'bool', node: stmt });
         }
         break;
 
       case 'ReactDeclaration':
-        if (stmt.name) {
-          this.declare(stmt.name);
-        }
         if (stmt.init) {
-          this.analyzeExpression(stmt.init);
+          this.checkInitializer(stmt.varType, stmt.init, stmt.name, stmt);
+        }
+        if (stmt.name) {
+          this.declare(stmt.name, { kind: stmt.isMut ? 'variable' : 'const', type: stmt.varType, node: stmt });
         }
         break;
 
       case 'LoadStatement':
         // Handle .ys module loading - declare the module namespace
         if (stmt.isYsFile && stmt.moduleName) {
-          this.declare(stmt.moduleName);
+          this.declare(stmt.moduleName, { kind: 'module', library: stmt.library, node: stmt });
         }
         break;
 
@@ -264,7 +1198,8 @@ class SemanticAnalyzer {
       case 'AliasStatement':
         // Alias declares a constant identifier
         if (stmt.name) {
-          this.declare(stmt.name);
+          const isNumber = /^\d+$/.test(stmt.value);
+          this.declare(stmt.name, { kind: 'const', type: isNumber ? 'int' : UNKNOWN_TYPE, node: stmt });
         }
         break;
 
@@ -279,15 +1214,24 @@ class SemanticAnalyzer {
       case 'ForStatement':
         this.analyzeForStatement(stmt);
         break;
+      case 'ForRangeStatement':
+        this.analyzeForRangeStatement(stmt);
+        break;
+      case 'ForEachStatement':
+        this.analyzeForEachStatement(stmt);
+        break;
 
       case 'RepeatStatement':
         this.analyzeRepeatStatement(stmt);
         break;
 
       case 'ReturnStatement':
-        if (stmt.argument) {
-          this.analyzeExpression(stmt.argument);
-        }
+        this.analyzeReturnStatement(stmt);
+        break;
+
+      case 'BreakStatement':
+      case 'ContinueStatement':
+        this.analyzeLoopExit(stmt);
         break;
 
       case 'ExpressionStatement':
@@ -312,11 +1256,17 @@ class SemanticAnalyzer {
         this.analyzeBlockStatements(stmt.body);
         break;
 
+      case 'WaitStatement':
+        if (stmt.duration) {
+          this.checkNumeric(stmt.duration, 'Wait duration');
+        }
+        break;
+
       case 'TimeoutStatement':
         if (stmt.duration) {
-          this.analyzeExpression(stmt.duration);
+          this.checkNumeric(stmt.duration, 'Timeout duration');
         }
-        this.analyzeBlockStatements(stmt.body);
+        this.analyzeLoopBody(stmt);
         break;
 
       case 'CppBlock':
@@ -331,102 +1281,537 @@ class SemanticAnalyzer {
 
   analyzeClassDeclaration(stmt) {
     // Declare class name
-    this.declare(stmt.name);
+    this.declare(stmt.name, { kind: 'class', type: stmt.name, node: stmt });
+
+    const previousClass = this.currentClass;
+    const previousTypeParameters = this.typeParameters;
+    this.currentClass = stmt;
+    this.typeParameters = [...previousTypeParameters, ...classTypeParameters(stmt)];
+
+    this.checkInheritance(stmt);
 
     // Push a new scope for class members
     this.pushScope();
 
+    // Inherited members are in scope too, nearest base class last so it wins.
+    // `owner` lets uses of private ones be reported.
+    this.superClasses(stmt.name).reverse().forEach(type => {
+      const { cls, bindings } = this.classInstance(type);
+      cls.properties.forEach(prop => {
+        this.declare(prop.name, { kind: 'property', type: this.substituteTypeParameters(prop.propertyType, bindings), node: prop, owner: type });
+      });
+      cls.methods.forEach(method => {
+        const returnType = this.substituteTypeParameters(method.returnType, bindings);
+        const params = method.params.map(param => ({ ...param, type: this.substituteTypeParameters(param.type, bindings) }));
+        this.declareFunction(method.name, { type: returnType, params, returnType, node: method, owner: type });
+      });
+    });
+
     // Declare all properties
     if (stmt.properties) {
       stmt.properties.forEach(prop => {
-        this.declare(prop.name);
+        this.checkTypeExists(prop.propertyType, stmt);
+        this.checkValueType(prop.propertyType, `Property '${prop.name}'`, prop);
         if (prop.init) {
-          this.analyzeExpression(prop.init);
+          this.checkInitializer(prop.propertyType, prop.init, prop.name, prop);
         }
+        this.declare(prop.name, { kind: 'property', type: prop.propertyType, node: prop });
       });
     }
 
-    // Analyze constructor
-    if (stmt.constructor) {
-      this.pushScope();
-      stmt.constructor.params.forEach(param => this.declare(param.name));
-      this.analyzeBlockStatements(stmt.constructor.body);
-      this.popScope();
-    }
-
-    // Analyze methods
+    // Declare methods so they can call each other without `self`
     if (stmt.methods) {
       stmt.methods.forEach(method => {
-        this.pushScope();
-        method.params.forEach(param => this.declare(param.name));
-        this.analyzeBlockStatements(method.body);
-        this.popScope();
+        this.declareFunction(method.name, {
+          type: method.returnType,
+          params: method.params,
+          returnType: method.returnType,
+          node: method
+        });
+      });
+    }
+
+    // Analyze constructors, which are told apart by their parameter types
+    stmt.constructors.forEach((constructor, i) => {
+      const earlier = stmt.constructors.slice(0, i).find(other => this.sameParameters(other, constructor));
+      if (earlier) {
+        this.addError(`Class '${stmt.name}' already has a constructor taking (${earlier.params.map(p => formatType(p.type)).join(', ')})`, constructor, {
+          code: 'YS0122',
+          notes: [`The other constructor is on line ${earlier.line}.`]
+        });
+      }
+      this.analyzeCallable(constructor, `${stmt.name} constructor`, 'void', true, {
+        superCall: leadingSuperCall(constructor),
+        fieldInitializers: fieldInitializers(constructor)
+      });
+    });
+
+    // Analyze methods
+    if (stmt.methods) {
+      stmt.methods.forEach(method => {
+        this.checkValueType(method.returnType, `Method '${method.name}'`, method);
+        this.analyzeCallable(method, method.name, method.returnType, method.returnTypeInferred, {
+          isStatic: Boolean(method.isStatic)
+        });
       });
     }
 
     this.popScope();
+    this.currentClass = previousClass;
+    this.typeParameters = previousTypeParameters;
   }
 
-  analyzeFunctionDeclaration(stmt) {
-    // Declare function name
-    this.declare(stmt.name);
+  // Struct methods see the fields and other methods by name, like class methods
+  analyzeStructDeclaration(stmt) {
+    // Declare struct name
+    this.declare(stmt.name, { kind: 'struct', type: stmt.name, node: stmt });
+
+    const previousClass = this.currentClass;
+    this.currentClass = stmt;
+    this.pushScope();
+
+    stmt.fields.forEach(field => {
+      this.checkTypeExists(field.type, stmt);
+      if (field.init) {
+        this.checkInitializer(field.type, field.init, `${stmt.name}.${field.name}`, field);
+      }
+      this.declare(field.name, { kind: 'property', type: field.type, node: field });
+    });
+    stmt.methods.forEach(method => {
+      this.declareFunction(method.name, {
+        type: method.returnType,
+        params: method.params,
+        returnType: method.returnType,
+        node: method
+      });
+    });
+    stmt.methods.forEach(method => {
+      this.checkTypeExists(method.returnType, method);
+      this.analyzeCallable(method, method.name, method.returnType, method.returnTypeInferred);
+    });
+
+    this.popScope();
+    this.currentClass = previousClass;
+  }
+
+  // Check what a class extends, implements and overrides, and that its constructor
+  // calls super(...) when the base class needs arguments
+  checkInheritance(stmt) {
+    if (stmt.superClass) {
+      const base = genericBaseType(stmt.superClass);
+      if (this.interfaces.has(base)) {
+        this.addError(`Class '${stmt.name}' cannot extend interface '${base}'`, stmt, {
+          code: 'YS0116',
+          suggestions: [`class ${stmt.name} implements ${base}`]
+        });
+      } else if (this.structs.has(base) || this.enums.has(base)) {
+        this.addError(`Class '${stmt.name}' can only extend a class, not '${base}'`, stmt, { code: 'YS0116' });
+      } else if (this.superClasses(stmt.name).some(type => genericBaseType(type) === stmt.name)) {
+        this.addError(`Class '${stmt.name}' inherits from itself`, stmt, { code: 'YS0116' });
+      } else {
+        this.checkTypeExists(stmt.superClass, stmt);
+      }
+    }
+
+    (stmt.interfaces || []).forEach(name => {
+      if (this.classes.has(genericBaseType(name))) {
+        this.addError(`Class '${stmt.name}' can only implement interfaces, and '${name}' is a class`, stmt, {
+          code: 'YS0116',
+          suggestions: [`class ${stmt.name} extends ${name}`]
+        });
+        return;
+      }
+      this.checkTypeExists(name, stmt);
+      const iface = this.interfaces.get(name);
+      if (!iface) return;
+
+      iface.methods.forEach(required => {
+        const found = this.findClassMember(stmt.name, required.name);
+        const member = found && found.kind === 'method' ? this.matchingOverload(found, required) : found;
+        if (!member || member.kind !== 'method' || member.node.isStatic) {
+          this.addError(`Class '${stmt.name}' does not implement '${required.name}' from interface '${name}'`, stmt, {
+            code: 'YS0117',
+            suggestions: [`fn ${describeSignature(required)} { ... }`]
+          });
+        } else if (!this.sameSignature(member, required)) {
+          this.addError(
+            `Method '${required.name}' of '${stmt.name}' does not match interface '${name}': expected '${describeSignature(required)}'`,
+            member.node,
+            { code: 'YS0117' }
+          );
+        } else if (this.visibilityOf(member.node) === 'private') {
+          this.addError(`Method '${required.name}' of '${stmt.name}' implements interface '${name}', so it must be public`, member.node, {
+            code: 'YS0120',
+            suggestions: [`pub fn ${describeSignature(required)}`]
+          });
+        }
+      });
+    });
+
+    const superClass = this.isKnownType(stmt.superClass) && this.classes.has(genericBaseType(stmt.superClass || ''))
+      ? stmt.superClass
+      : null;
+    stmt.methods.forEach(method => {
+      // Static methods belong to the class, so they override nothing
+      if (method.isStatic) {
+        if (method.isOverride) {
+          this.addError(`Static method '${method.name}' of '${stmt.name}' cannot be marked 'override'`, method, { code: 'YS0118' });
+        }
+        return;
+      }
+      const inherited = superClass ? this.findClassMember(superClass, method.name) : null;
+      // A method that adds an overload of its own overrides nothing
+      const overloaded = stmt.methods.filter(m => m.name === method.name && !m.isStatic).length > 1;
+      const baseMethod = inherited && inherited.kind === 'method' ? this.matchingOverload(inherited, method, overloaded) : null;
+      const declared = baseMethod || this.implementedInterfaces(stmt.name).some(name =>
+        this.interfaces.has(name) && this.interfaces.get(name).methods.some(m => m.name === method.name));
+
+      if (method.isOverride && !declared) {
+        this.addError(`Method '${method.name}' of '${stmt.name}' is marked 'override' but no base class or interface declares it`, method, {
+          code: 'YS0118'
+        });
+      } else if (baseMethod && !method.isOverride) {
+        this.addError(`Method '${method.name}' of '${stmt.name}' overrides '${baseMethod.owner}.${method.name}' and must be marked 'override'`, method, {
+          code: 'YS0118',
+          suggestions: [`override fn ${describeSignature(method)}`]
+        });
+      } else if (baseMethod && !this.sameSignature(method, baseMethod)) {
+        this.addError(
+          `Method '${method.name}' of '${stmt.name}' does not match '${baseMethod.owner}.${method.name}': expected '${describeSignature({ name: method.name, params: baseMethod.params, returnType: baseMethod.type })}'`,
+          method,
+          { code: 'YS0118' }
+        );
+      }
+    });
+
+    // Unless the base class can be constructed without arguments, every constructor
+    // must call one of its constructors
+    const baseInstance = superClass && this.classInstance(superClass);
+    const baseConstructors = baseInstance ? baseInstance.cls.constructors : [];
+    if (baseConstructors.length > 0 && baseConstructors.every(constructor => constructor.params.length > 0)) {
+      const suggestions = [`super(${baseConstructors[0].params.map(p => p.name).join(', ')})`];
+      if (stmt.constructors.length === 0) {
+        this.addError(`Class '${stmt.name}' needs a constructor that calls 'super(...)', as '${superClass}' takes constructor arguments`, stmt, {
+          code: 'YS0119',
+          suggestions
+        });
+      }
+      stmt.constructors.filter(constructor => !leadingSuperCall(constructor)).forEach(constructor => {
+        this.addError(`Constructor of '${stmt.name}' must start with 'super(...)', as '${superClass}' takes constructor arguments`, constructor, {
+          code: 'YS0119',
+          suggestions
+        });
+      });
+    }
+  }
+
+  // The overload of a method with the same parameter types as `method`. Unless `exact`,
+  // the first one stands in when none matches, and its signature is reported as expected.
+  matchingOverload(member, method, exact = false) {
+    return member.overloads.find(overload => this.sameParameters(overload, method)) || (exact ? null : member);
+  }
+
+  // Do two callables take the same parameter types?
+  sameParameters(a, b) {
+    return a.params.length === b.params.length &&
+      a.params.every((param, i) => normalizeType(param.type) === normalizeType(b.params[i].type));
+  }
+
+  // Visibility of a class member: as written, or the default set in the config
+  visibilityOf(member) {
+    return member.visibility || (this.config ? this.config.getDefaultVisibility() : 'public');
+  }
+
+  // Private members can only be used inside the class that declares them. `member`
+  // is a class member or symbol with its node and owner; `name` is null for a constructor.
+  checkMemberAccess(member, name, node) {
+    const owner = genericBaseType(member.owner);
+    if (this.interfaces.has(owner) || this.visibilityOf(member.node) !== 'private') return;
+    if (this.currentClass && this.currentClass.name === owner) return;
+
+    const subject = name === null
+      ? `Constructor of '${owner}'`
+      : `${member.node.type === 'PropertyDeclaration' ? 'Property' : 'Method'} '${name}' of '${owner}'`;
+    this.addError(`${subject} is private`, node, {
+      code: 'YS0120',
+      notes: [`Private members can only be used inside class '${owner}'.`]
+    });
+  }
+
+  // Instance members need `self`, which static methods do not have
+  checkInstanceAccess(description, node) {
+    if (!this.currentFunction || !this.currentFunction.isStatic) return;
+    this.addError(`Static method '${this.currentFunction.name}' cannot use ${description}`, node, {
+      code: 'YS0121',
+      notes: ['A static method is called on the class, not on an instance of it.']
+    });
+  }
+
+  // A member used through its class name, like Motor.count or Motor.create(),
+  // must be static
+  staticMember(object, property) {
+    this.addReference(object, this.lookup(object.name));
+    const member = this.findClassMember(object.name, property);
+    if (!member) {
+      this.addError(`Class '${object.name}' has no member '${property}'`, object, { code: 'YS0003' });
+      return null;
+    }
+    this.checkMemberAccess(member, property, object);
+    if (!member.node.isStatic) {
+      this.addError(`'${object.name}.${property}' is not static, so it can only be used on an instance of '${object.name}'`, object, {
+        code: 'YS0121'
+      });
+    }
+    return member;
+  }
+
+  // Do two methods take the same parameter types and return the same type?
+  sameSignature(a, b) {
+    const same = (x, y) => isUnknownType(x) || isUnknownType(y) || normalizeType(x) === normalizeType(y);
+    return a.params.length === b.params.length &&
+      a.params.every((param, i) => same(param.type, b.params[i].type)) &&
+      same(a.returnType || a.type, b.returnType || b.type);
+  }
+
+  // Interfaces have no implementation of their own, so values cannot have an interface type
+  checkValueType(type, description, node) {
+    if (!this.interfaces.has(type)) return;
+    this.addError(`${description} cannot have interface type '${type}'`, node, {
+      code: 'YS0116',
+      notes: ['An interface can only be the type of a parameter, which then accepts any class that implements it.']
+    });
+  }
+
+  // Shared analysis for functions, methods and constructors. `context` is kept on
+  // currentFunction (e.g. the super(...) call a constructor opens with).
+  analyzeCallable(node, name, returnType, returnTypeInferred, context = {}) {
+    // Defaults are analyzed before the parameters are in scope
+    (node.params || []).filter(param => param.defaultValue).forEach(param => {
+      this.defaultTypes.set(param.defaultValue, this.checkInitializer(param.type, param.defaultValue, param.name, param.defaultValue));
+      if (!this.isConstantExpression(param.defaultValue)) {
+        this.addError(`Default value of parameter '${param.name}' must be a constant`, param.defaultValue, {
+          code: 'YS0124',
+          notes: ['Defaults are filled in where the function is called, so they can only use literals, enum values and global constants.']
+        });
+      }
+    });
+
+    const previousFunction = this.currentFunction;
+    this.currentFunction = { name, returnType, returnTypeInferred, ...context };
 
     // Push a new scope for function parameters
     this.pushScope();
 
     // Declare parameters
-    if (stmt.params) {
-      stmt.params.forEach(param => this.declare(param.name));
+    if (node.params) {
+      node.params.forEach(param => {
+        this.checkTypeExists(param.type, node);
+        if (param.range) {
+          this.checkRangeConstraint(param.range, param.type, param.name, node);
+        }
+        this.declare(param.name, { kind: 'param', type: param.type, node, range: param.range });
+      });
     }
 
     // Analyze function body
-    this.analyzeBlockStatements(stmt.body);
+    this.analyzeBlockStatements(node.body);
 
     this.popScope();
+    this.currentFunction = previousFunction;
+  }
+
+  analyzeFunctionDeclaration(stmt) {
+    const typeParameters = stmt.typeParameters || [];
+
+    // Declare function name
+    this.declareFunction(stmt.name, {
+      type: stmt.returnType,
+      typeParameters,
+      params: stmt.params || [],
+      returnType: stmt.returnType,
+      node: stmt
+    });
+
+    // Type arguments are inferred from the call arguments, so each type parameter must occur in a parameter
+    typeParameters
+      .filter(name => !(stmt.params || []).some(param => typeMentions(param.type, name)))
+      .forEach(name => {
+        this.addError(`Type parameter '${name}' of '${stmt.name}' is not used by any parameter, so it cannot be inferred`, stmt, {
+          code: 'YS0115'
+        });
+      });
+
+    const previousTypeParameters = this.typeParameters;
+    this.typeParameters = [...previousTypeParameters, ...typeParameters];
+    this.checkTypeExists(stmt.returnType, stmt);
+    this.checkValueType(stmt.returnType, `Function '${stmt.name}'`, stmt);
+    this.analyzeCallable(stmt, stmt.name, stmt.returnType, stmt.returnTypeInferred);
+    this.typeParameters = previousTypeParameters;
   }
 
   analyzeVariableDeclaration(stmt) {
-    // Check for List/Map usage on AVR boards
-    if (this.config && this.config.isAVRBoard()) {
-      if (stmt.varType && RESTRICTED_COLLECTION_TYPES.includes(stmt.varType)) {
-        const board = this.config.options.board;
-        this.addError(
-          `Collection type '${stmt.varType}' is not supported on AVR targets (${board}) due to insufficient RAM.\n` +
-          `  AVR boards have very limited memory and cannot support std::vector and std::map.\n` +
-          `  Consider using arrays or simpler data structures, or target a board with more RAM (e.g., ESP32).`,
-          stmt.line
-        );
-      }
+    if (stmt.typeInferred) {
+      this.analyzeInferredDeclaration(stmt);
+      return;
+    }
+
+    this.checkCollectionSupport(stmt.varType, stmt);
+    this.checkTypeExists(stmt.varType, stmt);
+    this.checkValueType(stmt.varType, `Variable '${stmt.name}'`, stmt);
+
+    const errorCount = this.errors.length;
+    if (stmt.range) {
+      this.checkRangeConstraint(stmt.range, stmt.varType, stmt.name, stmt);
     }
 
     // Important: Analyze the initialization expression BEFORE declaring the variable
     // This prevents cases like "mut int x = x + 1" from being valid
     // The right-hand side should only reference previously declared variables
+    let type = stmt.varType;
     if (stmt.init) {
-      this.analyzeExpression(stmt.init);
+      const initType = this.checkInitializer(stmt.varType, stmt.init, stmt.name, stmt);
+      if (!stmt.range) this.markCheckedStore(stmt, stmt.varType, stmt.init, initType);
+      // A list initialized from an array literal stays a list
+      if (stmt.init.type === 'ArrayLiteral' && !SEQUENCE_TYPES.includes(genericBaseType(stmt.varType))) {
+        type = `${stmt.varType}[]`;
+      }
+    }
+    if (stmt.range && stmt.init && stmt.init.type === 'ArrayLiteral') {
+      this.addError(`Range constraint of '${stmt.name}' cannot apply to an array`, stmt, {
+        code: 'YS0128',
+        notes: ['Elements are assigned through indices, which ranges do not check.']
+      });
+    } else if (stmt.range && this.errors.length === errorCount) {
+      // Without an initializer the variable starts at zero
+      this.checkRangeValue(stmt.range, stmt.init || { type: 'Literal', value: 0 }, stmt.name, stmt.init || stmt);
     }
 
     // Then declare the variable so it's available in subsequent statements
-    this.declare(stmt.name);
+    this.declare(stmt.name, { kind: stmt.kind === 'const' ? 'const' : 'variable', type, node: stmt, range: stmt.range });
+  }
+
+  // List and Map need the heap, which AVR boards are too small for, also as the
+  // elements of a fixed collection: Array<List<int>, 2>
+  checkCollectionSupport(type, node) {
+    if (!this.config || !this.config.isAVRBoard() || !type) return;
+    const restricted = this.restrictedCollection(type);
+    if (restricted) {
+      const board = this.config.options.board;
+      const within = restricted === type ? '' : ` in '${type}'`;
+      this.addError(
+        `Collection type '${restricted}'${within} is not supported on AVR targets (${board}) due to insufficient RAM.`,
+        node,
+        {
+          code: 'YS0200',
+          notes: [
+            'AVR boards have very limited memory and cannot support std::vector and std::map.',
+            'Consider Array<T, N> or FixedMap<K, V, N>, which need no heap, or target a board with more RAM (e.g., ESP32).'
+          ]
+        }
+      );
+    }
+  }
+
+  // The first List or Map a type is or holds, or null
+  restrictedCollection(type) {
+    if (isArrayType(type)) return this.restrictedCollection(arrayElementType(type));
+    if (RESTRICTED_COLLECTION_TYPES.includes(genericBaseType(type))) return type;
+    return genericTypeArguments(type).map(arg => this.restrictedCollection(arg)).find(Boolean) || null;
+  }
+
+  // `mut count = 0`: the type comes from the initializer and is stored on the
+  // node, so code generation and tooling see it like a written one
+  analyzeInferredDeclaration(stmt) {
+    const kind = stmt.kind === 'const' ? 'const' : 'variable';
+    const errorCount = this.errors.length;
+    let type;
+    if (stmt.init.type === 'ArrayLiteral') {
+      // Like `mut int xs = [...]`, the node keeps the element type
+      const types = stmt.init.elements.map(el => this.inferredValueType(el));
+      const known = types.filter(t => !isUnknownType(t));
+      if (known.length > 0) {
+        stmt.varType = known.every(isNumericType) ? known.reduce(promoteNumericTypes) : known[0];
+        this.checkArrayElements(stmt.varType, stmt.init.elements, types, stmt.name);
+        type = `${stmt.varType}[]`;
+      }
+    } else {
+      type = this.inferredValueType(stmt.init);
+      stmt.varType = type;
+    }
+
+    if (!type || isUnknownType(type) || type === 'void') {
+      // An initializer that already failed to analyze needs no second error
+      if (this.errors.length === errorCount) {
+        const array = stmt.init.type === 'ArrayLiteral';
+        const reason = array && stmt.init.elements.length === 0 ? 'its initializer is an empty array' :
+          array ? 'the types of its elements are not known' :
+            type === 'void' ? 'its initializer does not produce a value' :
+              'the type of its initializer is not known at compile time';
+        this.addError(`Cannot infer the type of '${stmt.name}', as ${reason}`, stmt, {
+          code: 'YS0127',
+          notes: [`Write the type out, e.g. '${stmt.kind === 'const' ? 'const' : 'mut'} int ${stmt.name} = ...'.`]
+        });
+      }
+      stmt.varType = UNKNOWN_TYPE;
+      this.declare(stmt.name, { kind, type: UNKNOWN_TYPE, node: stmt });
+      return;
+    }
+
+    this.checkCollectionSupport(stmt.varType, stmt);
+    this.checkValueType(stmt.varType, `Variable '${stmt.name}'`, stmt);
+    this.declare(stmt.name, { kind, type, node: stmt });
+  }
+
+  // Type a value gives a variable declared without one. Integer constants take
+  // the narrowest type that holds them on every board.
+  inferredValueType(expr) {
+    const type = this.analyzeExpression(expr);
+    const value = this.constantValue(expr);
+    return type === 'int' && value !== null ? integerLiteralType(value) : type;
   }
 
   analyzeOnBlock(stmt) {
     // On blocks create their own scope
     this.pushScope();
+    if (stmt.event === 'overflow') {
+      this.analyzeOverflowHandler(stmt);
+    } else if (stmt.param) {
+      this.addError(`Event '${stmt.event}' has no value to bind to '${stmt.param}'`, stmt, {
+        code: 'YS0129',
+        notes: ['Only on overflow(line) takes a parameter: the source line of the overflow.']
+      });
+    }
     this.analyzeBlockStatements(stmt.body);
     this.popScope();
   }
 
+  // `on overflow(line)` runs in place of the default report when a checked
+  // operation overflows; the program halts after it
+  analyzeOverflowHandler(stmt) {
+    if (this.overflowHandler) {
+      this.addError("A program can only have one 'on overflow' block", stmt, {
+        code: 'YS0129',
+        notes: [`The first one is on line ${this.overflowHandler.line}.`]
+      });
+    }
+    this.overflowHandler = this.overflowHandler || stmt;
+    if (stmt.param) {
+      this.declare(stmt.param, { kind: 'param', type: 'int', node: stmt });
+    }
+  }
+
   analyzeInterruptBlock(stmt) {
     // Interrupt blocks create their own scope
     this.pushScope();
-    
+
     // The pin and mode are expressions that need checking
     if (stmt.pin) {
       this.analyzeExpression(stmt.pin);
     }
 
+    this.inInterrupt = true;
     this.analyzeBlockStatements(stmt.body);
+    this.inInterrupt = false;
     this.popScope();
   }
 
@@ -435,7 +1820,7 @@ class SemanticAnalyzer {
     this.pushScope();
 
     if (stmt.interval) {
-      this.analyzeExpression(stmt.interval);
+      this.checkNumeric(stmt.interval, 'Task interval');
     }
 
     this.analyzeBlockStatements(stmt.body);
@@ -443,8 +1828,8 @@ class SemanticAnalyzer {
   }
 
   analyzeIfStatement(stmt) {
-    this.analyzeExpression(stmt.test);
-    
+    this.checkCondition(stmt.test, 'If');
+
     this.pushScope();
     this.analyzeBlockStatements(stmt.consequent);
     this.popScope();
@@ -461,75 +1846,238 @@ class SemanticAnalyzer {
   }
 
   analyzeWhileStatement(stmt) {
-    this.analyzeExpression(stmt.test);
-    
+    this.checkCondition(stmt.test, 'While');
+
     this.pushScope();
-    this.analyzeBlockStatements(stmt.body);
+    this.analyzeLoopBody(stmt);
     this.popScope();
   }
 
   analyzeForStatement(stmt) {
     this.pushScope();
 
-    // Declare loop variable
-    if (stmt.variable) {
-      this.declare(stmt.variable);
+    if (stmt.init) {
+      this.checkInitializer(stmt.varType, stmt.init, stmt.variable, stmt);
     }
 
-    if (stmt.init) {
-      this.analyzeExpression(stmt.init);
+    // Declare loop variable
+    if (stmt.variable) {
+      this.declare(stmt.variable, { type: stmt.varType, node: stmt });
     }
 
     if (stmt.test) {
-      this.analyzeExpression(stmt.test);
+      this.checkCondition(stmt.test, 'For loop');
     }
 
     if (stmt.update) {
       this.analyzeExpression(stmt.update);
     }
 
-    this.analyzeBlockStatements(stmt.body);
+    this.analyzeLoopBody(stmt);
+    this.popScope();
+  }
+
+  // for i in start...end step n: the loop variable takes the widest bound type
+  analyzeForRangeStatement(stmt) {
+    let type = 'int';
+    for (const expr of [stmt.start, stmt.end, stmt.step]) {
+      if (!expr) continue;
+      const boundType = this.checkNumeric(expr, expr === stmt.step ? 'Range step' : 'Range bound');
+      if (isNumericType(boundType)) {
+        type = promoteNumericTypes(type, boundType);
+      }
+    }
+    if (stmt.step && this.constantValue(stmt.step) === 0) {
+      this.addError('Range step must not be zero', stmt.step, { code: 'YS0109' });
+    }
+
+    // Code generation declares the loop variable with this type
+    stmt.varType = type;
+
+    this.pushScope();
+    this.declare(stmt.variable, { kind: 'loop', type, node: stmt });
+    this.analyzeLoopBody(stmt);
+    this.popScope();
+  }
+
+  // for x in items: arrays and List<T> yield their elements
+  analyzeForEachStatement(stmt) {
+    const iterableType = this.analyzeExpression(stmt.iterable);
+    let type = isUnknownType(iterableType) ? UNKNOWN_TYPE : iterableElementType(iterableType);
+    if (type === null) {
+      this.addError(`Cannot iterate over a value of type '${formatType(iterableType)}'`, stmt.iterable, {
+        code: 'YS0112',
+        notes: ['for-in loops accept arrays, collections (a Map yields its keys) and ranges like 0...10.']
+      });
+      type = UNKNOWN_TYPE;
+    }
+
+    // Code generation declares the loop variable with this type; the keys of a Map cannot be changed
+    stmt.varType = type;
+    stmt.constElement = genericBaseType(iterableType) === 'Map';
+
+    this.pushScope();
+    this.declare(stmt.variable, { kind: 'loop', type, node: stmt });
+    this.analyzeLoopBody(stmt);
     this.popScope();
   }
 
   analyzeRepeatStatement(stmt) {
     if (stmt.count) {
-      this.analyzeExpression(stmt.count);
+      const type = this.analyzeExpression(stmt.count);
+      if (!isUnknownType(type) && !isIntegerType(type)) {
+        this.addError(`Repeat count must be an integer, got '${formatType(type)}'`, stmt.count, { code: 'YS0109' });
+      }
     }
 
     this.pushScope();
-    this.analyzeBlockStatements(stmt.body);
+    this.analyzeLoopBody(stmt);
     this.popScope();
   }
 
-  analyzeMatchStatement(stmt) {
-    this.analyzeExpression(stmt.discriminant);
+  // Analyze the statements of a while, for, repeat or timeout loop
+  analyzeLoopBody(stmt) {
+    if (stmt.label && this.loops.some(loop => loop.label === stmt.label)) {
+      this.addError(`Label '${stmt.label}' is already used by an enclosing loop`, stmt, { code: 'YS0111' });
+    }
+    this.loops.push(stmt);
+    this.analyzeBlockStatements(stmt.body);
+    this.loops.pop();
+  }
 
-    if (stmt.cases) {
-      stmt.cases.forEach(matchCase => {
-        if (matchCase.pattern) {
-          this.analyzeExpression(matchCase.pattern);
-        }
-        this.pushScope();
-        this.analyzeBlockStatements(matchCase.consequent);
-        this.popScope();
+  // break / continue must be inside a loop, and a label must name an enclosing loop
+  analyzeLoopExit(stmt) {
+    const keyword = stmt.type === 'BreakStatement' ? 'break' : 'continue';
+    if (this.inInterrupt) {
+      this.addError(`'${keyword}' is not allowed in interrupts`, stmt, { code: 'YS0202' });
+      return;
+    }
+    if (this.loops.length === 0) {
+      this.addError(`'${keyword}' can only be used inside a loop`, stmt, { code: 'YS0111' });
+      return;
+    }
+    if (stmt.label && !this.loops.some(loop => loop.label === stmt.label)) {
+      const labels = this.loops.filter(loop => loop.label).map(loop => `'${loop.label}'`);
+      this.addError(`Unknown loop label '${stmt.label}'`, stmt, {
+        code: 'YS0111',
+        notes: labels.length > 0 ? [`Enclosing loop labels: ${labels.join(', ')}`] : []
       });
     }
   }
 
+  analyzeReturnStatement(stmt) {
+    const argumentType = stmt.argument ? this.analyzeExpression(stmt.argument) : 'void';
+    const fn = this.currentFunction;
+
+    // Inferred return types come from the return statements themselves
+    if (!fn || fn.returnTypeInferred) return;
+
+    const expected = normalizeType(fn.returnType);
+    if (expected === 'void') {
+      if (stmt.argument && argumentType !== 'void') {
+        this.addError(`Function '${fn.name}' is declared 'void' but returns a value`, stmt, { code: 'YS0105' });
+      }
+    } else if (!stmt.argument) {
+      this.addError(`Function '${fn.name}' must return a value of type '${fn.returnType}'`, stmt, { code: 'YS0105' });
+    } else if (!this.isAssignable(fn.returnType, argumentType)) {
+      this.addError(
+        `Function '${fn.name}' must return '${fn.returnType}' but returns '${formatType(argumentType)}'`,
+        stmt.argument,
+        { code: 'YS0105', notes: this.slicingNotes(fn.returnType, argumentType) }
+      );
+    } else {
+      this.markCheckedStore(stmt, fn.returnType, stmt.argument, argumentType);
+    }
+  }
+
+  analyzeMatchStatement(stmt) {
+    const discriminantType = this.analyzeExpression(stmt.discriminant);
+
+    stmt.cases.forEach(matchCase => {
+      this.pushScope();
+      this.analyzeMatchArm(matchCase, discriminantType);
+      this.analyzeBlockStatements(matchCase.consequent);
+      this.popScope();
+    });
+    this.checkMatchCoverage(stmt, discriminantType, false);
+  }
+
+  // Pattern and guard of a match arm, in the arm's scope. A guarded arm whose
+  // pattern is a name that is not defined binds the matched value to that name.
+  analyzeMatchArm(arm, discriminantType) {
+    const pattern = arm.pattern;
+    if (arm.guard && pattern.type === 'Identifier' && !this.lookup(pattern.name)) {
+      // Code generation reads the binding from the arm
+      arm.binding = pattern.name;
+      this.declare(pattern.name, { kind: 'const', type: discriminantType, node: pattern });
+    } else {
+      this.checkMatchPattern(pattern, discriminantType);
+    }
+
+    if (arm.guard) {
+      this.checkCondition(arm.guard, 'Match guard');
+    }
+  }
+
+  checkMatchPattern(pattern, discriminantType) {
+    if (!pattern || pattern.type === 'Wildcard') return;
+
+    if (pattern.type === 'OrPattern') {
+      pattern.alternatives.forEach(alternative => this.checkMatchPattern(alternative, discriminantType));
+      return;
+    }
+
+    if (pattern.type === 'RangePattern') {
+      if (!isUnknownType(discriminantType) && !isNumericType(discriminantType)) {
+        this.analyzeExpression(pattern.start);
+        this.analyzeExpression(pattern.end);
+        this.addError(`Range pattern cannot match a value of type '${formatType(discriminantType)}'`, pattern, {
+          code: 'YS0110'
+        });
+        return;
+      }
+      this.checkNumeric(pattern.start, 'Range pattern bound');
+      this.checkNumeric(pattern.end, 'Range pattern bound');
+      return;
+    }
+
+    const patternType = this.analyzeExpression(pattern);
+    this.markStringComparison(pattern, discriminantType);
+    if (!this.isComparable(discriminantType, patternType)) {
+      this.addError(
+        `Match pattern of type '${formatType(patternType)}' cannot match a value of type '${formatType(discriminantType)}'`,
+        pattern,
+        { code: 'YS0110' }
+      );
+    }
+  }
+
   analyzeSwitchStatement(stmt) {
-    this.analyzeExpression(stmt.discriminant);
+    const discriminantType = this.analyzeExpression(stmt.discriminant);
 
     if (stmt.cases) {
       stmt.cases.forEach(caseStmt => {
         if (caseStmt.test) {
-          this.analyzeExpression(caseStmt.test);
+          const testType = this.analyzeExpression(caseStmt.test);
+          if (!this.isComparable(discriminantType, testType)) {
+            this.addError(
+              `Case value of type '${formatType(testType)}' cannot match a value of type '${formatType(discriminantType)}'`,
+              caseStmt.test,
+              { code: 'YS0110' }
+            );
+          }
         }
         this.pushScope();
         this.analyzeBlockStatements(caseStmt.consequent);
         this.popScope();
       });
     }
+
+    if (stmt.defaultCase) {
+      this.pushScope();
+      this.analyzeBlockStatements(stmt.defaultCase);
+      this.popScope();
+    }
   }
 
   analyzeBlockStatements(statements) {
@@ -540,87 +2088,1105 @@ class SemanticAnalyzer {
     }
   }
 
+  // Analyze an expression and return its static type (UNKNOWN_TYPE when it cannot be determined)
   analyzeExpression(expr) {
-    if (!expr) return;
+    if (!expr) return UNKNOWN_TYPE;
 
     switch (expr.type) {
       case 'Identifier':
-        // Check if identifier is declared
-        if (!this.isDeclared(expr.name)) {
-          const suggestions = this.findSimilarNames(expr.name);
-          let errorMsg = `Undefined variable '${expr.name}'`;
-          
-          if (suggestions.length > 0) {
-            errorMsg += `\n  Did you mean '${suggestions[0]}'?`;
-            if (suggestions.length > 1) {
-              errorMsg += ` Or perhaps: ${suggestions.slice(1).map(s => `'${s}'`).join(', ')}`;
-            }
-          }
-          
-          this.addError(errorMsg, expr.line);
-        }
-        break;
+        return this.analyzeIdentifier(expr);
 
       case 'MemberExpression':
-        // Only check the object, not the property
-        this.analyzeExpression(expr.object);
-        break;
+        return this.analyzeMemberExpression(expr);
 
       case 'CallExpression':
-        // Analyze callee
-        if (expr.callee) {
-          this.analyzeExpression(expr.callee);
-        }
-        // Analyze arguments
-        if (expr.arguments) {
-          expr.arguments.forEach(arg => this.analyzeExpression(arg));
-        }
-        break;
+        return this.analyzeCallExpression(expr);
+
+      case 'NamedArgument':
+        // Calls of functions declared in the program take the value out first
+        this.addError(`Named argument '${expr.name}' can only be passed to a function, method or constructor declared in the program`, expr, {
+          code: 'YS0125'
+        });
+        return this.analyzeExpression(expr.value);
 
       case 'BinaryExpression':
-        this.analyzeExpression(expr.left);
-        this.analyzeExpression(expr.right);
-        break;
+        return this.analyzeBinaryExpression(expr);
 
       case 'UnaryExpression':
-        this.analyzeExpression(expr.argument);
-        break;
+        return this.analyzeUnaryExpression(expr);
 
       case 'AssignmentExpression':
-        this.analyzeExpression(expr.left);
-        this.analyzeExpression(expr.right);
-        break;
+        return this.analyzeAssignmentExpression(expr);
+
+      case 'UpdateExpression':
+        return this.analyzeUpdateExpression(expr);
+
+      case 'SubscriptExpression':
+        return this.analyzeSubscriptExpression(expr);
 
       case 'NewExpression':
-        // New expressions create new objects, arguments need checking
-        if (expr.arguments) {
-          expr.arguments.forEach(arg => this.analyzeExpression(arg));
-        }
-        break;
+        return this.analyzeNewExpression(expr);
+
+      case 'StructLiteral':
+        return this.analyzeStructLiteral(expr);
+
+      case 'ArrayLiteral': {
+        const elementTypes = expr.elements.map(el => this.analyzeExpression(el));
+        const known = elementTypes.find(t => !isUnknownType(t));
+        return known ? `${known}[]` : UNKNOWN_TYPE;
+      }
 
       case 'TypeConversion':
         this.analyzeExpression(expr.expression);
-        break;
+        return expr.targetType;
+
+      case 'ConditionalExpression':
+      case 'IfExpression':
+        this.checkCondition(expr.test, expr.type === 'IfExpression' ? 'If' : 'Conditional');
+        return this.branchResultType(
+          [expr.consequent, expr.alternate].map(node => ({ node, type: this.analyzeExpression(node) })),
+          'Branches of the conditional'
+        );
 
-      case 'ErrorHandler':
-        this.analyzeExpression(expr.expression);
-        if (expr.handler && expr.handler.body) {
+      case 'MatchExpression':
+        return this.analyzeMatchExpression(expr);
+
+      case 'LambdaExpression':
+        return this.analyzeLambdaExpression(expr);
+
+      case 'ErrorHandler': {
+        const type = this.analyzeExpression(expr.expression);
+        if (expr.handler) {
           this.pushScope();
-          this.analyzeBlockStatements(expr.handler.body);
+          this.analyzeBlockStatements(Array.isArray(expr.handler) ? expr.handler : expr.handler.body);
           this.popScope();
         }
-        break;
+        return type;
+      }
 
       case 'Literal':
+        return this.literalType(expr);
+
+      case 'InterpolatedString':
+        // Outside of print calls the parts are joined into a heap String
+        if (this.config && this.config.isAVRBoard()) {
+          this.addError(
+            `Interpolated strings can only be printed on AVR targets (${this.config.options.board})`,
+            expr,
+            {
+              code: 'YS0203',
+              notes: ['Building a String allocates on the heap, which fragments the little RAM of AVR boards.'],
+              suggestions: ['Print it directly: print("temp={t}")']
+            }
+          );
+        }
+        return this.analyzeInterpolatedString(expr);
+
       case 'ThisExpression':
-        // These don't need checking
-        break;
+        this.checkInstanceAccess(`'self'`, expr);
+        if (this.lambdaScope !== null) {
+          this.addError(`Lambda cannot use 'self'`, expr, {
+            code: 'YS0123',
+            notes: ['A lambda compiles to a plain function pointer, which does not carry an object.']
+          });
+        }
+        return this.currentClass ? this.currentClass.name : UNKNOWN_TYPE;
+
+      case 'SuperExpression':
+        // super.method(...) calls the base class version of a method
+        if (!this.currentClass || !this.currentClass.superClass) {
+          this.addError(`'super' can only be used in a class that extends another class`, expr, { code: 'YS0119' });
+          return UNKNOWN_TYPE;
+        }
+        return this.currentClass.superClass;
 
       default:
         // Unknown expression type
-        break;
+        return UNKNOWN_TYPE;
+    }
+  }
+
+  // Argument of print/println: interpolated strings are printed piece by piece
+  analyzePrinted(arg) {
+    return arg.type === 'InterpolatedString' ? this.analyzeInterpolatedString(arg) : this.analyzeExpression(arg);
+  }
+
+  analyzeInterpolatedString(expr) {
+    expr.parts.forEach(part => {
+      if (typeof part === 'string') return;
+      // Recorded for codegen, which prints decimals of integers as floats
+      part.valueType = this.analyzeExpression(part.expression);
+      this.checkFormattedValue(part.valueType, formatRequirement(part.format), part.expression, `Value formatted with '${part.format}'`);
+    });
+    return 'string';
+  }
+
+  // `requirement` is 'number', 'integer', 'string' or null (anything)
+  checkFormattedValue(type, requirement, node, context) {
+    if (isUnknownType(type) || !requirement) return;
+    if (requirement === 'number' && !isNumericType(type)) {
+      this.addError(`${context} must be a number, got '${formatType(type)}'`, node, { code: 'YS0109' });
+    } else if (requirement === 'integer' && !isIntegerType(type)) {
+      this.addError(`${context} must be an integer, got '${formatType(type)}'`, node, { code: 'YS0109' });
+    } else if (requirement === 'string' && normalizeType(type) !== 'string') {
+      this.addError(`${context} must be a string, got '${formatType(type)}'`, node, { code: 'YS0109' });
     }
   }
+
+  // wrappingAdd(x, 10), saturatingMul(x, 2), ...: two integers, computed in the type of
+  // the first one, which codegen reads from `expr.integerType`
+  analyzeIntegerOperation(name, args, expr) {
+    const types = args.map(arg => this.analyzeExpression(arg));
+    this.checkCallArguments(name, [UNKNOWN_TYPE, UNKNOWN_TYPE], args, expr, 2, types);
+    types.forEach((type, i) => {
+      if (!isUnknownType(type) && !isIntegerType(type)) {
+        this.addError(`Argument ${i + 1} of '${name}' expects an integer but got '${formatType(type)}'`, args[i], { code: 'YS0104' });
+      }
+    });
+    if (!isIntegerType(types[0])) return UNKNOWN_TYPE;
+    expr.integerType = normalizeType(types[0]);
+    return expr.integerType;
+  }
+
+  // printf("t=%.1f", t): the format is a string literal whose conversions match the arguments
+  checkPrintfArguments(args, expr) {
+    const [format, ...values] = args;
+    const types = values.map(arg => this.analyzePrinted(arg));
+    // Recorded for codegen, which prints decimals of integers as floats
+    expr.argumentTypes = types;
+    if (!format || format.type !== 'Literal' || format.valueType !== 'string') {
+      if (format) this.analyzeExpression(format);
+      this.addError("The format of 'printf' must be a string literal", format || expr, { code: 'YS0104' });
+      return;
+    }
+
+    const { parts, error } = parsePrintfFormat(format.value);
+    if (error) {
+      this.addError(error, format, {
+        code: 'YS0104',
+        notes: ['Supported conversions: %d %i %u %x %X %o %b %f %.Nf %s %c and %% for a literal %.']
+      });
+      return;
+    }
+    const conversions = parts.filter(part => typeof part !== 'string');
+    if (conversions.length !== values.length) {
+      this.addError(
+        `Format of 'printf' expects ${conversions.length} argument${conversions.length === 1 ? '' : 's'} but got ${values.length}`,
+        expr,
+        { code: 'YS0103' }
+      );
+      return;
+    }
+    conversions.forEach((conversion, index) => {
+      this.checkFormattedValue(types[index], conversion.requirement, values[index], `Argument ${index + 2} of 'printf'`);
+    });
+  }
+
+  literalType(expr) {
+    switch (expr.valueType) {
+      case 'number':
+        // Unit literals are converted to integers at compile time
+        return !expr.unit && isFloatLiteral(expr) ? 'float' : 'int';
+      case 'string':
+        return 'string';
+      case 'boolean':
+        return 'bool';
+      default:
+        return UNKNOWN_TYPE;
+    }
+  }
+
+  analyzeIdentifier(expr) {
+    const symbol = this.lookup(expr.name);
+
+    // Check if identifier is declared
+    if (!symbol) {
+      const suggestions = this.findSimilarNames(expr.name);
+      this.addError(`Undefined variable '${expr.name}'`, expr, {
+        code: 'YS0001',
+        suggestions,
+        fixes: suggestions.map(name => ({ description: `Replace with '${name}'`, text: name }))
+      });
+      return UNKNOWN_TYPE;
+    }
+    this.addReference(expr, symbol);
+    this.checkMemberSymbol(symbol, expr.name, expr);
+    this.checkCapture(expr.name, expr);
+
+    if (symbol.kind === 'function') {
+      return this.functionValueType(symbol, expr.name, expr);
+    }
+    // Names of built-in functions and types are not values
+    if (['builtin', 'class', 'struct', 'enum', 'module'].includes(symbol.kind)) {
+      return UNKNOWN_TYPE;
+    }
+    return this.eraseTypeParameters(symbol.type);
+  }
+
+  // Type of a function passed as a value: isEven is a fn(int) -> bool. Methods need
+  // an object and generic functions their type arguments, so neither is a plain
+  // function, and an overloaded name does not say which function it is.
+  functionValueType(symbol, name, node) {
+    if (symbol.node && symbol.node.type === 'MethodDeclaration') {
+      this.addError(`Method '${name}' cannot be used as a value, as it needs an object to run on`, node, {
+        code: 'YS0123',
+        notes: ['Only functions and lambdas can be passed where a function type is expected.']
+      });
+      return UNKNOWN_TYPE;
+    }
+    if (symbol.typeParameters && symbol.typeParameters.length > 0) {
+      this.addError(`Generic function '${name}' cannot be used as a value`, node, {
+        code: 'YS0123',
+        notes: ['Call it from a lambda that fixes its type arguments.']
+      });
+      return UNKNOWN_TYPE;
+    }
+    if (symbol.overloads.length > 1) {
+      this.addError(`Overloaded function '${name}' cannot be used as a value`, node, {
+        code: 'YS0123',
+        notes: ['Pass a lambda that calls the overload you mean.']
+      });
+      return UNKNOWN_TYPE;
+    }
+    // Code generation declares the function before the globals and classes that may use it
+    node.isFunctionValue = true;
+    return functionType(symbol.params.map(param => param.type), symbol.returnType);
+  }
+
+  // Lambdas compile to plain function pointers, which cannot reach the locals,
+  // parameters or members of the function and class they are written in
+  checkCapture(name, node) {
+    if (this.lambdaScope === null) return;
+    let depth = this.scopes.length - 1;
+    while (depth >= 0 && !this.scopes[depth].has(name)) depth--;
+    if (depth <= 0 || depth >= this.lambdaScope) return;
+
+    const symbol = this.scopes[depth].get(name);
+    const isMember = symbol.kind === 'property' || (symbol.node && symbol.node.type === 'MethodDeclaration');
+    this.addError(`Lambda cannot use '${name}', which belongs to the enclosing ${isMember ? 'class' : 'function'}`, node, {
+      code: 'YS0123',
+      notes: ['A lambda can use its parameters, global variables and functions. Pass anything else in as a parameter.']
+    });
+  }
+
+  // A class member used by its bare name inside a class body
+  checkMemberSymbol(symbol, name, node) {
+    if (!symbol.node || !['PropertyDeclaration', 'MethodDeclaration'].includes(symbol.node.type)) return;
+    if (symbol.owner) {
+      this.checkMemberAccess(symbol, name, node);
+    }
+    if (!symbol.node.isStatic) {
+      this.checkInstanceAccess(`instance ${symbol.node.type === 'PropertyDeclaration' ? 'property' : 'method'} '${name}'`, node);
+    }
+  }
+
+  analyzeMemberExpression(expr) {
+    const object = expr.object;
+
+    // Qualified enum values: Mode.AUTO
+    if (object.type === 'Identifier') {
+      const symbol = this.lookup(object.name);
+      if (symbol && symbol.kind === 'enum') {
+        this.addReference(object, symbol);
+        const enumDecl = this.enums.get(object.name);
+        if (enumDecl && !enumDecl.values.includes(expr.property)) {
+          this.addError(`Enum '${object.name}' has no variant '${expr.property}'`, expr, { code: 'YS0004' });
+        }
+        return object.name;
+      }
+      // Static members: Motor.count
+      if (symbol && symbol.kind === 'class') {
+        const member = this.staticMember(object, expr.property);
+        return member && member.kind === 'property' ? this.eraseTypeParameters(member.type) : UNKNOWN_TYPE;
+      }
+    }
+
+    // Only check the object, not the property
+    const objectType = this.analyzeExpression(object);
+    return this.memberType(objectType, expr.property, object);
+  }
+
+  // Type of a field or property accessed on a value of the given type
+  memberType(objectType, property, objectNode) {
+    if (this.structs.has(objectType)) {
+      const field = this.structs.get(objectType).fields.find(f => f.name === property);
+      if (!field) {
+        this.addError(`Struct '${objectType}' has no field '${property}'`, objectNode, { code: 'YS0003' });
+        return UNKNOWN_TYPE;
+      }
+      return field.type;
+    }
+
+    if (this.isObjectType(objectType)) {
+      const member = this.findClassMember(objectType, property);
+      if (!member) {
+        this.addError(`Class '${objectType}' has no member '${property}'`, objectNode, { code: 'YS0003' });
+        return UNKNOWN_TYPE;
+      }
+      this.checkMemberAccess(member, property, objectNode);
+      return member.kind === 'property' ? this.eraseTypeParameters(member.type) : UNKNOWN_TYPE;
+    }
+
+    if (this.isPrimitiveType(objectType)) {
+      this.addError(`Type '${objectType}' has no member '${property}'`, objectNode, { code: 'YS0003' });
+      return UNKNOWN_TYPE;
+    }
+
+    // Hardware types, modules and library objects are not modelled member by member
+    return UNKNOWN_TYPE;
+  }
+
+  // Numbers and booleans, which have no members
+  isPrimitiveType(type) {
+    return isNumericType(normalizeType(type)) || normalizeType(type) === 'bool';
+  }
+
+  analyzeCallExpression(expr) {
+    const callee = expr.callee;
+    const args = expr.arguments || [];
+
+    if (callee && callee.type === 'SuperExpression') {
+      return this.analyzeSuperCall(expr);
+    }
+
+    if (callee && callee.type === 'Identifier') {
+      const symbol = this.lookup(callee.name);
+      if (symbol && ['function', 'builtin', 'class', 'struct'].includes(symbol.kind)) {
+        this.addReference(callee, symbol);
+      }
+      if (symbol) {
+        this.checkMemberSymbol(symbol, callee.name, callee);
+      }
+      if (symbol && symbol.kind === 'function') {
+        this.checkCapture(callee.name, callee);
+        if (symbol.typeParameters && symbol.typeParameters.length > 0) {
+          return this.analyzeGenericCall(callee.name, symbol, args, expr);
+        }
+        const overload = this.resolveCall(callee.name, symbol.overloads, args, expr);
+        return overload ? overload.returnType : UNKNOWN_TYPE;
+      }
+      if (symbol && symbol.kind === 'builtin') {
+        const signature = symbol.signature;
+        if (signature.integerOperation) {
+          return this.analyzeIntegerOperation(callee.name, args, expr);
+        } else if (callee.name === 'printf') {
+          this.checkPrintfArguments(args, expr);
+        } else if (signature.prints) {
+          args.forEach(arg => this.analyzePrinted(arg));
+        } else if (signature.variadic) {
+          args.forEach(arg => this.analyzeExpression(arg));
+        } else {
+          this.checkCallArguments(callee.name, signature.params, args, expr, signature.minArgs);
+        }
+        return signature.returns;
+      }
+      if (symbol && (symbol.kind === 'class' || symbol.kind === 'struct')) {
+        args.forEach(arg => this.analyzeExpression(arg));
+        return callee.name;
+      }
+    }
+
+    if (callee && callee.type === 'MemberExpression') {
+      // Static methods: Motor.create()
+      const classSymbol = callee.object.type === 'Identifier' && this.lookup(callee.object.name);
+      if (classSymbol && classSymbol.kind === 'class') {
+        const member = this.staticMember(callee.object, callee.property);
+        if (member && member.kind === 'method') {
+          const name = `${callee.object.name}.${callee.property}`;
+          const overload = this.resolveCall(name, member.overloads, args, expr);
+          return overload ? this.eraseTypeParameters(overload.type) : UNKNOWN_TYPE;
+        }
+        args.forEach(arg => this.analyzeExpression(arg));
+        return UNKNOWN_TYPE;
+      }
+
+      const objectType = this.analyzeExpression(callee.object);
+      if (this.isObjectType(objectType)) {
+        const member = this.findClassMember(objectType, callee.property);
+        if (!member) {
+          this.addError(`Class '${objectType}' has no method '${callee.property}'`, callee.object, { code: 'YS0003' });
+        } else if (member.kind === 'method') {
+          const overload = this.resolveCall(`${objectType}.${callee.property}`, member.overloads, args, expr);
+          this.checkMemberAccess(overload || member, callee.property, callee.object);
+          return overload ? this.eraseTypeParameters(overload.type) : UNKNOWN_TYPE;
+        } else if (isFunctionType(member.type)) {
+          this.checkMemberAccess(member, callee.property, callee.object);
+          return this.analyzeFunctionValueCall(`${objectType}.${callee.property}`, member.type, args, expr);
+        }
+      } else if (this.structs.has(objectType)) {
+        const struct = this.structs.get(objectType);
+        const field = struct.fields.find(f => f.name === callee.property);
+        const methods = struct.methods.filter(m => m.name === callee.property);
+        if (field && isFunctionType(field.type)) {
+          return this.analyzeFunctionValueCall(`${objectType}.${callee.property}`, field.type, args, expr);
+        }
+        if (methods.length === 0) {
+          this.addError(`Struct '${objectType}' has no method '${callee.property}'`, callee.object, { code: 'YS0003' });
+        } else {
+          const overload = this.resolveCall(`${objectType}.${callee.property}`, methods.map(method => ({ ...method, node: method })), args, expr);
+          return overload ? overload.returnType : UNKNOWN_TYPE;
+        }
+      } else if (COLLECTION_METHODS[genericBaseType(objectType)]) {
+        return this.analyzeCollectionMethodCall(objectType, expr);
+      } else if (this.isPrimitiveType(objectType)) {
+        this.addError(`Type '${objectType}' has no method '${callee.property}'`, callee.object, { code: 'YS0003' });
+      }
+      args.forEach(arg => this.analyzeExpression(arg));
+      return UNKNOWN_TYPE;
+    }
+
+    // Analyze callee, which may be a value of function type: handler(3)
+    const calleeType = callee ? this.analyzeExpression(callee) : UNKNOWN_TYPE;
+    if (isFunctionType(calleeType)) {
+      return this.analyzeFunctionValueCall(this.describeTarget(callee), calleeType, args, expr);
+    }
+    // Analyze arguments
+    args.forEach(arg => this.analyzeExpression(arg));
+    return UNKNOWN_TYPE;
+  }
+
+  // Check a call through a value of function type against its signature
+  analyzeFunctionValueCall(name, type, args, expr) {
+    const { params, returnType } = functionTypeParts(type);
+    this.checkCallArguments(name, params, args, expr);
+    return returnType;
+  }
+
+  // A lambda is analyzed like a function, with only the file-level names of the
+  // enclosing scopes in reach. Its type is its signature: fn(int) -> bool.
+  analyzeLambdaExpression(expr) {
+    this.checkTypeExists(expr.returnType, expr);
+    const previousLambdaScope = this.lambdaScope;
+    const previousLoops = this.loops;
+    this.lambdaScope = this.scopes.length;
+    this.loops = [];
+    this.analyzeCallable(expr, 'lambda', expr.returnType, expr.returnTypeInferred);
+    this.lambdaScope = previousLambdaScope;
+    this.loops = previousLoops;
+    return functionType(expr.params.map(param => param.type), expr.returnType);
+  }
+
+  // Check a call of a collection method against its signature
+  analyzeCollectionMethodCall(objectType, expr) {
+    const base = genericBaseType(objectType);
+    const name = expr.callee.property;
+    const args = expr.arguments || [];
+    const methods = COLLECTION_METHODS[base];
+
+    if (!Object.prototype.hasOwnProperty.call(methods, name)) {
+      this.addError(`Type '${objectType}' has no method '${name}'`, expr.callee.object, {
+        code: 'YS0003',
+        suggestions: this.findSimilarNames(name, Object.keys(methods))
+      });
+      args.forEach(arg => this.analyzeExpression(arg));
+      return UNKNOWN_TYPE;
+    }
+
+    // Replace T, K and V with the type arguments of the collection (List<K> -> List<string>)
+    const typeArgs = genericTypeArguments(objectType);
+    const resolve = type => {
+      const inner = genericTypeArguments(type);
+      if (inner.length > 0) {
+        // Type arguments of a bare List or Map stay open
+        if (typeArgs.length === 0) return genericBaseType(type);
+        return `${genericBaseType(type)}<${inner.map(resolve).join(', ')}>`;
+      }
+      const position = COLLECTION_TYPE_PARAMETERS[base].indexOf(type);
+      return position === -1 ? type : (typeArgs[position] || UNKNOWN_TYPE);
+    };
+
+    const method = methods[name];
+    this.checkCallArguments(`${base}.${name}`, method.params.map(resolve), args, expr);
+    if (method.index) {
+      this.checkCollectionIndex(objectType, args[0]);
+    }
+    return resolve(method.returns);
+  }
+
+  // Infer the type arguments of a generic function from its arguments, then check the
+  // call against the instantiated signature: clamp(t, 0, 100) with a float t is clamp<float>
+  analyzeGenericCall(name, symbol, args, expr) {
+    const argTypes = args.map(arg => this.analyzeExpression(argumentValue(arg)));
+    const { targets } = this.bindArguments(name, symbol.params, args, expr, true);
+    const bindings = new Map();
+    targets.forEach((target, i) => {
+      if (target !== -1) this.inferTypeArguments(symbol.params[target].type, argTypes[i], symbol.typeParameters, bindings);
+    });
+
+    // Code generation names the type arguments, as C++ cannot deduce T from clamp(t, 0, 100)
+    const typeArguments = symbol.typeParameters.map(typeParam => bindings.get(typeParam));
+    expr.typeArguments = typeArguments.every(Boolean) ? typeArguments : null;
+    symbol.typeParameters.forEach(typeParam => {
+      if (!bindings.has(typeParam)) bindings.set(typeParam, UNKNOWN_TYPE);
+    });
+
+    const params = symbol.params.map(param => ({ ...param, type: this.substituteTypeParameters(param.type, bindings) }));
+    targets.forEach((target, i) => {
+      if (target !== -1) this.checkArgument(name, params[target], target, args[i], argTypes[i]);
+    });
+    this.annotateArguments(expr, params, args, targets, argTypes, false);
+    if (expr.typeArguments) this.checkInstantiation(name, symbol, bindings, expr);
+    return this.eraseTypeParameters(this.substituteTypeParameters(symbol.returnType, bindings));
+  }
+
+  // The body of a generic function is checked once with its type parameters left open,
+  // which cannot catch `v * 2` or `v.size()` used with a T that has no such operator or
+  // member. So it is checked again for the type arguments of each call, as the C++
+  // compiler does for each instantiation of the template, and the errors only these
+  // type arguments cause are reported.
+  checkInstantiation(name, symbol, bindings, expr) {
+    const node = symbol.node;
+    // Type arguments from the open type parameters of an enclosing generic say nothing yet
+    if (!node || !node.body || this.typeParameters.some(typeParam => !this.typeBindings.has(typeParam))) return;
+    const typeArguments = expr.typeArguments.join(', ');
+    const checked = this.instantiations.get(node) || new Set();
+    this.instantiations.set(node, checked);
+    if (checked.has(typeArguments) || this.instantiating.includes(node)) return;
+    checked.add(typeArguments);
+
+    const diagnosticKey = error => `${error.code} ${error.line}:${error.column} ${error.message}`;
+    const open = new Set(this.analyzeInstantiation(node, new Map()).map(diagnosticKey));
+    this.analyzeInstantiation(node, bindings)
+      .filter(error => !open.has(diagnosticKey(error)))
+      .forEach(error => {
+        error.notes = [...(error.notes || []), `In '${name}<${typeArguments}>', called on line ${expr.line}.`];
+        this.errors.push(error);
+      });
+  }
+
+  // Analyze a copy of a generic function with its type parameters bound, apart from the
+  // rest of the program, and return the errors found. The copy keeps the annotations
+  // of the checks away from the function, which is generated once as a template.
+  analyzeInstantiation(node, bindings) {
+    const saved = {
+      errors: this.errors,
+      warnings: this.warnings,
+      symbols: this.symbols,
+      references: this.references,
+      scopes: this.scopes,
+      currentFunction: this.currentFunction,
+      currentClass: this.currentClass,
+      typeParameters: this.typeParameters,
+      typeBindings: this.typeBindings,
+      loops: this.loops,
+      inInterrupt: this.inInterrupt,
+      lambdaScope: this.lambdaScope
+    };
+    Object.assign(this, {
+      errors: [],
+      warnings: [],
+      symbols: [],
+      references: [],
+      scopes: [this.scopes[0]],
+      currentFunction: null,
+      currentClass: null,
+      typeParameters: node.typeParameters || [],
+      typeBindings: bindings,
+      loops: [],
+      inInterrupt: false,
+      lambdaScope: null
+    });
+    this.instantiating.push(node);
+    try {
+      const copy = JSON.parse(JSON.stringify(node));
+      this.analyzeCallable(copy, copy.name, copy.returnType, copy.returnTypeInferred);
+      return this.errors;
+    } finally {
+      this.instantiating.pop();
+      Object.assign(this, saved);
+    }
+  }
+
+  // super(...) runs the base class constructor, so it must open a constructor
+  analyzeSuperCall(expr) {
+    const args = expr.arguments || [];
+    const superClass = this.currentClass && this.currentClass.superClass;
+    if (!superClass || !this.currentFunction || this.currentFunction.superCall !== expr) {
+      this.addError(`'super(...)' can only be called as the first statement of a constructor of a class that extends another class`, expr, {
+        code: 'YS0119'
+      });
+      args.forEach(arg => this.analyzeExpression(arg));
+      return 'void';
+    }
+
+    const instance = this.classInstance(superClass);
+    if (instance && instance.cls.constructors.length > 0) {
+      this.checkConstructorCall(superClass, instance, args, expr);
+    } else {
+      this.checkCallArguments(`${superClass} constructor`, [], args, expr);
+    }
+    return 'void';
+  }
+
+  // Check the arguments of `new X(...)` or `super(...)` against the constructors of a
+  // class, which are overloads told apart by their parameter types
+  checkConstructorCall(type, instance, args, node) {
+    const overloads = instance.cls.constructors.map(constructor => ({
+      node: constructor,
+      params: constructor.params.map(param => ({ ...param, type: this.substituteTypeParameters(param.type, instance.bindings) }))
+    }));
+    const overload = this.resolveCall(`${type} constructor`, overloads, args, node, type);
+    if (overload) {
+      this.checkMemberAccess({ node: overload.node, owner: instance.cls.name }, null, node);
+    }
+  }
+
+  analyzeNewExpression(expr) {
+    const args = expr.arguments || [];
+    const instance = this.classInstance(expr.className);
+    const cls = instance && instance.cls;
+
+    if (this.interfaces.has(expr.className)) {
+      this.addError(`Cannot create an instance of interface '${expr.className}'`, expr, {
+        code: 'YS0116',
+        notes: ['Create an instance of a class that implements it instead.']
+      });
+    }
+
+    if (cls && classTypeParameters(cls).length > 0 && genericTypeArguments(expr.className).length === 0) {
+      this.addError(`Generic class '${cls.name}' needs type arguments`, expr, {
+        code: 'YS0002',
+        suggestions: [`new ${cls.name}<${classTypeParameters(cls).join(', ')}>(...)`]
+      });
+    }
+
+    if (cls && cls.constructors.length > 0) {
+      this.checkConstructorCall(expr.className, instance, args, expr);
+    } else if (cls && args.length > 0) {
+      this.addError(
+        `Class '${expr.className}' has no constructor but was given ${args.length} argument${args.length === 1 ? '' : 's'}`,
+        expr,
+        { code: 'YS0103' }
+      );
+      args.forEach(arg => this.analyzeExpression(arg));
+    } else {
+      // New expressions create new objects, arguments need checking
+      args.forEach(arg => this.analyzeExpression(arg));
+    }
+
+    return expr.className;
+  }
+
+  // Point { x: 1, y: 2 }: each field must exist and be given a value of its type
+  analyzeStructLiteral(expr) {
+    const struct = this.structs.get(expr.structType);
+    expr.fields.forEach(({ name, value }, i) => {
+      const field = struct && struct.fields.find(f => f.name === name);
+      if (!field) {
+        if (struct) {
+          this.addError(`Struct '${expr.structType}' has no field '${name}'`, expr.fields[i], {
+            code: 'YS0003',
+            suggestions: this.findSimilarNames(name, struct.fields.map(f => f.name))
+          });
+        }
+        this.analyzeExpression(value);
+        return;
+      }
+      this.checkInitializer(field.type, value, `${expr.structType}.${name}`, value);
+    });
+    return expr.structType;
+  }
+
+  // The first field of a struct that cannot be compared with ==, or null. Fields of
+  // struct types compare field by field.
+  unequatableField(name, seen = new Set()) {
+    seen.add(name);
+    const field = this.structs.get(name).fields.find(f => {
+      const type = normalizeType(f.type);
+      if (this.structs.has(type)) return seen.has(type) || this.unequatableField(type, seen) !== null;
+      return !(isUnknownType(type) || type === 'bool' || type === 'string' || isNumericType(type) || this.isEnumType(type));
+    });
+    return field || null;
+  }
+
+  analyzeBinaryExpression(expr) {
+    const leftType = this.analyzeExpression(expr.left);
+    const rightType = this.analyzeExpression(expr.right);
+    const op = expr.operator;
+
+    if (LOGICAL_OPERATORS.includes(op)) {
+      [leftType, rightType].forEach(type => {
+        if (!this.isConditionType(type)) {
+          this.addError(`Operator '${op}' cannot be applied to '${formatType(type)}'`, expr, { code: 'YS0101' });
+        }
+      });
+      return 'bool';
+    }
+
+    if (COMPARISON_OPERATORS.includes(op)) {
+      const struct = [leftType, rightType].map(normalizeType).find(type => this.structs.has(type));
+      if (!this.isComparable(leftType, rightType)) {
+        this.addError(`Cannot compare '${formatType(leftType)}' with '${formatType(rightType)}'`, expr, { code: 'YS0101' });
+      } else if (struct && op !== '==' && op !== '!=') {
+        this.addError(`Operator '${op}' cannot be applied to struct '${struct}'`, expr, {
+          code: 'YS0101',
+          notes: ['Structs are only compared for equality, with == and !=.']
+        });
+      } else if (struct && this.unequatableField(struct)) {
+        const field = this.unequatableField(struct);
+        this.addError(`Struct '${struct}' cannot be compared with '${op}', as field '${field.name}' has type '${formatType(field.type)}'`, expr, {
+          code: 'YS0101'
+        });
+      }
+      if (op === '==' || op === '!=') {
+        this.markStringComparison(expr.left, rightType);
+        this.markStringComparison(expr.right, leftType);
+      }
+      return 'bool';
+    }
+
+    if (ARITHMETIC_OPERATORS.includes(op)) {
+      const type = this.arithmeticResultType(op, leftType, rightType, expr);
+      if (this.isCheckedOperation(op, leftType, rightType)) {
+        expr.checkedType = type;
+      }
+      return type;
+    }
+
+    if (BITWISE_OPERATORS.includes(op)) {
+      return this.bitwiseResultType(op, leftType, rightType, expr);
+    }
+
+    return UNKNOWN_TYPE;
+  }
+
+  // Recorded for codegen: a string literal compared with a String can stay in flash on AVR
+  markStringComparison(literal, otherType) {
+    if (literal.type === 'Literal' && literal.valueType === 'string' && normalizeType(otherType) === 'string') {
+      literal.comparedWithString = true;
+    }
+  }
+
+  bitwiseResultType(op, leftType, rightType, expr) {
+    // Enums are integers in C++; booleans are not numbers, so `b & 1` is rejected
+    const asInteger = type => this.isEnumType(type) ? 'int' : type;
+    const left = asInteger(normalizeType(leftType));
+    const right = asInteger(normalizeType(rightType));
+
+    if (!(isUnknownType(left) || isIntegerType(left)) || !(isUnknownType(right) || isIntegerType(right))) {
+      this.addError(`Operator '${op}' requires integer operands, got '${formatType(leftType)}' and '${formatType(rightType)}'`, expr, { code: 'YS0101' });
+      return UNKNOWN_TYPE;
+    }
+
+    if (isUnknownType(left)) return UNKNOWN_TYPE;
+    // A shift has the (promoted) type of the value being shifted
+    if (op === '<<' || op === '>>') return promoteNumericTypes(left, left);
+    if (isUnknownType(right)) return UNKNOWN_TYPE;
+    return promoteNumericTypes(left, right);
+  }
+
+  arithmeticResultType(op, leftType, rightType, expr) {
+    // String concatenation with Arduino String
+    if (op === '+' && (normalizeType(leftType) === 'string' || normalizeType(rightType) === 'string')) {
+      const other = normalizeType(leftType) === 'string' ? rightType : leftType;
+      if (isUnknownType(other) || other === 'string' || other === 'bool' || isNumericType(other)) {
+        return 'string';
+      }
+    }
+
+    // Enums are integers in C++; booleans are not numbers, so `b + 0` is rejected
+    const asNumber = type => this.isEnumType(type) ? 'int' : type;
+    const left = asNumber(normalizeType(leftType));
+    const right = asNumber(normalizeType(rightType));
+    const leftOk = isUnknownType(left) || isNumericType(left);
+    const rightOk = isUnknownType(right) || isNumericType(right);
+
+    if (!leftOk || !rightOk) {
+      this.addError(
+        `Operator '${op}' cannot be applied to '${formatType(leftType)}' and '${formatType(rightType)}'`,
+        expr,
+        { code: 'YS0101' }
+      );
+      return UNKNOWN_TYPE;
+    }
+
+    if (op === '%' && (isFloatType(left) || isFloatType(right))) {
+      this.addError(`Operator '%' requires integer operands, got '${formatType(leftType)}' and '${formatType(rightType)}'`, expr, { code: 'YS0101' });
+      return UNKNOWN_TYPE;
+    }
+
+    if (isUnknownType(left) || isUnknownType(right)) return UNKNOWN_TYPE;
+    return promoteNumericTypes(left, right);
+  }
+
+  analyzeUnaryExpression(expr) {
+    const type = this.analyzeExpression(expr.argument);
+
+    if (expr.operator === 'not') {
+      if (!this.isConditionType(type)) {
+        this.addError(`Operator 'not' cannot be applied to '${formatType(type)}'`, expr, { code: 'YS0101' });
+      }
+      return 'bool';
+    }
+
+    if (expr.operator === '-') {
+      if (isUnknownType(type)) return UNKNOWN_TYPE;
+      if (!isNumericType(type)) {
+        this.addError(`Operator '-' cannot be applied to '${formatType(type)}'`, expr, { code: 'YS0101' });
+        return UNKNOWN_TYPE;
+      }
+      return type;
+    }
+
+    if (expr.operator === '~') {
+      if (isUnknownType(type)) return UNKNOWN_TYPE;
+      if (!isIntegerType(normalizeType(type))) {
+        this.addError(`Operator '~' requires an integer operand, got '${formatType(type)}'`, expr, { code: 'YS0101' });
+        return UNKNOWN_TYPE;
+      }
+      return promoteNumericTypes(type, type);
+    }
+
+    return UNKNOWN_TYPE;
+  }
+
+  // x++, x--, ++x, --x
+  analyzeUpdateExpression(expr) {
+    const type = this.analyzeAssignmentTarget(expr.argument, expr);
+    if (type === null || isUnknownType(type)) return UNKNOWN_TYPE;
+    const range = this.targetRange(expr.argument);
+    if (range) {
+      expr.range = range;
+    }
+
+    if (!isNumericType(normalizeType(type))) {
+      this.addError(`Operator '${expr.operator}' cannot be applied to '${formatType(type)}'`, expr, { code: 'YS0101' });
+      return UNKNOWN_TYPE;
+    }
+    // A range policy limits x + 1 itself, so only the addition is checked
+    if (this.isCheckedOperation('+', type, 'int')) {
+      expr.checkedType = range ? promoteNumericTypes(type, 'int') : normalizeType(type);
+    }
+    return type;
+  }
+
+  // Check that `target` can be written by `=`, `+=` or `++`, and return its type
+  // (null when it is a constant, which has already been reported)
+  analyzeMatchExpression(expr) {
+    const discriminantType = this.analyzeExpression(expr.discriminant);
+    const arms = expr.cases.map(arm => {
+      this.pushScope();
+      this.analyzeMatchArm(arm, discriminantType);
+      const type = this.analyzeExpression(arm.value);
+      this.popScope();
+      return { node: arm.value, type };
+    });
+    const type = this.branchResultType(arms, 'Match arms');
+
+    this.checkMatchCoverage(expr, discriminantType, true);
+    return type;
+  }
+
+  // A match on an enum must handle every variant, and a match expression must
+  // produce a value for any input. Arms with guards do not count.
+  checkMatchCoverage(match, discriminantType, needsValue) {
+    const arms = match.cases.filter(arm => !arm.guard);
+    if (arms.some(arm => arm.pattern.type === 'Wildcard')) return;
+
+    const enumDecl = this.enums.get(normalizeType(discriminantType));
+    if (enumDecl) {
+      const covered = new Set();
+      for (const arm of arms) {
+        const alternatives = arm.pattern.type === 'OrPattern' ? arm.pattern.alternatives : [arm.pattern];
+        for (const pattern of alternatives) {
+          if (pattern.type === 'Identifier') covered.add(pattern.name);
+          if (pattern.type === 'MemberExpression' && pattern.object.name === enumDecl.name) covered.add(pattern.property);
+        }
+      }
+      const missing = enumDecl.values.filter(value => !covered.has(value));
+      if (missing.length > 0) {
+        this.addError(
+          `Match on enum '${enumDecl.name}' does not handle ${missing.map(value => `'${value}'`).join(', ')}`,
+          match,
+          { code: 'YS0113', notes: ["Add an arm for each missing variant, or a '_ => ...' arm."] }
+        );
+      }
+      return;
+    }
+
+    if (needsValue) {
+      this.addError('Match expression does not handle every value', match, {
+        code: 'YS0113',
+        notes: ["Add a '_ => ...' arm for the values no other arm matches."]
+      });
+    }
+  }
+
+  // Type of an expression that yields one of several branch values: numbers
+  // promote to a common type, anything else must have the same type everywhere
+  branchResultType(branches, description) {
+    let result = UNKNOWN_TYPE;
+    let agree = true;
+    for (const { node, type } of branches) {
+      if (isUnknownType(type)) continue;
+      if (isUnknownType(result)) {
+        result = type;
+      } else if (isNumericType(result) && isNumericType(type)) {
+        result = promoteNumericTypes(result, type);
+      } else if (this.isAssignable(type, result)) {
+        result = type;
+      } else if (!this.isAssignable(result, type)) {
+        this.addError(
+          `${description} have incompatible types: '${formatType(result)}' and '${formatType(type)}'`,
+          node,
+          { code: 'YS0100' }
+        );
+        agree = false;
+      }
+    }
+    // After a mismatch the value's type is unknown, so uses of it are not reported again
+    return agree ? result : UNKNOWN_TYPE;
+  }
+
+  analyzeAssignmentTarget(target, expr) {
+    if (!ASSIGNMENT_TARGETS.includes(target.type)) {
+      this.addError('Invalid assignment target', expr, { code: 'YS0107' });
+    }
+
+    const type = this.analyzeExpression(target);
+    if (target.type === 'Identifier') {
+      const symbol = this.lookup(target.name);
+      if (symbol && symbol.kind === 'const') {
+        this.addError(`Cannot assign to constant '${target.name}'`, target, { code: 'YS0106' });
+        return null;
+      }
+      if (symbol && symbol.kind === 'loop') {
+        this.addError(`Cannot assign to loop variable '${target.name}'`, target, { code: 'YS0106' });
+        return null;
+      }
+      if (symbol && symbol.kind === 'property' && symbol.node.isMut === false) {
+        this.addError(`Cannot assign to constant property '${target.name}'`, target, {
+          code: 'YS0106',
+          notes: ['A constant property is set by its initializer, or by an assignment at the start of a constructor of its class.']
+        });
+        return null;
+      }
+    }
+    if (target.type === 'MemberExpression' && !this.checkPropertyAssignment(target, expr)) {
+      return null;
+    }
+    return type;
+  }
+
+  // Constant properties are set by their initializer or by one of the assignments
+  // that open a constructor of their class
+  checkPropertyAssignment(target, expr) {
+    const object = target.object;
+    let objectType = null;
+    if (object.type === 'ThisExpression') {
+      objectType = this.currentClass && this.currentClass.name;
+    } else if (object.type === 'Identifier') {
+      const symbol = this.lookup(object.name);
+      objectType = symbol && (symbol.kind === 'class' ? object.name : symbol.type);
+    }
+    const member = objectType && this.isObjectType(objectType) ? this.findClassMember(objectType, target.property) : null;
+    if (!member || member.kind !== 'property' || member.node.isMut !== false) return true;
+
+    const initializers = (this.currentFunction && this.currentFunction.fieldInitializers) || [];
+    if (initializers.includes(expr) && !member.node.isStatic && genericBaseType(member.owner) === this.currentClass.name) {
+      return true;
+    }
+    this.addError(`Cannot assign to constant property '${target.property}'`, target, {
+      code: 'YS0106',
+      notes: ['A constant property is set by its initializer, or by an assignment at the start of a constructor of its class.']
+    });
+    return false;
+  }
+
+  analyzeAssignmentExpression(expr) {
+    const errorCount = this.errors.length;
+    const left = expr.left;
+    const leftType = this.analyzeAssignmentTarget(left, expr);
+    const rightType = this.analyzeExpression(expr.right);
+    if (leftType === null) return UNKNOWN_TYPE;
+
+    // `x op= y` stores the result of `x op y`
+    const compound = expr.operator && expr.operator !== '=' ? expr.operator.slice(0, -1) : null;
+    let valueType = rightType;
+    if (compound) {
+      valueType = BITWISE_OPERATORS.includes(compound)
+        ? this.bitwiseResultType(compound, leftType, rightType, expr)
+        : this.arithmeticResultType(compound, leftType, rightType, expr);
+    }
+
+    if (!this.isAssignable(leftType, valueType)) {
+      this.addError(
+        `Type mismatch: cannot assign a value of type '${formatType(valueType)}' to '${this.describeTarget(left)}' of type '${formatType(leftType)}'`,
+        expr,
+        { code: 'YS0100', notes: this.slicingNotes(leftType, valueType) }
+      );
+    } else if (!compound) {
+      this.checkLiteralRange(leftType, expr.right);
+    }
+
+    // Code generation passes every value stored in a range-constrained variable through its policy
+    const range = this.targetRange(left);
+    if (range) {
+      expr.range = range;
+      if (!compound && this.errors.length === errorCount) this.checkRangeValue(range, expr.right, left.name);
+    }
+
+    // `x += y` is checked against the type of x, or against the type of x + y when a
+    // range policy limits the result
+    if (compound && this.isCheckedOperation(compound, leftType, rightType)) {
+      expr.checkedType = range ? valueType : normalizeType(leftType);
+    } else if (!compound && !range) {
+      this.markCheckedStore(expr, leftType, expr.right, rightType);
+    }
+    return leftType;
+  }
+
+  // With `overflow: trap` in the config, + - * on integers trap instead of wrapping around
+  isCheckedOperation(op, leftType, rightType) {
+    return this.config !== null && this.config.checksOverflow() && CHECKED_OPERATORS.includes(op) &&
+      isIntegerType(leftType) && isIntegerType(rightType);
+  }
+
+  // A value stored in an integer variable, returned or passed as an argument must fit
+  // its type when overflow is checked. An operation is checked against that type
+  // directly; any other value that may not fit is converted with a check (`node.checkedCast`).
+  markCheckedStore(node, targetType, value, valueType) {
+    if (this.config === null || !this.config.checksOverflow() || !isIntegerType(targetType)) return;
+    if (value.type === 'BinaryExpression' && value.checkedType) {
+      value.checkedType = normalizeType(targetType);
+    } else if (isIntegerType(valueType) && !integerTypeFits(valueType, targetType) && this.constantValue(value) === null) {
+      node.checkedCast = normalizeType(targetType);
+    }
+  }
+
+  // Range constraint of an assigned variable or parameter, or null
+  targetRange(target) {
+    const symbol = target.type === 'Identifier' ? this.lookup(target.name) : null;
+    return (symbol && symbol.range) || null;
+  }
+
+  // Source-like description of an assignment target for messages
+  describeTarget(node) {
+    switch (node.type) {
+      case 'Identifier':
+        return node.name;
+      case 'ThisExpression':
+        return 'self';
+      case 'MemberExpression':
+        return `${this.describeTarget(node.object)}.${node.property}`;
+      case 'SubscriptExpression':
+        return `${this.describeTarget(node.array)}[...]`;
+      default:
+        return 'expression';
+    }
+  }
+
+  analyzeSubscriptExpression(expr) {
+    const arrayType = this.analyzeExpression(expr.array);
+    const indexType = this.analyzeExpression(expr.index);
+
+    const index = normalizeType(indexType);
+    if (!isUnknownType(index) && !isIntegerType(index) && index !== 'bool' && !this.isEnumType(index)) {
+      this.addError(`Array index must be an integer, got '${formatType(indexType)}'`, expr.index, { code: 'YS0109' });
+    }
+
+    return isArrayType(arrayType) ? arrayElementType(arrayType) : UNKNOWN_TYPE;
+  }
 }
 
 module.exports = { SemanticAnalyzer };
@@ -0,0 +1,334 @@
+/**
+ * Ypsilon Script Type Helpers
+ * Shared type classification and compatibility rules used by the
+ * semantic analyzer (type checking) and the code generator
+ */
+
+// Placeholder type for expressions whose type cannot be determined statically
+// (hardware driver methods, module members, inline C++). It is compatible with everything.
+const UNKNOWN_TYPE = 'unknown';
+
+// Integer types ordered by rank (used for arithmetic promotion)
+const INTEGER_TYPES = ['u8', 'i8', 'u16', 'i16', 'int', 'u32', 'i32', 'u64', 'i64'];
+
+const FLOAT_TYPES = ['float', 'f32', 'f64'];
+
+// Source-level aliases that name the same underlying type
+const TYPE_ALIASES = {
+  'byte': 'u8',
+  'short': 'i16',
+  'f32': 'float'
+};
+
+// Valid value ranges for width-specific integer types
+// Note: u64 and i64 are not validated due to JavaScript number limitations
+const TYPE_RANGES = {
+  'u8': { min: 0, max: 255 },
+  'u16': { min: 0, max: 65535 },
+  'u32': { min: 0, max: 4294967295 },
+  'i8': { min: -128, max: 127 },
+  'i16': { min: -32768, max: 32767 },
+  'i32': { min: -2147483648, max: 2147483647 },
+  'byte': { min: 0, max: 255 },
+  'short': { min: -32768, max: 32767 }
+};
+
+// Resolve source-level aliases (byte -> u8, short -> i16, f32 -> float)
+function normalizeType(type) {
+  if (!type) return UNKNOWN_TYPE;
+  return TYPE_ALIASES[type] || type;
+}
+
+function isUnknownType(type) {
+  return !type || type === UNKNOWN_TYPE;
+}
+
+function isIntegerType(type) {
+  return INTEGER_TYPES.includes(normalizeType(type));
+}
+
+function isFloatType(type) {
+  return FLOAT_TYPES.includes(normalizeType(type));
+}
+
+function isNumericType(type) {
+  return isIntegerType(type) || isFloatType(type);
+}
+
+// Array types are written as 'T[]'
+function isArrayType(type) {
+  return typeof type === 'string' && type.endsWith('[]');
+}
+
+function arrayElementType(type) {
+  return isArrayType(type) ? type.slice(0, -2) : UNKNOWN_TYPE;
+}
+
+// Split a comma-separated list of types, leaving the commas inside nested
+// type arguments and function types alone ('->' is not a closing bracket)
+function splitTypeList(text) {
+  const types = [];
+  let depth = 0;
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === ',' && depth === 0) {
+      types.push(current.trim());
+      current = '';
+      continue;
+    }
+    if (char === '<' || char === '(') depth++;
+    if (char === ')' || (char === '>' && text[i - 1] !== '-')) depth--;
+    current += char;
+  }
+  if (current.trim() !== '') types.push(current.trim());
+  return types;
+}
+
+// Function types are written as 'fn(int, int) -> bool'; 'fn(int)' returns nothing
+function isFunctionType(type) {
+  return typeof type === 'string' && type.startsWith('fn(');
+}
+
+function functionType(paramTypes, returnType) {
+  const type = `fn(${paramTypes.join(', ')})`;
+  return returnType && normalizeType(returnType) !== 'void' ? `${type} -> ${returnType}` : type;
+}
+
+// Parameter and return types of a function type: fn(int) -> bool -> { params: ['int'], returnType: 'bool' }
+function functionTypeParts(type) {
+  let depth = 0;
+  let close = 3;
+  for (; close < type.length; close++) {
+    if (type[close] === '(') depth++;
+    if (type[close] === ')' && depth-- === 0) break;
+  }
+  const rest = type.slice(close + 1).trim();
+  return {
+    params: splitTypeList(type.slice(3, close)),
+    returnType: rest.startsWith('->') ? rest.slice(2).trim() : 'void'
+  };
+}
+
+// Collection types are written as 'List<T>' and 'Map<K, V>'; a bare 'List' leaves the element type open
+function genericBaseType(type) {
+  if (typeof type !== 'string' || isFunctionType(type)) return type;
+  const open = type.indexOf('<');
+  return open === -1 ? type : type.slice(0, open);
+}
+
+function genericTypeArguments(type) {
+  if (typeof type !== 'string' || isFunctionType(type) || !type.endsWith('>') || type.indexOf('<') === -1) return [];
+  return splitTypeList(type.slice(type.indexOf('<') + 1, -1));
+}
+
+// Collections holding a sequence of elements, which take an array literal and can be iterated
+const SEQUENCE_TYPES = ['List', 'Array', 'RingBuffer', 'Stack'];
+
+// Heap-free collections and how many type arguments come before their capacity:
+// Array<int, 8>, FixedMap<string, int, 4>
+const FIXED_COLLECTION_TYPES = { Array: 1, RingBuffer: 1, Stack: 1, FixedMap: 2 };
+
+// Capacity of a fixed collection type, or null for any other type
+function collectionCapacity(type) {
+  const elementCount = FIXED_COLLECTION_TYPES[genericBaseType(type)];
+  const typeArgs = genericTypeArguments(type);
+  if (elementCount === undefined || typeArgs.length !== elementCount + 1) return null;
+  const capacity = Number(typeArgs[elementCount]);
+  return Number.isInteger(capacity) && capacity > 0 ? capacity : null;
+}
+
+// Element type a for-in loop yields, or null when the type cannot be iterated.
+// A Map yields its keys.
+function iterableElementType(type) {
+  if (isArrayType(type)) return arrayElementType(type);
+  if (SEQUENCE_TYPES.includes(genericBaseType(type)) || genericBaseType(type) === 'Map') {
+    return genericTypeArguments(type)[0] || UNKNOWN_TYPE;
+  }
+  return null;
+}
+
+function getTypeRange(type) {
+  return TYPE_RANGES[type] || null;
+}
+
+// Result type of an arithmetic operation between two numeric types,
+// following C++ usual arithmetic conversions closely enough for checking
+function promoteNumericTypes(left, right) {
+  const a = normalizeType(left);
+  const b = normalizeType(right);
+  if (a === 'f64' || b === 'f64') return 'f64';
+  if (isFloatType(a) || isFloatType(b)) return 'float';
+  const rank = Math.max(INTEGER_TYPES.indexOf(a), INTEGER_TYPES.indexOf(b), INTEGER_TYPES.indexOf('int'));
+  return INTEGER_TYPES[rank];
+}
+
+// Whether every value of one integer type fits in another. 'int' is 16 bits on
+// AVR and 32 bits on ESP boards, so it is taken at its widest as the value and
+// at its narrowest as the target, except that an int always fits an int.
+function integerTypeFits(valueType, targetType) {
+  if (normalizeType(valueType) === normalizeType(targetType)) return true;
+  const width = (type, widest) => {
+    const name = normalizeType(type) === 'int' ? (widest ? 'i32' : 'i16') : normalizeType(type);
+    return { signed: name[0] === 'i', bits: Number(name.slice(1)) };
+  };
+  const value = width(valueType, true);
+  const target = width(targetType, false);
+  if (value.signed && !target.signed) return false;
+  return value.signed === target.signed ? value.bits <= target.bits : value.bits < target.bits;
+}
+
+// Type inferred for an integer constant. 'int' is only 16 bits on AVR, so values
+// beyond that get a type of the same width on every board.
+function integerLiteralType(value) {
+  if (value >= TYPE_RANGES.i16.min && value <= TYPE_RANGES.i16.max) return 'int';
+  if (value >= TYPE_RANGES.i32.min && value <= TYPE_RANGES.i32.max) return 'i32';
+  return value >= 0 && value <= TYPE_RANGES.u32.max ? 'u32' : 'i64';
+}
+
+// Is a number literal a float? 1.0 is, though its value is a whole number
+function isFloatLiteral(literal) {
+  return Boolean(literal.isFloat) || !Number.isInteger(literal.value);
+}
+
+// Integer value a unit literal stands for: 200ms -> 200, 2s -> 2000, 16MHz -> 16000000
+function unitLiteralValue(value, unit) {
+  // Conversion constants
+  const RAD_TO_DEG = 180 / Math.PI;  // radians to degrees
+  // Newton to milligrams: 1N = 1kg * 1m/s² = 1000g / 9.80665m/s² * 1000 = 101971.6 mg
+  const NEWTON_TO_MG = 1000000 / 9.80665;
+  
+  const conversions = {
+    // Time units (convert to milliseconds)
+    'ms': value,
+    's': value * 1000,
+    'us': Math.floor(value * 0.001),  // microseconds to milliseconds: divide by 1000
+    'min': value * 60000,
+    'h': value * 3600000,
+    
+    // Frequency (to Hz)
+    'Hz': value,
+    'kHz': value * 1000,
+    'MHz': value * 1000000,
+    'GHz': value * 1000000000,
+    
+    // Angle (convert to degrees)
+    'deg': value,
+    'rad': Math.floor(value * RAD_TO_DEG),  // radians to degrees: multiply by 180/π
+    
+    // Distance (convert to millimeters)
+    'mm': value,
+    'cm': value * 10,
+    'm': value * 1000,
+    'km': value * 1000000,
+    'in': Math.floor(value * 25.4),  // inches to millimeters
+    'ft': Math.floor(value * 304.8), // feet to millimeters
+    
+    // Speed (various base units)
+    'rpm': value,                            // revolutions per minute
+    'mps': Math.floor(value * 1000),         // meters per second to mm/s
+    'kph': Math.floor(value * 1000 / 3.6),   // km/h to mm/s (1 km/h = 1000/3.6 mm/s)
+    'mph': Math.floor(value * 1609.344 / 3.6), // mph to mm/s (1 mile = 1609.344m)
+    
+    // Voltage (convert to millivolts)
+    'V': value * 1000,
+    'mV': value,
+    'uV': Math.floor(value * 0.001),
+    
+    // Current (convert to microamps)
+    'A': value * 1000000,
+    'mA': value * 1000,
+    'uA': value,
+    
+    // Resistance (convert to ohms)
+    'ohm': value,
+    'kohm': value * 1000,
+    'Mohm': value * 1000000,
+    
+    // Capacitance (convert to picofarads)
+    'F': value * 1000000000000,
+    'uF': value * 1000000,
+    'nF': value * 1000,
+    'pF': value,
+    
+    // Power (convert to milliwatts)
+    'W': value * 1000,
+    'mW': value,
+    'kW': value * 1000000,
+    
+    // Temperature (convert to centidegrees Celsius for precision)
+    'C': value * 100,               // Celsius to centidegrees
+    'degC': value * 100,            // Celsius to centidegrees (alias)
+    'K': Math.floor((value - 273.15) * 100), // Kelvin to centidegrees Celsius
+    'degF': Math.floor((value - 32) * 5 / 9 * 100), // Fahrenheit to centidegrees Celsius
+    
+    // Weight/Force (convert to milligrams)
+    'mg': value,
+    'g': value * 1000,
+    'kg': value * 1000000,
+    'N': Math.floor(value * NEWTON_TO_MG), // Newtons to mg (using standard gravity)
+    
+    // Data storage (convert to bytes)
+    'B': value,
+    'KB': value * 1024,
+    'MB': value * 1048576,
+    'GB': value * 1073741824,
+    
+    // Percentage (convert to basis points for precision)
+    'pct': value * 100,             // percent to basis points (1% = 100 bp)
+    'percent': value * 100,
+    
+    // Pressure (convert to Pascals)
+    'Pa': value,
+    'kPa': value * 1000,
+    'hPa': value * 100,             // hectopascals (same as millibar)
+    'bar': value * 100000,
+    'atm': Math.floor(value * 101325),  // atmospheres to Pascals
+    'psi': Math.floor(value * 6894.76), // PSI to Pascals
+    
+    // Light (lux and lumens)
+    'lux': value,
+    'lm': value,                    // lumens (kept as-is)
+    
+    // Sound/Signal (decibels)
+    'dB': value,                    // decibels (kept as-is)
+    'dBm': value                    // dBm (kept as-is)
+  };
+  
+  return conversions[unit] || value;
+}
+
+// Human-readable type name for diagnostics
+function formatType(type) {
+  return isUnknownType(type) ? 'unknown' : type;
+}
+
+module.exports = {
+  UNKNOWN_TYPE,
+  INTEGER_TYPES,
+  FLOAT_TYPES,
+  TYPE_RANGES,
+  normalizeType,
+  isUnknownType,
+  isIntegerType,
+  isFloatType,
+  isNumericType,
+  isArrayType,
+  arrayElementType,
+  genericBaseType,
+  genericTypeArguments,
+  isFunctionType,
+  functionType,
+  functionTypeParts,
+  SEQUENCE_TYPES,
+  FIXED_COLLECTION_TYPES,
+  collectionCapacity,
+  iterableElementType,
+  getTypeRange,
+  promoteNumericTypes,
+  integerTypeFits,
+  integerLiteralType,
+  isFloatLiteral,
+  unitLiteralValue,
+  formatType
+};
@@ -0,0 +1,286 @@
+/**
+ * Tests for member visibility, static members and multiple constructors
+ */
+
+const { compile } = require('../src/compiler');
+const { format } = require('../src/formatter');
+const { parse } = require('./helpers');
+
+const COUNTER = `class Counter {
+  static mut int created = 0
+  priv mut int count = 0
+  const int limit
+  constructor() {
+    self.limit = 10
+    created += 1
+  }
+  pub constructor(int limit) {
+    self.limit = limit
+    created += 1
+  }
+  pub fn tick() -> bool {
+    count += 1
+    return count < limit
+  }
+  priv fn reset() {
+    count = 0
+  }
+  static fn make() -> Counter {
+    return new Counter(5)
+  }
+}
+`;
+
+function classCode(result, name) {
+  const start = result.code.indexOf(`class ${name}`);
+  return result.code.slice(start, result.code.indexOf('};', start) + 2);
+}
+
+describe('Class Members - Parser', () => {
+  test('should parse modifiers and several constructors', () => {
+    const [cls] = parse(COUNTER).body;
+
+    expect(cls.properties.map(p => [p.name, p.visibility, p.isStatic])).toEqual([
+      ['created', null, true],
+      ['count', 'private', false],
+      ['limit', null, false]
+    ]);
+    expect(cls.constructors.map(c => [c.params.length, c.visibility])).toEqual([[0, null], [1, 'public']]);
+    expect(cls.methods.map(m => [m.name, m.visibility, m.isStatic])).toEqual([
+      ['tick', 'public', false],
+      ['reset', 'private', false],
+      ['make', null, true]
+    ]);
+  });
+
+  test('should reject conflicting modifiers and static constructors', () => {
+    expect(() => parse('class A {\n  pub priv mut int x\n}')).toThrow('A member cannot be both pub and priv');
+    expect(() => parse('class A {\n  static static fn f() {\n  }\n}')).toThrow("Duplicate modifier 'static'");
+    expect(() => parse('class A {\n  static constructor() {\n  }\n}')).toThrow('Constructor of A cannot be static');
+  });
+});
+
+describe('Class Members - Semantic Analysis', () => {
+  test('should accept private members inside the class and static members through it', () => {
+    const result = compile(`${COUNTER}on loop {
+  mut Counter c = Counter.make()
+  mut bool more = c.tick()
+  mut int n = Counter.created
+}`);
+
+    expect(result.success).toBe(true);
+  });
+
+  test('should report private members used outside their class', () => {
+    const result = compile(`${COUNTER}class Sub extends Counter {
+  fn clear() {
+    reset()
+  }
+}
+on loop {
+  mut Counter c = new Counter()
+  print(c.count)
+  c.reset()
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message, e.line])).toEqual([
+      ['YS0120', "Method 'reset' of 'Counter' is private", 26],
+      ['YS0120', "Property 'count' of 'Counter' is private", 31],
+      ['YS0120', "Method 'reset' of 'Counter' is private", 32]
+    ]);
+  });
+
+  test('should make members private by default when the config says so', () => {
+    const result = compile(`config {
+  visibility: private
+}
+interface Named {
+  fn name() -> int
+}
+class Tag implements Named {
+  mut int id = 0
+  fn name() -> int {
+    return id
+  }
+}
+mut Tag t = new Tag()
+on loop {
+  print(t.id)
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0120', "Method 'name' of 'Tag' implements interface 'Named', so it must be public"],
+      ['YS0120', "Property 'id' of 'Tag' is private"]
+    ]);
+  });
+
+  test('should warn about unknown visibility values', () => {
+    const result = compile('config {\n  visibility: protected\n}');
+
+    expect(result.success).toBe(true);
+    expect(result.diagnostics.map(d => [d.severity, d.code, d.message])).toEqual([
+      ['warning', 'YS0204', "Unknown visibility 'protected'"]
+    ]);
+  });
+
+  test('should keep static methods away from instance members', () => {
+    const result = compile(`class Counter {
+  mut int count = 0
+  fn tick() {
+  }
+  static fn reset() {
+    count = 0
+    tick()
+    print(self)
+  }
+}
+on loop {
+  Counter.tick()
+  print(Counter.count)
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0121', "Static method 'reset' cannot use instance property 'count'"],
+      ['YS0121', "Static method 'reset' cannot use instance method 'tick'"],
+      ['YS0121', "Static method 'reset' cannot use 'self'"],
+      ['YS0121', "'Counter.tick' is not static, so it can only be used on an instance of 'Counter'"],
+      ['YS0121', "'Counter.count' is not static, so it can only be used on an instance of 'Counter'"]
+    ]);
+  });
+
+  test('should pick a constructor by its parameter types', () => {
+    const result = compile(`class Point {
+  mut float x = 0
+  constructor(int x) {
+  }
+  constructor(float x) {
+  }
+  constructor(int y) {
+  }
+  priv constructor(string name, int x) {
+  }
+}
+mut Point a = new Point(1)
+mut Point b = new Point(1.5)
+mut Point c = new Point("x")
+mut Point d = new Point("origin", 0)`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0122', "Class 'Point' already has a constructor taking (int)"],
+      ['YS0104', "No constructor of 'Point' takes (string)"],
+      ['YS0120', "Constructor of 'Point' is private"]
+    ]);
+    expect(result.semanticErrors[1].notes).toEqual([
+      'Candidate: Point(int x)',
+      'Candidate: Point(float x)',
+      'Candidate: Point(int y)',
+      'Candidate: Point(string name, int x)'
+    ]);
+  });
+
+  test('should only let constructors set constant properties', () => {
+    const result = compile(`class Motor {
+  const int maxSpeed
+  mut int speed = 0
+  constructor(int max) {
+    self.speed = 1
+    self.maxSpeed = max
+  }
+  constructor() {
+    print("default")
+    self.maxSpeed = 100
+  }
+  fn boost() {
+    maxSpeed = 255
+  }
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message, e.line])).toEqual([
+      ['YS0106', "Cannot assign to constant property 'maxSpeed'", 10],
+      ['YS0106', "Cannot assign to constant property 'maxSpeed'", 13]
+    ]);
+  });
+});
+
+describe('Class Members - Code Generation', () => {
+  test('should emit public and private sections, static members and constructor initializers', () => {
+    const result = compile(`${COUNTER}mut Digital led = new Digital(2)
+on loop {
+  print(Counter.created)
+}`);
+
+    expect(result.success).toBe(true);
+    expect(classCode(result, 'Counter')).toBe(`class Counter {
+public:
+  static int created;
+  const int limit;
+
+  Counter() : limit(10) {
+    created += 1;
+  }
+
+  Counter(int limit) : limit(limit) {
+    created += 1;
+  }
+
+  bool tick() {
+    count += 1;
+    return (count < limit);
+  }
+
+  static Counter make() {
+    return Counter(5);
+  }
+
+private:
+  int count = 0;
+
+  void reset() {
+    count = 0;
+  }
+};`);
+    expect(result.code).toContain('};\nint Counter::created = 0;');
+    expect(result.code).toContain('Serial.println(Counter::created);');
+  });
+
+  test('should initialize hardware fields after the base class', () => {
+    const result = compile(`class Base {
+  constructor(int pin) {
+  }
+}
+class Lamp extends Base {
+  mut int level = 0
+  mut Digital led
+  constructor(int pin) {
+    super(pin)
+    self.led = new Digital(pin)
+    self.level = 1
+  }
+}`);
+
+    expect(classCode(result, 'Lamp')).toContain(`  Lamp(int pin) : Base(pin), led(Digital(pin)) {
+    this->level = 1;
+  }`);
+  });
+});
+
+describe('Class Members - Formatter', () => {
+  test('should print modifiers as written', () => {
+    expect(format(`class Counter {
+static   mut int created = 0
+priv constructor() {
+}
+pub  static fn make() -> Counter {
+return new Counter()
+}
+}
+`)).toBe(`class Counter {
+  static mut int created = 0
+  priv constructor() {}
+  pub static fn make() -> Counter {
+    return new Counter()
+  }
+}
+`);
+  });
+});
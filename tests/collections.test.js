@@ -0,0 +1,113 @@
+/**
+ * Tests for the List and Map methods and iteration
+ */
+
+const { compile } = require('../src/compiler');
+const { loopCode } = require('./helpers');
+
+// List and Map are not available on the default AVR board
+const ESP32 = `config {
+  board: esp32
+}
+`;
+
+
+describe('Collections - Semantic Analysis', () => {
+  test('should accept the List and Map methods', () => {
+    const result = compile(`${ESP32}mut List<int> xs = [5, 3, 9]
+mut Map<string, int> counts
+on loop {
+  xs.insert(1, 7)
+  mut int removed = xs.removeAt(0)
+  xs.sort()
+  mut bool found = xs.contains(9)
+  mut int at = xs.indexOf(9)
+  mut List<string> names = counts.keys()
+  mut List<int> totals = counts.values()
+  counts.clear()
+  xs.clear()
+}`);
+
+    expect(result.success).toBe(true);
+  });
+
+  test('should check calls against the method signatures', () => {
+    const result = compile(`${ESP32}mut List<int> xs
+mut Map<string, int> counts
+on loop {
+  xs.insert("a", 1)
+  xs.size()
+  mut List<int> keys = counts.keys()
+  counts.set("a")
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0104', "Argument 1 of 'List.insert' expects 'int' but got 'string'"],
+      ['YS0003', "Type 'List<int>' has no method 'size'"],
+      ['YS0100', "Type mismatch: cannot initialize 'keys' of type 'List<int>' with a value of type 'List<string>'"],
+      ['YS0103', "Function 'Map.set' expects 2 arguments but got 1"]
+    ]);
+  });
+
+  test('should leave the element types of a bare List open', () => {
+    const result = compile(`${ESP32}mut List items = new List()
+on loop {
+  items.push("x")
+  items.push(1)
+}`);
+
+    expect(result.success).toBe(true);
+  });
+
+  test('should iterate a Map over its keys', () => {
+    const result = compile(`${ESP32}mut Map<string, int> counts
+on loop {
+  for key in counts {
+    mut int n = key
+  }
+}`);
+
+    expect(result.semanticErrors.map(e => e.message)).toEqual([
+      "Type mismatch: cannot initialize 'n' of type 'int' with a value of type 'string'"
+    ]);
+  });
+});
+
+describe('Collections - Code Generation', () => {
+  test('should grow List with insert, removeAt, clear, contains, indexOf and sort', () => {
+    const result = compile(`${ESP32}mut List<int> xs = [3, 1]`);
+
+    expect(result.code).toContain('#include <algorithm>');
+    ['void insert(int index, T value) {', 'T removeAt(int index) {', 'void clear() {',
+      'bool contains(T value) {', 'int indexOf(T value) {', 'std::sort(_data.begin(), _data.end());']
+      .forEach(line => expect(result.code).toContain(line));
+  });
+
+  test('should iterate Map keys by const reference', () => {
+    const result = compile(`${ESP32}mut Map<string, int> counts
+on loop {
+  for key in counts {
+    print(key, counts.get(key))
+  }
+}`);
+
+    expect(result.code).toContain('const K& operator*() { return _it->first; }');
+    expect(loopCode(result)).toContain('for (const String& key : counts) {');
+    // A Map alone does not need List
+    expect(result.code).not.toContain('List<K> keys()');
+    expect(result.code).not.toContain('class List');
+  });
+
+  test('should emit List with Map when keys or values are used', () => {
+    const result = compile(`${ESP32}mut Map<int, float> readings
+on loop {
+  for v in readings.values() {
+    print(v)
+  }
+}`);
+
+    expect(result.code).toContain('class List {');
+    expect(result.code).toContain('  List<V> values() {');
+    expect(loopCode(result)).toContain('for (float v : readings.values()) {');
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Tests for ternary, if and match expressions
+ */
+
+const { compile } = require('../src/compiler');
+const { Lexer } = require('../src/lexer');
+const { Parser } = require('../src/parser');
+const { format } = require('../src/formatter');
+const { loopCode } = require('./helpers');
+
+function parseInit(source) {
+  const ast = new Parser(new Lexer(`mut int x = ${source}`).tokenize()).parse();
+  return ast.body[0].init;
+}
+
+
+describe('Conditional Expressions - Parser', () => {
+  test('should parse right-associative ternaries below or', () => {
+    const expr = parseInit('a or b ? 1 : c ? 2 : 3');
+
+    expect(expr).toMatchObject({
+      type: 'ConditionalExpression',
+      test: { type: 'BinaryExpression', operator: 'or' },
+      consequent: { type: 'Literal', value: 1 },
+      alternate: { type: 'ConditionalExpression', test: { name: 'c' } }
+    });
+  });
+
+  test('should parse if expressions with else-if chains', () => {
+    const expr = parseInit('if (a) { 1 } else if (b) { 2 } else { 3 }');
+
+    expect(expr).toMatchObject({
+      type: 'IfExpression',
+      consequent: { value: 1 },
+      alternate: { type: 'IfExpression', alternate: { value: 3 } }
+    });
+  });
+
+  test('should require else in if expressions', () => {
+    expect(() => parseInit('if (a) { 1 }')).toThrow("An 'if' expression needs an 'else' branch");
+  });
+
+  test('should parse match expressions with value arms', () => {
+    const expr = parseInit(`match mode {
+  AUTO => 128,
+  _ => 0
+}`);
+
+    expect(expr.type).toBe('MatchExpression');
+    expect(expr.cases.map(arm => [arm.pattern.type, arm.value.value])).toEqual([
+      ['Identifier', 128],
+      ['Wildcard', 0]
+    ]);
+  });
+});
+
+describe('Conditional Expressions - Semantic Analysis', () => {
+  test('should require branches and arms to agree', () => {
+    const result = compile(`mut int mode = 0
+mut int a = mode > 0 ? 1 : "off"
+mut int b = if (mode == 0) { "x" } else { 2 }
+mut int c = match mode { 0 => 1, 1 => "two", _ => 3 }`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message, e.line])).toEqual([
+      ['YS0100', "Branches of the conditional have incompatible types: 'int' and 'string'", 2],
+      ['YS0100', "Branches of the conditional have incompatible types: 'string' and 'int'", 3],
+      ['YS0100', "Match arms have incompatible types: 'int' and 'string'", 4]
+    ]);
+  });
+
+  test('should promote numeric branches and check the result type', () => {
+    const result = compile(`mut int mode = 0
+mut float f = mode > 0 ? 1 : 2.5
+mut string s = match mode { 0 => 1, _ => 2.5 }`);
+
+    expect(result.semanticErrors.map(e => e.message)).toEqual([
+      "Type mismatch: cannot initialize 's' of type 'string' with a value of type 'float'"
+    ]);
+  });
+
+  test('should check conditions and match patterns', () => {
+    const result = compile(`mut string name = "a"
+mut int mode = 0
+mut int a = name ? 1 : 2
+mut int b = match mode { "x" => 1, _ => 2 }`);
+
+    expect(result.semanticErrors.map(e => e.code)).toEqual(['YS0108', 'YS0110']);
+  });
+
+  test('should require a wildcard arm in match expressions', () => {
+    const result = compile(`mut int mode = 0
+mut int pwm = match mode {
+  0 => 128,
+  1 => 255
+}`);
+
+    expect(result.semanticErrors[0]).toMatchObject({
+      code: 'YS0113',
+      message: 'Match expression does not handle every value',
+      line: 2
+    });
+  });
+});
+
+describe('Conditional Expressions - Code Generation', () => {
+  test('should generate ternaries for conditionals and if expressions', () => {
+    const result = compile(`mut int level = 0
+on loop {
+  mut int a = level > 10 ? 1 : 0
+  mut int b = if (level > 3) { 1 } else if (level > 1) { 2 } else { 3 }
+}`);
+
+    expect(result.success).toBe(true);
+    expect(loopCode(result)).toContain('int a = ((level > 10) ? 1 : 0);');
+    expect(loopCode(result)).toContain('int b = ((level > 3) ? 1 : ((level > 1) ? 2 : 3));');
+  });
+
+  test('should generate a comparison chain for a simple discriminant', () => {
+    const result = compile(`enum Mode { AUTO, MANUAL }
+mut Mode mode = AUTO
+mut int manualValue = 40
+on loop {
+  mut int pwm = match mode { AUTO => 128, MANUAL => manualValue, _ => 0 }
+}`);
+
+    expect(result.success).toBe(true);
+    expect(loopCode(result)).toContain('int pwm = (mode == AUTO ? 128 : mode == MANUAL ? manualValue : 0);');
+  });
+
+  test('should evaluate a computed discriminant once', () => {
+    const result = compile(`fn readMode() -> int {
+  return 1
+}
+mut int initial = match readMode() { 1 => 5, _ => 6 }
+on loop {
+  mut int k = match readMode() { 0 => 1, 1 => 2, _ => 3 }
+  match readMode() {
+    1 => print("one")
+    _ => print("other")
+  }
+}`);
+
+    expect(result.success).toBe(true);
+    // File-scope lambdas cannot capture
+    expect(result.code).toContain(
+      'int initial = [](decltype(readMode()) _match) { return _match == 1 ? 5 : 6; }(readMode());'
+    );
+    expect(loopCode(result)).toContain(
+      'int k = [&](decltype(readMode()) _match) { return _match == 0 ? 1 : _match == 1 ? 2 : 3; }(readMode());'
+    );
+    expect(loopCode(result)).toContain(`  {
+    auto _match_0 = readMode();
+    if (_match_0 == 1) {`);
+  });
+});
+
+describe('Conditional Expressions - Formatter', () => {
+  test('should print ternaries, if and match expressions', () => {
+    const source = `mut int a = (x ? 1 : 2) + 1
+mut int b = x ?   y : z ? 1 : 2
+mut int c = if (x) {1} else {2}
+mut int d = match x { 1 => 2, _ => 3 }`;
+
+    expect(format(source)).toBe(`mut int a = (x ? 1 : 2) + 1
+mut int b = x ? y : z ? 1 : 2
+mut int c = if (x) { 1 } else { 2 }
+mut int d = match x {
+  1 => 2,
+  _ => 3
+}
+`);
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Diagnostics Tests
+ * Tests for error codes, snippet rendering and `ysc explain` explanations
+ */
+
+const { compile } = require('../src/compiler');
+const {
+  ERROR_CODES,
+  explainCode,
+  renderDiagnostic,
+  jsonReport,
+  sarifReport
+} = require('../src/diagnostics');
+
+describe('Diagnostics - Error Codes', () => {
+  test('should give semantic errors a code', () => {
+    const result = compile(`mut int counter = 0
+on loop {
+  counter = couter + 1
+  counter = "ten"
+}`);
+
+    expect(result.semanticErrors.map(e => e.code)).toEqual(['YS0001', 'YS0100']);
+  });
+
+  test('should give syntax errors a code', () => {
+    const result = compile('mut int a = = 5\nmut int b = 1 $');
+
+    expect(result.syntaxErrors.map(e => e.code)).toEqual(['YS0900', 'YS0901']);
+  });
+
+  test('should keep suggestions separate from the message', () => {
+    const result = compile(`mut int counter = 0
+mut int count = 0
+on loop {
+  counter = countr
+}`);
+
+    const error = result.semanticErrors[0];
+    expect(error.message).toBe("Undefined variable 'countr'");
+    expect(error.suggestions.slice(0, 2)).toEqual(['counter', 'count']);
+    expect(result.error).toContain("Did you mean 'counter'? Or perhaps: 'count'");
+  });
+
+  test('should report out-of-range literals as YS0102 with the valid range', () => {
+    const result = compile('mut u8 level = 300');
+
+    expect(result.success).toBe(false);
+    expect(result.semanticErrors[0]).toMatchObject({
+      code: 'YS0102',
+      message: 'Value 300 is out of range for type u8',
+      notes: ['Valid range: 0 to 255'],
+      line: 1,
+      column: 16
+    });
+  });
+
+  test('should check literals assigned to ranged variables', () => {
+    const result = compile(`mut i8 offset = 0
+on loop {
+  offset = -200
+}`);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Value -200 is out of range for type i8');
+  });
+
+  test('should have a catalogue entry for every code the compiler reports', () => {
+    const sources = [
+      'mut int x = y',
+      'mut Pont p',
+      'mut u8 v = 300',
+      'mut int a = = 1',
+      'mut int a = 1 $'
+    ];
+    for (const source of sources) {
+      const result = compile(source);
+      for (const error of [...result.syntaxErrors, ...result.semanticErrors]) {
+        expect(ERROR_CODES[error.code]).toBeDefined();
+      }
+    }
+  });
+});
+
+describe('Diagnostics - Rendering', () => {
+  test('should render the source line with the span underlined', () => {
+    const source = `mut int counter = 0
+on loop {
+  if (couter > 10) {
+    counter = 0
+  }
+}`;
+    const result = compile(source, { sourceFile: 'main.ys' });
+    const text = renderDiagnostic(result.semanticErrors[0], source);
+
+    expect(text).toBe([
+      "error[YS0001]: Undefined variable 'couter'",
+      ' --> main.ys:3:7',
+      '  |',
+      '3 |   if (couter > 10) {',
+      '  |       ^^^^^^',
+      '  |',
+      "  = help: Did you mean 'counter'?"
+    ].join('\n'));
+  });
+
+  test('should render notes and widen the gutter for long line numbers', () => {
+    const source = '\n'.repeat(11) + 'mut u8 level = 300';
+    const result = compile(source);
+    const text = renderDiagnostic(result.semanticErrors[0], source);
+
+    expect(text).toContain('  --> <input>:12:16');
+    expect(text).toContain('12 | mut u8 level = 300');
+    expect(text).toContain('   |                ^^^');
+    expect(text).toContain('   = note: Valid range: 0 to 255');
+  });
+
+  test('should underline to the end of the line for multi-line spans', () => {
+    const text = renderDiagnostic(
+      { code: 'YS0900', message: 'test', line: 1, column: 5, endLine: 3, endColumn: 2 },
+      'on loop {\n  x\n}'
+    );
+
+    expect(text).toContain('1 | on loop {\n  |     ^^^^^');
+  });
+
+  test('should render diagnostics without a location', () => {
+    const text = renderDiagnostic({ code: 'YS0001', message: 'Undefined variable', line: 'unknown' }, '');
+
+    expect(text).toBe('error[YS0001]: Undefined variable');
+  });
+});
+
+describe('Diagnostics - Explain', () => {
+  test('should explain a code case-insensitively', () => {
+    const text = explainCode('ys0102');
+
+    expect(text).toContain('YS0102: Literal out of range');
+    expect(text).toContain('mut u8 brightness = 300');
+  });
+
+  test('should return null for unknown codes', () => {
+    expect(explainCode('YS9999')).toBeNull();
+  });
+});
+
+describe('Diagnostics - Structured Output', () => {
+  test('should list every error and warning in diagnostics', () => {
+    const source = `config {
+  board: arduino_unoo
+}
+mut int x = y`;
+    const result = compile(source, { sourceFile: 'app.ys' });
+
+    expect(result.diagnostics.map(d => [d.severity, d.code])).toEqual([
+      ['error', 'YS0001'],
+      ['warning', 'YS0201']
+    ]);
+    expect(result.diagnostics[0]).toBe(result.semanticErrors[0]);
+    expect(result.diagnostics[1].source).toBe('app.ys');
+  });
+
+  test('should return warnings from successful compiles', () => {
+    const result = compile('config {\n  board: arduino_unoo\n}');
+
+    expect(result.success).toBe(true);
+    expect(result.diagnostics).toHaveLength(1);
+    expect(result.diagnostics[0]).toMatchObject({ severity: 'warning', line: 1 });
+  });
+
+  test('should locate code generation errors', () => {
+    const source = `interrupt on 2 rising {
+  wait 1s
+}`;
+    const result = compile(source);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('wait is not allowed in interrupts');
+    expect(result.diagnostics[0]).toMatchObject({ code: 'YS0202', line: 2, column: 3 });
+  });
+
+  test('should report module load failures at the load statement', () => {
+    const result = compile('load <missing.ys> as m', {
+      fileReader: () => { throw new Error('ENOENT'); }
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.diagnostics[0]).toMatchObject({ code: 'YS0005', line: 1, column: 1 });
+  });
+
+  test('should build a JSON report with ranges and fixes', () => {
+    const result = compile('mut int count = 0\nmut int x = coutn', { sourceFile: 'app.ys' });
+    const report = jsonReport(result.diagnostics, { file: 'app.ys', success: result.success });
+
+    expect(report.success).toBe(false);
+    expect(report.diagnostics[0]).toMatchObject({
+      severity: 'error',
+      code: 'YS0001',
+      file: 'app.ys',
+      range: { start: { line: 2, column: 13 }, end: { line: 2, column: 18 } }
+    });
+    expect(report.diagnostics[0].suggestions[0]).toBe('count');
+    expect(report.diagnostics[0].fixes[0].text).toBe('count');
+  });
+
+  test('should build a SARIF log', () => {
+    const result = compile('mut int count = 0\nmut int x = coutn', { sourceFile: 'app.ys' });
+    const log = sarifReport(result.diagnostics, { file: 'app.ys', toolVersion: '1.0.0' });
+    const run = log.runs[0];
+
+    expect(log.version).toBe('2.1.0');
+    expect(run.tool.driver.rules.map(r => r.id)).toEqual(['YS0001']);
+    expect(run.tool.driver.rules[0].name).toBe('UndefinedVariable');
+    expect(run.results[0]).toMatchObject({
+      ruleId: 'YS0001',
+      ruleIndex: 0,
+      level: 'error',
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: 'app.ys' },
+          region: { startLine: 2, startColumn: 13, endLine: 2, endColumn: 18 }
+        }
+      }]
+    });
+    expect(run.results[0].fixes[0].artifactChanges[0].replacements[0].insertedContent.text).toBe('count');
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for the fixed-capacity Array, RingBuffer, Stack and FixedMap collections
+ */
+
+const { compile } = require('../src/compiler');
+const { Lexer } = require('../src/lexer');
+const { Parser } = require('../src/parser');
+const { loopCode } = require('./helpers');
+
+
+describe('Fixed Collections - Parser', () => {
+  test('should parse element types and capacities', () => {
+    const ast = new Parser(new Lexer(`mut Array<int, 8> xs
+mut FixedMap<string, List<u8>, 4> groups`).tokenize()).parse();
+
+    expect(ast.body.map(s => s.varType)).toEqual(['Array<int, 8>', 'FixedMap<string, List<u8>, 4>']);
+  });
+});
+
+describe('Fixed Collections - Semantic Analysis', () => {
+  test('should be allowed on AVR boards', () => {
+    const result = compile(`mut Array<int, 4> xs = [1, 2]
+mut RingBuffer<float, 8> history
+mut Stack<u8, 4> stack
+mut FixedMap<string, int, 4> counts
+on loop {
+  for x in xs {
+    stack.push(x)
+  }
+  mut u8 top = stack.peek()
+  mut bool stored = counts.set("a", xs.get(0))
+}`);
+
+    expect(result.success).toBe(true);
+  });
+
+  test('should reject List and Map elements on AVR boards', () => {
+    const source = `mut Array<List<int>, 2> a
+mut Stack<Map<string, int>, 2> s
+mut FixedMap<string, List<u8>, 4> groups`;
+    const result = compile(source);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0200', "Collection type 'List<int>' in 'Array<List<int>, 2>' is not supported on AVR targets (arduino_uno) due to insufficient RAM."],
+      ['YS0200', "Collection type 'Map<string, int>' in 'Stack<Map<string, int>, 2>' is not supported on AVR targets (arduino_uno) due to insufficient RAM."],
+      ['YS0200', "Collection type 'List<u8>' in 'FixedMap<string, List<u8>, 4>' is not supported on AVR targets (arduino_uno) due to insufficient RAM."]
+    ]);
+    expect(compile(`config {\n  board: esp32\n}\n${source}`).success).toBe(true);
+  });
+
+  test('should require a positive integer capacity', () => {
+    const result = compile(`mut Array<int> a
+mut Stack<int, 0> b
+mut FixedMap<string, int> c`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0002', "Type 'Array<int>' must be written as 'Array<T, N>' with a positive integer capacity N"],
+      ['YS0002', "Type 'Stack<int, 0>' must be written as 'Stack<T, N>' with a positive integer capacity N"],
+      ['YS0002', "Type 'FixedMap<string, int>' must be written as 'FixedMap<K, V, N>' with a positive integer capacity N"]
+    ]);
+  });
+
+  test('should check method calls against the element types', () => {
+    const result = compile(`mut Array<int, 4> xs
+mut FixedMap<string, int, 4> counts
+on loop {
+  xs.push("a")
+  xs.peek()
+  counts.set(1, 2)
+  mut string s = counts.get("k")
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0104', "Argument 1 of 'Array.push' expects 'int' but got 'string'"],
+      ['YS0003', "Type 'Array<int, 4>' has no method 'peek'"],
+      ['YS0104', "Argument 1 of 'FixedMap.set' expects 'string' but got 'int'"],
+      ['YS0100', "Type mismatch: cannot initialize 's' of type 'string' with a value of type 'int'"]
+    ]);
+  });
+
+  test('should reject constant indices and initializers beyond the capacity', () => {
+    const result = compile(`mut Array<int, 4> xs = [1, 2, 3, 4, 5]
+mut RingBuffer<int, 4> rb
+on loop {
+  xs.get(3)
+  xs.get(4)
+  rb.set(-1, 0)
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message, e.line])).toEqual([
+      ['YS0114', "'xs' of type 'Array<int, 4>' holds 4 elements but is initialized with 5", 1],
+      ['YS0114', "Index 4 is out of bounds for 'Array<int, 4>' (capacity 4)", 5],
+      ['YS0114', "Index -1 is out of bounds for 'RingBuffer<int, 4>' (capacity 4)", 6]
+    ]);
+    expect(result.semanticErrors[1].notes).toEqual(['Valid indices: 0 to 3']);
+  });
+});
+
+describe('Fixed Collections - Code Generation', () => {
+  test('should emit heap-free templates for the collections in use', () => {
+    const result = compile(`mut Array<u8, 4> xs = [1, 2]
+mut RingBuffer<float, 8> history
+on loop {
+  history.push(1.5)
+  for x in xs {
+    print(x)
+  }
+}`);
+
+    expect(result.code).toContain('T _data[N];');
+    expect(result.code).toContain('template<typename T, int N>\nclass Array {');
+    expect(result.code).toContain('template<typename T, int N>\nclass RingBuffer {');
+    expect(result.code).not.toContain('class Stack');
+    expect(result.code).not.toContain('class FixedMap');
+    expect(result.code).not.toMatch(/#include <(vector|map|initializer_list)>/);
+    expect(result.code).toContain('Array<uint8_t, 4> xs = {1, 2};');
+    expect(result.code).toContain('RingBuffer<float, 8> history;');
+    expect(loopCode(result)).toContain('for (uint8_t x : xs) {');
+  });
+
+  test('should give Stack a peek and FixedMap a key search', () => {
+    const result = compile(`mut Stack<int, 4> stack
+mut FixedMap<string, int, 4> counts`);
+
+    expect(result.code).toContain('class Stack {');
+    expect(result.code).toContain('  T peek() {');
+    expect(result.code).toContain('template<typename K, typename V, int N>\nclass FixedMap {');
+    expect(result.code).toContain('FixedMap<String, int, 4> counts;');
+  });
+});
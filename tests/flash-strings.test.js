@@ -0,0 +1,87 @@
+/**
+ * Tests for keeping printed and compared string literals in flash on AVR
+ */
+
+const { compile } = require('../src/compiler');
+const { loopCode } = require('./helpers');
+
+
+describe('Flash Strings - AVR', () => {
+  test('should print literals from deduplicated PROGMEM arrays', () => {
+    const result = compile(`mut float t = 1.5
+on loop {
+  print("temp={t:.1} C")
+  print("ready")
+  println("ready")
+}`);
+
+    expect(result.success).toBe(true);
+    expect(result.code).toContain(`#define YS_FLASH(name) (reinterpret_cast<const __FlashStringHelper*>(name))
+const char _str_0[] PROGMEM = "temp=";
+const char _str_1[] PROGMEM = " C";
+const char _str_2[] PROGMEM = "ready";
+`);
+    expect(loopCode(result)).toContain(`  Serial.print(YS_FLASH(_str_0));
+  Serial.print(t, 1);
+  Serial.println(YS_FLASH(_str_1));
+  Serial.println(YS_FLASH(_str_2));
+  Serial.println(YS_FLASH(_str_2));
+`);
+  });
+
+  test('should compare strings against flash with strcmp_P', () => {
+    const result = compile(`mut string name = "probe"
+fn readName() -> string {
+  return "x"
+}
+on loop {
+  mut bool same = name == "probe"
+  mut bool other = "abc" != name
+  match readName() {
+    "a" | "b" => print(1)
+    _ => print(2)
+  }
+}`);
+
+    expect(loopCode(result)).toContain('bool same = (strcmp_P(name.c_str(), _str_0) == 0);');
+    expect(loopCode(result)).toContain('bool other = (strcmp_P(name.c_str(), _str_1) != 0);');
+    expect(loopCode(result)).toContain(
+      'if (((strcmp_P(_match_0.c_str(), _str_2) == 0) || (strcmp_P(_match_0.c_str(), _str_3) == 0))) {'
+    );
+  });
+
+  test('should keep other literals in RAM and count only the RAM saved', () => {
+    const result = compile(`mut string name = "probe"
+on loop {
+  if (name == "probe") {
+    print("matched")
+  }
+  name = "other"
+}`);
+
+    expect(result.code).toContain('String name = "probe";');
+    expect(loopCode(result)).toContain('name = "other";');
+    // "probe" is still needed in RAM, so only "matched" (7 chars + terminator) is saved
+    expect(result.flashStrings).toEqual({ count: 2, bytes: 8 });
+    expect(result.code).toContain('// String literals kept in flash (8 bytes of RAM saved)');
+  });
+});
+
+describe('Flash Strings - Other Boards', () => {
+  test('should keep plain literals off AVR', () => {
+    const result = compile(`config {
+  board: esp32
+}
+mut string name = "probe"
+on loop {
+  if (name == "probe") {
+    print("matched")
+  }
+}`);
+
+    expect(result.code).not.toContain('PROGMEM');
+    expect(loopCode(result)).toContain('if ((name == "probe")) {');
+    expect(loopCode(result)).toContain('Serial.println("matched");');
+    expect(result.flashStrings).toEqual({ count: 0, bytes: 0 });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Tests for range and collection for-in loops
+ */
+
+const { compile } = require('../src/compiler');
+const { Lexer } = require('../src/lexer');
+const { Parser } = require('../src/parser');
+const { format } = require('../src/formatter');
+const { parseLoopBody, loopCode } = require('./helpers');
+
+
+describe('For Loops - Parser', () => {
+  test('should parse ranges with an optional step', () => {
+    const [plain, stepped] = parseLoopBody(`for i in 0...10 { }
+for i in 1...n * 2 step 2 { }`);
+
+    expect(plain).toMatchObject({
+      type: 'ForRangeStatement',
+      variable: 'i',
+      start: { type: 'Literal', value: 0 },
+      end: { type: 'Literal', value: 10 },
+      step: null
+    });
+    expect(stepped.end).toMatchObject({ type: 'BinaryExpression', operator: '*' });
+    expect(stepped.step).toMatchObject({ type: 'Literal', value: 2 });
+  });
+
+  test('should parse collection loops and keep labels', () => {
+    const [loop] = parseLoopBody('scan: for x in readings { }');
+
+    expect(loop).toMatchObject({
+      type: 'ForEachStatement',
+      variable: 'x',
+      iterable: { type: 'Identifier', name: 'readings' },
+      label: 'scan'
+    });
+  });
+
+  test('should still parse C-style for loops', () => {
+    const [loop] = parseLoopBody('for (int i = 0; i < 3; i++) { }');
+
+    expect(loop.type).toBe('ForStatement');
+  });
+
+  test('should parse list element types, including nested lists', () => {
+    const ast = new Parser(new Lexer('mut List<List<u8>> grid = new List<List<u8>>()\nmut Map<string, int> m').tokenize()).parse();
+
+    expect(ast.body[0].varType).toBe('List<List<u8>>');
+    expect(ast.body[0].init.className).toBe('List<List<u8>>');
+    expect(ast.body[1].varType).toBe('Map<string, int>');
+  });
+});
+
+describe('For Loops - Semantic Analysis', () => {
+  test('should type the loop variable from the array or list declaration', () => {
+    const result = compile(`config {
+  board: esp32
+}
+mut u8 pins = [2, 3, 4]
+mut List<float> readings = [1.5, 2.5]
+on loop {
+  for pin in pins {
+    mut string bad = pin
+  }
+  for r in readings {
+    mut int ok = r
+    mut string worse = r
+  }
+}`);
+
+    expect(result.semanticErrors.map(e => e.message)).toEqual([
+      "Type mismatch: cannot initialize 'bad' of type 'string' with a value of type 'u8'",
+      "Type mismatch: cannot initialize 'worse' of type 'string' with a value of type 'float'"
+    ]);
+  });
+
+  test('should reject values that cannot be iterated', () => {
+    const result = compile(`mut int count = 3
+on loop {
+  for i in count { }
+}`);
+
+    expect(result.semanticErrors[0]).toMatchObject({
+      code: 'YS0112',
+      message: "Cannot iterate over a value of type 'int'",
+      line: 3
+    });
+  });
+
+  test('should check range bounds and steps', () => {
+    const result = compile(`mut string s = "x"
+on loop {
+  for i in 0...s { }
+  for i in 0...10 step 0 { }
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0109', "Range bound must be a number, got 'string'"],
+      ['YS0109', 'Range step must not be zero']
+    ]);
+  });
+
+  test('should keep loop variables read-only and scoped to the loop', () => {
+    const result = compile(`on loop {
+  for i in 0...3 {
+    i = 2
+    i++
+  }
+  i = 1
+}`);
+
+    expect(result.semanticErrors.map(e => e.message)).toEqual([
+      "Cannot assign to loop variable 'i'",
+      "Cannot assign to loop variable 'i'",
+      "Undefined variable 'i'"
+    ]);
+  });
+});
+
+describe('For Loops - Code Generation', () => {
+  test('should lower ranges to inclusive counting loops', () => {
+    const result = compile(`mut u32 limit = 100000
+on loop {
+  for i in 0...10 { }
+  for i in 0...limit step 2 { }
+  for i in 10...0 step -1 { }
+}`);
+
+    expect(result.success).toBe(true);
+    expect(loopCode(result)).toContain('for (int i = 0; i <= 10; i++) {');
+    expect(loopCode(result)).toContain('for (uint32_t i = 0; i <= limit; i += 2) {');
+    expect(loopCode(result)).toContain('for (int i = 10; i >= 0; i -= 1) {');
+  });
+
+  test('should evaluate a computed end bound once', () => {
+    const result = compile(`fn last() -> int {
+  return 5
+}
+on loop {
+  for i in 1...last() { }
+}`);
+
+    expect(loopCode(result)).toContain('for (int i = 1, _i_end = last(); i <= _i_end; i++) {');
+  });
+
+  test('should walk arrays and lists with range-based for', () => {
+    const result = compile(`config {
+  board: esp32
+}
+mut u8 pins = [2, 3, 4]
+mut List<int> values = [1, 2]
+mut string names = ["left", "right"]
+on loop {
+  for pin in pins { }
+  for v in values { }
+  for name in names {
+    print(name)
+  }
+}`);
+
+    expect(result.success).toBe(true);
+    expect(result.code).toContain('List<int> values = {1, 2};');
+    expect(loopCode(result)).toContain('for (uint8_t pin : pins) {');
+    expect(loopCode(result)).toContain('for (int v : values) {');
+    expect(loopCode(result)).toContain('for (String& name : names) {');
+    expect(result.code).toContain('typename std::vector<T>::iterator begin()');
+  });
+
+  test('should support break and continue in for-in loops', () => {
+    const result = compile(`mut int data = [1, 2, 3]
+on loop {
+  outer: for i in 0...2 {
+    for x in data {
+      continue outer
+    }
+  }
+}`);
+
+    expect(loopCode(result)).toContain('goto _continue_outer_0;');
+  });
+});
+
+describe('For Loops - Formatter', () => {
+  test('should print for-in loops canonically', () => {
+    const source = `on loop {
+for   i in 0 ... 10  step 2 {
+x = i
+}
+for x in items { print(x) }
+}`;
+
+    expect(format(source)).toBe(`on loop {
+  for i in 0...10 step 2 {
+    x = i
+  }
+  for x in items {
+    print(x)
+  }
+}
+`);
+  });
+});
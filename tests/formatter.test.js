@@ -0,0 +1,215 @@
+/**
+ * Formatter Tests
+ * Tests for `ysc fmt` canonical output, comment preservation and idempotence
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Lexer } = require('../src/lexer');
+const { format, normalizeAst } = require('../src/formatter');
+const { parse } = require('./helpers');
+
+
+describe('Formatter - Canonical Syntax', () => {
+  test('should normalize reactive declarations', () => {
+    expect(format('react mut count: int = 0')).toBe('react mut int count = 0\n');
+    expect(format('react const limit: int = 10')).toBe('react const int limit = 10\n');
+  });
+
+  test('should indent blocks and space operators', () => {
+    const source = `on loop {
+if (x>10) {
+x=x+1
+}
+}`;
+
+    expect(format(source)).toBe(`on loop {
+  if (x > 10) {
+    x = x + 1
+  }
+}
+`);
+  });
+
+  test('should join else-if chains', () => {
+    const source = `on loop {
+  if (a) {
+    b()
+  }
+  else if (c) {
+    d()
+  }
+  else {
+    e()
+  }
+}`;
+
+    expect(format(source)).toBe(`on loop {
+  if (a) {
+    b()
+  } else if (c) {
+    d()
+  } else {
+    e()
+  }
+}
+`);
+  });
+
+  test('should only keep the parentheses precedence needs', () => {
+    expect(format('mut int x = ((a + b)) * (c * d) - ((e - f))')).toBe('mut int x = (a + b) * (c * d) - (e - f)\n');
+    expect(format('mut bool ok = not (a and b) or c')).toBe('mut bool ok = not (a and b) or c\n');
+  });
+
+  test('should print compound assignment, updates and bitwise operators', () => {
+    const source = `on loop {
+flags|=1<<3
+count ++
+--count
+mask = (a | b) & ~c
+}`;
+
+    expect(format(source)).toBe(`on loop {
+  flags |= 1 << 3
+  count++
+  --count
+  mask = (a | b) & ~c
+}
+`);
+  });
+
+  test('should print labeled loops, break and continue', () => {
+    const source = `on loop {
+outer:   while (true) {
+repeat(2) { break outer; }
+continue
+}
+}`;
+
+    expect(format(source)).toBe(`on loop {
+  outer: while (true) {
+    repeat(2) {
+      break outer
+    }
+    continue
+  }
+}
+`);
+  });
+
+  test('should keep natural hardware syntax and hex literals', () => {
+    const source = 'Led status = 13\nalias MASK = 0xFF\nmut int n = 0x10';
+
+    expect(format(source)).toBe('mut Led status = 13\nalias MASK = 0xFF\nmut int n = 0x10\n');
+  });
+
+  test('should separate statements that would merge without a semicolon', () => {
+    const source = `on loop {
+  foo();
+  -x
+}`;
+
+    expect(format(source)).toBe(`on loop {
+  foo();
+  -x
+}
+`);
+  });
+
+  test('should collapse runs of blank lines and drop blank lines at block starts', () => {
+    const source = `mut int a = 0
+
+
+
+on loop {
+
+  a = 1
+}`;
+
+    expect(format(source)).toBe('mut int a = 0\n\non loop {\n  a = 1\n}\n');
+  });
+});
+
+describe('Formatter - Comments', () => {
+  test('should keep leading, trailing and end-of-file comments', () => {
+    const source = `# Counter
+mut int count = 0   # starts at zero
+
+on loop {   # main loop
+  # bump it
+  count = count + 1
+  # nothing after this
+}
+# end`;
+
+    expect(format(source)).toBe(`# Counter
+mut int count = 0  # starts at zero
+
+on loop {  # main loop
+  # bump it
+  count = count + 1
+  # nothing after this
+}
+# end
+`);
+  });
+
+  test('should keep comments inside config blocks and empty blocks', () => {
+    const source = `config {
+  board: arduino_uno,  # the board
+  clock: 16MHz
+}
+on loop {
+  # todo
+}`;
+
+    expect(format(source)).toBe(`config {
+  board: arduino_uno,  # the board
+  clock: 16MHz
+}
+on loop {
+  # todo
+}
+`);
+  });
+
+  test('should emit comment tokens only when asked', () => {
+    const source = 'mut int a = 1 # note';
+
+    expect(new Lexer(source).tokenize().some(t => t.type === 'COMMENT')).toBe(false);
+    const comment = new Lexer(source, { comments: true }).tokenize().find(t => t.type === 'COMMENT');
+    expect(comment).toMatchObject({ value: '# note', line: 1, column: 15 });
+  });
+});
+
+describe('Formatter - Safety', () => {
+  const examplesDir = path.join(__dirname, '..', 'examples');
+  const examples = fs.readdirSync(examplesDir)
+    .filter(file => file.endsWith('.ys') && file !== 'modern-syntax.ys');
+
+  test.each(examples)('should be idempotent and keep the AST of %s', file => {
+    const source = fs.readFileSync(path.join(examplesDir, file), 'utf8');
+    const formatted = format(source);
+
+    expect(format(formatted)).toBe(formatted);
+    expect(normalizeAst(parse(formatted))).toEqual(normalizeAst(parse(source)));
+    expect(formatted.split('#').length).toBe(source.split('#').length);
+  });
+
+  test('should refuse files with syntax errors', () => {
+    let error;
+    try {
+      format('mut int a = = 1\nmut int b = 2');
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.message).toContain('Cannot format a file with syntax errors');
+    expect(error.diagnostics[0]).toMatchObject({ code: 'YS0900', line: 1, column: 13 });
+  });
+
+  test('should format an empty file to nothing', () => {
+    expect(format('')).toBe('');
+    expect(format('# only a comment')).toBe('# only a comment\n');
+  });
+});
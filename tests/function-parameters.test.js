@@ -0,0 +1,232 @@
+/**
+ * Tests for default parameter values, named arguments and overloading
+ */
+
+const { compile } = require('../src/compiler');
+const { format } = require('../src/formatter');
+const { parse, loopCode } = require('./helpers');
+
+const MOVE = `enum Direction {
+  Forward
+  Backward
+}
+fn move(int speed, int ramp = 0, Direction dir = Forward) -> int {
+  return speed + ramp
+}
+`;
+
+
+describe('Function Parameters - Parser', () => {
+  test('should parse default values and named arguments', () => {
+    const ast = parse(`${MOVE}on loop {
+  move(100, dir: Backward)
+}`);
+    const [, move, loop] = ast.body;
+
+    expect(move.params.map(p => [p.name, p.defaultValue ? p.defaultValue.type : null])).toEqual([
+      ['speed', null],
+      ['ramp', 'Literal'],
+      ['dir', 'Identifier']
+    ]);
+    expect(loop.body[0].expression.arguments).toMatchObject([
+      { type: 'Literal', value: 100 },
+      { type: 'NamedArgument', name: 'dir', value: { type: 'Identifier', name: 'Backward' } }
+    ]);
+  });
+
+  test('should reject required parameters after defaults and misplaced named arguments', () => {
+    expect(() => parse('fn f(int a = 1, int b) {\n}'))
+      .toThrow("Parameter 'b' needs a default value, as it follows a parameter that has one");
+    expect(() => parse('on loop {\n  f(a: 1, 2)\n}')).toThrow('Positional arguments must come before named arguments');
+    expect(() => parse('on loop {\n  f(a: 1, a: 2)\n}')).toThrow("Argument 'a' is given twice");
+  });
+});
+
+describe('Function Parameters - Semantic Analysis', () => {
+  test('should accept calls that leave out defaults or name their arguments', () => {
+    const result = compile(`${MOVE}class Motor {
+  mut int speed = 0
+  constructor(int speed = 10) {
+    self.speed = speed
+  }
+  fn set(int speed, bool ramp = false) {
+    self.speed = speed
+  }
+}
+on loop {
+  mut int a = move(100)
+  mut int b = move(speed: 100, ramp: 200ms)
+  mut Motor m = new Motor(speed: 5)
+  m.set(3, ramp: true)
+}`);
+
+    expect(result.success).toBe(true);
+  });
+
+  test('should check named arguments and defaults', () => {
+    const result = compile(`mut int limit = 5
+${MOVE}fn brake(int force = limit, string label = 3) {
+}
+on loop {
+  move(sped: 1)
+  move(1, speed: 2)
+  move(1, ramp: "x")
+  move()
+  delay(ms: 10)
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0124', "Default value of parameter 'force' must be a constant"],
+      ['YS0100', "Type mismatch: cannot initialize 'label' of type 'string' with a value of type 'int'"],
+      ['YS0125', "Function 'move' has no parameter 'sped'"],
+      ['YS0103', "Function 'move' is missing argument 'speed'"],
+      ['YS0125', "Argument 'speed' of 'move' is already given by position"],
+      ['YS0104', "Argument 'ramp' of 'move' expects 'int' but got 'string'"],
+      ['YS0103', "Function 'move' expects 1 to 3 arguments but got 0"],
+      ['YS0125', "Named argument 'ms' can only be passed to a function, method or constructor declared in the program"]
+    ]);
+    expect(result.semanticErrors[2].suggestions).toEqual(['speed']);
+  });
+
+  test('should pick the overload that fits the arguments best', () => {
+    const result = compile(`fn scale(u8 v) -> int {
+  return v
+}
+fn scale(float v) -> float {
+  return v
+}
+fn scale(u8 v, u8 by = 2) -> int {
+  return v * by
+}
+fn scale(u8 w) -> int {
+  return w
+}
+on loop {
+  mut u8 b = 3
+  mut float f = scale(1.5)
+  mut string s = scale(b, 4)
+  scale(b)
+  scale("x")
+  mut fn(float) -> float g = scale
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0122', "Function 'scale' already has an overload taking (u8)"],
+      ['YS0100', "Type mismatch: cannot initialize 's' of type 'string' with a value of type 'int'"],
+      ['YS0126', "Call of 'scale' is ambiguous, as (u8) fits more than one overload"],
+      ['YS0104', "No overload of 'scale' takes (string)"],
+      ['YS0123', "Overloaded function 'scale' cannot be used as a value"]
+    ]);
+    expect(result.semanticErrors[2].notes).toEqual(['Candidate: scale(u8 v)', 'Candidate: scale(u8 v, u8 by)']);
+  });
+
+  test('should overload methods and override them by parameter types', () => {
+    const result = compile(`class Driver {
+  fn set(int speed) {
+  }
+  fn set(float ratio) {
+  }
+}
+class Motor extends Driver {
+  override fn set(float ratio) {
+  }
+  fn set(string name) {
+  }
+  fn set(string other) {
+  }
+}
+fn pick<T>(T v) -> T {
+  return v
+}
+fn pick(int v) -> int {
+  return v
+}
+on loop {
+  mut Motor m = new Motor()
+  m.set("fast")
+  m.set(new Driver())
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0122', "Method 'set' of 'Motor' already has an overload taking (string)"],
+      ['YS0122', "Generic function 'pick' cannot be overloaded"],
+      ['YS0104', "No overload of 'Motor.set' takes (Driver)"]
+    ]);
+  });
+});
+
+describe('Function Parameters - Code Generation', () => {
+  test('should pass arguments in parameter order with defaults filled in', () => {
+    const result = compile(`${MOVE}class Motor {
+  constructor(int speed = 10) {
+  }
+}
+on loop {
+  print(move(100))
+  print(move(speed: 100, ramp: 200ms))
+  print(move(50, dir: Backward))
+  mut Motor m = new Motor()
+}`);
+
+    expect(result.success).toBe(true);
+    expect(result.code).toContain('int move(int speed, int ramp, Direction dir) {');
+    expect(loopCode(result)).toContain(`  Serial.println(move(100, 0, Forward));
+  Serial.println(move(100, 200, Forward));
+  Serial.println(move(50, 0, Backward));
+  Motor m = Motor(10);`);
+  });
+
+  test('should cast the arguments of overloaded calls to the chosen parameter types', () => {
+    const result = compile(`fn scale(u8 v, u8 by = 2) -> int {
+  return v * by
+}
+fn scale(float v) -> int {
+  return 1
+}
+on loop {
+  mut u8 b = 3
+  print(scale(b, 4), scale(1.5), scale(b))
+}`);
+
+    expect(result.success).toBe(true);
+    expect(loopCode(result)).toContain('scale(b, static_cast<uint8_t>(4))');
+    expect(loopCode(result)).toContain('scale(static_cast<float>(1.5))');
+    expect(loopCode(result)).toContain('scale(b, static_cast<uint8_t>(2))');
+  });
+
+  test('should only mark the overridden overload as override', () => {
+    const result = compile(`class Driver {
+  fn set(int speed) {
+  }
+  fn set(float ratio) {
+  }
+}
+class Motor extends Driver {
+  override fn set(float ratio) {
+  }
+}`);
+
+    expect(result.success).toBe(true);
+    expect(result.code).toContain('  void set(int speed) {');
+    expect(result.code).toContain('  virtual void set(float ratio) {');
+    expect(result.code).toContain('  void set(float ratio) override {');
+  });
+});
+
+describe('Function Parameters - Formatter', () => {
+  test('should print defaults and named arguments', () => {
+    expect(format(`fn move(int speed,int ramp=0)->int {
+return speed
+}
+on loop {
+move(speed:100,ramp:200ms)
+}
+`)).toBe(`fn move(int speed, int ramp = 0) -> int {
+  return speed
+}
+on loop {
+  move(speed: 100, ramp: 200ms)
+}
+`);
+  });
+});
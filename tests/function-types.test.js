@@ -0,0 +1,200 @@
+/**
+ * Tests for function types, functions passed as values and lambdas
+ */
+
+const { compile } = require('../src/compiler');
+const { Lexer } = require('../src/lexer');
+const { Parser } = require('../src/parser');
+const { format } = require('../src/formatter');
+const { functionTypeParts, genericTypeArguments } = require('../src/types');
+const { loopCode } = require('./helpers');
+
+const RETRY = `fn retry(fn() -> bool action, int times) -> bool {
+  repeat(times) {
+    if (action()) {
+      return true
+    }
+  }
+  return false
+}
+fn isEven(int n) -> bool {
+  return n % 2 == 0
+}
+`;
+
+
+describe('Function Types - Parser', () => {
+  test('should parse function types and lambdas', () => {
+    const ast = new Parser(new Lexer(`${RETRY}mut fn(int, fn(int) -> bool) check = fn(int n, fn(int) -> bool f) {
+  print(f(n))
+}`).tokenize()).parse();
+    const [retry, , decl] = ast.body;
+
+    expect(retry.params[0].type).toBe('fn() -> bool');
+    expect(decl.varType).toBe('fn(int, fn(int) -> bool)');
+    expect(decl.init).toMatchObject({
+      type: 'LambdaExpression',
+      params: [{ type: 'int', name: 'n' }, { type: 'fn(int) -> bool', name: 'f' }],
+      returnType: 'void',
+      returnTypeInferred: true
+    });
+  });
+
+  test('should split function types into their parts', () => {
+    expect(functionTypeParts('fn(fn(int) -> bool, List<int>) -> fn() -> int')).toEqual({
+      params: ['fn(int) -> bool', 'List<int>'],
+      returnType: 'fn() -> int'
+    });
+    expect(genericTypeArguments('Map<string, fn(int, int) -> bool>')).toEqual(['string', 'fn(int, int) -> bool']);
+  });
+});
+
+describe('Function Types - Semantic Analysis', () => {
+  test('should accept functions and lambdas with matching signatures', () => {
+    const result = compile(`${RETRY}mut fn(int) -> bool check = isEven
+struct Rule {
+  fn(int) -> bool test
+}
+on loop {
+  mut bool ok = retry(fn() -> bool { return check(2) }, 3)
+  mut Rule rule = Rule { test: isEven }
+  mut bool passed = rule.test(4)
+}`);
+
+    expect(result.success).toBe(true);
+  });
+
+  test('should check signatures of function values and their calls', () => {
+    const result = compile(`${RETRY}fn apply(fn(int) -> int f, int x) -> int {
+  return f(x)
+}
+on loop {
+  mut fn(int) -> int twice = isEven
+  apply(fn(float x) -> int { return 1 }, 2)
+  mut fn(int) -> bool even = isEven
+  even("x")
+  mut string s = even(1)
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0100', "Type mismatch: cannot initialize 'twice' of type 'fn(int) -> int' with a value of type 'fn(int) -> bool'"],
+      ['YS0104', "Argument 1 of 'apply' expects 'fn(int) -> int' but got 'fn(float) -> int'"],
+      ['YS0104', "Argument 1 of 'even' expects 'int' but got 'string'"],
+      ['YS0100', "Type mismatch: cannot initialize 's' of type 'string' with a value of type 'bool'"]
+    ]);
+  });
+
+  test('should keep lambdas from capturing names of the enclosing function or class', () => {
+    const result = compile(`mut int total = 0
+class Counter {
+  mut int count = 0
+  fn tick() -> int {
+    mut fn() -> int a = fn() -> int { return count }
+    mut fn() -> int b = fn() -> int { return self.count }
+    mut fn() -> int c = fn() -> int { return total }
+    return 0
+  }
+}
+on loop {
+  mut int offset = 3
+  mut fn(int) -> int add = fn(int x) -> int { return x + offset }
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message, e.line])).toEqual([
+      ['YS0123', "Lambda cannot use 'count', which belongs to the enclosing class", 5],
+      ['YS0123', "Lambda cannot use 'self'", 6],
+      ['YS0123', "Lambda cannot use 'offset', which belongs to the enclosing function", 13]
+    ]);
+  });
+
+  test('should reject methods and generic functions as values', () => {
+    const result = compile(`fn pick<T>(T v) -> T {
+  return v
+}
+class Counter {
+  fn tick() {
+  }
+  fn start() {
+    mut fn() handler = tick
+  }
+}
+mut fn(int) -> int f = pick`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0123', "Method 'tick' cannot be used as a value, as it needs an object to run on"],
+      ['YS0123', "Generic function 'pick' cannot be used as a value"]
+    ]);
+  });
+
+  test('should infer type arguments from functions passed to generic functions', () => {
+    const result = compile(`fn applyTwice<T>(fn(T) -> T f, T x) -> T {
+  return f(f(x))
+}
+fn inc(int n) -> int {
+  return n + 1
+}
+on loop {
+  mut string s = applyTwice(inc, 1)
+  mut float t = applyTwice(fn(float v) -> float { return v * 2 }, 1.5)
+}`);
+
+    expect(result.semanticErrors.map(e => e.message)).toEqual([
+      "Type mismatch: cannot initialize 's' of type 'string' with a value of type 'int'"
+    ]);
+  });
+});
+
+describe('Function Types - Code Generation', () => {
+  test('should emit function pointers, lambdas and prototypes of functions used as values', () => {
+    const result = compile(`${RETRY}mut fn(int) -> bool check = isEven
+on loop {
+  mut bool ok = retry(fn() -> bool {
+    return check(2)
+  }, 3)
+}`);
+
+    expect(result.success).toBe(true);
+    expect(result.code).toContain('template<typename F> using YsFn = F*;');
+    expect(result.code).toContain('// Function Prototypes\nbool isEven(int n);\n');
+    expect(result.code.indexOf('bool isEven(int n);')).toBeLessThan(result.code.indexOf('YsFn<bool(int)> check = isEven;'));
+    expect(result.code).toContain('bool retry(YsFn<bool()> action, int times) {');
+    expect(loopCode(result)).toContain(`  bool ok = retry([]() -> bool {
+    return check(2);
+  }, 3);`);
+  });
+
+  test('should leave out the alias and prototypes when no function type is used', () => {
+    const result = compile(`fn isEven(int n) -> bool {
+  return n % 2 == 0
+}
+on loop {
+  print(isEven(2))
+}`);
+
+    expect(result.code).not.toContain('YsFn');
+    expect(result.code).not.toContain('Function Prototypes');
+  });
+});
+
+describe('Function Types - Formatter', () => {
+  test('should print function types and lambdas', () => {
+    expect(format(`fn apply(fn(int)->int f,int x)->int {
+return f(x)
+}
+on loop {
+apply(fn(int v)->int {return v*2},3)
+mut fn() done = fn() {
+}
+}
+`)).toBe(`fn apply(fn(int) -> int f, int x) -> int {
+  return f(x)
+}
+on loop {
+  apply(fn(int v) -> int {
+    return v * 2
+  }, 3)
+  mut fn() done = fn() {}
+}
+`);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Tests for generic functions and classes
+ */
+
+const { compile } = require('../src/compiler');
+const { Lexer } = require('../src/lexer');
+const { Parser } = require('../src/parser');
+const { format } = require('../src/formatter');
+const { loopCode } = require('./helpers');
+
+const FILTER = `class Filter<T> {
+  mut T value
+  constructor(T initial) {
+    self.value = initial
+  }
+  fn update(T sample) -> T {
+    self.value = sample
+    return self.value
+  }
+}
+`;
+
+const CLAMP = `fn clamp<T>(T v, T lo, T hi) -> T {
+  if (v < lo) {
+    return lo
+  }
+  if (v > hi) {
+    return hi
+  }
+  return v
+}
+`;
+
+
+describe('Generics - Parser', () => {
+  test('should parse type parameters and type arguments', () => {
+    const ast = new Parser(new Lexer(`${FILTER}${CLAMP}mut Filter<float> smooth = new Filter<float>(0.5)`).tokenize()).parse();
+    const [cls, fn, decl] = ast.body;
+
+    expect(cls.typeParameters).toEqual(['T']);
+    expect(fn.typeParameters).toEqual(['T']);
+    expect(decl.varType).toBe('Filter<float>');
+    expect(decl.init).toMatchObject({ type: 'NewExpression', className: 'Filter<float>' });
+  });
+
+  test('should reject duplicate type parameters', () => {
+    expect(() => new Parser(new Lexer('fn pick<T, T>(T a) -> T {\n  return a\n}').tokenize()).parse())
+      .toThrow("Duplicate type parameter 'T'");
+  });
+});
+
+describe('Generics - Semantic Analysis', () => {
+  test('should check uses of a generic class with its type arguments', () => {
+    const result = compile(`${FILTER}mut Filter<float> smooth = new Filter<float>(0.5)
+mut Filter<int, int> pair = new Filter<int, int>(1)
+on loop {
+  mut string s = smooth.update(1.5)
+  smooth.update("x")
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0002', "Class 'Filter' expects 1 type argument but got 2"],
+      ['YS0100', "Type mismatch: cannot initialize 's' of type 'string' with a value of type 'float'"],
+      ['YS0104', "Argument 1 of 'Filter<float>.update' expects 'float' but got 'string'"]
+    ]);
+  });
+
+  test('should require type arguments on generic classes', () => {
+    const result = compile(`${FILTER}mut Filter raw = new Filter(1)`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0002', "Class 'Filter' expects 1 type argument but got 0"],
+      ['YS0002', "Generic class 'Filter' needs type arguments"]
+    ]);
+  });
+
+  test('should infer the type arguments of generic function calls', () => {
+    const result = compile(`${CLAMP}on loop {
+  mut float a = clamp(1.5, 0, 100)
+  mut string b = clamp(1.5, 0, 100)
+  clamp(1, "a", 2)
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0100', "Type mismatch: cannot initialize 'b' of type 'string' with a value of type 'float'"],
+      ['YS0104', "Argument 2 of 'clamp' expects 'int' but got 'string'"]
+    ]);
+  });
+
+  test('should check generic function bodies with the type arguments of each call', () => {
+    const result = compile(`struct Point {
+  int x
+  int y
+}
+fn twice<T>(T v) -> T {
+  return v * 2
+}
+fn size<T>(T v) -> int {
+  return v.size()
+}
+on loop {
+  mut Point p = Point(1, 2)
+  twice(p)
+  twice("a")
+  size(5)
+  mut float f = twice(1.5)
+  size("abc")
+}`);
+
+    expect(result.semanticErrors.map(e => [e.line, e.message, e.notes])).toEqual([
+      [6, "Operator '*' cannot be applied to 'Point' and 'int'", ["In 'twice<Point>', called on line 13."]],
+      [6, "Operator '*' cannot be applied to 'string' and 'int'", ["In 'twice<string>', called on line 14."]],
+      [9, "Type 'int' has no method 'size'", ["In 'size<int>', called on line 15."]]
+    ]);
+  });
+
+  test('should report type parameters that cannot be inferred', () => {
+    const result = compile(`fn make<T>() -> T {
+  return 0
+}`);
+
+    expect(result.semanticErrors).toHaveLength(1);
+    expect(result.semanticErrors[0]).toMatchObject({
+      code: 'YS0115',
+      message: "Type parameter 'T' of 'make' is not used by any parameter, so it cannot be inferred",
+      line: 1
+    });
+  });
+});
+
+describe('Generics - Code Generation', () => {
+  test('should emit class and function templates', () => {
+    const result = compile(`${FILTER}${CLAMP}mut Filter<float> smooth = new Filter<float>(0.5)
+on loop {
+  mut float t = clamp(smooth.update(2.5), 0, 100)
+}`);
+
+    expect(result.success).toBe(true);
+    expect(result.code).toContain('template<typename T>\nclass Filter {');
+    expect(result.code).toContain('template<typename T>\nT clamp(T v, T lo, T hi) {');
+    expect(result.code).toContain('Filter<float> smooth = Filter<float>(0.5);');
+    // C++ cannot deduce T from mixed float and int arguments, so it is passed explicitly
+    expect(loopCode(result)).toContain('float t = clamp<float>(smooth.update(2.5), 0, 100);');
+  });
+});
+
+describe('Generics - Formatter', () => {
+  test('should print type parameters after the name', () => {
+    expect(format('fn pick<T,U>(T a, U b) -> T {\nreturn a\n}')).toBe(`fn pick<T, U>(T a, U b) -> T {
+  return a
+}
+`);
+  });
+});
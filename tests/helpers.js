@@ -0,0 +1,22 @@
+/**
+ * Helpers shared by the test files
+ */
+
+const { Lexer } = require('../src/lexer');
+const { Parser } = require('../src/parser');
+
+function parse(source, options) {
+  return new Parser(new Lexer(source).tokenize(), options).parse();
+}
+
+// Statements of an `on loop` block holding the source
+function parseLoopBody(source) {
+  return parse(`on loop {\n${source}\n}`).body[0].body;
+}
+
+// Code of `void loop()`, which holds the `on loop` statements
+function loopCode(result) {
+  return result.code.slice(result.code.indexOf('void loop()'));
+}
+
+module.exports = { parse, parseLoopBody, loopCode };
@@ -0,0 +1,304 @@
+/**
+ * Tests for class inheritance, interfaces, override and super
+ */
+
+const { compile } = require('../src/compiler');
+const { Lexer } = require('../src/lexer');
+const { Parser } = require('../src/parser');
+const { format } = require('../src/formatter');
+
+const DRIVER = `interface Drivable {
+  fn setSpeed(int speed)
+  fn stop() -> bool
+}
+class Driver {
+  mut int pin
+  mut int speed = 0
+  constructor(int pin) {
+    self.pin = pin
+  }
+  fn setSpeed(int speed) {
+    self.speed = speed
+  }
+  fn stop() -> bool {
+    setSpeed(0)
+    return true
+  }
+}
+`;
+
+function classCode(result, name) {
+  const start = result.code.indexOf(`class ${name}`);
+  return result.code.slice(start, result.code.indexOf('};', start) + 2);
+}
+
+describe('Inheritance - Parser', () => {
+  test('should parse extends, implements, override and super', () => {
+    const ast = new Parser(new Lexer(`${DRIVER}class Motor extends Driver implements Drivable, Other {
+  constructor(int pin) {
+    super(pin)
+  }
+  override fn stop() -> bool {
+    return super.stop()
+  }
+}`).tokenize()).parse();
+    const [iface, , motor] = ast.body;
+
+    expect(iface).toMatchObject({
+      type: 'InterfaceDeclaration',
+      name: 'Drivable',
+      methods: [
+        { type: 'MethodSignature', name: 'setSpeed', params: [{ type: 'int', name: 'speed' }], returnType: 'void' },
+        { type: 'MethodSignature', name: 'stop', params: [], returnType: 'bool' }
+      ]
+    });
+    expect(motor).toMatchObject({ superClass: 'Driver', interfaces: ['Drivable', 'Other'] });
+    expect(motor.methods[0].isOverride).toBe(true);
+    expect(motor.constructor.body[0].expression.callee.type).toBe('SuperExpression');
+    expect(motor.methods[0].body[0].argument.callee.object.type).toBe('SuperExpression');
+  });
+
+  test('should reject interface methods with a body', () => {
+    expect(() => new Parser(new Lexer('interface Drivable {\n  fn stop() {\n  }\n}').tokenize()).parse())
+      .toThrow("Interface method 'stop' cannot have a body");
+  });
+});
+
+describe('Inheritance - Semantic Analysis', () => {
+  test('should accept subclasses as arguments of base class and interface parameters', () => {
+    const result = compile(`${DRIVER}class Motor extends Driver implements Drivable {
+  constructor(int pin) {
+    super(pin)
+    setSpeed(pin)
+  }
+}
+fn halt(Drivable d) -> bool {
+  return d.stop()
+}
+fn report(Driver d) -> int {
+  return d.speed
+}
+mut Motor m = new Motor(3)
+on loop {
+  mut bool stopped = halt(m)
+  mut int s = report(m)
+}`);
+
+    expect(result.success).toBe(true);
+  });
+
+  test('should reject storing a subclass where its base class is expected', () => {
+    const result = compile(`${DRIVER}class Motor extends Driver {
+  constructor(int pin) {
+    super(pin)
+  }
+}
+fn pick(Motor m) -> Driver {
+  return m
+}
+mut Motor m = new Motor(3)
+mut Driver base = new Motor(4)
+mut Driver all = [m]
+on loop {
+  base = m
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0105', "Function 'pick' must return 'Driver' but returns 'Motor'"],
+      ['YS0100', "Type mismatch: cannot initialize 'base' of type 'Driver' with a value of type 'Motor'"],
+      ['YS0100', "Type mismatch: element 1 of 'all' must be 'Driver', got 'Motor'"],
+      ['YS0100', "Type mismatch: cannot assign a value of type 'Motor' to 'base' of type 'Driver'"]
+    ]);
+    expect(result.semanticErrors[1].notes).toEqual([
+      "Storing a 'Motor' as a 'Driver' would copy only its 'Driver' part, and calls would no longer reach its overrides.",
+      "Keep it in a 'Motor', or pass it to a parameter of type 'Driver'."
+    ]);
+  });
+
+  test('should check interface methods and overrides', () => {
+    const result = compile(`${DRIVER}class Motor extends Driver implements Drivable {
+  constructor(int pin) {
+    super(pin)
+  }
+  override fn setSpeed(float speed) {
+  }
+  fn stop() -> bool {
+    return false
+  }
+  override fn brake() {
+  }
+}
+class Mixer implements Drivable {
+  fn setSpeed(int speed) {
+  }
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0117', "Method 'setSpeed' of 'Motor' does not match interface 'Drivable': expected 'setSpeed(int speed)'"],
+      ['YS0118', "Method 'setSpeed' of 'Motor' does not match 'Driver.setSpeed': expected 'setSpeed(int speed)'"],
+      ['YS0118', "Method 'stop' of 'Motor' overrides 'Driver.stop' and must be marked 'override'"],
+      ['YS0118', "Method 'brake' of 'Motor' is marked 'override' but no base class or interface declares it"],
+      ['YS0117', "Class 'Mixer' does not implement 'stop' from interface 'Drivable'"]
+    ]);
+    expect(result.semanticErrors[4].suggestions).toEqual(['fn stop() -> bool { ... }']);
+  });
+
+  test('should check super calls', () => {
+    const result = compile(`${DRIVER}class Motor extends Driver {
+  constructor() {
+    super("a")
+  }
+}
+class Mixer extends Driver {
+}
+class Blower extends Driver {
+  constructor(int pin) {
+    print(pin)
+    super(pin)
+  }
+}
+fn reset() {
+  super.stop()
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0104', "Argument 1 of 'Driver constructor' expects 'int' but got 'string'"],
+      ['YS0119', "Class 'Mixer' needs a constructor that calls 'super(...)', as 'Driver' takes constructor arguments"],
+      ['YS0119', "Constructor of 'Blower' must start with 'super(...)', as 'Driver' takes constructor arguments"],
+      ['YS0119', "'super(...)' can only be called as the first statement of a constructor of a class that extends another class"],
+      ['YS0119', "'super' can only be used in a class that extends another class"]
+    ]);
+  });
+
+  test('should reject invalid base types and values of interface type', () => {
+    const result = compile(`${DRIVER}class A extends Drivable implements Driver {
+}
+class B extends C {
+}
+class C extends B {
+}
+mut Drivable d = new Drivable()`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0116', "Class 'A' cannot extend interface 'Drivable'"],
+      ['YS0116', "Class 'A' can only implement interfaces, and 'Driver' is a class"],
+      ['YS0116', "Class 'B' inherits from itself"],
+      ['YS0116', "Class 'C' inherits from itself"],
+      ['YS0116', "Variable 'd' cannot have interface type 'Drivable'"],
+      ['YS0116', "Cannot create an instance of interface 'Drivable'"]
+    ]);
+  });
+});
+
+describe('Inheritance - Code Generation', () => {
+  test('should emit base classes, initializers and virtual methods only where overridden', () => {
+    const result = compile(`class Motor extends Driver {
+  constructor(int pin) {
+    super(pin)
+    print(pin)
+  }
+  override fn stop() -> bool {
+    return super.stop()
+  }
+}
+${DRIVER}`);
+
+    expect(result.success).toBe(true);
+    // The base class is emitted first, even when declared later
+    expect(result.code.indexOf('class Driver {')).toBeLessThan(result.code.indexOf('class Motor'));
+    expect(classCode(result, 'Driver')).toContain('  void setSpeed(int speed) {');
+    expect(classCode(result, 'Driver')).toContain('  virtual bool stop() {');
+    expect(classCode(result, 'Motor')).toBe(`class Motor : public Driver {
+public:
+  Motor(int pin) : Driver(pin) {
+    Serial.println(pin);
+  }
+
+  bool stop() override {
+    return Driver::stop();
+  }
+};`);
+  });
+
+  test('should emit interfaces as abstract classes passed by reference', () => {
+    const result = compile(`${DRIVER}class Motor extends Driver implements Drivable {
+  constructor(int pin) {
+    super(pin)
+  }
+  override fn setSpeed(int speed) {
+    super.setSpeed(speed * 2)
+  }
+}
+fn halt(Drivable d) {
+  d.stop()
+}
+fn report(Driver d, int level) {
+  print(d.speed)
+}`);
+
+    expect(classCode(result, 'Drivable')).toBe(`class Drivable {
+public:
+  virtual void setSpeed(int speed) = 0;
+  virtual bool stop() = 0;
+};`);
+    expect(classCode(result, 'Motor')).toContain('class Motor : public Driver, public Drivable {');
+    expect(classCode(result, 'Motor')).toContain('  void setSpeed(int speed) override {');
+    // stop() comes from Driver, which does not implement Drivable itself
+    expect(classCode(result, 'Motor')).toContain(`  bool stop() override {
+    return Driver::stop();
+  }`);
+    expect(result.code).toContain('void halt(Drivable& d) {');
+    expect(result.code).toContain('void report(Driver& d, int level) {');
+  });
+
+  test('should dispatch calls through base class parameters to overrides', () => {
+    const result = compile(`${DRIVER}class BrakingMotor extends Driver {
+  constructor(int pin) {
+    super(pin)
+  }
+  override fn stop() -> bool {
+    digitalWrite(self.pin, LOW)
+    return super.stop()
+  }
+}
+fn halt(Driver d) -> bool {
+  return d.stop()
+}
+mut BrakingMotor motor = new BrakingMotor(4)
+on loop {
+  halt(motor)
+}`);
+
+    expect(result.success).toBe(true);
+    // The motor is passed by reference, so the virtual call reaches BrakingMotor::stop
+    expect(result.code).toContain('bool halt(Driver& d) {\n  return d.stop();\n}');
+    expect(classCode(result, 'Driver')).toContain('  virtual bool stop() {');
+    expect(classCode(result, 'BrakingMotor')).toContain('  bool stop() override {');
+    expect(result.code).toContain('BrakingMotor motor = BrakingMotor(4);');
+    expect(result.code).toContain('  halt(motor);');
+  });
+});
+
+describe('Inheritance - Formatter', () => {
+  test('should print inheritance clauses and interface signatures', () => {
+    const source = `interface Drivable {
+fn stop()  -> bool
+}
+class Motor extends Driver implements Drivable,Other {
+override fn stop() -> bool {
+return super.stop()
+}
+}
+`;
+
+    expect(format(source)).toBe(`interface Drivable {
+  fn stop() -> bool
+}
+class Motor extends Driver implements Drivable, Other {
+  override fn stop() -> bool {
+    return super.stop()
+  }
+}
+`);
+  });
+});
@@ -0,0 +1,337 @@
+/**
+ * Language Server Tests
+ * Tests for `ysc lsp` through an in-process LSP client
+ */
+
+const { PassThrough } = require('stream');
+const {
+  LanguageServer,
+  MessageReader,
+  encodeMessage,
+  startServer
+} = require('../src/language-server');
+
+const MAIN_URI = 'file:///project/main.ys';
+
+const MOTOR_MODULE = `fn helper(int value) -> int {
+  return value * 2
+}
+
+class Motor {
+  mut int speed = 0
+}`;
+
+const MAIN_SOURCE = `load <motor.ys> as m
+mut int counter = 0
+mut Led led = new Led(13)
+
+fn add(int a, int b) -> int {
+  return a + b
+}
+
+class Blinker {
+  mut int level = 0
+  fn stop() {
+    self.level = 0
+  }
+}
+
+task blink every 500ms {
+  led.toggle()
+}
+
+on loop {
+  counter = add(counter, 1)
+  led.on()
+  mut int doubled = m.helper(counter)
+}`;
+
+// Minimal LSP client that talks to a server in the same process
+function createClient(files = {}) {
+  const messages = [];
+  const server = new LanguageServer({
+    send: message => messages.push(message),
+    fileReader: filePath => {
+      if (files[filePath] === undefined) throw new Error(`ENOENT: ${filePath}`);
+      return files[filePath];
+    }
+  });
+  let nextId = 1;
+
+  const client = {
+    messages,
+    request(method, params = {}) {
+      const id = nextId++;
+      server.handleMessage({ jsonrpc: '2.0', id, method, params });
+      const response = messages.find(m => m.id === id);
+      if (response.error) {
+        const error = new Error(response.error.message);
+        error.code = response.error.code;
+        throw error;
+      }
+      return response.result;
+    },
+    notify(method, params = {}) {
+      server.handleMessage({ jsonrpc: '2.0', method, params });
+    },
+    open(uri, text) {
+      client.notify('textDocument/didOpen', { textDocument: { uri, languageId: 'ypsilon', version: 1, text } });
+    },
+    diagnostics(uri) {
+      const published = messages.filter(m => m.method === 'textDocument/publishDiagnostics' && m.params.uri === uri);
+      return published[published.length - 1].params.diagnostics;
+    },
+    at(method, line, character, extra = {}) {
+      return client.request(method, { textDocument: { uri: MAIN_URI }, position: { line, character }, ...extra });
+    }
+  };
+
+  client.request('initialize', { processId: null, rootUri: 'file:///project', capabilities: {} });
+  client.notify('initialized');
+  return client;
+}
+
+function openMain(text = MAIN_SOURCE) {
+  const client = createClient({ '/project/motor.ys': MOTOR_MODULE });
+  client.open(MAIN_URI, text);
+  return client;
+}
+
+describe('Language Server - Lifecycle', () => {
+  test('should advertise its capabilities', () => {
+    const server = new LanguageServer({ send: () => {} });
+    const messages = [];
+    server.send = message => messages.push(message);
+    server.handleMessage({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+
+    expect(messages[0].result.capabilities).toMatchObject({
+      textDocumentSync: 1,
+      completionProvider: { triggerCharacters: ['.'] },
+      hoverProvider: true,
+      definitionProvider: true,
+      documentSymbolProvider: true,
+      renameProvider: true
+    });
+  });
+
+  test('should reject unknown requests', () => {
+    const client = createClient();
+
+    expect(() => client.request('workspace/unknown')).toThrow("Unknown method 'workspace/unknown'");
+  });
+
+  test('should speak Content-Length framed JSON-RPC over streams', () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const received = [];
+    const reader = new MessageReader(message => received.push(message));
+    output.on('data', chunk => reader.push(chunk));
+    let exitCode = null;
+    startServer(input, output, { onExit: code => { exitCode = code; } });
+
+    // Split a message across writes to exercise buffering
+    const initialize = encodeMessage({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+    input.write(initialize.slice(0, 10));
+    input.write(initialize.slice(10));
+    input.write(encodeMessage({ jsonrpc: '2.0', id: 2, method: 'shutdown' }));
+    input.write(encodeMessage({ jsonrpc: '2.0', method: 'exit' }));
+
+    expect(received.map(m => m.id)).toEqual([1, 2]);
+    expect(received[0].result.serverInfo.name).toBe('ysc');
+    expect(exitCode).toBe(0);
+  });
+});
+
+describe('Language Server - Diagnostics', () => {
+  test('should publish no diagnostics for a valid file', () => {
+    const client = openMain();
+
+    expect(client.diagnostics(MAIN_URI)).toEqual([]);
+  });
+
+  test('should publish diagnostics on open and on change', () => {
+    const client = openMain('mut int count = 0\nmut int x = coutn');
+    const [diagnostic] = client.diagnostics(MAIN_URI);
+
+    expect(diagnostic).toMatchObject({
+      range: { start: { line: 1, character: 12 }, end: { line: 1, character: 17 } },
+      severity: 1,
+      code: 'YS0001',
+      source: 'ysc'
+    });
+    expect(diagnostic.message).toContain("Did you mean 'count'?");
+
+    client.notify('textDocument/didChange', {
+      textDocument: { uri: MAIN_URI, version: 2 },
+      contentChanges: [{ text: 'mut int count = 0\nmut int x = count' }]
+    });
+    expect(client.diagnostics(MAIN_URI)).toEqual([]);
+  });
+
+  test('should report every syntax error', () => {
+    const client = openMain('mut int a = = 5\nmut int b = = 6');
+
+    expect(client.diagnostics(MAIN_URI).map(d => d.range.start.line)).toEqual([0, 1]);
+  });
+
+  test('should clear diagnostics when a document is closed', () => {
+    const client = openMain('mut int x = y');
+    client.notify('textDocument/didClose', { textDocument: { uri: MAIN_URI } });
+
+    expect(client.diagnostics(MAIN_URI)).toEqual([]);
+  });
+});
+
+describe('Language Server - Completion', () => {
+  test('should complete keywords, hardware types and declared identifiers', () => {
+    const client = openMain();
+    const labels = client.at('textDocument/completion', 20, 2).items.map(item => item.label);
+
+    expect(labels).toEqual(expect.arrayContaining(['mut', 'while', 'Led', 'Servo', 'counter', 'add', 'Blinker', 'm', 'millis']));
+  });
+
+  test('should complete locals only inside their block', () => {
+    const client = openMain();
+    const inLoop = client.at('textDocument/completion', 22, 2).items.map(item => item.label);
+    const inTask = client.at('textDocument/completion', 16, 2).items.map(item => item.label);
+
+    expect(inLoop).toContain('doubled');
+    expect(inTask).not.toContain('doubled');
+  });
+
+  test('should complete hardware methods after a dot', () => {
+    const source = MAIN_SOURCE.replace('  led.on()', '  led.');
+    const client = openMain(source);
+    const items = client.at('textDocument/completion', 21, 6).items;
+
+    expect(items.map(item => item.label)).toEqual(expect.arrayContaining(['on', 'off', 'toggle']));
+    expect(items.find(item => item.label === 'on').detail).toBe('fn on() -> void');
+  });
+
+  test('should complete module members and class members', () => {
+    const client = openMain();
+
+    expect(client.at('textDocument/completion', 22, 23).items.map(item => item.label)).toEqual(['helper', 'Motor']);
+    expect(client.at('textDocument/completion', 11, 9).items.map(item => item.label)).toEqual(['level', 'stop']);
+  });
+});
+
+describe('Language Server - Hover', () => {
+  test('should show the types of variables and functions', () => {
+    const client = openMain();
+
+    expect(client.at('textDocument/hover', 20, 4).contents.value).toBe('```ys\nmut int counter\n```');
+    expect(client.at('textDocument/hover', 20, 13).contents.value).toBe('```ys\nfn add(int a, int b) -> int\n```');
+    expect(client.at('textDocument/hover', 5, 9).contents.value).toContain('int a  (parameter)');
+  });
+
+  test('should show the element type of for-in loop variables', () => {
+    const client = openMain(`mut u8 levels = [1, 2, 3]
+on loop {
+  for level in levels {
+    print(level)
+  }
+}`);
+
+    expect(client.at('textDocument/hover', 3, 11).contents.value).toBe('```ys\nu8 level  (loop variable)\n```');
+  });
+
+  test('should show inferred variable types', () => {
+    const client = openMain(`mut big = 40000
+on loop {
+  print(big)
+}`);
+
+    expect(client.at('textDocument/hover', 2, 9).contents.value).toBe('```ys\nmut i32 big  (inferred)\n```');
+  });
+
+  test('should show hardware method signatures', () => {
+    const client = openMain();
+    const hover = client.at('textDocument/hover', 21, 7);
+
+    expect(hover.contents.value).toBe('```ys\nfn Led.on() -> void\n```');
+    expect(hover.range).toEqual({ start: { line: 21, character: 6 }, end: { line: 21, character: 8 } });
+  });
+
+  test('should return null away from identifiers', () => {
+    const client = openMain();
+
+    expect(client.at('textDocument/hover', 18, 0)).toBeNull();
+  });
+});
+
+describe('Language Server - Go to Definition', () => {
+  test('should jump to declarations in the same file', () => {
+    const client = openMain();
+
+    expect(client.at('textDocument/definition', 20, 13)).toEqual({
+      uri: MAIN_URI,
+      range: { start: { line: 4, character: 3 }, end: { line: 4, character: 6 } }
+    });
+  });
+
+  test('should jump into loaded modules', () => {
+    const client = openMain();
+
+    expect(client.at('textDocument/definition', 22, 25)).toEqual({
+      uri: 'file:///project/motor.ys',
+      range: { start: { line: 0, character: 3 }, end: { line: 0, character: 9 } }
+    });
+  });
+
+  test('should use the unsaved text of open modules', () => {
+    const client = openMain();
+    client.open('file:///project/motor.ys', '\n\n' + MOTOR_MODULE);
+
+    expect(client.at('textDocument/definition', 22, 25).range.start.line).toBe(2);
+  });
+});
+
+describe('Language Server - Document Symbols', () => {
+  test('should list classes, functions, tasks and on-blocks', () => {
+    const client = openMain();
+    const symbols = client.request('textDocument/documentSymbol', { textDocument: { uri: MAIN_URI } });
+
+    expect(symbols.map(s => [s.name, s.kind])).toEqual([
+      ['counter', 13],
+      ['led', 13],
+      ['add', 12],
+      ['Blinker', 5],
+      ['task blink', 24],
+      ['on loop', 24]
+    ]);
+    expect(symbols[3].children.map(s => [s.name, s.kind])).toEqual([['level', 7], ['stop', 6]]);
+    expect(symbols[3].selectionRange).toEqual({ start: { line: 8, character: 6 }, end: { line: 8, character: 13 } });
+  });
+});
+
+describe('Language Server - Rename', () => {
+  test('should rename a variable and all its references', () => {
+    const client = openMain();
+    const result = client.at('textDocument/rename', 1, 10, { newName: 'total' });
+    const edits = result.changes[MAIN_URI];
+
+    expect(edits.map(e => [e.range.start.line, e.range.start.character])).toEqual([[1, 8], [20, 2], [20, 16], [22, 29]]);
+    expect(edits.every(e => e.newText === 'total')).toBe(true);
+  });
+
+  test('should not touch other symbols with the same name', () => {
+    const client = openMain(`mut int a = 1
+fn f(int a) -> int {
+  return a
+}
+on loop {
+  a = f(a)
+}`);
+    const edits = client.at('textDocument/rename', 1, 9, { newName: 'x' }).changes[MAIN_URI];
+
+    expect(edits.map(e => e.range.start.line)).toEqual([1, 2]);
+  });
+
+  test('should reject invalid names', () => {
+    const client = openMain();
+
+    expect(() => client.at('textDocument/rename', 1, 10, { newName: 'while' })).toThrow("'while' is not a valid name");
+    expect(() => client.at('textDocument/rename', 1, 10, { newName: '1x' })).toThrow("'1x' is not a valid name");
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Tests for break, continue and labeled loops
+ */
+
+const { compile } = require('../src/compiler');
+const { parseLoopBody, loopCode } = require('./helpers');
+
+
+describe('Loop Control - Parser', () => {
+  test('should parse break and continue with optional labels', () => {
+    const [loop] = parseLoopBody(`outer: while (true) {
+  break outer
+  continue
+}`);
+
+    expect(loop).toMatchObject({ type: 'WhileStatement', label: 'outer', line: 2, column: 1 });
+    expect(loop.body[0]).toMatchObject({ type: 'BreakStatement', label: 'outer' });
+    expect(loop.body[1]).toMatchObject({ type: 'ContinueStatement', label: null });
+  });
+
+  test('should not take the next line as a label', () => {
+    const [loop] = parseLoopBody(`while (true) {
+  break
+  counter()
+}`);
+
+    expect(loop.body.map(s => s.type)).toEqual(['BreakStatement', 'ExpressionStatement']);
+  });
+
+  test('should only allow labels on loops', () => {
+    expect(() => parseLoopBody('outer: if (true) { }')).toThrow("Expected a loop after label 'outer'");
+  });
+});
+
+describe('Loop Control - Semantic Analysis', () => {
+  test('should reject break and continue outside loops', () => {
+    const result = compile(`fn stop() {
+  break
+}
+on loop {
+  if (true) {
+    continue
+  }
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message, e.line])).toEqual([
+      ['YS0111', "'break' can only be used inside a loop", 2],
+      ['YS0111', "'continue' can only be used inside a loop", 6]
+    ]);
+  });
+
+  test('should reject unknown and duplicate labels', () => {
+    const result = compile(`on loop {
+  outer: while (true) {
+    outer: repeat(2) {
+      break inner
+    }
+  }
+}`);
+
+    expect(result.semanticErrors.map(e => e.message)).toEqual([
+      "Label 'outer' is already used by an enclosing loop",
+      "Unknown loop label 'inner'"
+    ]);
+    expect(result.semanticErrors[1].notes).toEqual(["Enclosing loop labels: 'outer', 'outer'"]);
+  });
+
+  test('should reject break and continue in interrupts', () => {
+    const result = compile(`interrupt on 2 rising {
+  repeat(3) {
+    break
+  }
+}`);
+
+    expect(result.semanticErrors[0]).toMatchObject({
+      code: 'YS0202',
+      message: "'break' is not allowed in interrupts",
+      line: 3
+    });
+  });
+
+  test('should accept break and continue in every loop kind', () => {
+    const result = compile(`on loop {
+  while (true) { break }
+  for (int i = 0; i < 3; i++) { continue }
+  repeat(3) { break }
+  timeout 1s { continue }
+}`);
+
+    expect(result.success).toBe(true);
+  });
+});
+
+describe('Loop Control - Code Generation', () => {
+  test('should generate plain break and continue for the innermost loop', () => {
+    const result = compile(`on loop {
+  repeat(5) {
+    continue
+  }
+  timeout 2s {
+    break
+  }
+}`);
+
+    expect(result.success).toBe(true);
+    expect(loopCode(result)).toContain(`  for (int _repeat_i = 0; _repeat_i < 5; _repeat_i++) {
+    continue;
+  }
+  unsigned long _timeout_0 = millis();
+  while (millis() - _timeout_0 < 2000) {
+    break;
+  }`);
+  });
+
+  test('should jump out of labeled outer loops with goto', () => {
+    const result = compile(`mut int x = 0
+on loop {
+  outer: while (true) {
+    repeat(3) {
+      if (x > 5) {
+        break outer
+      }
+      continue outer
+    }
+    mut int y = x
+  }
+}`);
+
+    expect(result.success).toBe(true);
+    expect(loopCode(result)).toContain(`  while (true) {
+    {
+      for (int _repeat_i = 0; _repeat_i < 3; _repeat_i++) {
+        if ((x > 5)) {
+          goto _break_outer_0;
+        }
+        goto _continue_outer_0;
+      }
+      int y = x;
+    }
+    _continue_outer_0: ;
+  }
+  _break_outer_0: ;`);
+  });
+
+  test('should break out of the loop from inside a switch', () => {
+    const result = compile(`mut int mode = 0
+on loop {
+  while (true) {
+    switch (mode) {
+      case 1 {
+        break
+      }
+    }
+  }
+}`);
+
+    expect(loopCode(result)).toContain('goto _break_loop_0;');
+    expect(loopCode(result)).toContain('_break_loop_0: ;');
+  });
+
+  test('should turn interrupts back on when leaving an atomic block', () => {
+    const result = compile(`on loop {
+  while (true) {
+    atomic {
+      break
+    }
+  }
+}`);
+
+    expect(loopCode(result)).toContain(`    noInterrupts();
+    interrupts();
+    break;
+    interrupts();`);
+  });
+});
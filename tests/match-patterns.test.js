@@ -0,0 +1,184 @@
+/**
+ * Tests for or, range and guard match patterns and enum exhaustiveness
+ */
+
+const { compile } = require('../src/compiler');
+const { Lexer } = require('../src/lexer');
+const { Parser } = require('../src/parser');
+const { format } = require('../src/formatter');
+const { parseLoopBody, loopCode } = require('./helpers');
+
+
+describe('Match Patterns - Parser', () => {
+  test('should parse alternatives, ranges and guards', () => {
+    const [match] = parseLoopBody(`match level {
+  1 | 2 | 3 => print("low")
+  4...9 => print("mid")
+  x if x > 100 => print(x)
+  _ => print("other")
+}`);
+
+    expect(match.cases[0].pattern).toMatchObject({
+      type: 'OrPattern',
+      alternatives: [{ value: 1 }, { value: 2 }, { value: 3 }]
+    });
+    expect(match.cases[1].pattern).toMatchObject({
+      type: 'RangePattern',
+      start: { value: 4 },
+      end: { value: 9 }
+    });
+    expect(match.cases[2]).toMatchObject({
+      pattern: { type: 'Identifier', name: 'x' },
+      guard: { type: 'BinaryExpression', operator: '>' }
+    });
+    expect(match.cases[3].guard).toBeNull();
+  });
+
+  test('should parse patterns in match expressions', () => {
+    const ast = new Parser(new Lexer('mut int x = match n { 0...3 | 7 => 1, _ if n < 0 => 2, _ => 3 }').tokenize()).parse();
+    const [first, second] = ast.body[0].init.cases;
+
+    expect(first.pattern.alternatives.map(p => p.type)).toEqual(['RangePattern', 'Literal']);
+    expect(second).toMatchObject({ pattern: { type: 'Wildcard' }, guard: { operator: '<' } });
+  });
+});
+
+describe('Match Patterns - Semantic Analysis', () => {
+  test('should report enum variants that are not handled', () => {
+    const result = compile(`enum Mode { AUTO, MANUAL, SLEEP }
+mut Mode mode = AUTO
+mut int level = 0
+on loop {
+  match mode {
+    AUTO => print("a")
+    MANUAL if level > 2 => print("m")
+  }
+}`);
+
+    expect(result.semanticErrors).toHaveLength(1);
+    expect(result.semanticErrors[0]).toMatchObject({
+      code: 'YS0113',
+      message: "Match on enum 'Mode' does not handle 'MANUAL', 'SLEEP'",
+      line: 5
+    });
+  });
+
+  test('should accept enum matches that cover every variant', () => {
+    const result = compile(`enum Mode { AUTO, MANUAL, SLEEP }
+mut Mode mode = AUTO
+mut int pwm = match mode {
+  AUTO | Mode.MANUAL => 128,
+  SLEEP => 0
+}
+on loop {
+  match mode {
+    AUTO => print("a")
+    _ => print("other")
+  }
+}`);
+
+    expect(result.success).toBe(true);
+    expect(result.code).toContain('int pwm = ((mode == AUTO || mode == Mode::MANUAL) ? 128 : 0);');
+  });
+
+  test('should check range patterns and guards', () => {
+    const result = compile(`mut string name = "a"
+mut int level = 0
+on loop {
+  match name {
+    "a"..."z" => print(1)
+    _ => print(2)
+  }
+  match level {
+    0..."9" => print(1)
+    1 if name => print(2)
+    _ => print(3)
+  }
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0110', "Range pattern cannot match a value of type 'string'"],
+      ['YS0109', "Range pattern bound must be a number, got 'string'"],
+      ['YS0108', "Match guard condition must be a boolean expression, got 'string'"]
+    ]);
+  });
+
+  test('should bind the matched value in a guarded arm', () => {
+    const result = compile(`mut int level = 0
+on loop {
+  match level {
+    x if x > 100 => print(x)
+    _ => print(x)
+  }
+}`);
+
+    expect(result.semanticErrors.map(e => e.message)).toEqual(["Undefined variable 'x'"]);
+  });
+});
+
+describe('Match Patterns - Code Generation', () => {
+  test('should test alternatives, ranges and guards in the if chain', () => {
+    const result = compile(`mut int level = 0
+on loop {
+  match level {
+    1 | 2 => print(1)
+    4...9 => print(2)
+    x if x > 100 => print(x)
+    _ => print(0)
+  }
+}`);
+
+    expect(result.success).toBe(true);
+    expect(loopCode(result)).toContain(`  if ((level == 1 || level == 2)) {
+    Serial.println(1);
+  } else if ((level >= 4 && level <= 9)) {
+    Serial.println(2);
+  } else if ((level > 100)) {
+    auto x = level;
+    Serial.println(x);
+  } else {`);
+  });
+
+  test('should use the matched value in guards and values of match expressions', () => {
+    const result = compile(`fn readLevel() -> int {
+  return 4
+}
+on loop {
+  mut int k = match readLevel() { 0...3 => 1, v if v > 10 => v, _ => 0 }
+}`);
+
+    expect(loopCode(result)).toContain(
+      'int k = [&](decltype(readLevel()) _match) { return (_match >= 0 && _match <= 3) ? 1 : (_match > 10) ? _match : 0; }(readLevel());'
+    );
+  });
+
+  test('should not emit unreachable arms after a leading wildcard', () => {
+    const result = compile(`mut int level = 0
+on loop {
+  match level {
+    _ => print(level)
+    1 => print(1)
+  }
+}`);
+
+    expect(loopCode(result)).toContain(`  {
+    Serial.println(level);
+  }
+`);
+    expect(loopCode(result)).not.toContain('println(1)');
+  });
+});
+
+describe('Match Patterns - Formatter', () => {
+  test('should print patterns and guards canonically', () => {
+    const source = `mut int d = match x { 1|2 => 1, 3 ... 9 => 2, y   if y>9 => 3, _ => 4 }`;
+
+    expect(format(source)).toBe(`mut int d = match x {
+  1 | 2 => 1,
+  3...9 => 2,
+  y if y > 9 => 3,
+  _ => 4
+}
+`);
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Tests for compound assignment, increment/decrement and bitwise operators
+ */
+
+const { compile } = require('../src/compiler');
+const { Lexer, TOKEN_TYPES } = require('../src/lexer');
+const { Parser } = require('../src/parser');
+
+function parseStatements(source) {
+  const ast = new Parser(new Lexer(`on loop {\n${source}\n}`).tokenize()).parse();
+  return ast.body[0].body;
+}
+
+function parseExpression(source) {
+  return parseStatements(source)[0].expression;
+}
+
+describe('Operators - Lexer', () => {
+  test('should tokenize compound assignment, update and bitwise operators', () => {
+    const tokens = new Lexer('a += b <<= c ++ -- & | ^ ~ << >> -> >=').tokenize();
+
+    expect(tokens.slice(0, -1).map(t => [t.type, t.value])).toEqual([
+      [TOKEN_TYPES.IDENTIFIER, 'a'],
+      [TOKEN_TYPES.COMPOUND_ASSIGN, '+='],
+      [TOKEN_TYPES.IDENTIFIER, 'b'],
+      [TOKEN_TYPES.COMPOUND_ASSIGN, '<<='],
+      [TOKEN_TYPES.IDENTIFIER, 'c'],
+      [TOKEN_TYPES.INCREMENT, '++'],
+      [TOKEN_TYPES.DECREMENT, '--'],
+      [TOKEN_TYPES.BIT_AND, '&'],
+      [TOKEN_TYPES.BIT_OR, '|'],
+      [TOKEN_TYPES.BIT_XOR, '^'],
+      [TOKEN_TYPES.BIT_NOT, '~'],
+      [TOKEN_TYPES.SHIFT_LEFT, '<<'],
+      [TOKEN_TYPES.SHIFT_RIGHT, '>>'],
+      [TOKEN_TYPES.ARROW, '->'],
+      [TOKEN_TYPES.GREATER_EQUAL, '>=']
+    ]);
+  });
+});
+
+describe('Operators - Parser', () => {
+  test('should bind bitwise operators tighter than comparisons', () => {
+    const expr = parseExpression('flags & MASK == 0');
+
+    expect(expr.operator).toBe('==');
+    expect(expr.left).toMatchObject({ type: 'BinaryExpression', operator: '&' });
+  });
+
+  test('should order | below ^ below & below shifts below +', () => {
+    const expr = parseExpression('a | b ^ c & d << 1 + e');
+
+    expect(expr.operator).toBe('|');
+    expect(expr.right.operator).toBe('^');
+    expect(expr.right.right.operator).toBe('&');
+    expect(expr.right.right.right.operator).toBe('<<');
+    expect(expr.right.right.right.right.operator).toBe('+');
+  });
+
+  test('should parse compound assignment as a right-associative assignment', () => {
+    const expr = parseExpression('a += b -= 1');
+
+    expect(expr).toMatchObject({ type: 'AssignmentExpression', operator: '+=' });
+    expect(expr.right).toMatchObject({ type: 'AssignmentExpression', operator: '-=' });
+  });
+
+  test('should parse prefix and postfix updates', () => {
+    expect(parseExpression('count++')).toMatchObject({ type: 'UpdateExpression', operator: '++', prefix: false });
+    expect(parseExpression('--count')).toMatchObject({ type: 'UpdateExpression', operator: '--', prefix: true });
+  });
+
+  test('should start a new statement with ++ on the next line', () => {
+    const statements = parseStatements('a = b\n++c');
+
+    expect(statements).toHaveLength(2);
+    expect(statements[1].expression).toMatchObject({ type: 'UpdateExpression', prefix: true });
+  });
+});
+
+describe('Operators - Code Generation', () => {
+  test('should generate bit manipulation on registers', () => {
+    const result = compile(`mut u8 flags = 0
+on loop {
+  flags |= 1 << 3
+  flags &= ~0x0F
+  flags ^= flags >> 1
+  if (flags & 4 == 0) {
+    flags = 0
+  }
+}`);
+
+    expect(result.success).toBe(true);
+    expect(result.code).toContain('flags |= (1 << 3);');
+    expect(result.code).toContain('flags &= ~(15);');
+    expect(result.code).toContain('flags ^= (flags >> 1);');
+    expect(result.code).toContain('if (((flags & 4) == 0))');
+  });
+
+  test('should generate increments, decrements and compound arithmetic', () => {
+    const result = compile(`mut int count = 0
+on loop {
+  count++
+  --count
+  count += 2
+  count *= 3
+  for (int i = 0; i < 10; i++) {
+    count -= i
+  }
+}`);
+
+    expect(result.success).toBe(true);
+    expect(result.code).toContain('count++;');
+    expect(result.code).toContain('--count;');
+    expect(result.code).toContain('count += 2;');
+    expect(result.code).toContain('count *= 3;');
+    expect(result.code).toContain('for (int i = 0; (i < 10); i++)');
+  });
+
+  test('should make variables updated in interrupts volatile', () => {
+    const result = compile(`mut int pulses = 0
+interrupt on 2 rising {
+  pulses++
+}`);
+
+    expect(result.code).toContain('volatile int pulses = 0;');
+  });
+});
+
+describe('Operators - Type Checking', () => {
+  test('should require integer operands for bitwise operators', () => {
+    const result = compile(`mut float f = 1.5
+mut int a = f & 1
+mut int b = ~f
+mut int c = 1 << f`);
+
+    expect(result.semanticErrors.map(e => e.message)).toEqual([
+      "Operator '&' requires integer operands, got 'float' and 'int'",
+      "Operator '~' requires an integer operand, got 'float'",
+      "Operator '<<' requires integer operands, got 'int' and 'float'"
+    ]);
+    expect(result.semanticErrors.every(e => e.code === 'YS0101')).toBe(true);
+  });
+
+  test('should accept enum values as bitwise operands', () => {
+    const result = compile(`enum Flag { A, B }
+mut int on_ = 1
+mut int mask = Flag.B | 1 & on_`);
+
+    expect(result.success).toBe(true);
+  });
+
+  test('should check compound assignments like the expanded operation', () => {
+    const result = compile(`mut int n = 0
+mut string s = "a"
+on loop {
+  s += 1
+  n += "x"
+  n %= 1.5
+}`);
+
+    expect(result.semanticErrors.map(e => e.message)).toEqual([
+      "Type mismatch: cannot assign a value of type 'string' to 'n' of type 'int'",
+      "Operator '%' requires integer operands, got 'int' and 'float'"
+    ]);
+  });
+
+  test('should reject updating constants, non-numbers and non-variables', () => {
+    const result = compile(`const int LIMIT = 10
+mut string name = "x"
+on loop {
+  LIMIT++
+  LIMIT += 1
+  name++;
+  (1 + 2)++
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0106', "Cannot assign to constant 'LIMIT'"],
+      ['YS0106', "Cannot assign to constant 'LIMIT'"],
+      ['YS0101', "Operator '++' cannot be applied to 'string'"],
+      ['YS0107', 'Invalid assignment target']
+    ]);
+  });
+});
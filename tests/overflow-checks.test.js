@@ -0,0 +1,202 @@
+/**
+ * Tests for overflow-checked integer arithmetic, the on overflow handler and the
+ * wrapping and saturating builtins
+ */
+
+const { compile } = require('../src/compiler');
+const { format } = require('../src/formatter');
+const { parse, loopCode } = require('./helpers');
+
+const TRAP = `config {
+  board: esp32
+  overflow: trap
+}
+`;
+
+
+describe('Overflow Checks - Parser', () => {
+  test('should parse the parameter of on overflow', () => {
+    const [handler, loop] = parse('on overflow(line) {\n}\non loop {\n}').body;
+
+    expect(handler).toMatchObject({ type: 'OnBlock', event: 'overflow', param: 'line' });
+    expect(loop.param).toBeNull();
+  });
+});
+
+describe('Overflow Checks - Semantic Analysis', () => {
+  test('should mark checked operations and narrowing stores only in trap mode', () => {
+    const source = `mut u8 level = 200
+mut int big = 30000
+mut i16 total = 0
+on loop {
+  level = level + 100
+  total = big
+  total = 5
+  mut float ratio = 1.5 * 2
+}`;
+    const wrapping = compile(source);
+    const trapping = compile(TRAP + source);
+    const [assign, narrow, constant, declaration] = trapping.ast.body[4].body;
+
+    expect(wrapping.ast.body[3].body[0].expression.right.checkedType).toBeUndefined();
+    expect(assign.expression.right.checkedType).toBe('u8');
+    expect(narrow.expression.checkedCast).toBe('i16');
+    expect(constant.expression.checkedCast).toBeUndefined();
+    expect(declaration.init.checkedType).toBeUndefined();
+  });
+
+  test('should check the overflow handler and the integer builtins', () => {
+    const result = compile(`config {
+  overflow: saturate
+}
+on start(time) {
+}
+on overflow(line) {
+  print(line)
+}
+on overflow {
+}
+on loop {
+  print(wrappingAdd(1.5, 2), saturatingMul(3))
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0129', "Event 'start' has no value to bind to 'time'"],
+      ['YS0129', "A program can only have one 'on overflow' block"],
+      ['YS0104', "Argument 1 of 'wrappingAdd' expects an integer but got 'float'"],
+      ['YS0103', "Function 'saturatingMul' expects 2 arguments but got 1"]
+    ]);
+    expect(result.diagnostics.find(d => d.code === 'YS0205')).toMatchObject({
+      severity: 'warning',
+      message: "Unknown overflow mode 'saturate'"
+    });
+  });
+});
+
+describe('Overflow Checks - Code Generation', () => {
+  test('should check arithmetic and stores against their types', () => {
+    const result = compile(`${TRAP}mut u8 level = 200
+mut int big = 30000
+mut i32 product = 0
+mut i16 total = 0
+mut u8 hue in 0...200 wrap = 0
+on loop {
+  level = level + 100
+  product = big * 1000
+  total = big
+  total -= 1
+  level++
+  hue += 150
+  total /= 2
+}`);
+
+    expect(result.success).toBe(true);
+    expect(loopCode(result)).toContain(`  level = ysCheckedAdd<uint8_t>(level, 100, 11);
+  product = ysCheckedMul<int32_t>(big, 1000, 12);
+  total = ysCheckedCast<int16_t>(big, 13);
+  total = ysCheckedSub<int16_t>(total, 1, 14);
+  (ysCheckedAdd<uint8_t>(level, 1, 15), level++);
+  hue = ysWrap(ysCheckedAdd<int>(hue, 150, 16), 0, 200);
+  total /= 2;`);
+    expect(result.code).toContain(`template<typename T, typename A, typename B> T ysCheckedAdd(A a, B b, int line) {
+  T result;
+  if (__builtin_add_overflow(a, b, &result)) ysOverflow(line);
+  return result;
+}`);
+    expect(result.code).toContain(`void ysOverflow(int line) {
+  Serial.print("Overflow on line ");
+  Serial.println(line);`);
+    expect(result.code).toContain('Serial.begin(9600);');
+  });
+
+  test('should check returned values and arguments against their declared types', () => {
+    const result = compile(`${TRAP}fn add8(u8 a, u8 b) -> u8 {
+  return a + b
+}
+fn narrow(int v) -> u8 {
+  return v
+}
+fn show(u8 v) {
+  print(v)
+}
+mut int big = 300
+mut int copy = 0
+on loop {
+  copy = big
+  show(big)
+  show(big * 2)
+  show(7)
+  print(add8(200, 50), narrow(big))
+}`);
+
+    expect(result.success).toBe(true);
+    expect(result.code).toContain('uint8_t add8(uint8_t a, uint8_t b) {\n  return ysCheckedAdd<uint8_t>(a, b, 6);\n}');
+    expect(result.code).toContain('uint8_t narrow(int v) {\n  return ysCheckedCast<uint8_t>(v, 9);\n}');
+    expect(loopCode(result)).toContain(`  copy = big;
+  show(ysCheckedCast<uint8_t>(big, 18));
+  show(ysCheckedMul<uint8_t>(big, 2, 19));
+  show(7);`);
+    expect(loopCode(result)).toContain('Serial.println(narrow(big));');
+  });
+
+  test('should leave arithmetic alone by default and with the wrapping mode', () => {
+    const source = 'mut u8 level = 200\non loop {\n  level = level + 100\n  level++\n}';
+
+    for (const result of [compile(source), compile('config {\n  overflow: wrap\n}\n' + source)]) {
+      expect(result.code).toContain('  level = (level + 100);\n  level++;');
+      expect(result.code).not.toContain('Integer overflow');
+    }
+    expect(compile(source, { overflow: 'trap' }).code).toContain('level = ysCheckedAdd<uint8_t>(level, 100, 3);');
+  });
+
+  test('should run the on overflow block in place of the report', () => {
+    const result = compile(`${TRAP}mut int count = 0
+on overflow(at) {
+  print("overflow", at)
+}
+on loop {
+  count = count * 2
+}`);
+
+    expect(result.success).toBe(true);
+    expect(result.code).toContain(`void ysOverflow(int at) {
+  Serial.print("overflow ");
+  Serial.println(at);
+  while (true) {
+    delay(1000);
+  }
+}`);
+    expect(result.code).not.toContain('Overflow on line');
+  });
+
+  test('should keep the default report in flash on AVR', () => {
+    const result = compile('config {\n  overflow: trap\n}\nmut int count = 0\non loop {\n  count++\n}');
+
+    expect(result.code).toContain('const char _str_0[] PROGMEM = "Overflow on line ";');
+    expect(result.code).toContain('  Serial.print(YS_FLASH(_str_0));');
+  });
+
+  test('should compute the integer builtins in the type of the first argument', () => {
+    const result = compile(`mut u8 level = 200
+mut i16 total = 0
+on loop {
+  print(wrappingAdd(level, 100), saturatingSub(level, 250), saturatingMul(total, 3))
+}`);
+
+    expect(result.success).toBe(true);
+    expect(loopCode(result)).toContain('ysWrappingAdd<uint8_t>(level, 100)');
+    expect(loopCode(result)).toContain('ysSaturatingSub<uint8_t>(level, 250)');
+    expect(loopCode(result)).toContain('ysSaturatingMul<int16_t>(total, 3)');
+    expect(result.code).toContain(`template<typename T, typename A, typename B> T ysSaturatingMul(A a, B b) {
+  T result;
+  return __builtin_mul_overflow(a, b, &result) ? ysSaturate<T>((a < 0) == (b < 0)) : result;
+}`);
+    expect(result.code).not.toContain('ysOverflow');
+  });
+});
+
+describe('Overflow Checks - Formatter', () => {
+  test('should print the parameter of on overflow', () => {
+    expect(format('on overflow( line ){\nprint(line)\n}\n')).toBe('on overflow(line) {\n  print(line)\n}\n');
+  });
+});
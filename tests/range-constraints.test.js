@@ -0,0 +1,150 @@
+/**
+ * Tests for range-constrained variables and parameters and their clamp, wrap and trap policies
+ */
+
+const { compile } = require('../src/compiler');
+const { format } = require('../src/formatter');
+const { parse, loopCode } = require('./helpers');
+
+
+describe('Range Constraints - Parser', () => {
+  test('should parse policies on variables and parameters', () => {
+    const [hue, level, set] = parse(`mut int hue in 0...359 wrap = 0
+mut int level in 0...100
+fn set(int speed in 0...255 trap, int ramp = 0) {
+}`).body;
+
+    expect(hue.range).toMatchObject({ min: { value: 0 }, max: { value: 359 }, policy: 'wrap' });
+    expect(hue.init.value).toBe(0);
+    expect(level.range.policy).toBeUndefined();
+    expect(set.params[0].range).toMatchObject({ max: { value: 255 }, policy: 'trap' });
+    expect(set.params[1].range).toBeUndefined();
+  });
+
+  test('should reject unknown policies', () => {
+    expect(() => parse('mut int hue in 0...359 saturate = 0')).toThrow("Unknown range policy 'saturate'");
+  });
+});
+
+describe('Range Constraints - Semantic Analysis', () => {
+  test('should reject constants outside the range', () => {
+    const result = compile(`const int LIMIT = 50
+mut int level in 0...100 = 150
+mut int count in 1...10
+fn setSpeed(int speed in 0...LIMIT) {
+}
+on loop {
+  level = 101
+  level += 101
+  setSpeed(speed: 60)
+  setSpeed(LIMIT)
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message, e.line])).toEqual([
+      ['YS0102', "Value 150 is out of range for 'level'", 2],
+      ['YS0102', "Value 0 is out of range for 'count'", 3],
+      ['YS0102', "Value 101 is out of range for 'level'", 7],
+      ['YS0102', "Value 60 is out of range for 'speed'", 9]
+    ]);
+    expect(result.semanticErrors[0].notes).toEqual(['Valid range: 0 to 100']);
+  });
+
+  test('should check the range itself', () => {
+    const result = compile(`mut int empty in 10...0 = 5
+mut float ratio in 0...1 wrap = 0
+mut string name in 0...10 = "bot"
+mut u8 small in 0...300 = 5
+mut int xs in 0...5 = [1, 2]`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0128', "Range 10...0 of 'empty' is empty"],
+      ['YS0128', "Policy 'wrap' of 'ratio' needs an integer type, not 'float'"],
+      ['YS0128', "Range constraint of 'name' needs a numeric type, not 'string'"],
+      ['YS0102', 'Value 300 is out of range for type u8'],
+      ['YS0128', "Range constraint of 'xs' cannot apply to an array"]
+    ]);
+  });
+});
+
+describe('Range Constraints - Code Generation', () => {
+  test('should pass every stored value through the policy', () => {
+    const result = compile(`mut int speed in 0...255 = 128
+mut int hue in 0...359 wrap = 0
+on loop {
+  speed = analogRead(A0)
+  speed *= 2
+  speed++
+  hue += 20
+  hue--
+}`);
+
+    expect(result.success).toBe(true);
+    expect(result.code).toContain('int speed = ysConstrain(128, 0, 255);');
+    expect(result.code).toContain('int hue = ysWrap(0, 0, 359);');
+    expect(loopCode(result)).toContain(`  speed = ysConstrain(analogRead(A0), 0, 255);
+  speed = ysConstrain((speed * 2), 0, 255);
+  speed = ysConstrain((speed + 1), 0, 255);
+  hue = ysWrap((hue + 20), 0, 359);
+  hue = ysWrap((hue - 1), 0, 359);`);
+    // Arduino's constrain() macro would read the pin more than once
+    expect(result.code).toContain(`template<typename T, typename L, typename H> T ysConstrain(T value, L low, H high) {
+  return constrain(value, low, high);
+}`);
+    expect(result.code).not.toContain('ysCheckRange');
+  });
+
+  test('should give the old value of a postfix update used as a value', () => {
+    const result = compile(`mut int speed in 0...255 = 128
+on loop {
+  mut int before = speed++
+  mut int after = ++speed
+  speed--
+  print(before, after)
+}`);
+
+    expect(result.success).toBe(true);
+    expect(loopCode(result)).toContain(`  int before = ysPostUpdate(speed, ysConstrain((speed + 1), 0, 255));
+  int after = speed = ysConstrain((speed + 1), 0, 255);
+  speed = ysConstrain((speed - 1), 0, 255);`);
+    expect(result.code).toContain(`template<typename T, typename V> T ysPostUpdate(T& target, V value) {
+  T old = target;
+  target = value;
+  return old;
+}`);
+  });
+
+  test('should apply parameter ranges on entry and trap with a message', () => {
+    const result = compile(`class Motor {
+  constructor(int power in 0...10) {
+  }
+  fn turn(int degrees in 0...359 wrap) {
+  }
+}
+fn setRatio(float ratio in 0.0...1.5 trap) {
+  print(ratio)
+}`);
+
+    expect(result.success).toBe(true);
+    expect(result.code).toContain('  Motor(int power) {\n    power = ysConstrain(power, 0, 10);\n');
+    expect(result.code).toContain('  void turn(int degrees) {\n    degrees = ysWrap(degrees, 0, 359);\n');
+    expect(result.code).toContain('void setRatio(float ratio) {\n  ratio = ysCheckRange(ratio, 0.0, 1.5, YS_FLASH(_str_0));\n');
+    expect(result.code).toContain('const char _str_0[] PROGMEM = "ratio is out of range";');
+  });
+
+  test('should leave out the helpers when no range is used', () => {
+    const result = compile('mut int speed = 0');
+
+    expect(result.code).not.toContain('Range constraints');
+  });
+});
+
+describe('Range Constraints - Formatter', () => {
+  test('should print ranges and policies', () => {
+    expect(format(`fn set(int speed  in 0...255 wrap,int x) {
+}
+mut   int hue in 0...359   trap=0
+`)).toBe(`fn set(int speed in 0...255 wrap, int x) {}
+mut int hue in 0...359 trap = 0
+`);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Source Position Tests
+ * Tests for start/end line and column information on tokens, AST nodes and errors
+ */
+
+const { Lexer, TOKEN_TYPES } = require('../src/lexer');
+const { CodeGenerator } = require('../src/codegen');
+const { compile } = require('../src/compiler');
+const { parse } = require('./helpers');
+
+function span(node) {
+  return [node.line, node.column, node.endLine, node.endColumn];
+}
+
+describe('Source Positions - Lexer', () => {
+  test('should record start and end of each token', () => {
+    const tokens = new Lexer('mut int speed = 250ms').tokenize();
+
+    expect(span(tokens[0])).toEqual([1, 1, 1, 4]);   // mut
+    expect(span(tokens[2])).toEqual([1, 9, 1, 14]);  // speed
+    expect(span(tokens[4])).toEqual([1, 17, 1, 22]); // 250ms
+  });
+
+  test('should record string token span including quotes', () => {
+    const tokens = new Lexer('print("a\\nb")').tokenize();
+    const str = tokens.find(t => t.type === TOKEN_TYPES.STRING);
+
+    expect(str.value).toBe('a\nb');
+    expect(span(str)).toEqual([1, 7, 1, 13]);
+  });
+
+  test('should keep columns correct after a number without unit', () => {
+    const tokens = new Lexer('x = 5 abc').tokenize();
+    const abc = tokens.find(t => t.value === 'abc');
+
+    expect(span(abc)).toEqual([1, 7, 1, 10]);
+  });
+
+  test('should track positions across lines', () => {
+    const tokens = new Lexer('mut int a = 1\n  a = 2').tokenize();
+    const second = tokens.filter(t => t.value === 'a')[1];
+
+    expect(span(second)).toEqual([2, 3, 2, 4]);
+  });
+});
+
+describe('Source Positions - AST Nodes', () => {
+  test('should add spans to statements and expressions', () => {
+    const ast = parse(`mut int x = 5
+on loop {
+  x = add(x, 2) * 3
+}`);
+
+    const decl = ast.body[0];
+    expect(span(decl)).toEqual([1, 1, 1, 14]);
+    expect(span(decl.init)).toEqual([1, 13, 1, 14]);
+
+    const onBlock = ast.body[1];
+    expect(span(onBlock)).toEqual([2, 1, 4, 2]);
+
+    const assignment = onBlock.body[0].expression;
+    expect(assignment.type).toBe('AssignmentExpression');
+    expect(span(assignment)).toEqual([3, 3, 3, 20]);
+    expect(span(assignment.right)).toEqual([3, 7, 3, 20]);
+    expect(span(assignment.right.left)).toEqual([3, 7, 3, 16]);
+  });
+
+  test('should add spans to class members and struct fields', () => {
+    const ast = parse(`class Motor {
+  mut int speed = 0
+  fn stop() {
+    self.speed = 0
+  }
+}
+struct Point {
+  int x
+}`);
+
+    const cls = ast.body[0];
+    expect(span(cls.properties[0])).toEqual([2, 3, 2, 20]);
+    expect(cls.methods[0].line).toBe(3);
+    expect(cls.methods[0].endLine).toBe(5);
+    expect(span(ast.body[1].fields[0])).toEqual([8, 3, 8, 8]);
+  });
+
+  test('should give natural syntax hardware initializers the span of the value', () => {
+    const ast = parse('Led led = 13');
+    const init = ast.body[0].init;
+
+    expect(init.type).toBe('NewExpression');
+    expect(span(init)).toEqual([1, 11, 1, 13]);
+  });
+
+  test('should record the source file when given', () => {
+    const ast = parse('mut int x = 1', { sourceFile: 'sensors.ys' });
+
+    expect(ast.source).toBe('sensors.ys');
+    expect(ast.body[0].source).toBe('sensors.ys');
+    expect(ast.body[0].init.source).toBe('sensors.ys');
+  });
+
+  test('should record the source file of loaded modules', () => {
+    const ast = parse('load <motor.ys> as m');
+    const generator = new CodeGenerator(ast, {
+      basePath: '/test',
+      fileReader: () => 'fn helper() {\n  print("hi")\n}'
+    });
+    generator.generate();
+
+    const helper = generator.modules[0].ast.body[0];
+    expect(helper.source).toBe('motor.ys');
+    expect(span(helper)).toEqual([1, 1, 3, 2]);
+  });
+});
+
+describe('Source Positions - Error Messages', () => {
+  test('should report line and column of semantic errors', () => {
+    const source = `mut int count = 0
+on loop {
+  count = countr + 1
+}`;
+
+    const result = compile(source);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("Error at line 3, column 11: Undefined variable 'countr'");
+    expect(result.semanticErrors[0]).toMatchObject({
+      line: 3,
+      column: 11,
+      endLine: 3,
+      endColumn: 17
+    });
+  });
+
+  test('should report line of errors on statements without identifiers', () => {
+    const source = `mut string name = "bot"
+on loop {
+  repeat(name) {
+    wait 1s
+  }
+}`;
+
+    const result = compile(source);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Error at line 3, column 10');
+    expect(result.error).not.toContain('line unknown');
+  });
+
+  test('should include the file name when compiling a named file', () => {
+    const result = compile('mut int x = y', { sourceFile: 'main.ys' });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("Error in main.ys at line 1, column 13: Undefined variable 'y'");
+    expect(result.semanticErrors[0].source).toBe('main.ys');
+  });
+
+  test('should report column of syntax errors', () => {
+    const result = compile('on loop {\n  if x > 1) {\n  }\n}');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("Syntax Error at line 2, column 6: Expected '(' but got identifier");
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Tests for interpolated strings and print/println/printf
+ */
+
+const { compile } = require('../src/compiler');
+const { Lexer, TOKEN_TYPES } = require('../src/lexer');
+const { Parser } = require('../src/parser');
+const { format } = require('../src/formatter');
+const { loopCode } = require('./helpers');
+
+function parseInit(source) {
+  const ast = new Parser(new Lexer(`mut string s = ${source}`).tokenize()).parse();
+  return ast.body[0].init;
+}
+
+
+describe('String Interpolation - Lexer and Parser', () => {
+  test('should split strings around expressions and formats', () => {
+    const tokens = new Lexer('"t={t:.1} C{n}"').tokenize();
+
+    expect(tokens.map(t => [t.type, t.value])).toEqual([
+      [TOKEN_TYPES.STRING_START, 't='],
+      [TOKEN_TYPES.IDENTIFIER, 't'],
+      [TOKEN_TYPES.FORMAT_SPEC, '.1'],
+      [TOKEN_TYPES.STRING_MIDDLE, ' C'],
+      [TOKEN_TYPES.IDENTIFIER, 'n'],
+      [TOKEN_TYPES.STRING_END, ''],
+      [TOKEN_TYPES.EOF, undefined]
+    ]);
+  });
+
+  test('should parse interpolated strings into text and value parts', () => {
+    const expr = parseInit('"t={t * 2:.1} C, {a ? b : c}"');
+
+    expect(expr).toMatchObject({
+      type: 'InterpolatedString',
+      parts: [
+        't=',
+        { expression: { type: 'BinaryExpression', operator: '*' }, format: '.1' },
+        ' C, ',
+        { expression: { type: 'ConditionalExpression' }, format: null }
+      ]
+    });
+  });
+
+  test('should keep escaped braces and single-quoted strings literal', () => {
+    expect(parseInit('"\\{x}"')).toMatchObject({ type: 'Literal', value: '{x}' });
+    expect(parseInit("'{x}'")).toMatchObject({ type: 'Literal', value: '{x}' });
+  });
+
+  test('should reject unknown formats', () => {
+    expect(() => parseInit('"{t:q}"')).toThrow("Unknown format 'q'");
+  });
+});
+
+describe('String Interpolation - Semantic Analysis', () => {
+  test('should check formats against the printed values', () => {
+    const result = compile(`mut float t = 2.5
+mut string name = "probe"
+on loop {
+  print("{name:.1}", "{t:x}")
+  printf("%s=%.2f", name)
+  printf("%x %q", t)
+  printf(name)
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0109', "Value formatted with '.1' must be a number, got 'string'"],
+      ['YS0109', "Value formatted with 'x' must be an integer, got 'float'"],
+      ['YS0103', "Format of 'printf' expects 2 arguments but got 1"],
+      ['YS0104', "Unknown printf conversion '%q'"],
+      ['YS0104', "The format of 'printf' must be a string literal"]
+    ]);
+  });
+
+  test('should check printf arguments against their conversions', () => {
+    const result = compile(`mut float t = 2.5
+mut int n = 3
+mut string name = "probe"
+on loop {
+  printf("%d %c %s %f", t, name, n, name)
+  printf("%i %u %s %f %c", n, n, name, n, 65)
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0109', "Argument 2 of 'printf' must be an integer, got 'float'"],
+      ['YS0109', "Argument 3 of 'printf' must be an integer, got 'string'"],
+      ['YS0109', "Argument 4 of 'printf' must be a string, got 'int'"],
+      ['YS0109', "Argument 5 of 'printf' must be a number, got 'string'"]
+    ]);
+  });
+
+  test('should only allow printing interpolated strings on AVR', () => {
+    const result = compile(`mut int n = 1
+mut string label = "n={n}"
+on loop {
+  print("n={n}")
+}`);
+
+    expect(result.semanticErrors).toHaveLength(1);
+    expect(result.semanticErrors[0]).toMatchObject({
+      code: 'YS0203',
+      message: 'Interpolated strings can only be printed on AVR targets (arduino_uno)',
+      line: 2
+    });
+  });
+});
+
+describe('String Interpolation - Code Generation', () => {
+  // Off AVR, so the text stays in plain literals
+  test('should lower print arguments to a Serial.print chain', () => {
+    const result = compile(`config {
+  board: esp32
+}
+mut float t = 21.5
+mut int n = 3
+on loop {
+  print("temp", t)
+  println("temp={t:.1} C, n={n:x}")
+  print()
+}`);
+
+    expect(result.success).toBe(true);
+    expect(loopCode(result)).toContain(`  Serial.print("temp ");
+  Serial.println(t);
+  Serial.print("temp=");
+  Serial.print(t, 1);
+  Serial.print(" C, n=");
+  Serial.println(n, HEX);
+  Serial.println();
+`);
+    expect(result.code).not.toContain('String(');
+    expect(result.code).toContain('Serial.begin(9600);');
+  });
+
+  test('should lower printf conversions without a line ending', () => {
+    const result = compile(`config {
+  board: esp32
+}
+mut int n = 7
+on loop {
+  printf("avg=%.2f %d%%\\n", n, n)
+}`);
+
+    expect(loopCode(result)).toContain(`  Serial.print("avg=");
+  Serial.print(static_cast<float>(n), 2);
+  Serial.print(" ");
+  Serial.print(n);
+  Serial.print("%\\n");
+`);
+  });
+
+  test('should print %c conversions as characters', () => {
+    const result = compile(`config {
+  board: esp32
+}
+mut int code = 66
+on loop {
+  printf("%c%c", 65, code + 1)
+}`);
+
+    expect(result.success).toBe(true);
+    expect(loopCode(result)).toContain(`  Serial.print((char)(65));
+  Serial.print((char)((code + 1)));
+`);
+  });
+
+  test('should join interpolated strings into a String off AVR', () => {
+    const result = compile(`config {
+  board: esp32
+}
+mut float t = 1.5
+mut string label = "t={t:.2} C"`);
+
+    expect(result.success).toBe(true);
+    expect(result.code).toContain('String label = (String("t=") + String(t, 2) + " C");');
+  });
+
+  test('should escape string literals for C++', () => {
+    const result = compile(`mut string s = "say \\"hi\\"\\n"`);
+
+    expect(result.code).toContain('String s = "say \\"hi\\"\\n";');
+  });
+
+  test('should forbid every print builtin in interrupts', () => {
+    const result = compile(`mut int n = 0
+interrupt on 2 rising {
+  printf("%d", n)
+}`);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('printf() is not allowed in interrupts');
+  });
+});
+
+describe('String Interpolation - Formatter', () => {
+  test('should print interpolated strings canonically', () => {
+    const source = `on loop {
+  print("t={ t*2 :.1} \\{raw} {a?b:c}",n)
+}`;
+
+    expect(format(source)).toBe(`on loop {
+  print("t={t * 2:.1} \\{raw} {a ? b : c}", n)
+}
+`);
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Tests for struct literals, default field values, struct methods and equality
+ */
+
+const { compile } = require('../src/compiler');
+const { Lexer } = require('../src/lexer');
+const { Parser } = require('../src/parser');
+const { format } = require('../src/formatter');
+const { loopCode } = require('./helpers');
+
+const POINT = `struct Point {
+  int x = 0
+  int y
+  fn moved(int dx) -> Point {
+    return Point { x: x + dx, y: self.y }
+  }
+}
+`;
+
+
+describe('Structs - Parser', () => {
+  test('should parse default values, methods and struct literals', () => {
+    const ast = new Parser(new Lexer(`${POINT}mut Point p = Point { y: 2, x: 1 }`).tokenize()).parse();
+    const [struct, decl] = ast.body;
+
+    expect(struct.fields.map(f => [f.name, f.init && f.init.value])).toEqual([['x', 0], ['y', null]]);
+    expect(struct.methods.map(m => [m.name, m.returnType])).toEqual([['moved', 'Point']]);
+    expect(decl.init).toMatchObject({
+      type: 'StructLiteral',
+      structType: 'Point',
+      fields: [{ name: 'y', value: { value: 2 } }, { name: 'x', value: { value: 1 } }]
+    });
+  });
+
+  test('should only read struct literals for declared structs', () => {
+    const ast = new Parser(new Lexer(`mut int p = 0
+on loop {
+  match p {
+    _ => print(p)
+  }
+}`).tokenize()).parse();
+
+    expect(ast.body[1].body[0].type).toBe('MatchStatement');
+  });
+
+  test('should reject fields set twice', () => {
+    expect(() => new Parser(new Lexer(`${POINT}mut Point p = Point { x: 1, x: 2 }`).tokenize()).parse())
+      .toThrow("Field 'x' is set twice");
+  });
+});
+
+describe('Structs - Semantic Analysis', () => {
+  test('should check the fields of struct literals and defaults', () => {
+    const result = compile(`struct Reading {
+  int value = "none"
+  string label
+}
+mut Reading a = Reading { value: 1, lable: "t" }
+mut Reading b = Reading { label: 5 }`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0100', "Type mismatch: cannot initialize 'Reading.value' of type 'int' with a value of type 'string'"],
+      ['YS0003', "Struct 'Reading' has no field 'lable'"],
+      ['YS0100', "Type mismatch: cannot initialize 'Reading.label' of type 'string' with a value of type 'int'"]
+    ]);
+    expect(result.semanticErrors[1].suggestions[0]).toBe('label');
+  });
+
+  test('should check struct method calls and bodies', () => {
+    const result = compile(`${POINT}mut Point p
+on loop {
+  mut Point q = p.moved(1)
+  mut int n = p.moved(1)
+  p.moved()
+  p.scale(2)
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0100', "Type mismatch: cannot initialize 'n' of type 'int' with a value of type 'Point'"],
+      ['YS0103', "Function 'Point.moved' expects 1 argument but got 0"],
+      ['YS0003', "Struct 'Point' has no method 'scale'"]
+    ]);
+  });
+
+  test('should compare structs for equality only', () => {
+    const result = compile(`config {
+  board: esp32
+}
+${POINT}struct Bag {
+  List<int> items
+}
+mut Point a
+mut Bag bag
+on loop {
+  print(a == Point { y: 1 }, a != a)
+  print(a < a)
+  print(bag == bag)
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0101', "Operator '<' cannot be applied to struct 'Point'"],
+      ['YS0101', "Struct 'Bag' cannot be compared with '==', as field 'items' has type 'List<int>'"]
+    ]);
+  });
+});
+
+describe('Structs - Code Generation', () => {
+  test('should emit constructors, methods and equality operators', () => {
+    const result = compile(`${POINT}on loop {
+  mut Point p = Point { y: 2 }
+  print(p == p.moved(1))
+}`);
+
+    expect(result.success).toBe(true);
+    expect(result.code).toContain(`struct Point {
+  int x = 0;
+  int y;
+
+  Point() : y() {}
+  Point(int x, int y) : x(x), y(y) {}
+
+  Point moved(int dx) {
+    return Point((x + dx), this->y);
+  }
+
+  bool operator==(const Point& other) const {
+    return x == other.x && y == other.y;
+  }
+
+  bool operator!=(const Point& other) const {
+    return !(*this == other);
+  }
+};`);
+    // Fields left out take their default value
+    expect(loopCode(result)).toContain('Point p = Point(0, 2);');
+  });
+
+  test('should zero fields without a default and skip == for uncomparable structs', () => {
+    const result = compile(`config {
+  board: esp32
+}
+struct Bag {
+  List<int> items
+  string name
+}
+mut Bag bag = Bag { name: "a" }`);
+
+    expect(result.code).toContain('  Bag() : items(), name() {}');
+    expect(result.code).toContain('Bag bag = Bag(List<int>(), "a");');
+    expect(result.code).not.toContain('operator==(const Bag&');
+    expect(result.code).toContain('class List');
+  });
+
+  test('should only emit the zero constructor when every field has a zero value', () => {
+    const result = compile(`struct Buf {
+  int x
+  Led led
+}
+struct Frame {
+  Buf buf
+  int count = 0
+}
+mut Buf buf = Buf(1, new Led(13))
+on loop {
+  buf.led.on()
+}`);
+
+    expect(result.success).toBe(true);
+    expect(result.code).toContain(`struct Buf {
+  int x;
+  Led led;
+
+  Buf(int x, Led led) : x(x), led(led) {}
+};`);
+    expect(result.code).toContain('  Frame(Buf buf, int count) : buf(buf), count(count) {}');
+    expect(result.code).not.toContain('Buf()');
+    expect(result.code).not.toContain('Frame()');
+  });
+});
+
+describe('Structs - Formatter', () => {
+  test('should print struct literals, defaults and methods', () => {
+    expect(format(`struct Point {
+int x=0
+  y: int
+fn moved(int dx)->Point {
+return Point{x:x+dx,y:y}
+}
+}
+`)).toBe(`struct Point {
+  int x = 0
+  int y
+  fn moved(int dx) -> Point {
+    return Point { x: x + dx, y: y }
+  }
+}
+`);
+  });
+});
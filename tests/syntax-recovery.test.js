@@ -0,0 +1,164 @@
+/**
+ * Syntax Error Recovery Tests
+ * Tests for reporting multiple syntax errors in one compile run
+ */
+
+const { Lexer } = require('../src/lexer');
+const { Parser } = require('../src/parser');
+const { compile } = require('../src/compiler');
+
+describe('Syntax Recovery - Multiple Errors', () => {
+  test('should report every syntax error in one run', () => {
+    const source = `mut int a = = 5
+mut int b = 2
+on loop {
+  if a > 1) {
+    b = 3
+  }
+  wait 1s
+}
+fn foo(int x, {
+  print(x)
+}`;
+
+    const result = compile(source);
+    expect(result.success).toBe(false);
+    expect(result.syntaxErrors).toHaveLength(3);
+    expect(result.syntaxErrors.map(e => e.line)).toEqual([1, 4, 9]);
+    expect(result.semanticErrors).toEqual([]);
+  });
+
+  test('should return structured errors with positions', () => {
+    const source = `on loop {
+  if x > 1) {
+  }
+}`;
+
+    const result = compile(source);
+    expect(result.syntaxErrors[0]).toEqual({
+      severity: 'error',
+      code: 'YS0900',
+      message: "Expected '(' but got identifier",
+      line: 2,
+      column: 6,
+      endLine: 2,
+      endColumn: 7
+    });
+    expect(result.error).toContain("Syntax Error at line 2, column 6: Expected '(' but got identifier");
+  });
+
+  test('should keep parsing statements after an error in a block', () => {
+    const source = `on loop {
+  mut int a = )
+  mut int b = 2
+  b = (b +
+}
+mut int ok = 1`;
+
+    const tokens = new Lexer(source).tokenize();
+    const parser = new Parser(tokens, { recover: true });
+    const ast = parser.parse();
+
+    expect(parser.errors).toHaveLength(2);
+    expect(ast.body).toHaveLength(2);
+    expect(ast.body[0].body.map(s => s.name)).toEqual(['b']);
+    expect(ast.body[1].name).toBe('ok');
+  });
+
+  test('should skip the rest of a class body after an error in it', () => {
+    const source = `class Motor {
+  mut int speed =
+  fn stop() {
+    self.speed = 0
+  }
+}
+mut int ok = 1`;
+
+    const result = compile(source);
+    expect(result.syntaxErrors).toHaveLength(1);
+    expect(result.syntaxErrors[0].line).toBe(3);
+  });
+
+  test('should report unexpected characters and keep lexing', () => {
+    const source = `mut int a = 1 $
+mut int b = = 2`;
+
+    const result = compile(source);
+    expect(result.syntaxErrors).toHaveLength(2);
+    expect(result.syntaxErrors[0].message).toBe("Unexpected character '$'");
+    expect(result.syntaxErrors[0].column).toBe(15);
+    expect(result.syntaxErrors[1].line).toBe(2);
+  });
+
+  test('should end unterminated strings at the line and keep lexing', () => {
+    const source = `mut string a = "abc
+mut int b = = 2
+mut string c = "ok"`;
+
+    const result = compile(source);
+    expect(result.syntaxErrors.map(e => [e.message, e.line, e.column])).toEqual([
+      ['Unterminated string', 1, 16],
+      ['Unexpected token ASSIGN', 2, 13]
+    ]);
+  });
+
+  test('should close interpolated strings that end inside an expression', () => {
+    const source = `mut int n = 1
+mut string a = "n={n
+mut int b = = 2`;
+
+    const tokens = new Lexer(source, { recover: true }).tokenize();
+    expect(tokens.map(t => t.type)).toContain('STRING_END');
+
+    const result = compile(source);
+    expect(result.syntaxErrors.map(e => [e.message, e.line, e.column])).toEqual([
+      ['Unterminated string', 2, 16],
+      ['Unexpected token ASSIGN', 3, 13]
+    ]);
+  });
+
+  test('should report a missing closing brace once', () => {
+    const source = `on loop {
+  mut int x = 1
+`;
+
+    const result = compile(source);
+    expect(result.syntaxErrors).toHaveLength(1);
+    expect(result.error).toContain("Expected '}' but got EOF");
+    expect(result.error).toContain("Did you forget a closing brace '}'?");
+  });
+
+  test('should return empty syntaxErrors when only semantic errors exist', () => {
+    const result = compile('mut int x = y');
+
+    expect(result.success).toBe(false);
+    expect(result.syntaxErrors).toEqual([]);
+    expect(result.semanticErrors).toHaveLength(1);
+  });
+});
+
+describe('Syntax Recovery - Compatible Mode', () => {
+  test('should stop at the first error when recovery is disabled', () => {
+    const source = `mut int a = = 5
+mut int b = = 6`;
+
+    const result = compile(source, { recover: false });
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Syntax Error at line 1, column 13: Unexpected token ASSIGN');
+    expect(result.syntaxErrors).toBeUndefined();
+  });
+
+  test('should throw from the parser by default', () => {
+    const tokens = new Lexer('mut int a = = 5').tokenize();
+    const parser = new Parser(tokens);
+
+    expect(() => parser.parse()).toThrow('Syntax Error at line 1, column 13: Unexpected token ASSIGN');
+  });
+
+  test('should throw from the lexer by default', () => {
+    expect(() => new Lexer('mut int a = 1 $').tokenize())
+      .toThrow("Syntax Error at line 1, column 15: Unexpected character '$'");
+    expect(() => new Lexer('mut string s = "abc\nmut int b = 1').tokenize())
+      .toThrow('Syntax Error at line 1, column 16: Unterminated string');
+  });
+});
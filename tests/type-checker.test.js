@@ -0,0 +1,408 @@
+/**
+ * Type Checker Tests
+ * Tests for static type checking in the semantic analyzer
+ */
+
+const { compile } = require('../src/compiler');
+
+describe('Type Checker - Assignments', () => {
+  test('should reject string assigned to int variable', () => {
+    const source = `
+      mut int count = 0
+      on loop {
+        count = "ten"
+      }
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("cannot assign a value of type 'string' to 'count' of type 'int'");
+  });
+
+  test('should reject mismatched initializer', () => {
+    const source = `
+      mut int count = "ten"
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("cannot initialize 'count' of type 'int' with a value of type 'string'");
+  });
+
+  test('should allow implicit numeric conversions', () => {
+    const source = `
+      mut u8 small = 3
+      mut float ratio = 1
+      mut int total = 0
+      on loop {
+        total = small + 2
+        ratio = total * 0.5
+        small = digitalRead(2)
+      }
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(true);
+  });
+
+  test('should reject assignment to a constant', () => {
+    const source = `
+      const int LIMIT = 10
+      on loop {
+        LIMIT = 20
+      }
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("Cannot assign to constant 'LIMIT'");
+  });
+
+  test('should check array literal elements', () => {
+    const source = `
+      mut int values = [1, "two", 3]
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("element 2 of 'values' must be 'int'");
+  });
+
+  test('should report type errors in semanticErrors', () => {
+    const source = `
+      mut bool ready = false
+      on loop {
+        ready = "yes"
+      }
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(false);
+    expect(result.semanticErrors).toHaveLength(1);
+    expect(result.semanticErrors[0].line).toBe(4);
+  });
+});
+
+describe('Type Checker - Functions', () => {
+  test('should reject wrong number of arguments', () => {
+    const source = `
+      fn add(int a, int b) -> int {
+        return a + b
+      }
+      on loop {
+        mut int r = add(1, 2, 3)
+      }
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("Function 'add' expects 2 arguments but got 3");
+  });
+
+  test('should reject wrong argument type', () => {
+    const source = `
+      fn add(int a, int b) -> int {
+        return a + b
+      }
+      on loop {
+        mut int r = add(1, "two")
+      }
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("Argument 2 of 'add' expects 'int' but got 'string'");
+  });
+
+  test('should check built-in function arguments', () => {
+    const source = `
+      on loop {
+        digitalWrite(13)
+      }
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("Function 'digitalWrite' expects 2 arguments but got 1");
+  });
+
+  test('should reject return value of the wrong type', () => {
+    const source = `
+      fn label() -> int {
+        return "none"
+      }
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("Function 'label' must return 'int' but returns 'string'");
+  });
+
+  test('should reject bool returned from float function', () => {
+    const source = `
+      fn ratio() -> float {
+        return true
+      }
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("Function 'ratio' must return 'float' but returns 'bool'");
+  });
+
+  test('should not convert between booleans and numbers', () => {
+    const source = `
+      fn enable(bool enabled) {
+      }
+      mut bool ready = 1.5
+      mut int count = 0
+      on loop {
+        count = ready
+        enable(1)
+      }
+    `;
+
+    const result = compile(source);
+    expect(result.semanticErrors.map(e => e.message)).toEqual([
+      "Type mismatch: cannot initialize 'ready' of type 'bool' with a value of type 'float'",
+      "Type mismatch: cannot assign a value of type 'bool' to 'count' of type 'int'",
+      "Argument 1 of 'enable' expects 'bool' but got 'int'"
+    ]);
+  });
+
+  test('should not use booleans as numbers in arithmetic and bitwise operations', () => {
+    const source = `
+      mut bool ready = true
+      mut int count = 0
+      on loop {
+        count = ready + 0
+        count = ready * 2
+        count = ready & 1
+        count = 1 << ready
+      }
+    `;
+
+    const result = compile(source);
+    expect(result.semanticErrors.map(e => e.message)).toEqual([
+      "Operator '+' cannot be applied to 'bool' and 'int'",
+      "Operator '*' cannot be applied to 'bool' and 'int'",
+      "Operator '&' requires integer operands, got 'bool' and 'int'",
+      "Operator '<<' requires integer operands, got 'int' and 'bool'"
+    ]);
+  });
+
+  test('should reject value returned from void function', () => {
+    const source = `
+      fn reset(int pin) -> void {
+        return pin
+      }
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("Function 'reset' is declared 'void' but returns a value");
+  });
+
+  test('should use return type of calls in expressions', () => {
+    const source = `
+      fn isReady() -> bool {
+        return true
+      }
+      on loop {
+        mut string s = isReady()
+      }
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("with a value of type 'bool'");
+  });
+
+  test('should check method calls on user classes', () => {
+    const source = `
+      class Motor {
+        mut int speed = 0
+        fn setSpeed(int s) {
+          self.speed = s
+        }
+      }
+      mut Motor m = new Motor()
+      on loop {
+        m.setSpeed("fast")
+        m.stop()
+      }
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("Argument 1 of 'Motor.setSpeed' expects 'int' but got 'string'");
+    expect(result.error).toContain("Class 'Motor' has no method 'stop'");
+  });
+});
+
+describe('Type Checker - Structs and Enums', () => {
+  test('should reject unknown struct field', () => {
+    const source = `
+      struct Point {
+        int x
+        int y
+      }
+      mut Point p
+      on loop {
+        p.z = 1
+      }
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("Struct 'Point' has no field 'z'");
+  });
+
+  test('should check struct field types', () => {
+    const source = `
+      struct Point {
+        int x
+        int y
+      }
+      mut Point p
+      on loop {
+        p.x = "left"
+        p.y = p.x + 1
+      }
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(false);
+    expect(result.semanticErrors).toHaveLength(1);
+    expect(result.error).toContain("to 'p.x' of type 'int'");
+  });
+
+  test('should reject integer assigned to enum variable', () => {
+    const source = `
+      enum Mode { AUTO, MANUAL }
+      mut Mode mode = AUTO
+      on loop {
+        mode = 2
+      }
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("cannot assign a value of type 'int' to 'mode' of type 'Mode'");
+  });
+
+  test('should reject unknown enum variant', () => {
+    const source = `
+      enum Mode { AUTO, MANUAL }
+      mut Mode mode = Mode.SLEEP
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("Enum 'Mode' has no variant 'SLEEP'");
+  });
+
+  test('should accept enum values in comparisons and match', () => {
+    const source = `
+      enum Mode { AUTO, MANUAL }
+      mut Mode mode = AUTO
+      on loop {
+        if (mode == MANUAL) {
+          mode = Mode.AUTO
+        }
+        match mode {
+          AUTO => print("auto"),
+          MANUAL => print("manual")
+        }
+      }
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(true);
+  });
+
+  test('should report unknown types with a suggestion', () => {
+    const source = `
+      struct Point {
+        int x
+      }
+      mut Pont p
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("Unknown type 'Pont'");
+    expect(result.error).toContain("Did you mean 'Point'?");
+  });
+});
+
+describe('Type Checker - Operators and Conditions', () => {
+  test('should reject comparing string with number', () => {
+    const source = `
+      mut string name = "bot"
+      on loop {
+        if (name == 3) {
+          print("never")
+        }
+      }
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("Cannot compare 'string' with 'int'");
+  });
+
+  test('should reject string condition', () => {
+    const source = `
+      mut string name = "bot"
+      on loop {
+        while (name) {
+          wait 1s
+        }
+      }
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("While condition must be a boolean expression, got 'string'");
+  });
+
+  test('should reject modulo on floats', () => {
+    const source = `
+      mut float f = 2.5 % 2
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("Operator '%' requires integer operands");
+  });
+
+  test('should allow string concatenation with numbers', () => {
+    const source = `
+      mut int temp = 21
+      on loop {
+        mut string msg = "temp=" + temp
+        print(msg)
+      }
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(true);
+  });
+
+  test('should accept hardware method results of unknown type', () => {
+    const source = `
+      mut Analog sensor = new Analog(0)
+      mut int value = 0
+      on loop {
+        value = sensor.read()
+        if (sensor.read() > 512) {
+          print("high")
+        }
+      }
+    `;
+
+    const result = compile(source);
+    expect(result.success).toBe(true);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Tests for variable declarations that infer their type from the initializer
+ */
+
+const { compile } = require('../src/compiler');
+const { format } = require('../src/formatter');
+const { parse, loopCode } = require('./helpers');
+
+const SHAPES = `struct Point {
+  int x = 0
+  int y
+}
+class Motor {
+  constructor(int pin) {
+  }
+}
+fn half(int v) -> float {
+  return v / 2.0
+}
+`;
+
+
+describe('Type Inference - Parser', () => {
+  test('should parse declarations without a type', () => {
+    const [count, name, typed] = parse('mut count = 0\nconst name = "robot"\nmut int level = 1').body;
+
+    expect(count).toMatchObject({ type: 'VariableDeclaration', kind: 'var', varType: null, typeInferred: true, name: 'count' });
+    expect(name).toMatchObject({ kind: 'const', varType: null, typeInferred: true, init: { value: 'robot' } });
+    expect(typed.typeInferred).toBeUndefined();
+  });
+
+  test('should ask for a type or an initializer', () => {
+    expect(() => parse('mut count\non loop {\n}')).toThrow("Variable 'count' needs a type or an initial value");
+  });
+});
+
+describe('Type Inference - Semantic Analysis', () => {
+  test('should infer types from literals, calls, new expressions and struct literals', () => {
+    const result = compile(`${SHAPES}mut count = 0
+mut big = 40000
+mut low = -40000
+mut huge = 3000000000
+const clock = 16MHz
+const period = 2s
+mut ratio = 0.5
+mut ready = true
+const name = "robot"
+mut xs = [1, 2, 70000]
+mut p = Point { y: 2 }
+mut m = new Motor(3)
+mut now = millis()
+on loop {
+  mut h = half(count)
+}`);
+
+    expect(result.success).toBe(true);
+    const types = Object.fromEntries(result.ast.body
+      .filter(stmt => stmt.type === 'VariableDeclaration')
+      .map(stmt => [stmt.name, stmt.varType]));
+    expect(types).toEqual({
+      count: 'int',
+      big: 'i32',
+      low: 'i32',
+      huge: 'u32',
+      clock: 'i32',
+      period: 'int',
+      ratio: 'float',
+      ready: 'bool',
+      name: 'string',
+      xs: 'i32',
+      p: 'Point',
+      m: 'Motor',
+      now: 'u32'
+    });
+    expect(result.ast.body[result.ast.body.length - 1].body[0].varType).toBe('float');
+  });
+
+  test('should infer float from literals written with a decimal point', () => {
+    const result = compile(`mut count = 3
+mut x = 1.0
+mut c = count + 1.0
+mut half = count / 2.0`);
+
+    expect(result.success).toBe(true);
+    expect(result.ast.body.map(stmt => stmt.varType)).toEqual(['int', 'float', 'float', 'float']);
+    expect(result.code).toContain('float x = 1.0;');
+    expect(result.code).toContain('float c = (count + 1.0);');
+    // A whole-number float keeps its decimal point, so this is not an integer division
+    expect(result.code).toContain('float half = (count / 2.0);');
+  });
+
+  test('should check inferred variables like declared ones', () => {
+    const result = compile(`const limit = 5
+mut name = "robot"
+on loop {
+  limit = 3
+  name = 4
+}`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0106', "Cannot assign to constant 'limit'"],
+      ['YS0100', "Type mismatch: cannot assign a value of type 'int' to 'name' of type 'string'"]
+    ]);
+  });
+
+  test('should reject inferred List and Map variables on AVR boards', () => {
+    const source = `on loop {
+  mut xs = new List<int>()
+  mut m = new Map<string, int>()
+}`;
+    const result = compile(source);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0200', "Collection type 'List<int>' is not supported on AVR targets (arduino_uno) due to insufficient RAM."],
+      ['YS0200', "Collection type 'Map<string, int>' is not supported on AVR targets (arduino_uno) due to insufficient RAM."]
+    ]);
+    expect(compile(`config {\n  board: esp32\n}\n${source}`).success).toBe(true);
+  });
+
+  test('should report initializers without a usable type', () => {
+    const result = compile(`fn blink() {
+}
+mut a = blink()
+mut b = []
+mut c = [1, "x"]
+mut d = missing
+mut e = d + 1`);
+
+    expect(result.semanticErrors.map(e => [e.code, e.message])).toEqual([
+      ['YS0127', "Cannot infer the type of 'a', as its initializer does not produce a value"],
+      ['YS0127', "Cannot infer the type of 'b', as its initializer is an empty array"],
+      ['YS0100', "Type mismatch: element 2 of 'c' must be 'int', got 'string'"],
+      ['YS0001', "Undefined variable 'missing'"],
+      ['YS0127', "Cannot infer the type of 'e', as the type of its initializer is not known at compile time"]
+    ]);
+    expect(result.semanticErrors[0].notes).toEqual(["Write the type out, e.g. 'mut int a = ...'."]);
+  });
+});
+
+describe('Type Inference - Code Generation', () => {
+  test('should emit the inferred C++ types', () => {
+    const result = compile(`${SHAPES}mut big = 40000
+const clock = 16MHz
+mut xs = [1, 2.5]
+on loop {
+  mut p = Point { y: 2 }
+  mut m = new Motor(3)
+  mut h = half(4)
+  print(p.x, h)
+}`);
+
+    expect(result.success).toBe(true);
+    expect(result.code).toContain('int32_t big = 40000;');
+    expect(result.code).toContain('const int32_t clock = 16000000;');
+    expect(result.code).toContain('float xs[2] = {1, 2.5};');
+    expect(loopCode(result)).toContain(`  Point p = Point(0, 2);
+  Motor m = Motor(3);
+  float h = half(4);`);
+  });
+});
+
+describe('Type Inference - Formatter', () => {
+  test('should keep declarations without a type', () => {
+    expect(format(`mut   count=0
+const name="robot"
+`)).toBe(`mut count = 0
+const name = "robot"
+`);
+  });
+});